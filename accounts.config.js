@@ -0,0 +1,52 @@
+/**
+ * Ringba accounts the detectors run against (lib/accounts.js). The scheduler runs each scheduled
+ * script once per account that enables it, with that account's client, time zone and Slack
+ * channel; its alerts carry the account's name and its alert state is kept apart from the others'.
+ *
+ * name: shown in alert text ("[Elite] …") and in doctor.
+ * env: credential → env var(s) holding it; the first one set wins, so an account can fall back to
+ *   the shared RINGBA_* vars. Credentials never go in git. accountId plus either apiToken or
+ *   username and password.
+ * timeZone: the account's day (report windows, alert times) and, unless calendar.config.js says
+ *   otherwise, its business hours. Defaults to REPORT_TIME_ZONE, or America/New_York.
+ * channel: alertRoutes.config.js channel for its alerts that no route picks (instead of "default").
+ * detectors: the scheduled scripts that run against it.
+ *
+ * Keys ("main", "elite") are what calendar.config.js `accounts`, alert routes' `account` match and
+ * `node <script> --account <key>` refer to. Scripts run by hand use "main" unless told otherwise.
+ */
+export default {
+  main: {
+    name: "Main",
+    env: {
+      accountId: ["RINGBA_ACCOUNT_ID"],
+      apiToken: ["RINGBA_API_TOKEN"],
+      username: ["RINGBA_USERNAME"],
+      password: ["RINGBA_PASSWORD"],
+    },
+    timeZone: "America/New_York",
+    channel: "default",
+    detectors: [
+      "targetNoAnswer.js",
+      "multiTags.js",
+      "pgnmNumberpool.js",
+      "targetHangpUps.js",
+      "consecutiveCalls.js",
+      "consecutiveCallsSameBid.js",
+      "campaignDropRate.js",
+      "ringTreeDisposition.js",
+    ],
+  },
+  elite: {
+    name: "Elite",
+    env: {
+      accountId: ["ELITE_RINGBA_ACCOUNT_ID", "RINGBA_ACCOUNT_ID"],
+      apiToken: ["ELITE_RINGBA_API_TOKEN", "RINGBA_API_TOKEN"],
+      username: ["ELITE_RINGBA_USERNAME", "RINGBA_USERNAME"],
+      password: ["ELITE_RINGBA_PASSWORD", "RINGBA_PASSWORD"],
+    },
+    timeZone: "America/New_York",
+    channel: "elite",
+    detectors: ["elitePickUp.js"],
+  },
+};
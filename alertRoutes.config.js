@@ -0,0 +1,49 @@
+/**
+ * Which Slack channel(s) each alert goes to. Evaluated by lib/notifier.js — scripts never pick
+ * channels themselves.
+ *
+ * channels: name → env var(s) holding the channel's incoming-webhook URL. The first one that is
+ *   set wins, so a channel can fall back to the default channel's webhook. URLs never go in git.
+ *
+ * botToken / channelIds: optional Slack bot transport. When the bot token env var and a channel's
+ *   ID env var are both set, that channel posts with chat.postMessage / chat.update instead of its
+ *   webhook, so follow-ups (incident updates, recoveries, repeat batches) thread under the
+ *   original alert. Channels without an ID keep using their webhook.
+ *
+ * routes: { match, channels, copy? }, all evaluated in order; an alert goes to every channel of
+ *   every matching route. match keys (all must match): type, severity, campaign, target, buyer,
+ *   source, account (accounts.config.js key) — a value, an array of values (any) or a RegExp. An
+ *   alert that only matches `copy` routes (or nothing) also goes to its account's `channel`
+ *   (accounts.config.js), or the `default` channel.
+ *
+ * Alert types: campaignDropRate, consecutiveCalls, consecutiveCallsSameBid, elitePickUp,
+ * missingTag, noAnswer, numberPool, ringTreeTimeouts, targetHangups, test, and the operational
+ * jobFailure (scheduler.js) and watchdog (watchdog.js).
+ */
+export default {
+  channels: {
+    default: ["SLACK_WEBHOOK_URL"],
+    elite: ["ELITE_SLACK_WEBHOOK_URL", "SLACK_WEBHOOK_URL"],
+    buyerOps: ["SLACK_BUYER_OPS_WEBHOOK_URL", "SLACK_WEBHOOK_URL"],
+    tracking: ["SLACK_TRACKING_WEBHOOK_URL", "SLACK_WEBHOOK_URL"],
+    escalation: ["SLACK_ESCALATION_WEBHOOK_URL"],
+    ops: ["SLACK_OPS_WEBHOOK_URL", "SLACK_WEBHOOK_URL"],
+  },
+  botToken: "SLACK_BOT_TOKEN",
+  channelIds: {
+    default: ["SLACK_CHANNEL_ID"],
+    elite: ["ELITE_SLACK_CHANNEL_ID", "SLACK_CHANNEL_ID"],
+    buyerOps: ["SLACK_BUYER_OPS_CHANNEL_ID", "SLACK_CHANNEL_ID"],
+    tracking: ["SLACK_TRACKING_CHANNEL_ID", "SLACK_CHANNEL_ID"],
+    escalation: ["SLACK_ESCALATION_CHANNEL_ID"],
+    ops: ["SLACK_OPS_CHANNEL_ID", "SLACK_CHANNEL_ID"],
+  },
+  routes: [
+    { match: { type: ["targetHangups", "noAnswer", "consecutiveCalls", "consecutiveCallsSameBid"] }, channels: ["buyerOps"] },
+    { match: { type: ["numberPool", "missingTag"] }, channels: ["tracking"] },
+    // Alerts about the alerting itself: failing jobs, a stopped scheduler
+    { match: { type: ["jobFailure", "watchdog"] }, channels: ["ops"] },
+    // Critical alerts are duplicated to the escalation channel on top of their normal route
+    { match: { severity: "critical" }, channels: ["escalation"], copy: true },
+  ],
+};
@@ -0,0 +1,157 @@
+/**
+ * Ringba request budget — remaining quota per account/endpoint family from the shared ledger,
+ * plus a projection of whether schedules.config.js fits inside the documented daily/hourly limits.
+ * Only ticks the scheduler would run count: inside the business calendar (calendar.config.js).
+ * Limits are per Ringba account ID, so jobs are projected per account (accounts.config.js), with
+ * accounts that resolve to the same ID counted together.
+ *
+ * Usage:
+ *   node budget.js                    — today (UTC day): usage so far + projection for the rest of the day
+ *   node budget.js --date 2026-03-09  — projection for a whole day (e.g. before it starts)
+ *
+ * Exits 1 when the projection exceeds a limit.
+ */
+import "dotenv/config";
+import { ENDPOINT_LIMITS } from "./lib/rateLimiter.js";
+import { getRequestLedger, dayKey, hourKey } from "./lib/requestLedger.js";
+import { parseCron, cronRuns } from "./lib/cron.js";
+import { entryStatus, getCalendar } from "./lib/calendar.js";
+import { DEFAULT_ACCOUNT, expandSchedules, getAccounts } from "./lib/accounts.js";
+
+const schedules = (await import("./schedules.config.js")).default;
+const accounts = getAccounts();
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const FAMILIES = Object.keys(ENDPOINT_LIMITS);
+
+function parseArgs(argv) {
+  const i = argv.indexOf("--date");
+  if (i === -1) return { date: null };
+  const date = argv[i + 1];
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || "")) {
+    throw new Error("--date expects YYYY-MM-DD");
+  }
+  return { date };
+}
+
+const pad = (value, width) => String(value).padEnd(width);
+
+/** Scheduled jobs grouped by the Ringba account ID they spend: [{ accountId, names, jobs }]. */
+function jobsByAccountId(jobs) {
+  const groups = new Map();
+  for (const job of jobs) {
+    const key = job.account ?? DEFAULT_ACCOUNT;
+    const { accountId } = accounts.credentials(key).credentials;
+    const group = accountId ?? `unset:${key}`;
+    if (!groups.has(group)) groups.set(group, { accountId, names: new Set(), jobs: [] });
+    groups.get(group).names.add(accounts.get(key).name);
+    groups.get(group).jobs.push(job);
+  }
+  return [...groups.values()];
+}
+
+/** Projected requests per family in [from, to): { total, byHour: { hourKey: n } }. */
+function projectSchedules(jobs, from, to) {
+  const projection = Object.fromEntries(FAMILIES.map((f) => [f, { total: 0, byHour: {} }]));
+  for (const entry of jobs) {
+    if (!entry.requests) continue;
+    let runs;
+    try {
+      const account = entry.account ?? DEFAULT_ACCOUNT;
+      runs = cronRuns(parseCron(entry.schedule), { from, to, timeZone: entry.timezone }).filter(
+        (run) => entryStatus(entry, run, { calendar: getCalendar(), account }).open
+      );
+    } catch (e) {
+      console.warn(`⚠️ Skipping ${entry.script}: ${e.message}`);
+      continue;
+    }
+    for (const [family, perRun] of Object.entries(entry.requests)) {
+      if (!projection[family]) continue;
+      for (const run of runs) {
+        const hour = hourKey(run);
+        projection[family].total += perRun;
+        projection[family].byHour[hour] = (projection[family].byHour[hour] || 0) + perRun;
+      }
+    }
+  }
+  return projection;
+}
+
+/** Usage per account ID seen in the ledger or scheduled: { accountId: { family: usage } }. */
+function printUsage(ledger, now, scheduledIds) {
+  const snapshot = ledger.snapshot();
+  const accountIds = new Set(Object.keys(snapshot).map((key) => key.split(":")[0]));
+  for (const id of scheduledIds) accountIds.add(id);
+
+  console.log(`Usage so far — ${dayKey(now)} (UTC), hour ${hourKey(now).slice(11)}:00 UTC\n`);
+  if (accountIds.size === 0) {
+    console.log("  (no requests recorded)\n");
+    return {};
+  }
+
+  const used = {};
+  for (const accountId of accountIds) {
+    used[accountId] = {};
+    console.log(`  ${accountId}`);
+    for (const family of FAMILIES) {
+      const usage = ledger.getUsage(accountId, family, now);
+      const { perHour, perDay } = ENDPOINT_LIMITS[family];
+      const hourText = perHour ? `${usage.hour}/${perHour}` : `${usage.hour}`;
+      const dayText = perDay ? `${usage.day}/${perDay} (${perDay - usage.day} left)` : `${usage.day}`;
+      console.log(`    ${pad(family, 12)} hour ${pad(hourText, 8)} day ${dayText}`);
+      used[accountId][family] = usage;
+    }
+    console.log("");
+  }
+  return used;
+}
+
+/** `used` is the ledger's usage so far ({} for a future day); the current hour's counts toward its hour. */
+function printProjection(projection, used, label, currentHour) {
+  console.log(`Projection — ${label} (estimates from schedules.config.js "requests")\n`);
+  console.log(`  ${pad("family", 12)} ${pad("projected", 10)} ${pad("day limit", 10)} ${pad("peak hour", 10)} ${pad("hour limit", 11)} fits`);
+
+  let fits = true;
+  for (const family of FAMILIES) {
+    const { total, byHour } = projection[family];
+    const { perHour, perDay } = ENDPOINT_LIMITS[family];
+    const alreadyUsed = used[family]?.day ?? 0;
+    const hours = { ...byHour };
+    if (used[family]?.hour) hours[currentHour] = (hours[currentHour] ?? 0) + used[family].hour;
+    const peakHour = Math.max(0, ...Object.values(hours));
+    const dayOk = !perDay || alreadyUsed + total <= perDay;
+    const hourOk = !perHour || peakHour <= perHour;
+    if (!dayOk || !hourOk) fits = false;
+
+    const projected = alreadyUsed ? `${total}+${alreadyUsed}` : `${total}`;
+    console.log(
+      `  ${pad(family, 12)} ${pad(projected, 10)} ${pad(perDay ?? "-", 10)} ${pad(peakHour, 10)} ${pad(perHour ?? "-", 11)} ${dayOk && hourOk ? "✅" : "❌"}`
+    );
+  }
+  console.log("");
+  return fits;
+}
+
+function main() {
+  const { date } = parseArgs(process.argv.slice(2));
+  const now = new Date();
+  const ledger = getRequestLedger();
+
+  const groups = jobsByAccountId(expandSchedules(schedules, accounts));
+
+  let fits = true;
+  const future = date && date !== dayKey(now);
+  const from = future ? new Date(`${date}T00:00:00Z`) : now;
+  const to = new Date(Date.parse(`${dayKey(from)}T00:00:00Z`) + DAY); // end of the UTC day
+  const used = future ? {} : printUsage(ledger, now, groups.map((group) => group.accountId).filter(Boolean));
+  for (const { accountId, names, jobs } of groups) {
+    const label = `${[...names].join(", ")} (${accountId ?? "no account ID"}), ${future ? `${date} (UTC day)` : "rest of today"}`;
+    if (!printProjection(projectSchedules(jobs, from, to), used[accountId] ?? {}, label, hourKey(now))) fits = false;
+  }
+
+  console.log(fits ? "✅ Schedules fit inside the Ringba limits." : "❌ Schedules would exceed the Ringba limits.");
+  if (!fits) process.exitCode = 1;
+}
+
+main();
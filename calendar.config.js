@@ -0,0 +1,30 @@
+/**
+ * Business calendar: when each Ringba account's floor is open. The scheduler only runs a job
+ * while its account is open (lib/calendar.js), so schedules.config.js cron says how often and this
+ * says when. Detectors that loop on their own (targetNoAnswer.js) use it too.
+ *
+ * timeZone: zone of the hours and dates below (REPORT_TIME_ZONE, or America/New_York, if unset).
+ *   Accounts in accounts.config.js use their timeZone there instead, unless `accounts` below sets one.
+ * weekdays: open days, 0 = Sunday … 6 = Saturday.
+ * hours: { open, close } as "HH:mm", local; close is exclusive ("18:00" → last tick 17:59).
+ * holidays: built-in US holidays the floor closes for, on the day itself: newYearsDay, mlkDay,
+ *   presidentsDay, memorialDay, juneteenth, independenceDay, laborDay, columbusDay, veteransDay,
+ *   thanksgiving, christmas.
+ * closures: ad-hoc days off — { date } or { from, to } (inclusive, YYYY-MM-DD), with an optional
+ *   reason (shown in the scheduler log) and `accounts: [...]` to close only some accounts.
+ * accounts: per-account overrides of any of the above, keyed like accounts.config.js; an
+ *   account's closures are added to the shared ones.
+ */
+export default {
+  timeZone: "America/New_York",
+  weekdays: [1, 2, 3, 4, 5, 6],
+  hours: { open: "09:00", close: "18:00" },
+  holidays: ["newYearsDay", "memorialDay", "independenceDay", "laborDay", "thanksgiving", "christmas"],
+  closures: [
+    // { date: "2026-12-24", reason: "Christmas Eve" },
+    // { from: "2026-12-26", to: "2026-12-27", reason: "Year-end maintenance", accounts: ["elite"] },
+  ],
+  accounts: {
+    elite: { hours: { open: "09:30", close: "20:00" } },
+  },
+};
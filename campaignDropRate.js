@@ -1,324 +1,147 @@
 import "dotenv/config";
-import axios from "axios";
+import { getRecords } from "./lib/ringbaClient.js";
+import { insightsQuery } from "./lib/insightsQuery.js";
+import { todaySoFar, lastMinutes } from "./lib/timeWindow.js";
+import { createIncidentTracker } from "./lib/incidents.js";
+import { runMain } from "./lib/jobContext.js";
+import { evaluate } from "./lib/detectors/campaignDropRate.js";
 
-const BASE_URL = "https://api.ringba.com/v2";
-const RINGBA_ACCOUNT_ID = process.env.RINGBA_ACCOUNT_ID;
-const USERNAME = process.env.RINGBA_USERNAME;
-const PASSWORD = process.env.RINGBA_PASSWORD;
-const SLACK_WEBHOOK_URL = process.env.SLACK_WEBHOOK_URL;
-const API_TOKEN = process.env.RINGBA_API_TOKEN;
-
-// ✅ Function to send a message to Slack
-async function sendSlackMessage(message) {
-  try {
-    await axios.post(SLACK_WEBHOOK_URL, {
-      text: message,
-    });
-    console.log("Message sent to Slack:", message);
-  } catch (error) {
-    console.error(
-      "Error sending message to Slack:",
-      error.response?.data || error
-    );
-  }
-}
-
-// Auth
-async function getAuthToken() {
-  try {
-    const params = new URLSearchParams();
-    params.append("grant_type", "password");
-    params.append("username", USERNAME);
-    params.append("password", PASSWORD);
-
-    const response = await axios.post(`${BASE_URL}/token`, params, {
-      headers: {
-        "Content-Type": "application/x-www-form-urlencoded; charset=UTF-8",
-      },
-    });
-
-    return response.data.access_token;
-  } catch (error) {
-    console.error("Error getting token:", error.response?.data || error);
-    return null;
-  }
-}
-
-function getFormattedUTCDate() {
-  const now = new Date();
-
-  // Start date: today at 4:00 AM UTC
-  const startDate = new Date(
-    Date.UTC(
-      now.getUTCFullYear(),
-      now.getUTCMonth(),
-      now.getUTCDate(),
-      4,
-      0,
-      0,
-      0
-    )
-  );
-
-  // End date: tomorrow at 3:59:59.999 AM UTC
-  const endDate = new Date(startDate);
-  endDate.setUTCDate(startDate.getUTCDate() + 1);
-  endDate.setUTCHours(3, 59, 59, 999);
-
-  return {
-    reportStartComplete: startDate.toISOString(),
-    reportEndComplete: endDate.toISOString(),
-  };
-}
-
-const { reportStartComplete, reportEndComplete } = getFormattedUTCDate();
-
-function getLast30MinBlockUTC() {
-  const now = new Date(); // Current time in local timezone (Philippines)
-
-  // Convert to UTC equivalent
-  const reportEndUTC = new Date(now.toISOString());
-  const reportStartUTC = new Date(reportEndUTC);
-  reportStartUTC.setMinutes(reportEndUTC.getMinutes() - 30);
-
-  const reportPreviousStartUTC = new Date(reportEndUTC);
-  reportPreviousStartUTC.setMinutes(reportEndUTC.getMinutes() - 60);
-
-  // Extract UTC hour from currTime
-  const hour = reportEndUTC.getUTCHours();
+function getLast30MinBlockUTC(now) {
+  const current = lastMinutes(30, { now });
+  const previous = lastMinutes(60, { now });
 
   return {
-    prevTime: reportStartUTC.toISOString(),
-    currTime: reportEndUTC.toISOString(),
-    reportPreviousStart: reportPreviousStartUTC.toISOString(),
-    hour,
+    prevTime: current.reportStart,
+    currTime: current.reportEnd,
+    reportPreviousStart: previous.reportStart,
+    hour: now.getUTCHours(),
   };
 }
 
-const { prevTime, currTime, reportPreviousStart, hour } =
-  getLast30MinBlockUTC();
-
 function dynamicBody(
   campaignName,
   columnName,
   displayName,
   reportStart,
   reportEnd,
-  hour,
-  min
+  timeZone
 ) {
-  const filters = [
-    {
-      anyConditionToMatch: [
-        {
-          column: "campaignName",
-          value: "Broker",
-          isNegativeMatch: true,
-          comparisonType: "CONTAINS",
-        },
-      ],
-    },
-    {
-      anyConditionToMatch: [
-        {
-          column: "campaignName",
-          value: "Enroll",
-          isNegativeMatch: true,
-          comparisonType: "CONTAINS",
-        },
-      ],
-    },
-    {
-      anyConditionToMatch: [
-        {
-          column: "isDuplicate",
-          value: "no",
-          isNegativeMatch: false,
-          comparisonType: "EQUALS",
-        },
-      ],
-    },
-    {
-      anyConditionToMatch: [
-        {
-          column: "wasBlocked",
-          value: "no",
-          isNegativeMatch: false,
-          comparisonType: "EQUALS",
-        },
-      ],
-    },
-  ];
+  const query = insightsQuery({ timeZone })
+    .window(reportStart, reportEnd)
+    .groupBy(columnName, displayName)
+    .preset("excludeBrokerEnroll", "nonDuplicate", "notBlocked");
 
   if (campaignName) {
-    filters.push({
-      anyConditionToMatch: [
-        {
-          column: "campaignName",
-          value: campaignName,
-          isNegativeMatch: false,
-          comparisonType: "EQUALS",
-        },
-      ],
-    });
+    query.where("campaignName", campaignName);
   }
 
-  return {
-    reportStart: reportStart,
-    reportEnd: reportEnd,
-    groupByColumns: [{ column: columnName, displayName: displayName }],
-    valueColumns: [
-      { column: "callCount", aggregateFunction: null },
-      { column: "liveCallCount", aggregateFunction: null },
-      { column: "completedCalls", aggregateFunction: null },
-      { column: "endedCalls", aggregateFunction: null },
-      { column: "connectedCallCount", aggregateFunction: null },
-      { column: "payoutCount", aggregateFunction: null },
-      { column: "convertedCalls", aggregateFunction: null },
-      { column: "nonConnectedCallCount", aggregateFunction: null },
-      { column: "duplicateCalls", aggregateFunction: null },
-      { column: "blockedCalls", aggregateFunction: null },
-      { column: "incompleteCalls", aggregateFunction: null },
-      { column: "earningsPerCallGross", aggregateFunction: null },
-      { column: "conversionAmount", aggregateFunction: null },
-      { column: "payoutAmount", aggregateFunction: null },
-      { column: "profitGross", aggregateFunction: null },
-      { column: "profitMarginGross", aggregateFunction: null },
-      { column: "convertedPercent", aggregateFunction: null },
-      { column: "callLengthInSeconds", aggregateFunction: null },
-      { column: "avgHandleTime", aggregateFunction: null },
-      { column: "totalCost", aggregateFunction: null },
-    ],
-    orderByColumns: [
-      {
-        column: "callCount",
-        direction: "desc",
-      },
-    ],
-    formatTimespans: true,
-    formatPercentages: true,
-    generateRollups: true,
-    maxResultsPerGroup: 1000,
-    filters,
-    formatTimeZone: "America/New_York",
-  };
+  return query.build();
 }
 
 // ✅ Function to Get All Publishers
 async function getData(
+  ringba,
   campaignName,
   columnName,
   displayName,
   reportStart,
-  reportEnd
+  reportEnd,
+  timeZone
 ) {
   try {
-    const response = await axios.post(
-      `${BASE_URL}/${RINGBA_ACCOUNT_ID}/insights`,
+    const response = await ringba.insights(
       dynamicBody(
         campaignName,
         columnName,
         displayName,
         reportStart,
-        reportEnd
-      ),
-      {
-        headers: {
-          Authorization: `Token ${API_TOKEN}`,
-          "Content-Type": "application/json",
-        },
-      }
+        reportEnd,
+        timeZone
+      )
     );
 
-    const records = response.data?.report?.records || [];
-    // console.log(records);
-
-    return records;
+    return getRecords(response);
   } catch (error) {
     console.error(
       "🚨 Error fetching publishers:",
       error.response?.data || error
     );
-    return [];
+    throw error;
   }
 }
 
 // groupByColumns: [{ column: "targetName", displayName: "Target" }],
 // groupByColumns: [{column: "campaignName", displayName: "Campaign"}],
 
-// GENERIC FUNCTION TO GET OBJECTS TO USE FOR COMPARISSON
-function getCallCounts(data) {
-  let callCountWithNoValue = 0;
-  let lastCallCount = data[data.length - 1]?.callCount || null;
-  let hasTag = false;
-
-  for (let obj of data) {
-    if (obj.targetName === "-no value-" || obj.targetName === "") {
-      callCountWithNoValue = obj.callCount;
-      hasTag = true;
-      break;
-    }
-
-    if (!hasTag) {
-      let callCountWithNoValue = 0;
-    }
-  }
-
-  return { callCountWithNoValue, lastCallCount };
-}
-
-console.log(
-  `START ${reportPreviousStart} || CURR ${prevTime} || PREV ${currTime}`
-);
+export async function run({ clock, ringbaClient, notifier, state, rules, signal, timeZone }) {
+  const ringba = ringbaClient();
+  // Opens above dropRatePct, updates every further +worseBy points, resolves after 2 checks back under
+  const incidents = createIncidentTracker("campaignDropRate", {
+    resolveAfter: 2,
+    formatMetric: (pct) => `${pct.toFixed(2)}%`,
+    notifier,
+    state,
+  });
+  const now = clock.now();
+
+  // Today so far in the account's time zone (DST-aware)
+  const { reportStart: reportStartComplete, reportEnd: reportEndComplete } =
+    todaySoFar({ now, timeZone });
+  const { prevTime, currTime, reportPreviousStart } =
+    getLast30MinBlockUTC(now);
+
+  console.log(
+    `START ${reportPreviousStart} || CURR ${prevTime} || PREV ${currTime}`
+  );
 
-async function runReport() {
   // get Cmapaigns
   const campaigns = await getData(
+    ringba,
     null,
     "campaignName",
     "Campaign",
     reportStartComplete,
-    reportEndComplete
+    reportEndComplete,
+    timeZone
   );
-  if (!campaigns) {
-    console.log("was not able to get data");
-  }
   // reportPreviousStart
 
   for (const campaign of campaigns) {
+    // Stop between campaigns once the scheduler gives up on the run
+    signal.throwIfAborted();
     if (campaign.campaignName) {
       const campaignName = campaign.campaignName;
 
       // CURRENT DATA
       const getTargetCurrent = await getData(
+        ringba,
         campaignName,
         "targetName",
         "Target",
         prevTime,
-        currTime
+        currTime,
+        timeZone
       );
 
-      const data = getCallCounts(getTargetCurrent);
-      const compute = (
-        (data.callCountWithNoValue / data.lastCallCount) *
-        100
-      ).toFixed(2);
-
-      console.log(data);
-      console.log(compute);
+      // Thresholds per campaign: rules.json "campaignDropRate" (lib/rules.js)
+      const checks = evaluate(getTargetCurrent, {
+        rules,
+        campaign: campaignName,
+        window: { reportStart: prevTime, reportEnd: currTime },
+      });
+
+      // Too few calls to judge: leave any open incident as it is
+      if (checks.length === 0) {
+        console.log(`${campaignName}: too few calls in the last 30 minutes, skipping alert.`);
+        continue;
+      }
 
-      // console.log(
-      //   `${campaign.campaignName}'s drop rate is above 15% in the last 30 minutes`
-      // );
-      if (data.lastCallCount >= 10) {
-        sendSlackMessage(
-          `${campaign.campaignName} has a ${compute}% drop rate in the last 30 minutes`
-        );
-      } else {
-        console.log("Last call count is less than 10, skipping alert.");
+      for (const { key, ...check } of checks) {
+        console.log(`${campaignName}: ${check.metric.toFixed(2)}%`);
+        await incidents.check(key, { clock, ...check });
       }
     }
   }
 }
 
-runReport();
+runMain(import.meta.url, run);
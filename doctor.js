@@ -0,0 +1,37 @@
+/**
+ * Setup check: .env against what the scheduled scripts need for each Ringba account in
+ * accounts.config.js (including its fallback env vars), schedules.config.js cron expressions, time
+ * zones and scripts, rules.json, alertRoutes.config.js, calendar.config.js and accounts.config.js,
+ * then a Ringba login per account and a dry post to every Slack destination.
+ *
+ * Usage:
+ *   node doctor.js            — everything
+ *   node doctor.js --offline  — skip the Ringba and Slack checks
+ *
+ * Exits 1 when any check fails (warnings don't).
+ */
+import "dotenv/config";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+import alertRoutes from "./alertRoutes.config.js";
+import calendar from "./calendar.config.js";
+import accounts from "./accounts.config.js";
+import { RULES_PATH } from "./lib/rules.js";
+import { staticChecks, checkRingbaAccounts, checkSlack, formatReport } from "./lib/doctor.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const schedules = (await import("./schedules.config.js")).default;
+const offline = process.argv.includes("--offline");
+
+const results = staticChecks({ schedules, routes: alertRoutes, calendar, accounts, root: __dirname, rulesPath: RULES_PATH });
+
+if (offline) {
+  console.log("Offline: skipping Ringba and Slack checks.");
+} else {
+  results.push(...(await checkRingbaAccounts({ schedules, accounts })));
+  results.push(...(await checkSlack({ routes: alertRoutes })));
+}
+
+console.log(formatReport(results));
+process.exit(results.some((r) => r.status === "fail") ? 1 : 0);
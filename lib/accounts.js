@@ -0,0 +1,142 @@
+/**
+ * Registry of the Ringba accounts the detectors run against (accounts.config.js): credentials (as
+ * env var names), time zone, default Slack channel and the scripts enabled for each.
+ *
+ *   const accounts = getAccounts();
+ *   accounts.forScript("elitePickUp.js")          // → ["elite"]
+ *   accounts.credentials("elite").credentials     // → { accountId, apiToken, username, password, authHeader }
+ *   expandSchedules(schedules, accounts)          // one entry per script and account: { ..., account: "elite" }
+ *
+ * The scheduler runs every expanded entry as its own job ("targetNoAnswer.js pull @elite"), and the
+ * job's run context (lib/jobContext.js) is bound to that account. Scripts enabled for no account
+ * (clearCache.js) don't talk to Ringba and run once, unbound.
+ */
+import { DEFAULT_TIME_ZONE } from "./timeWindow.js";
+import accountsConfig from "../accounts.config.js";
+
+/** The account scripts use when none is given. */
+export const DEFAULT_ACCOUNT = "main";
+
+/** Env var naming the account a script runs against (set by the scheduler for isolated runs). */
+export const ACCOUNT_ENV = "RINGBA_ACCOUNT";
+
+const CREDENTIALS = ["accountId", "apiToken", "username", "password"];
+const SETTINGS = ["name", "env", "timeZone", "channel", "detectors"];
+
+const isStringList = (value) =>
+  typeof value === "string" || (Array.isArray(value) && value.length > 0 && value.every((v) => typeof v === "string"));
+
+/**
+ * Throws on an invalid registry; returns it otherwise.
+ * @param {object} config - accounts.config.js shape
+ * @param {object} [options]
+ * @param {object} [options.channels] - alertRoutes.config.js channels, to check `channel` against
+ */
+export function validateAccounts(config, { channels } = {}) {
+  if (!config || typeof config !== "object" || Object.keys(config).length === 0) {
+    throw new Error("accounts: at least one account is required");
+  }
+  for (const [key, account] of Object.entries(config)) {
+    const at = `accounts: ${key}`;
+    if (!/^[A-Za-z][\w-]*$/.test(key)) throw new Error(`${at}: keys are letters, digits, _ and - (they go in job names and state keys)`);
+    for (const name of Object.keys(account)) {
+      if (!SETTINGS.includes(name)) throw new Error(`${at}: unknown setting "${name}"`);
+    }
+    if (account.name != null && typeof account.name !== "string") throw new Error(`${at}: name must be a string`);
+    if (!account.env?.accountId) throw new Error(`${at}: env.accountId is required`);
+    for (const [credential, names] of Object.entries(account.env)) {
+      if (!CREDENTIALS.includes(credential)) throw new Error(`${at}: env: unknown credential "${credential}" (one of ${CREDENTIALS.join(", ")})`);
+      if (!isStringList(names)) throw new Error(`${at}: env.${credential} must be an env var name or a list of them`);
+    }
+    if (account.timeZone != null) {
+      try {
+        new Intl.DateTimeFormat("en-US", { timeZone: account.timeZone });
+      } catch {
+        throw new Error(`${at}: timeZone "${account.timeZone}" is not a time zone`);
+      }
+    }
+    if (account.channel != null && channels && !channels[account.channel]) {
+      throw new Error(`${at}: unknown channel "${account.channel}" (not in alertRoutes.config.js)`);
+    }
+    if (!Array.isArray(account.detectors) || !account.detectors.every((d) => typeof d === "string")) {
+      throw new Error(`${at}: detectors must be a list of scripts`);
+    }
+  }
+  return config;
+}
+
+/**
+ * @typedef {object} Account
+ * @property {string} key - "main", "elite"
+ * @property {string} name - Shown in alerts ("Elite")
+ * @property {string} timeZone
+ * @property {string | null} channel - Default Slack channel for its alerts
+ * @property {string[]} detectors
+ */
+
+/**
+ * @param {object} [config] - accounts.config.js shape (validated here)
+ */
+export function createAccounts(config = accountsConfig) {
+  validateAccounts(config);
+
+  /** @returns {Account} */
+  function get(key) {
+    const account = config[key];
+    if (!account) throw new Error(`Unknown Ringba account "${key}" (one of ${Object.keys(config).join(", ")})`);
+    return {
+      key,
+      name: account.name ?? key,
+      timeZone: account.timeZone ?? DEFAULT_TIME_ZONE,
+      channel: account.channel ?? null,
+      detectors: account.detectors,
+    };
+  }
+
+  /**
+   * Credentials of an account as its scripts resolve them, with the env vars they came from.
+   * @returns {{ credentials: object, sources: object }}
+   */
+  function credentials(key, env = process.env) {
+    get(key);
+    const values = {};
+    const sources = {};
+    for (const field of CREDENTIALS) {
+      const name = [].concat(config[key].env[field] ?? []).find((n) => env[n]);
+      values[field] = name ? env[name] : undefined;
+      sources[field] = name;
+    }
+    values.authHeader = env.RINGBA_AUTH_HEADER;
+    return { credentials: values, sources };
+  }
+
+  return {
+    keys: () => Object.keys(config),
+    has: (key) => Object.hasOwn(config, key),
+    get,
+    credentials,
+    /** Env var names of a credential, in fallback order. */
+    envNames: (key, field) => [].concat(config[key]?.env[field] ?? []),
+    /** Accounts a script is enabled for, in registry order. */
+    forScript: (script) => Object.keys(config).filter((key) => config[key].detectors.includes(script)),
+  };
+}
+
+/**
+ * schedules.config.js entries as the scheduler runs them: one per account the script is enabled
+ * for, with `account` set; scripts enabled for none stay a single entry without one.
+ */
+export function expandSchedules(schedules, accounts = getAccounts()) {
+  return schedules.flatMap((entry) => {
+    const keys = accounts.forScript(entry.script);
+    return keys.length ? keys.map((account) => ({ ...entry, account })) : [entry];
+  });
+}
+
+let accounts = null;
+
+/** The registry from accounts.config.js. */
+export function getAccounts() {
+  if (!accounts) accounts = createAccounts(accountsConfig);
+  return accounts;
+}
@@ -0,0 +1,115 @@
+/**
+ * Alert → Slack channel routing (config in alertRoutes.config.js).
+ *
+ *   resolveChannels(alert, config)     → ["buyerOps", "escalation"]
+ *   resolveChannels(alert, config, { fallback: "elite" })  → ["elite"] when no route picks a channel
+ *   resolveWebhooks(channels, config)  → [{ channel, url }] (unset channels dropped, URLs de-duplicated)
+ *   resolveDestinations(channels, config)
+ *     → [{ channel, kind: "api", token, channelId } | { channel, kind: "webhook", url }]
+ *
+ * A channel posts through the Slack Web API (threads, edits) when the bot token and its channel
+ * ID are both set, and through its incoming webhook otherwise.
+ */
+
+export const DEFAULT_CHANNEL = "default";
+
+const MATCH_KEYS = ["type", "severity", "campaign", "target", "buyer", "source", "account"];
+
+function matchesValue(expected, actual) {
+  if (Array.isArray(actual)) return actual.some((value) => matchesValue(expected, value));
+  if (actual == null) return false;
+  if (expected instanceof RegExp) return expected.test(String(actual));
+  if (Array.isArray(expected)) return expected.includes(actual);
+  return expected === actual;
+}
+
+/** True if every key in `match` matches the alert (alert values may be arrays: any element). */
+export function matchesRoute(match = {}, alert) {
+  return Object.entries(match).every(([key, expected]) => matchesValue(expected, alert[key]));
+}
+
+/** Throw on unknown match keys or channels, so a typo doesn't silently drop alerts. */
+export function validateRoutes(config) {
+  const channels = config?.channels || {};
+  if (!channels[DEFAULT_CHANNEL]) throw new Error(`alert routes: a "${DEFAULT_CHANNEL}" channel is required`);
+  (config.routes || []).forEach((route, i) => {
+    for (const key of Object.keys(route.match || {})) {
+      if (!MATCH_KEYS.includes(key)) throw new Error(`alert routes[${i}]: unknown match key "${key}"`);
+    }
+    if (!Array.isArray(route.channels) || route.channels.length === 0) {
+      throw new Error(`alert routes[${i}]: channels must be a non-empty array`);
+    }
+    for (const channel of route.channels) {
+      if (!channels[channel]) throw new Error(`alert routes[${i}]: unknown channel "${channel}"`);
+    }
+  });
+  for (const channel of Object.keys(config.channelIds || {})) {
+    if (!channels[channel]) throw new Error(`alert routes: channelIds has unknown channel "${channel}"`);
+  }
+  return config;
+}
+
+/**
+ * Channel names for an alert, in route order; `fallback` (the default channel unless given) when
+ * no route other than a copy matched.
+ */
+export function resolveChannels(alert, config, { fallback = DEFAULT_CHANNEL } = {}) {
+  const channels = [];
+  let routed = false;
+  for (const route of config.routes || []) {
+    if (!matchesRoute(route.match, alert)) continue;
+    if (!route.copy) routed = true;
+    channels.push(...route.channels);
+  }
+  if (!routed) channels.unshift(fallback);
+  return [...new Set(channels)];
+}
+
+function firstSet(names, env) {
+  for (const name of [].concat(names || [])) {
+    if (env[name]) return env[name];
+  }
+  return null;
+}
+
+/** Webhook URL of a channel: the first of its env vars that is set, or null. */
+export function channelWebhook(channel, config, env = process.env) {
+  return firstSet(config.channels[channel], env);
+}
+
+/** Slack channel ID of a channel (for the Web API): the first of its env vars that is set, or null. */
+export function channelId(channel, config, env = process.env) {
+  return firstSet(config.channelIds?.[channel], env);
+}
+
+/** [{ channel, url }] for the channels that have a webhook; channels sharing a URL post once. */
+export function resolveWebhooks(channels, config, env = process.env) {
+  const seen = new Set();
+  const webhooks = [];
+  for (const channel of channels) {
+    const url = channelWebhook(channel, config, env);
+    if (!url || seen.has(url)) continue;
+    seen.add(url);
+    webhooks.push({ channel, url });
+  }
+  return webhooks;
+}
+
+/**
+ * Where each channel posts: the Web API when the bot token and the channel's ID are set, else its
+ * webhook. Channels without either are dropped; channels sharing a destination post once.
+ */
+export function resolveDestinations(channels, config, env = process.env) {
+  const token = firstSet(config.botToken, env);
+  const seen = new Set();
+  const destinations = [];
+  for (const channel of channels) {
+    const id = token ? channelId(channel, config, env) : null;
+    const url = id ? null : channelWebhook(channel, config, env);
+    const key = id ? `api:${id}` : url;
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    destinations.push(id ? { channel, kind: "api", token, channelId: id } : { channel, kind: "webhook", url });
+  }
+  return destinations;
+}
@@ -0,0 +1,255 @@
+/**
+ * Alert de-duplication state shared by every detector, in one file.
+ *
+ *   const alerted = getAlertState().namespace("consecutiveCalls");
+ *   await alerted.once(hashBatch(group), { clock }, () => notifier.send(alert, { clock }));
+ *
+ *   // or by hand
+ *   if (!alerted.has(key, { now })) await alerted.set(key, value, { now });   // expires end of day
+ *
+ * Keys are namespaced per detector. Each entry carries its own expiry (default: the end of the
+ * day it was written, in the timeZone given to the write or its namespace, so "don't re-alert
+ * today" needs no date bookkeeping) and the time it was written. An entry is visible at `now` only between those two, so a replay (--as-of) sees
+ * exactly the state the live run had at that moment. Writes take a lock file and replace the
+ * file atomically, so scheduler children can't interleave or tear each other's updates.
+ *
+ * Under --dry-run (lib/dryRun.js) the shared state is read-only: writes are applied to a copy
+ * and discarded, so a dry run sees today's state but leaves it as it was.
+ *
+ * File: alertState.json → { version, entries: { "<namespace>": { "<key>": { value, at, expiresAt } } } }
+ * (at / expiresAt in epoch ms). Files from older versions are migrated on read.
+ */
+import fs from "fs";
+import path from "path";
+import { withFileLock, writeFileAtomic } from "./fileLock.js";
+import { STATE_DIR } from "./stateDir.js";
+import { todayWindow } from "./timeWindow.js";
+import { getDryRun } from "./dryRun.js";
+
+const STATE_VERSION = 1;
+
+/** version → function upgrading a file of that version to version + 1. */
+const MIGRATIONS = {};
+
+export const ALERT_STATE_PATH = path.join(STATE_DIR, "alertState.json");
+
+/**
+ * Last millisecond of the business day containing `now` in timeZone (the account's; defaults to
+ * REPORT_TIME_ZONE or America/New_York) — the default expiry.
+ */
+export function endOfBusinessDay(now = new Date(), timeZone) {
+  return Date.parse(todayWindow({ now, timeZone }).reportEnd);
+}
+
+// --- File I/O ---
+
+function emptyState() {
+  return { version: STATE_VERSION, entries: {} };
+}
+
+function migrate(data, filePath, migrations) {
+  let state = data;
+  while (state.version < STATE_VERSION) {
+    const upgrade = migrations[state.version];
+    if (!upgrade) {
+      console.warn(`⚠️ ${filePath}: no migration from version ${state.version}. Starting fresh.`);
+      return emptyState();
+    }
+    state = upgrade(state);
+  }
+  return state;
+}
+
+function readState(filePath, migrations = MIGRATIONS) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") console.warn(`⚠️ ${filePath} unreadable (${error.message}). Starting fresh.`);
+    return emptyState();
+  }
+  if (!Number.isInteger(data?.version)) {
+    console.warn(`⚠️ ${filePath} has an unknown shape. Starting fresh.`);
+    return emptyState();
+  }
+  if (data.version > STATE_VERSION) {
+    throw new Error(`${filePath} was written by a newer version (${data.version} > ${STATE_VERSION})`);
+  }
+  // Older versions have their own shape: check it once migrated
+  const state = migrate(data, filePath, migrations);
+  if (typeof state.entries !== "object" || state.entries === null) {
+    console.warn(`⚠️ ${filePath} has an unknown shape. Starting fresh.`);
+    return emptyState();
+  }
+  return state;
+}
+
+function isVisible(entry, nowMs) {
+  return entry != null && entry.at <= nowMs && nowMs < entry.expiresAt;
+}
+
+function prune(state, nowMs) {
+  let removed = 0;
+  for (const [namespace, entries] of Object.entries(state.entries)) {
+    for (const [key, entry] of Object.entries(entries)) {
+      if (entry.expiresAt <= nowMs) {
+        delete entries[key];
+        removed++;
+      }
+    }
+    if (Object.keys(entries).length === 0) delete state.entries[namespace];
+  }
+  return removed;
+}
+
+function expiryOf({ ttlMs, expiresAt, timeZone }, now) {
+  if (expiresAt != null) return typeof expiresAt === "number" ? expiresAt : new Date(expiresAt).getTime();
+  if (ttlMs != null) return now.getTime() + ttlMs;
+  return endOfBusinessDay(now, timeZone);
+}
+
+// --- Public API ---
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.filePath] - State file (defaults to alertState.json in the project root)
+ * @param {boolean} [options.readOnly] - Run writes against an in-memory copy and never save it
+ * @param {object} [options.migrations] - version → upgrade function (defaults to MIGRATIONS)
+ */
+export function createAlertState(options = {}) {
+  const filePath = options.filePath ?? ALERT_STATE_PATH;
+  const lockPath = `${filePath}.lock`;
+  const readOnly = Boolean(options.readOnly);
+  const migrations = options.migrations ?? MIGRATIONS;
+  const read = () => readState(filePath, migrations);
+
+  const update = async (fn) => {
+    if (readOnly) return fn(read());
+    return withFileLock(lockPath, () => {
+      const state = read();
+      const result = fn(state);
+      writeFileAtomic(filePath, JSON.stringify(state, null, 2));
+      return result;
+    });
+  };
+
+  /** Value stored under namespace/key, or undefined if missing or not visible at `now`. */
+  function get(namespace, key, { now = new Date() } = {}) {
+    const entry = read().entries[namespace]?.[key];
+    return isVisible(entry, now.getTime()) ? entry.value : undefined;
+  }
+
+  function has(namespace, key, options) {
+    return get(namespace, key, options) !== undefined;
+  }
+
+  /** { key: value } of every entry in a namespace visible at `now`. */
+  function entries(namespace, { now = new Date() } = {}) {
+    const result = {};
+    for (const [key, entry] of Object.entries(read().entries[namespace] || {})) {
+      if (isVisible(entry, now.getTime())) result[key] = entry.value;
+    }
+    return result;
+  }
+
+  /**
+   * Store several keys in one locked write. Expiry: expiresAt, else now + ttlMs, else the end of
+   * now's business day in timeZone. Also drops entries that have already expired.
+   * @param {string} namespace
+   * @param {Record<string, any>} values - value must not be undefined
+   * @param {{ now?: Date, ttlMs?: number, expiresAt?: Date | string | number, timeZone?: string }} [options]
+   */
+  function setMany(namespace, values, { now = new Date(), ...expiry } = {}) {
+    const expiresAt = expiryOf(expiry, now);
+    return update((state) => {
+      const bucket = (state.entries[namespace] ||= {});
+      for (const [key, value] of Object.entries(values)) {
+        if (value === undefined) throw new Error(`alert state: value for ${namespace}/${key} is undefined`);
+        bucket[key] = { value, at: now.getTime(), expiresAt };
+      }
+      prune(state, now.getTime());
+    });
+  }
+
+  function set(namespace, key, value, options) {
+    return setMany(namespace, { [key]: value }, options);
+  }
+
+  function remove(namespace, key) {
+    return update((state) => {
+      delete state.entries[namespace]?.[key];
+    });
+  }
+
+  /**
+   * Drop every entry that has expired by `now` or was written before `before` (e.g. the start of
+   * the business day). Optionally only in one namespace.
+   * @returns {Promise<number>} Entries removed
+   */
+  function expire({ now = new Date(), before, namespace } = {}) {
+    const beforeMs = before != null ? new Date(before).getTime() : null;
+    return update((state) => {
+      let removed = prune(state, now.getTime());
+      for (const [name, bucket] of Object.entries(state.entries)) {
+        if (namespace && name !== namespace) continue;
+        for (const [key, entry] of Object.entries(bucket)) {
+          if (beforeMs != null && entry.at < beforeMs) {
+            delete bucket[key];
+            removed++;
+          }
+        }
+        if (Object.keys(bucket).length === 0) delete state.entries[name];
+      }
+      return removed;
+    });
+  }
+
+  /** { namespace: entry count } (for reporting). */
+  function stats() {
+    return Object.fromEntries(
+      Object.entries(read().entries).map(([name, bucket]) => [name, Object.keys(bucket).length])
+    );
+  }
+
+  /**
+   * The same operations bound to one namespace, plus once().
+   * @param {string} name
+   * @param {{ timeZone?: string }} [defaults] - Zone whose day end its writes expire at by default
+   */
+  function namespace(name, { timeZone } = {}) {
+    return {
+      name,
+      /**
+       * Call send() unless key is already recorded at clock.now(), and record it once send()
+       * resolves truthy. Replays check the state but never record.
+       * @returns {Promise<boolean>} Whether send() ran and succeeded
+       */
+      async once(key, { clock, ...expiry }, send) {
+        const now = clock.now();
+        if (has(name, key, { now })) {
+          console.log("🛑 Duplicate alert skipped:", key);
+          return false;
+        }
+        const sent = await send();
+        if (sent && !clock.isReplay) await set(name, key, true, { now, timeZone, ...expiry });
+        return Boolean(sent);
+      },
+      get: (key, options) => get(name, key, options),
+      has: (key, options) => has(name, key, options),
+      entries: (options) => entries(name, options),
+      set: (key, value, options) => set(name, key, value, { timeZone, ...options }),
+      setMany: (values, options) => setMany(name, values, { timeZone, ...options }),
+      remove: (key) => remove(name, key),
+    };
+  }
+
+  return { filePath, readOnly, get, has, entries, set, setMany, remove, expire, stats, namespace };
+}
+
+let sharedState = null;
+
+/** State on the default file, shared by everything in the process (read-only under --dry-run). */
+export function getAlertState() {
+  if (!sharedState) sharedState = createAlertState({ readOnly: Boolean(getDryRun()) });
+  return sharedState;
+}
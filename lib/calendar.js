@@ -0,0 +1,209 @@
+/**
+ * Business calendar (calendar.config.js): the days and hours each Ringba account's floor is open,
+ * US holidays and ad-hoc closures. Cron in schedules.config.js says how often a job runs; the
+ * calendar says when it may, so hours and holidays are defined once:
+ *
+ *   const calendar = getCalendar();
+ *   calendar.status(new Date(), { account: "elite" })
+ *   // → { open: false, date: "2026-11-26", reason: "holiday: Thanksgiving Day" }
+ *
+ * The scheduler skips ticks while a job's account is closed (entries with `calendar: false`
+ * always run), `npm run budget` and `npm run watchdog` only count ticks inside business hours, and
+ * targetNoAnswer.js's own loop uses it instead of a hard-coded 9–5. Holidays fall on the day
+ * itself (the floor works Saturdays, so there's no observed Friday/Monday); put any other day
+ * off in `closures`.
+ *
+ * Accounts are the keys of accounts.config.js; getCalendar() runs each one's hours in its
+ * registry time zone unless calendar.config.js `accounts` gives it another.
+ */
+import { DEFAULT_TIME_ZONE, zonedDateTime, dateKey } from "./timeWindow.js";
+import { getAccounts } from "./accounts.js";
+import calendarConfig from "../calendar.config.js";
+
+const WEEKDAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const ACCOUNT_KEYS = ["timeZone", "weekdays", "hours", "holidays", "closures"];
+
+const key = (year, month, day) =>
+  [year, month, day].map((n, i) => String(n).padStart(i === 0 ? 4 : 2, "0")).join("-");
+
+/** The nth (1-based) `weekday` of a month, or the last one when n is -1. */
+function nthWeekday(year, month, weekday, n) {
+  if (n === -1) {
+    const last = new Date(Date.UTC(year, month, 0));
+    return key(year, month, last.getUTCDate() - ((last.getUTCDay() - weekday + 7) % 7));
+  }
+  const first = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+  return key(year, month, 1 + ((weekday - first + 7) % 7) + (n - 1) * 7);
+}
+
+/** Built-in US holidays by id: name and date ("YYYY-MM-DD") in a given year. */
+export const US_HOLIDAYS = {
+  newYearsDay: { name: "New Year's Day", date: (year) => key(year, 1, 1) },
+  mlkDay: { name: "Martin Luther King Jr. Day", date: (year) => nthWeekday(year, 1, 1, 3) },
+  presidentsDay: { name: "Presidents' Day", date: (year) => nthWeekday(year, 2, 1, 3) },
+  memorialDay: { name: "Memorial Day", date: (year) => nthWeekday(year, 5, 1, -1) },
+  juneteenth: { name: "Juneteenth", date: (year) => key(year, 6, 19) },
+  independenceDay: { name: "Independence Day", date: (year) => key(year, 7, 4) },
+  laborDay: { name: "Labor Day", date: (year) => nthWeekday(year, 9, 1, 1) },
+  columbusDay: { name: "Columbus Day", date: (year) => nthWeekday(year, 10, 1, 2) },
+  veteransDay: { name: "Veterans Day", date: (year) => key(year, 11, 11) },
+  thanksgiving: { name: "Thanksgiving Day", date: (year) => nthWeekday(year, 11, 4, 4) },
+  christmas: { name: "Christmas Day", date: (year) => key(year, 12, 25) },
+};
+
+/** "09:30" → minutes after midnight; throws on anything else. */
+function parseTime(value, where) {
+  const match = /^(\d{2}):(\d{2})$/.exec(String(value));
+  if (!match || Number(match[1]) > 24 || Number(match[2]) > 59 || (match[1] === "24" && match[2] !== "00")) {
+    throw new Error(`calendar: ${where} must be "HH:mm", got ${JSON.stringify(value)}`);
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+function checkHours(hours, where) {
+  if (!hours || typeof hours !== "object") throw new Error(`calendar: ${where} must be { open, close }`);
+  const open = parseTime(hours.open, `${where}.open`);
+  const close = parseTime(hours.close, `${where}.close`);
+  if (close <= open) throw new Error(`calendar: ${where} closes (${hours.close}) before it opens (${hours.open})`);
+  return { open, close };
+}
+
+const isDateKey = (value) => /^\d{4}-\d{2}-\d{2}$/.test(String(value)) && !Number.isNaN(Date.parse(value));
+
+function validateSettings(settings, where) {
+  if (settings.timeZone != null) {
+    try {
+      new Intl.DateTimeFormat("en-US", { timeZone: settings.timeZone });
+    } catch {
+      throw new Error(`calendar: ${where}timeZone "${settings.timeZone}" is not a time zone`);
+    }
+  }
+  if (settings.weekdays != null) {
+    const valid = Array.isArray(settings.weekdays) && settings.weekdays.every((d) => Number.isInteger(d) && d >= 0 && d <= 6);
+    if (!valid) throw new Error(`calendar: ${where}weekdays must be an array of 0 (Sunday) … 6 (Saturday)`);
+  }
+  if (settings.hours != null) checkHours(settings.hours, `${where}hours`);
+  for (const id of settings.holidays ?? []) {
+    if (!US_HOLIDAYS[id]) throw new Error(`calendar: ${where}holidays: unknown holiday "${id}" (one of ${Object.keys(US_HOLIDAYS).join(", ")})`);
+  }
+  (settings.closures ?? []).forEach((closure, i) => {
+    const at = `${where}closures[${i}]`;
+    const from = closure.date ?? closure.from;
+    const to = closure.date ?? closure.to;
+    if (!isDateKey(from) || !isDateKey(to)) throw new Error(`calendar: ${at} needs a date, or from and to, as YYYY-MM-DD`);
+    if (to < from) throw new Error(`calendar: ${at} ends before it starts`);
+  });
+}
+
+/** Throws on an invalid calendar config; returns it otherwise. */
+export function validateCalendar(config = {}) {
+  validateSettings(config, "");
+  for (const [account, settings] of Object.entries(config.accounts ?? {})) {
+    for (const name of Object.keys(settings)) {
+      if (!ACCOUNT_KEYS.includes(name)) throw new Error(`calendar: accounts.${account}: unknown setting "${name}"`);
+    }
+    validateSettings(settings, `accounts.${account}.`);
+  }
+  return config;
+}
+
+/**
+ * @typedef {object} CalendarStatus
+ * @property {boolean} open
+ * @property {string} date - Local "YYYY-MM-DD" in the account's time zone
+ * @property {string} [reason] - Why it's closed
+ */
+
+/**
+ * @param {object} [config] - calendar.config.js shape (validated here)
+ */
+export function createCalendar(config = {}) {
+  validateCalendar(config);
+
+  /** The settings an account runs on: its overrides over the shared ones, closures added together. */
+  function settingsFor(account) {
+    const own = config.accounts?.[account] ?? {};
+    return {
+      timeZone: own.timeZone ?? config.timeZone ?? DEFAULT_TIME_ZONE,
+      weekdays: own.weekdays ?? config.weekdays ?? [1, 2, 3, 4, 5],
+      hours: own.hours ?? config.hours ?? { open: "00:00", close: "24:00" },
+      holidays: own.holidays ?? config.holidays ?? [],
+      closures: [...(config.closures ?? []), ...(own.closures ?? [])],
+    };
+  }
+
+  /**
+   * Why the account is closed all day on a local date, or null when it's a business day.
+   * @param {string} date - "YYYY-MM-DD"
+   */
+  function closedReason(date, { account = "main" } = {}) {
+    const settings = settingsFor(account);
+    const year = Number(date.slice(0, 4));
+    const holiday = settings.holidays.find((id) => US_HOLIDAYS[id].date(year) === date);
+    if (holiday) return `holiday: ${US_HOLIDAYS[holiday].name}`;
+    const closure = settings.closures.find(
+      (c) => (c.date ?? c.from) <= date && date <= (c.date ?? c.to) && (!c.accounts || c.accounts.includes(account))
+    );
+    if (closure) return `closed${closure.reason ? `: ${closure.reason}` : ""}`;
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+    if (!settings.weekdays.includes(weekday)) return `closed on ${WEEKDAY_NAMES[weekday]}`;
+    return null;
+  }
+
+  /**
+   * Whether the account is open at an instant.
+   * @param {Date} date
+   * @param {object} [options]
+   * @param {string} [options.account] - Key in calendar.config.js `accounts` ("main" by default)
+   * @param {{ open?: string, close?: string }} [options.hours] - Overrides the account's hours
+   * @returns {CalendarStatus}
+   */
+  function status(date, { account = "main", hours: override } = {}) {
+    const settings = settingsFor(account);
+    const hours = { ...settings.hours, ...override };
+    const { open, close } = checkHours(hours, "hours");
+    const local = dateKey(date, settings.timeZone);
+    const reason = closedReason(local, { account });
+    if (reason) return { open: false, date: local, reason };
+
+    const { hour, minute } = zonedDateTime(date, settings.timeZone);
+    const now = hour * 60 + minute;
+    if (now < open || now >= close) {
+      return { open: false, date: local, reason: `outside business hours (${hours.open}–${hours.close})` };
+    }
+    return { open: true, date: local };
+  }
+
+  return {
+    status,
+    closedReason,
+    isOpen: (date, options) => status(date, options).open,
+    isBusinessDay: (date, options) => closedReason(date, options) === null,
+    timeZone: (account = "main") => settingsFor(account).timeZone,
+  };
+}
+
+/**
+ * Whether a schedules.config.js entry may run at `date`: entries with `calendar: false` always
+ * can, the rest while their account is open (the entry's `hours` override the account's).
+ * @returns {CalendarStatus | { open: true }}
+ */
+export function entryStatus(entry, date, { calendar = getCalendar(), account = "main" } = {}) {
+  if (entry.calendar === false) return { open: true };
+  return calendar.status(date, { account, hours: entry.hours });
+}
+
+let calendar = null;
+
+/** calendar.config.js with each registry account's time zone under its own overrides. */
+export function withAccountTimeZones(config, accounts = getAccounts()) {
+  const overrides = { ...config.accounts };
+  for (const key of accounts.keys()) overrides[key] = { timeZone: accounts.get(key).timeZone, ...overrides[key] };
+  return { ...config, accounts: overrides };
+}
+
+/** The calendar from calendar.config.js and the accounts' time zones. */
+export function getCalendar() {
+  if (!calendar) calendar = createCalendar(withAccountTimeZones(calendarConfig));
+  return calendar;
+}
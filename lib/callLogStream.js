@@ -0,0 +1,128 @@
+/**
+ * Async iteration over /calllogs with transparent offset/size paging.
+ *
+ *   const stream = streamCallLogs(ringba, callLogQuery().window(start, end).where("targetName", name).build());
+ *   for await (const call of stream) { ... }
+ *   if (stream.stats.truncated) console.warn(...);
+ *   saveCursor(stream.cursor); // resume later with { cursor }
+ *
+ * - Rows are de-duplicated by inboundCallId, so calls arriving mid-scan (which shift offsets) are
+ *   never yielded twice.
+ * - A cursor { callDt, inboundCallId } (the last row yielded) resumes the scan after that call.
+ * - Hitting maxRows or maxPages never fails silently: stats.truncated is set and onTruncated is called.
+ */
+import { getRecords } from "./ringbaClient.js";
+
+const DEFAULT_PAGE_SIZE = 150;
+const DEFAULT_MAX_ROWS = 10000;
+
+/** callDt → epoch ms (numbers, ISO strings and formatted dates); null when unparseable. */
+export function callTime(value) {
+  if (value == null || value === "") return null;
+  if (typeof value === "number") return value;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * @param {object} client - Ringba client (lib/ringbaClient.js)
+ * @param {object} body - /calllogs body without offset/size (see callLogQuery)
+ * @param {object} [options]
+ * @param {number} [options.pageSize]
+ * @param {number} [options.maxRows] - Stop after this many rows (stats.truncated = true if more remain)
+ * @param {number} [options.maxPages] - Request at most this many pages (e.g. what's left of the budget)
+ * @param {{ callDt: string|number, inboundCallId: string }} [options.cursor] - Resume after this call
+ * @param {(stats: object) => void} [options.onTruncated]
+ */
+export function streamCallLogs(client, body, options = {}) {
+  const pageSize = options.pageSize ?? DEFAULT_PAGE_SIZE;
+  const maxRows = options.maxRows ?? DEFAULT_MAX_ROWS;
+  const maxPages = options.maxPages ?? Infinity;
+  const startCursor = options.cursor ?? null;
+
+  const stats = { pages: 0, rows: 0, duplicates: 0, skipped: 0, truncated: false };
+  const stream = {
+    stats,
+    /** Last row yielded as { callDt, inboundCallId } (or the starting cursor if none yet). */
+    cursor: startCursor,
+    [Symbol.asyncIterator]: iterate,
+  };
+
+  // Narrow the window to the cursor's time so a resume doesn't re-page everything before it
+  const cursorTime = callTime(startCursor?.callDt);
+  const baseBody = { ...body };
+  if (cursorTime != null && cursorTime > callTime(body.reportStart)) {
+    baseBody.reportStart = new Date(cursorTime).toISOString();
+  }
+
+  /**
+   * Rows the cursor already covered: the cursor call itself and anything earlier. Calls sharing
+   * the cursor's timestamp are kept (better a duplicate than a lost call). Without comparable
+   * times, everything up to and including the cursor id is skipped.
+   */
+  let passedCursorId = false;
+  function beforeCursor(row) {
+    if (!startCursor) return false;
+    if (row.inboundCallId === startCursor.inboundCallId) {
+      passedCursorId = true;
+      return true;
+    }
+    const rowTime = callTime(row.callDt);
+    if (cursorTime != null && rowTime != null) return rowTime < cursorTime;
+    return !passedCursorId;
+  }
+
+  async function* iterate() {
+    const seen = new Set();
+    let offset = 0;
+
+    for (;;) {
+      const data = await client.callLogs({ ...baseBody, offset, size: pageSize });
+      const page = getRecords(data);
+      stats.pages++;
+
+      for (const row of page) {
+        if (!row) continue;
+        const id = row.inboundCallId;
+        if (id) {
+          if (seen.has(id)) {
+            stats.duplicates++;
+            continue;
+          }
+          seen.add(id);
+        }
+        if (beforeCursor(row)) {
+          stats.skipped++;
+          continue;
+        }
+        if (stats.rows >= maxRows) {
+          stats.truncated = true;
+          options.onTruncated?.(stats);
+          return;
+        }
+        stats.rows++;
+        stream.cursor = { callDt: row.callDt, inboundCallId: id };
+        yield row;
+      }
+
+      if (page.length < pageSize) return;
+      if (stats.pages >= maxPages) {
+        // A full last page: more calls may follow it
+        stats.truncated = true;
+        options.onTruncated?.(stats);
+        return;
+      }
+      offset += pageSize;
+    }
+  }
+
+  return stream;
+}
+
+/** Drain a stream into an array: { rows, truncated, cursor, stats }. */
+export async function collectCallLogs(client, body, options = {}) {
+  const stream = streamCallLogs(client, body, options);
+  const rows = [];
+  for await (const row of stream) rows.push(row);
+  return { rows, truncated: stream.stats.truncated, cursor: stream.cursor, stats: stream.stats };
+}
@@ -0,0 +1,313 @@
+/**
+ * Local store of recent call logs and call details, kept up to date incrementally.
+ *
+ *   const store = openCallStore(ringba.accountId);
+ *   await syncCallStore(ringba, store, { from: reportStart, to: reportEnd });
+ *   const calls = store.query({ from: reportStart, to: reportEnd, targetName });
+ *   const details = await store.getDetails(ringba, ids, detailBody);
+ *
+ * A sync asks /calllogs only for calls since the account's high-water mark (less a short overlap,
+ * and never later than the oldest call that was still live), across all targets in one scan —
+ * instead of every script re-pulling the whole day per target. /calllogs/detail payloads of
+ * completed calls are cached by inboundCallId, so each call's detail is fetched once.
+ *
+ * Files under callStore/<accountId>/ — append-only JSONL written under a lock, so concurrent
+ * scripts only ever add lines; the last line for an id wins:
+ *   calls.jsonl    { id, t, row }      t = callDt (epoch ms)
+ *   details.jsonl  { id, t, record }   t = callDt, or fetch time when unknown
+ *   meta.json      { version, highWaterMark, lastSyncAt, compactedAt }
+ * Lines older than the retention window are dropped by a compaction at most once per UTC day.
+ */
+import fs from "fs";
+import path from "path";
+import { getRecords } from "./ringbaClient.js";
+import { callLogQuery } from "./insightsQuery.js";
+import { streamCallLogs, callTime } from "./callLogStream.js";
+import { RateLimitError } from "./rateLimiter.js";
+import { withFileLock, writeFileAtomic } from "./fileLock.js";
+import { STATE_DIR } from "./stateDir.js";
+
+const STORE_VERSION = 1;
+const DETAIL_BATCH_SIZE = 50;
+const DEFAULT_OVERLAP_MS = 30 * 60 * 1000;
+const DEFAULT_RETENTION_MS = 48 * 60 * 60 * 1000;
+
+export const CALL_STORE_DIR = path.join(STATE_DIR, "callStore");
+
+function isLive(record) {
+  return record?.isLive === true || String(record?.isLive).toLowerCase() === "yes";
+}
+
+function toMs(value) {
+  return value instanceof Date ? value.getTime() : callTime(value);
+}
+
+// --- File I/O ---
+
+/** Last line per id wins; a half-written trailing line (crash mid-append) is ignored. */
+function readJsonl(filePath, into) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, "utf-8");
+  } catch {
+    return into;
+  }
+  for (const line of text.split("\n")) {
+    if (!line) continue;
+    try {
+      const entry = JSON.parse(line);
+      if (entry?.id) into.set(entry.id, entry);
+    } catch {
+      // partial line
+    }
+  }
+  return into;
+}
+
+function appendJsonl(filePath, entries) {
+  if (entries.length === 0) return;
+  fs.appendFileSync(filePath, entries.map((entry) => JSON.stringify(entry)).join("\n") + "\n");
+}
+
+function readMeta(filePath) {
+  try {
+    const meta = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    if (meta.version === STORE_VERSION) return meta;
+  } catch {
+    // missing or corrupt: next sync starts from the window start
+  }
+  return { version: STORE_VERSION, highWaterMark: null, lastSyncAt: null, compactedAt: null };
+}
+
+function compactJsonl(filePath, oldest) {
+  const kept = [...readJsonl(filePath, new Map()).values()].filter((entry) => entry.t >= oldest);
+  writeFileAtomic(filePath, kept.map((entry) => JSON.stringify(entry)).join("\n") + (kept.length ? "\n" : ""));
+}
+
+// --- Public API ---
+
+/**
+ * @param {string} accountId
+ * @param {object} [options]
+ * @param {string} [options.dir] - Root directory (defaults to callStore/ in the project root)
+ * @param {number} [options.retentionMs] - Calls older than this are dropped on compaction (48h)
+ */
+export function openCallStore(accountId, options = {}) {
+  if (!accountId) throw new Error("openCallStore: accountId is required");
+  const dir = path.join(options.dir ?? CALL_STORE_DIR, accountId);
+  const retentionMs = options.retentionMs ?? DEFAULT_RETENTION_MS;
+  const files = {
+    calls: path.join(dir, "calls.jsonl"),
+    details: path.join(dir, "details.jsonl"),
+    meta: path.join(dir, "meta.json"),
+    lock: path.join(dir, "store.lock"),
+  };
+  fs.mkdirSync(dir, { recursive: true });
+
+  let calls = new Map();
+  let details = new Map();
+
+  /** Re-read both files (picks up lines appended by other processes). */
+  function reload() {
+    calls = readJsonl(files.calls, new Map());
+    details = readJsonl(files.details, new Map());
+  }
+  reload();
+
+  const locked = (fn) => withFileLock(files.lock, fn);
+
+  /** Meta as last written by any process. */
+  function getMeta() {
+    return readMeta(files.meta);
+  }
+
+  /**
+   * Append call-log rows and advance the high-water mark to the newest callDt among them.
+   * @returns {Promise<number>} Rows written
+   */
+  async function upsertCalls(rows, now = new Date()) {
+    const entries = rows
+      .filter((row) => row?.inboundCallId)
+      .map((row) => ({ id: row.inboundCallId, t: callTime(row.callDt) ?? now.getTime(), row }));
+
+    await locked(() => {
+      appendJsonl(files.calls, entries);
+      const meta = readMeta(files.meta);
+      const newest = Math.max(meta.highWaterMark ?? 0, ...entries.map((entry) => entry.t));
+      meta.highWaterMark = newest || null;
+      meta.lastSyncAt = now.toISOString();
+
+      const today = now.toISOString().slice(0, 10);
+      if (meta.compactedAt !== today) {
+        // Never drops the rows just written: a replay's window can be older than the retention
+        const oldest = Math.min(now.getTime() - retentionMs, ...entries.map((entry) => entry.t));
+        compactJsonl(files.calls, oldest);
+        compactJsonl(files.details, oldest);
+        meta.compactedAt = today;
+      }
+      writeFileAtomic(files.meta, JSON.stringify(meta, null, 2));
+    });
+    reload();
+    return entries.length;
+  }
+
+  /** Oldest callDt (ms) among stored calls still live at the last sync, or null. */
+  function oldestLiveCall() {
+    let oldest = null;
+    for (const entry of calls.values()) {
+      if (isLive(entry.row) && (oldest == null || entry.t < oldest)) oldest = entry.t;
+    }
+    return oldest;
+  }
+
+  /**
+   * Stored call-log rows ordered by callDt.
+   * @param {object} [filter]
+   * @param {Date|string} [filter.from]
+   * @param {Date|string} [filter.to]
+   * @param {string} [filter.targetName]
+   */
+  function query({ from, to, targetName } = {}) {
+    const fromMs = from != null ? toMs(from) : -Infinity;
+    const toMsValue = to != null ? toMs(to) : Infinity;
+    return [...calls.values()]
+      .filter((entry) => entry.t >= fromMs && entry.t <= toMsValue)
+      .filter((entry) => targetName == null || entry.row.targetName === targetName)
+      .sort((a, b) => a.t - b.t)
+      .map((entry) => entry.row);
+  }
+
+  /** Distinct target names among stored calls in the window (ignores "-no value-"). */
+  function targets(filter = {}) {
+    const names = new Set(query(filter).map((row) => row.targetName));
+    names.delete(undefined);
+    names.delete(null);
+    names.delete("");
+    names.delete("-no value-");
+    return [...names];
+  }
+
+  /** targetName → buyer of its latest stored call in the window (for buyer-level rules). */
+  function buyers(filter = {}) {
+    const result = new Map();
+    for (const row of query(filter)) {
+      if (row.targetName && row.buyer) result.set(row.targetName, row.buyer);
+    }
+    return result;
+  }
+
+  /**
+   * /calllogs/detail records for ids (in id order), serving cached ones and fetching the rest in
+   * batches of 50. Only completed calls are cached; live ones are re-fetched next time.
+   * Cached records are returned as first fetched, so callers should pass the same body each time.
+   */
+  async function getDetails(client, ids, body = {}) {
+    const wanted = [...new Set(ids.filter((id) => id != null && id !== ""))];
+    const missing = wanted.filter((id) => !details.has(id));
+    const fetched = new Map();
+
+    for (let i = 0; i < missing.length; i += DETAIL_BATCH_SIZE) {
+      const batch = missing.slice(i, i + DETAIL_BATCH_SIZE);
+      const records = getRecords(await client.callLogDetails(batch, body)) || [];
+      for (const record of records) {
+        if (record?.inboundCallId) fetched.set(record.inboundCallId, record);
+      }
+    }
+
+    const now = Date.now();
+    const cacheable = [...fetched.values()]
+      .filter((record) => !isLive(record) && !isLive(calls.get(record.inboundCallId)?.row))
+      .map((record) => ({
+        id: record.inboundCallId,
+        t: calls.get(record.inboundCallId)?.t ?? now,
+        record,
+      }));
+    if (cacheable.length > 0) {
+      await locked(() => appendJsonl(files.details, cacheable));
+      for (const entry of cacheable) details.set(entry.id, entry);
+    }
+
+    return wanted
+      .map((id) => details.get(id)?.record ?? fetched.get(id))
+      .filter(Boolean);
+  }
+
+  return { accountId, dir, getMeta, reload, upsertCalls, oldestLiveCall, query, targets, buyers, getDetails };
+}
+
+/**
+ * Pull calls newer than the store's high-water mark (all targets) into the store.
+ *
+ * Each page is stored as soon as the next one arrives, and whatever was read is stored when the
+ * scan stops, so the high-water mark advances page by page: a sync that fails partway, runs out
+ * of budget or is killed resumes where it stopped instead of starting over. It reads at most as
+ * many pages as the call-log budget has left this hour and day (lib/rateLimiter.js) and stops,
+ * truncated, when the rate limiter refuses a page; the rest follow on a later sync.
+ *
+ * @param {object} client - Ringba client (lib/ringbaClient.js)
+ * @param {object} store - openCallStore(...)
+ * @param {object} window
+ * @param {Date|string} window.from - Never sync earlier than this (e.g. today's reportStart)
+ * @param {Date|string} window.to
+ * @param {number} [window.overlapMs] - Re-read this much before the high-water mark (30 min) so
+ *   calls that were still being written at the last sync are refreshed
+ * @param {string} [window.timeZone] - The account's, for the request (lib/insightsQuery.js)
+ * @returns {Promise<{ from: string, to: string, rows: number, pages: number, truncated: boolean }>}
+ */
+export async function syncCallStore(client, store, { from, to, overlapMs = DEFAULT_OVERLAP_MS, timeZone }) {
+  const windowStart = toMs(from);
+  const { highWaterMark } = store.getMeta();
+
+  let start = windowStart;
+  if (highWaterMark != null) {
+    start = Math.max(windowStart, highWaterMark - overlapMs);
+    const oldestLive = store.oldestLiveCall();
+    if (oldestLive != null) start = Math.max(windowStart, Math.min(start, oldestLive));
+    // A window ending before the high-water mark (a replay) is re-read in full
+    if (start > toMs(to)) start = windowStart;
+  }
+
+  // Raw callDt values so rows from every sync sort and compare the same way
+  const body = callLogQuery({ timeZone })
+    .window(new Date(start), to)
+    .options({ formatDateTime: false })
+    .build();
+  const result = { from: body.reportStart, to: body.reportEnd, rows: 0, pages: 0, truncated: false };
+
+  const maxPages = client.remaining?.("calllogs") ?? Infinity;
+  if (maxPages === 0) {
+    console.warn("⚠️ Call store sync skipped: the Ringba call-log budget is spent for now");
+    return { ...result, truncated: true };
+  }
+
+  const stream = streamCallLogs(client, body, {
+    maxPages,
+    onTruncated: (stats) =>
+      console.warn(`⚠️ Call store sync stopped after ${stats.rows} calls — the rest follow on the next sync`),
+  });
+
+  // Rows are ordered by callDt, so every stored page moves the high-water mark forward safely
+  let page = [];
+  let storedPages = 0;
+  try {
+    for await (const row of stream) {
+      if (stream.stats.pages > storedPages) {
+        if (page.length > 0) await store.upsertCalls(page);
+        page = [];
+        storedPages = stream.stats.pages;
+      }
+      page.push(row);
+      result.rows++;
+    }
+  } catch (error) {
+    if (!(error instanceof RateLimitError)) throw error;
+    console.warn(`⚠️ Call store sync stopped after ${result.rows} calls: ${error.message}`);
+    result.truncated = true;
+  } finally {
+    await store.upsertCalls(page);
+  }
+
+  result.pages = stream.stats.pages;
+  result.truncated ||= stream.stats.truncated;
+  return result;
+}
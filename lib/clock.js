@@ -0,0 +1,91 @@
+/**
+ * The "now" a detector runs at. Real time by default; pinned with --as-of (or AS_OF in the
+ * environment) to replay a past check deterministically:
+ *
+ *   node targetHangpUps.js --as-of 2026-03-09T14:30        — local time in REPORT_TIME_ZONE
+ *   node targetHangpUps.js --as-of 2026-03-09T19:30:00Z    — an instant
+ *   node targetHangpUps.js --as-of 2026-03-09              — end of that local day
+ *
+ * Detectors get the clock in their run context (lib/jobContext.js, getClock() when run by hand)
+ * and derive report windows, alert state lookups and alert text from clock.now(). A replay
+ * reads alert state as it was at as-of but never writes it, so it can't suppress or re-trigger
+ * today's live alerts. Ringba still returns calls as they look now, so calls that were live at
+ * as-of come back completed.
+ */
+import { DEFAULT_TIME_ZONE, range } from "./timeWindow.js";
+
+/** --as-of value from argv ("--as-of X" or "--as-of=X"), falling back to AS_OF; null if neither. */
+export function asOfArg(argv = process.argv.slice(2), env = process.env) {
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--as-of") {
+      if (!argv[i + 1] || argv[i + 1].startsWith("--")) throw new Error("--as-of expects a date or date-time");
+      return argv[i + 1];
+    }
+    if (argv[i].startsWith("--as-of=")) return argv[i].slice("--as-of=".length);
+  }
+  return env.AS_OF || null;
+}
+
+/**
+ * Parse an as-of value: an ISO instant, a local "YYYY-MM-DDTHH:mm[:ss]" or a local "YYYY-MM-DD"
+ * (the last millisecond of that day). Replays can't be in the future.
+ */
+export function parseAsOf(value, { timeZone = DEFAULT_TIME_ZONE, realNow = new Date() } = {}) {
+  let asOf;
+  try {
+    asOf = new Date(range(value, value, { timeZone }).reportEnd);
+  } catch (error) {
+    throw new Error(`--as-of: ${error.message}`);
+  }
+  if (asOf > realNow) {
+    throw new Error(`--as-of ${value} is in the future (${asOf.toISOString()})`);
+  }
+  return asOf;
+}
+
+/** Clock pinned to asOf, or the real time when asOf is null. */
+export function createClock(asOf = null) {
+  return {
+    asOf,
+    isReplay: asOf != null,
+    now: () => (asOf ? new Date(asOf) : new Date()),
+  };
+}
+
+/** "2026-03-09 14:30 EDT" — how replays stamp their log lines and alert text. */
+export function formatAsOf(date, timeZone = DEFAULT_TIME_ZONE) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      timeZoneName: "short",
+    })
+      .formatToParts(date)
+      .map((p) => [p.type, p.value])
+  );
+  return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute} ${parts.timeZoneName}`;
+}
+
+/** Prefix for alert text: "" normally, "[Replay as of 2026-03-09 14:30 EDT] " when replaying. */
+export function replayPrefix(clock) {
+  return clock.isReplay ? `[Replay as of ${formatAsOf(clock.asOf)}] ` : "";
+}
+
+let processClock = null;
+
+/** The process clock, from --as-of / AS_OF (parsed once). */
+export function getClock() {
+  if (!processClock) {
+    const value = asOfArg();
+    processClock = createClock(value ? parseAsOf(value) : null);
+    if (processClock.isReplay) {
+      console.log(`⏪ Replaying as of ${formatAsOf(processClock.asOf)} (${processClock.asOf.toISOString()})`);
+    }
+  }
+  return processClock;
+}
@@ -0,0 +1,117 @@
+/**
+ * Minimal 5-field cron matcher ("minute hour day-of-month month day-of-week"), used to project
+ * when schedules.config.js entries will run (npm run budget) and when they should have run
+ * (npm run watchdog). Supports *, lists, ranges and steps — the subset node-cron accepts that our
+ * schedules use.
+ */
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "weekday", min: 0, max: 7 },
+];
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const [range, stepText] = part.split("/");
+    const step = stepText === undefined ? 1 : Number(stepText);
+    let lo;
+    let hi;
+    if (range === "*") {
+      lo = min;
+      hi = max;
+    } else if (range.includes("-")) {
+      [lo, hi] = range.split("-").map(Number);
+    } else {
+      lo = Number(range);
+      hi = stepText === undefined ? lo : max;
+    }
+    if (![lo, hi, step].every(Number.isInteger) || lo < min || hi > max || lo > hi || step < 1) {
+      throw new Error(`Invalid cron ${name} field: "${text}"`);
+    }
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  if (name === "weekday" && values.has(7)) values.add(0); // 7 = Sunday
+  return values;
+}
+
+/** Parse "m h dom mon dow" into sets of allowed values. Throws on anything unsupported. */
+export function parseCron(expression) {
+  const parts = expression.trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Expected 5 cron fields, got ${parts.length}: "${expression}"`);
+  }
+  const parsed = {};
+  FIELDS.forEach((field, i) => {
+    parsed[field.name] = parseField(parts[i], field);
+  });
+  parsed.dayRestricted = parts[2] !== "*";
+  parsed.weekdayRestricted = parts[4] !== "*";
+  return parsed;
+}
+
+const formatters = new Map();
+
+/** { minute, hour, day, month, weekday } of a date in an IANA zone (server zone when omitted). */
+export function zonedParts(date, timeZone) {
+  const key = timeZone || "";
+  if (!formatters.has(key)) {
+    formatters.set(
+      key,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        minute: "numeric",
+        hour: "numeric",
+        day: "numeric",
+        month: "numeric",
+        weekday: "short",
+      })
+    );
+  }
+  const parts = formatters.get(key).formatToParts(date);
+  const get = (type) => parts.find((p) => p.type === type).value;
+  const weekdays = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+  return {
+    minute: Number(get("minute")),
+    hour: Number(get("hour")),
+    day: Number(get("day")),
+    month: Number(get("month")),
+    weekday: weekdays.indexOf(get("weekday")),
+  };
+}
+
+/** Whether a parsed cron fires at the given minute (standard dom/dow OR semantics). */
+export function cronMatches(parsed, date, timeZone) {
+  const t = zonedParts(date, timeZone);
+  if (!parsed.minute.has(t.minute) || !parsed.hour.has(t.hour) || !parsed.month.has(t.month)) return false;
+  const dayOk = parsed.day.has(t.day);
+  const weekdayOk = parsed.weekday.has(t.weekday);
+  if (parsed.dayRestricted && parsed.weekdayRestricted) return dayOk || weekdayOk;
+  return dayOk && weekdayOk;
+}
+
+/** Every minute in [from, to) at which the expression fires, as Dates. */
+export function cronRuns(expression, { from, to, timeZone }) {
+  const parsed = typeof expression === "string" ? parseCron(expression) : expression;
+  const runs = [];
+  const start = Math.ceil(from.getTime() / 60000) * 60000;
+  for (let t = start; t < to.getTime(); t += 60000) {
+    const date = new Date(t);
+    if (cronMatches(parsed, date, timeZone)) runs.push(date);
+  }
+  return runs;
+}
+
+/** First minute in [from, to) at which the expression fires (and `filter` accepts), or null. */
+export function firstCronRun(expression, { from, to, timeZone, filter = () => true }) {
+  const parsed = typeof expression === "string" ? parseCron(expression) : expression;
+  for (let t = Math.ceil(from.getTime() / 60000) * 60000; t < to.getTime(); t += 60000) {
+    const date = new Date(t);
+    if (cronMatches(parsed, date, timeZone) && filter(date)) return date;
+  }
+  return null;
+}
@@ -0,0 +1,47 @@
+/**
+ * campaignDropRate.js: share of a campaign's calls in the last 30 minutes that reached no target.
+ */
+import { noValueCount, percentOf, splitRollup } from "./records.js";
+
+/**
+ * Incident checks (one, for the campaign) from its last 30 minutes grouped by targetName. Empty
+ * when the campaign had fewer than minCalls calls: too few to judge, so an open incident stays
+ * as it is.
+ * @param {object[]} records - /insights rows grouped by targetName, rollup included
+ * @param {{ rules: object, campaign: string, window: object }} config
+ * @returns {Array<{ key: string, tripped: boolean, metric: number, worseBy: number, alert: object }>}
+ */
+export function evaluate(records, { rules, campaign, window }) {
+  const { minCalls, dropRatePct: alertPct, worseBy } = rules.for("campaignDropRate", { campaign });
+  const { rows, total } = splitRollup(records, "targetName");
+  if (total === 0 || total < minCalls) return [];
+
+  const dropped = noValueCount(rows, "targetName");
+  const dropRate = percentOf(dropped, total);
+  const compute = dropRate.toFixed(2);
+  return [
+    {
+      key: campaign,
+      tripped: dropRate > alertPct,
+      metric: dropRate,
+      worseBy,
+      alert: {
+        type: "campaignDropRate",
+        severity: "warning",
+        title: "Campaign drop rate (last 30 minutes)",
+        entityType: "Campaign",
+        entity: campaign,
+        summary: `${campaign}'s drop rate is above ${alertPct}% in the last 30 minutes (${compute}%)`,
+        metrics: [
+          { label: "Drop rate", value: `${compute}%` },
+          { label: "Dropped (no target)", value: dropped },
+          { label: "Calls", value: total },
+        ],
+        window,
+        thresholds: `drop rate > ${alertPct}%, at least ${minCalls} calls in the last 30 minutes`,
+        source: "campaignDropRate",
+        campaign,
+      },
+    },
+  ];
+}
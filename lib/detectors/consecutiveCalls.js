@@ -0,0 +1,61 @@
+/**
+ * consecutiveCalls.js: a target ending `inARow` calls in a row within maxCallSeconds.
+ */
+import { strictRuns, hashBatch } from "./dropRuns.js";
+import { toSeconds } from "./records.js";
+
+/** A call-store row as the call listed in the alert. */
+export function toDropCall(row) {
+  return {
+    targetName: row.targetName,
+    inboundPhoneNumber: row.inboundPhoneNumber,
+    inboundCallId: row.inboundCallId,
+    callLengthInSeconds: row.connectedCallLengthInSeconds ? row.connectedCallLengthInSeconds : "",
+    endCallSource: row.endCallSource ? row.endCallSource : "",
+  };
+}
+
+/**
+ * Runs of `inARow` calls, each ended by the target within `maxCallSeconds` of connecting (no call
+ * used twice). A call with no connected length (it never connected) counts as 0 seconds.
+ * Defaults: 3 calls of 20s or less.
+ */
+export function groupDropBatchByTargetStrict(calls, { inARow = 3, maxCallSeconds = 20 } = {}) {
+  return strictRuns(calls, inARow, (run) =>
+    run.every((call) => call.endCallSource === "Target" && (toSeconds(call.callLengthInSeconds) ?? 0) <= maxCallSeconds)
+  );
+}
+
+/**
+ * Alerts for one target's calls today, each keyed by its run's hashBatch (alert once per run).
+ * @param {object[]} records - Call-store rows for the target, in callDt order
+ * @param {{ rules: object, target: string, buyer?: string, window: object }} config
+ * @returns {Array<{ key: string, alert: object }>}
+ */
+export function evaluate(records, { rules, target, buyer, window }) {
+  const { inARow, maxCallSeconds } = rules.for("consecutiveCalls", { target, buyer });
+  const calls = (Array.isArray(records) ? records : []).filter(Boolean).map(toDropCall);
+
+  return groupDropBatchByTargetStrict(calls, { inARow, maxCallSeconds }).map((run) => {
+    const targetName = run[0].targetName;
+    return {
+      key: hashBatch(run),
+      alert: {
+        type: "consecutiveCalls",
+        severity: "warning",
+        title: `${inARow} consecutive dropped calls`,
+        entityType: "Target",
+        entity: targetName,
+        summary: `${targetName} has dropped ${inARow} consecutive calls`,
+        calls: run,
+        window,
+        thresholds: `${inARow} consecutive calls of ${maxCallSeconds}s or less, each ended by the target`,
+        source: "consecutiveCalls",
+        target: targetName,
+        buyer,
+        // Further batches for the target today reply under the first one
+        thread: `consecutiveCalls:${targetName}`,
+      },
+    };
+  });
+}
@@ -0,0 +1,116 @@
+/**
+ * consecutiveCallsSameBid.js: a target ending `inARow` calls in a row within maxCallSeconds, all
+ * won at the same ping-tree bid.
+ */
+import { strictRuns, hashBatch } from "./dropRuns.js";
+import { toSeconds } from "./records.js";
+
+/** One acceptedRingTreeTargets line: "<target name>[<bid>, …]" (bid may carry a $). */
+const ACCEPTED_TARGET = /^(.+?)\s*\[\s*\$?(\d+(?:\.\d+)?)\s*,/;
+
+/**
+ * The bid `targetName` won the call at, from the PingTreePingingSummary event's
+ * acceptedRingTreeTargets (one accepted target per line). null when there is no summary, the
+ * target isn't in it, or its line can't be read.
+ */
+export function acceptedBid(events, targetName) {
+  if (!Array.isArray(events)) return null;
+  const summary = events.find(
+    (event) =>
+      event?.name === "PingTreePingingSummary" &&
+      typeof event.acceptedRingTreeTargets === "string" &&
+      event.acceptedRingTreeTargets.trim() !== ""
+  );
+  if (!summary) return null;
+
+  for (const line of summary.acceptedRingTreeTargets.split(/\r?\n/)) {
+    const match = line.trim().match(ACCEPTED_TARGET);
+    if (!match || match[1].trim() !== targetName) continue;
+    const bid = parseFloat(match[2]);
+    return Number.isNaN(bid) ? null : bid;
+  }
+  return null;
+}
+
+/** A /calllogs/detail record as the call listed in the alert (with the bid it was won at). */
+export function toDropCall(record) {
+  return {
+    targetName: record.targetName || "",
+    inboundPhoneNumber: record.inboundPhoneNumber || "",
+    inboundCallId: record.inboundCallId || "",
+    callLengthInSeconds: record.callLengthInSeconds ?? null,
+    endCallSource: record.endCallSource || "",
+    bidAmount: acceptedBid(record.events, record.targetName),
+  };
+}
+
+/**
+ * Runs of `inARow` calls to one target on one bid, each ended by the target within
+ * `maxCallSeconds` (no call used twice). Calls without a readable length or a bid never match.
+ * Defaults: 3 calls of 20s or less.
+ */
+export function groupDropBatchByTargetStrict(calls, { inARow = 3, maxCallSeconds = 20 } = {}) {
+  return strictRuns(calls, inARow, (run) => {
+    const [first] = run;
+    return (
+      Boolean(first.targetName) &&
+      first.bidAmount != null &&
+      run.every((call) => {
+        const seconds = toSeconds(call.callLengthInSeconds);
+        return (
+          call.endCallSource === "Target" &&
+          seconds != null &&
+          seconds <= maxCallSeconds &&
+          call.targetName === first.targetName &&
+          call.bidAmount === first.bidAmount
+        );
+      })
+    );
+  });
+}
+
+/** True if any caller in the run is "Restricted" (those runs are not alerted). */
+export function hasRestrictedNumber(run) {
+  return run.some((call) => call.inboundPhoneNumber && call.inboundPhoneNumber.includes("Restricted"));
+}
+
+/**
+ * Alerts for one target's call details today, each keyed by its run's hashBatch. Runs with a
+ * Restricted caller are left out.
+ * @param {object[]} records - /calllogs/detail records for the target, in call order
+ * @param {{ rules: object, target: string, buyer?: string, window: object }} config
+ * @returns {Array<{ key: string, alert: object }>}
+ */
+export function evaluate(records, { rules, target, buyer, window }) {
+  const { inARow, maxCallSeconds } = rules.for("consecutiveCallsSameBid", { target, buyer });
+  const calls = (Array.isArray(records) ? records : [])
+    .filter(Boolean)
+    .map(toDropCall)
+    .filter((call) => call.inboundCallId !== "");
+
+  return groupDropBatchByTargetStrict(calls, { inARow, maxCallSeconds })
+    .filter((run) => !hasRestrictedNumber(run))
+    .map((run) => {
+      const targetName = run[0].targetName;
+      return {
+        key: hashBatch(run),
+        alert: {
+          type: "consecutiveCallsSameBid",
+          severity: "warning",
+          title: `${inARow} consecutive dropped calls on the same bid`,
+          entityType: "Target",
+          entity: targetName,
+          summary: `${targetName} has dropped ${inARow} consecutive calls on the same bid $${run[0].bidAmount}`,
+          metrics: [{ label: "Bid", value: `$${run[0].bidAmount}` }],
+          calls: run,
+          window,
+          thresholds: `${inARow} consecutive calls of ${maxCallSeconds}s or less on one bid, each ended by the target`,
+          source: "consecutiveCallsSameBid",
+          target: targetName,
+          buyer,
+          // Further batches for the target today reply under the first one
+          thread: `consecutiveCallsSameBid:${targetName}`,
+        },
+      };
+    });
+}
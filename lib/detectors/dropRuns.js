@@ -0,0 +1,41 @@
+/**
+ * Runs of consecutive dropped calls, shared by consecutiveCalls and consecutiveCallsSameBid.
+ */
+import crypto from "crypto";
+
+/**
+ * Non-overlapping runs of `inARow` consecutive calls that `fits`, scanning in order: after a
+ * match the scan continues after the run, otherwise at the next call. No call is used twice.
+ * @param {object[]} calls - In call order
+ * @param {number} inARow
+ * @param {(run: object[]) => boolean} fits
+ */
+export function strictRuns(calls, inARow, fits) {
+  if (!Array.isArray(calls) || calls.length < inARow) return [];
+  const runs = [];
+  const used = new Set();
+
+  let i = 0;
+  while (i <= calls.length - inARow) {
+    const run = calls.slice(i, i + inARow);
+    if (run.every((call) => call?.inboundCallId && !used.has(call.inboundCallId)) && fits(run)) {
+      runs.push(run);
+      run.forEach((call) => used.add(call.inboundCallId));
+      i += inARow;
+    } else {
+      i++;
+    }
+  }
+  return runs;
+}
+
+/** Stable de-duplication key for a run: md5 of its sorted inboundCallIds (null without ids). */
+export function hashBatch(run) {
+  if (!Array.isArray(run) || run.length < 2) return null;
+  const ids = run
+    .filter((call) => call?.inboundCallId)
+    .map((call) => call.inboundCallId)
+    .sort()
+    .join("|");
+  return ids ? crypto.createHash("md5").update(ids).digest("hex") : null;
+}
@@ -0,0 +1,64 @@
+/**
+ * elitePickUp.js: share of the last 15 minutes' connected, qualified calls the Elite buyer
+ * picked up, and the share that reached no buyer.
+ */
+import { isNoValue, percentOf, splitRollup, toCount } from "./records.js";
+
+export const ELITE_BUYER = "Elite";
+
+/**
+ * Elite's pick-up rate: Elite's calls over the calls that reached a buyer (total less
+ * "-no value-"); hit-the-floor rate: "-no value-" calls over all calls. null when Elite has no
+ * row or no call reached a buyer.
+ * @param {object[]} records - /insights rows grouped by buyer, rollup included
+ * @returns {{ elitePct: number, noValuePct: number, calls: number } | null}
+ */
+export function getElitePercentage(records) {
+  const { rows, total } = splitRollup(records, "buyer");
+  const elite = rows.find((row) => row.buyer === ELITE_BUYER);
+  const noValue = rows.find((row) => isNoValue(row.buyer));
+  const noValueCalls = noValue ? toCount(noValue.callCount) : 0;
+  const reachedBuyer = total - noValueCalls;
+  if (!elite || reachedBuyer <= 0) return null;
+
+  return {
+    elitePct: percentOf(toCount(elite.callCount), reachedBuyer),
+    noValuePct: percentOf(noValueCalls, total),
+    calls: total,
+  };
+}
+
+/**
+ * The pick-up alert for the window, or none when the rate can't be computed.
+ * @param {object[]} records - /insights rows grouped by buyer, rollup included
+ * @param {{ window: object }} config
+ * @returns {Array<{ key: string, alert: object }>}
+ */
+export function evaluate(records, { window }) {
+  const rates = getElitePercentage(records);
+  if (!rates) return [];
+
+  const percentage = `${rates.elitePct.toFixed(2)}%`;
+  const noValuePercentage = rates.noValuePct.toFixed(2);
+  return [
+    {
+      key: ELITE_BUYER,
+      alert: {
+        type: "elitePickUp",
+        severity: "info",
+        title: "Elite pick-up rate (last 15 minutes)",
+        entityType: "Buyer",
+        entity: ELITE_BUYER,
+        summary: `${percentage} of calls were picked up by elite, ${noValuePercentage}% hit the floor`,
+        metrics: [
+          { label: "Picked up by Elite", value: percentage },
+          { label: "Hit the floor", value: `${noValuePercentage}%` },
+          { label: "Calls", value: rates.calls },
+        ],
+        window,
+        source: "elitePickUp",
+        buyer: ELITE_BUYER,
+      },
+    },
+  ];
+}
@@ -0,0 +1,62 @@
+/**
+ * multiTags.js: share of each Medicare campaign / publisher's calls today missing one of TAGS.
+ */
+import { noValueCount, percentOf, splitRollup } from "./records.js";
+
+/** Tags checked per publisher. Add more tags here if needed. */
+export const TAGS = [
+  { tag: "tag:User:angle", tagName: "User:angle", tagText: "Angle" },
+  { tag: "tag:User:key", tagName: "User:key", tagText: "Key" },
+  { tag: "tag:User:channel", tagName: "User:channel", tagText: "User Channel" },
+  { tag: "tag:User:qualified", tagName: "User:qualified", tagText: "Qualified" },
+  { tag: "tag:User:age", tagName: "User:age", tagText: "Age" },
+  { tag: "tag:Ads:Ad Account", tagName: "Ads:Ad Account", tagText: "Ads Account" },
+];
+
+/** Campaigns worth checking: Medicare, but not Broker or Testing campaigns. */
+export function isMedicareCampaign(name) {
+  return typeof name === "string" && name.includes("Medicare") && !name.includes("Broker") && !name.includes("Testing");
+}
+
+/**
+ * Incident check for one campaign / publisher / tag; tripped when more than missingPct of its
+ * calls have no value for the tag and it has at least minCalls calls. Under minCalls the check
+ * still runs (untripped), so an open incident can resolve.
+ * @param {object[]} records - /insights rows grouped by the tag column, rollup included
+ * @param {{ rules: object, campaign: string, publisher: string, tag: object, window: object }} config
+ *   - tag is one of TAGS
+ * @returns {Array<{ key: string, tripped: boolean, metric: number, worseBy: number, alert: object }>}
+ */
+export function evaluate(records, { rules, campaign, publisher, tag, window }) {
+  const { minCalls, missingPct: alertPct, worseBy } = rules.for("multiTags", { campaign, publisher });
+  const { rows, total } = splitRollup(records, tag.tag);
+  const missing = noValueCount(rows, tag.tag);
+  const pct = percentOf(missing, total);
+
+  return [
+    {
+      key: `${campaign}|${publisher}|${tag.tagName}`,
+      tripped: pct > alertPct && total >= minCalls,
+      metric: pct,
+      worseBy,
+      alert: {
+        type: "missingTag",
+        severity: "warning",
+        title: `Missing ${tag.tagText} tag`,
+        entityType: "Publisher",
+        entity: publisher,
+        summary: `${campaign} | ${publisher} |  ${tag.tagText}'s tag `,
+        metrics: [
+          { label: "Campaign", value: campaign },
+          { label: "Tag", value: tag.tagName },
+          { label: "Calls without tag", value: `${missing} (${pct.toFixed(2)}%)` },
+          { label: "Calls", value: total },
+        ],
+        window,
+        thresholds: `untagged > ${alertPct}% of calls, at least ${minCalls} calls`,
+        source: "multiTags",
+        campaign,
+      },
+    },
+  ];
+}
@@ -0,0 +1,42 @@
+/**
+ * pgnmNumberpool.js: share of today's calls that came in without a number pool.
+ */
+import { noValueCount, percentOf, splitRollup } from "./records.js";
+
+/**
+ * Incident checks (one, for the account) from today's report grouped by numberPoolName. Empty
+ * when the report has no calls: there is nothing to measure, so an open incident stays as it is.
+ * @param {object[]} records - /insights rows grouped by numberPoolName, rollup included
+ * @param {{ rules: object, window: object }} config - rules from lib/rules.js
+ * @returns {Array<{ key: string, tripped: boolean, metric: number, worseBy: number, alert: object }>}
+ */
+export function evaluate(records, { rules, window }) {
+  const { rows, total } = splitRollup(records, "numberPoolName");
+  if (total === 0) return [];
+
+  const { noValuePct: alertPct, worseBy } = rules.for("numberPool");
+  const noValue = noValueCount(rows, "numberPoolName");
+  const pct = percentOf(noValue, total);
+  return [
+    {
+      key: "numberPool",
+      tripped: pct > alertPct,
+      metric: pct,
+      worseBy,
+      alert: {
+        type: "numberPool",
+        severity: "warning",
+        title: `Calls without a number pool above ${alertPct}%`,
+        entity: "Number pool",
+        summary: `Number pool's no value is above ${alertPct}%`,
+        metrics: [
+          { label: "No number pool", value: `${noValue} (${pct.toFixed(2)}%)` },
+          { label: "Calls", value: total },
+        ],
+        window,
+        thresholds: `no-value number pool > ${alertPct}% of calls`,
+        source: "pgnmNumberpool",
+      },
+    },
+  ];
+}
@@ -0,0 +1,65 @@
+/**
+ * Reading Ringba report rows the same way in every detector: counts that may arrive as strings,
+ * formatted timespans, the "-no value-" group and the rollup (total) row.
+ *
+ *   const { rows, total } = splitRollup(getRecords(response), "targetName");
+ *   const dropped = noValueCount(rows, "targetName");
+ *   const pct = percentOf(dropped, total);
+ *
+ * With generateRollups on, /insights ends each group with a rollup row that has no value for the
+ * group column. Rows are never assumed to be in any order, and a report without a rollup (rollups
+ * off, or a truncated group) is totalled from its rows.
+ */
+
+/** How Ringba labels calls without a value for the group column. */
+export const NO_VALUE = "-no value-";
+
+/** True for the "-no value-" group (any case or spacing, with or without dashes) and "". */
+export function isNoValue(value) {
+  if (value === "") return true;
+  return typeof value === "string" && /^[-(\s]*no value[-)\s]*$/i.test(value);
+}
+
+/** A count from a report cell: numbers, "1,234", "12" → number; missing or unreadable → 0. */
+export function toCount(value) {
+  if (typeof value === "number") return Number.isFinite(value) ? value : 0;
+  if (typeof value !== "string") return 0;
+  const number = Number(value.replace(/,/g, "").trim());
+  return value.trim() !== "" && Number.isFinite(number) ? number : 0;
+}
+
+/**
+ * Seconds from a duration cell: a number, "HH:MM:SS", "MM:SS" or "42" (formatTimespans on or
+ * off). null when empty or unreadable, so callers decide what a missing duration means.
+ */
+export function toSeconds(value) {
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  if (typeof value !== "string" || value.trim() === "") return null;
+  const parts = value.trim().split(":");
+  if (parts.length > 3 || parts.some((part) => !/^\d+(\.\d+)?$/.test(part))) return null;
+  return parts.map(Number).reduce((total, part) => total * 60 + part, 0);
+}
+
+/** (part / total) * 100, or 0 when there is nothing to divide by. */
+export function percentOf(part, total) {
+  return total > 0 ? (part / total) * 100 : 0;
+}
+
+/**
+ * Group rows and the total from an /insights report grouped by `column`.
+ * @returns {{ rows: object[], total: number, hasRollup: boolean }} total is the rollup's
+ *   callCount, or the sum of the rows' when there is no rollup
+ */
+export function splitRollup(records, column) {
+  const list = Array.isArray(records) ? records.filter(Boolean) : [];
+  const rollup = list.find((row) => row[column] == null);
+  const rows = list.filter((row) => row[column] != null);
+  const total = rollup ? toCount(rollup.callCount) : rows.reduce((sum, row) => sum + toCount(row.callCount), 0);
+  return { rows, total, hasRollup: Boolean(rollup) };
+}
+
+/** callCount of the "-no value-" group among rows (0 when there is none). */
+export function noValueCount(rows, column) {
+  const row = rows.find((candidate) => isNoValue(candidate[column]));
+  return row ? toCount(row.callCount) : 0;
+}
@@ -0,0 +1,72 @@
+/**
+ * ringTreeDisposition.js: ring tree targets whose ping timeouts are a large share of their
+ * acceptance rejections today (stats/rtt).
+ */
+import { toCount } from "./records.js";
+
+export const ACCEPTANCE_REJECTION_KEY = "rejectedCountBy:CallAcceptanceParsingRejection";
+export const PING_TIMEOUT_KEY = "rejectedCountBy:PingTimeout";
+
+/** One stats/rtt item as { rttName, acceptanceRejection, pingTimeout } (missing counts are 0). */
+export function cleanRttItem(item) {
+  const byMessage = Object.fromEntries(
+    (Array.isArray(item?.values) ? item.values : []).filter(Boolean).map((v) => [v.messageName, v.total])
+  );
+  return {
+    rttName: item?.rttName,
+    acceptanceRejection: toCount(byMessage[ACCEPTANCE_REJECTION_KEY]),
+    pingTimeout: toCount(byMessage[PING_TIMEOUT_KEY]),
+  };
+}
+
+/**
+ * Ring tree targets with more than minAcceptanceRejections acceptance rejections and ping
+ * timeouts above pingTimeoutPct of them, per target's rules. Each item keeps the rules it was
+ * judged by.
+ */
+export function cleanRingTreeData(data, rules) {
+  const rawValues = Array.isArray(data?.values) ? data.values : [];
+  return rawValues
+    .map(cleanRttItem)
+    .filter((item) => item.rttName)
+    .map((item) => ({ ...item, rules: rules.for("ringTreeDisposition", { target: item.rttName }) }))
+    .filter((item) => item.acceptanceRejection > item.rules.minAcceptanceRejections)
+    .filter(
+      (item) =>
+        item.acceptanceRejection > 0 && (item.pingTimeout / item.acceptanceRejection) * 100 > item.rules.pingTimeoutPct
+    );
+}
+
+/**
+ * Alerts (once a day per ring tree target, keyed by its name) from a stats/rtt response.
+ * @param {object} data - stats/rtt response ({ values: [{ rttName, values: [{ messageName, total }] }] })
+ * @param {{ rules: object, window: object }} config
+ * @returns {Array<{ key: string, alert: object }>}
+ */
+export function evaluate(data, { rules, window }) {
+  return cleanRingTreeData(data, rules).map((item) => {
+    const { minAcceptanceRejections, pingTimeoutPct } = item.rules;
+    return {
+      key: item.rttName,
+      alert: {
+        type: "ringTreeTimeouts",
+        severity: "warning",
+        title: `Ring tree ping timeouts above ${pingTimeoutPct}%`,
+        entityType: "Ring tree target",
+        entity: item.rttName,
+        summary: `${item.rttName} has ${pingTimeoutPct}%+ ping timouts`,
+        metrics: [
+          {
+            label: "Ping timeouts",
+            value: `${item.pingTimeout} (${((item.pingTimeout / item.acceptanceRejection) * 100).toFixed(1)}%)`,
+          },
+          { label: "Acceptance rejections", value: item.acceptanceRejection },
+        ],
+        window,
+        thresholds: `ping timeouts > ${pingTimeoutPct}% of acceptance rejections, over ${minAcceptanceRejections} rejections`,
+        source: "ringTreeDisposition",
+        target: item.rttName,
+      },
+    };
+  });
+}
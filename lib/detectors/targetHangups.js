@@ -0,0 +1,62 @@
+/**
+ * targetHangpUps.js: share of each target's calls today that the target hung up on within
+ * maxCallSeconds of connecting.
+ */
+import { isNoValue, percentOf, toCount } from "./records.js";
+
+/** Named target rows (no rollup, no "-no value-") as targetName → callCount. */
+function countsByTarget(records) {
+  const counts = new Map();
+  for (const row of Array.isArray(records) ? records : []) {
+    if (!row || row.targetName == null || isNoValue(row.targetName)) continue;
+    counts.set(row.targetName, toCount(row.callCount));
+  }
+  return counts;
+}
+
+/**
+ * Incident checks for every target with more than its minCalls calls, so open incidents can
+ * resolve. A target missing from the hang-up report has none.
+ * @param {{ targets: object[], hangUps: object[] }} records - /insights rows grouped by targetName:
+ *   all calls, and calls ended by the target under the default maxCallSeconds
+ * @param {{ rules: object, window: object, buyers?: Map<string, string> }} config
+ * @returns {Array<{ key: string, tripped: boolean, metric: number, worseBy: number, alert: object }>}
+ */
+export function evaluate({ targets, hangUps }, { rules, window, buyers = new Map() }) {
+  const { maxCallSeconds } = rules.for("targetHangups");
+  const dropped = countsByTarget(hangUps);
+  const checks = [];
+
+  for (const [targetName, calls] of countsByTarget(targets)) {
+    const buyer = buyers.get(targetName);
+    const { minCalls, hangUpPct: alertPct, worseBy } = rules.for("targetHangups", { target: targetName, buyer });
+    if (calls <= minCalls) continue;
+
+    const hangUps = dropped.get(targetName) ?? 0;
+    const pct = percentOf(hangUps, calls);
+    checks.push({
+      key: targetName,
+      tripped: pct > alertPct,
+      metric: pct,
+      worseBy,
+      alert: {
+        type: "targetHangups",
+        severity: "warning",
+        title: `Target hang-ups above ${alertPct}%`,
+        entityType: "Target",
+        entity: targetName,
+        summary: `${targetName} has target hang-ups above ${alertPct}%`,
+        metrics: [
+          { label: "Hang-ups", value: `${hangUps} (${pct.toFixed(1)}%)` },
+          { label: "Calls", value: calls },
+        ],
+        window,
+        thresholds: `target hang-ups under ${maxCallSeconds}s > ${alertPct}% of calls, more than ${minCalls} calls`,
+        source: "targetHangpUps",
+        target: targetName,
+        buyer,
+      },
+    });
+  }
+  return checks;
+}
@@ -0,0 +1,52 @@
+/**
+ * targetNoAnswer.js: share of each target's dials today that went unanswered
+ * (insights/events/beta targetDialed / noAnswer).
+ */
+import { isNoValue, percentOf, toCount } from "./records.js";
+
+/**
+ * Incident checks for every target with at least its minDialed dials; tripped when noAnswer is
+ * at least noAnswerPct of them (both bounds inclusive).
+ * @param {object[]} records - insights/events/beta rows ({ targetName, targetDialed, noAnswer })
+ * @param {{ rules: object, window: object, buyers?: Map<string, string> }} config
+ * @returns {Array<{ key: string, tripped: boolean, metric: number, worseBy: number, alert: object }>}
+ */
+export function evaluate(records, { rules, window, buyers = new Map() }) {
+  const checks = [];
+  for (const row of Array.isArray(records) ? records : []) {
+    if (!row?.targetName || isNoValue(row.targetName)) continue;
+    const targetName = row.targetName;
+    const buyer = buyers.get(targetName);
+    const { minDialed, noAnswerPct: alertPct, worseBy } = rules.for("targetNoAnswer", { target: targetName, buyer });
+
+    const dialed = toCount(row.targetDialed);
+    if (dialed === 0 || dialed < minDialed) continue;
+    const noAnswer = toCount(row.noAnswer);
+    const pct = percentOf(noAnswer, dialed);
+
+    checks.push({
+      key: targetName,
+      tripped: pct >= alertPct,
+      metric: pct,
+      worseBy,
+      alert: {
+        type: "noAnswer",
+        severity: "warning",
+        title: "Ringba high no-answer alert",
+        entityType: "Target",
+        entity: targetName,
+        summary: `${targetName} has more than ${alertPct}% no answer calls`,
+        metrics: [
+          { label: "No answer", value: `${noAnswer} (${pct.toFixed(1)}%)` },
+          { label: "Dialed", value: dialed },
+        ],
+        window,
+        thresholds: `no answer ≥ ${alertPct}% of ${minDialed}+ dialed`,
+        source: "targetNoAnswer",
+        target: targetName,
+        buyer,
+      },
+    });
+  }
+  return checks;
+}
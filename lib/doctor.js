@@ -0,0 +1,442 @@
+/**
+ * Checks behind `node doctor.js`: env vars against what the scheduled scripts need, the
+ * schedules, the accounts, rules and routing configs, Ringba credentials and Slack destinations.
+ *
+ * Every check returns results { section, name, status: "ok" | "warn" | "fail", detail }; doctor.js
+ * prints them and exits non-zero when any failed, and the scheduler runs the offline ones
+ * (staticChecks) before it starts. Network checks (Ringba auth, Slack) take their transport as a
+ * parameter so they can be pointed elsewhere.
+ */
+import fs from "fs";
+import path from "path";
+import { createRequire } from "module";
+import axios from "axios";
+import { createRingbaClient } from "./ringbaClient.js";
+import { insightsQuery } from "./insightsQuery.js";
+import { parseCron } from "./cron.js";
+import { OVERLAP_POLICIES } from "./jobRunner.js";
+import { readRulesFile } from "./rules.js";
+import { DEFAULT_CHANNEL, resolveChannels, resolveDestinations, validateRoutes } from "./alertRouting.js";
+import { createCalendar, validateCalendar } from "./calendar.js";
+import { createAccounts, DEFAULT_ACCOUNT, validateAccounts } from "./accounts.js";
+import accountsConfig from "../accounts.config.js";
+
+const require = createRequire(import.meta.url);
+const cron = require("node-cron");
+
+/** The alerts each schedulable script sends. The accounts it runs against are in accounts.config.js. */
+export const SCRIPTS = {
+  "clearCache.js": { alerts: [] },
+  "targetNoAnswer.js": { alerts: [{ type: "noAnswer", severity: "warning" }] },
+  "multiTags.js": { alerts: [{ type: "missingTag", severity: "warning" }] },
+  "pgnmNumberpool.js": { alerts: [{ type: "numberPool", severity: "warning" }] },
+  "targetHangpUps.js": { alerts: [{ type: "targetHangups", severity: "warning" }] },
+  "consecutiveCalls.js": { alerts: [{ type: "consecutiveCalls", severity: "warning" }] },
+  "consecutiveCallsSameBid.js": { alerts: [{ type: "consecutiveCallsSameBid", severity: "warning" }] },
+  "elitePickUp.js": { alerts: [{ type: "elitePickUp", severity: "info" }] },
+  "campaignDropRate.js": { alerts: [{ type: "campaignDropRate", severity: "warning" }] },
+  "ringTreeDisposition.js": { alerts: [{ type: "ringTreeTimeouts", severity: "warning" }] },
+};
+
+/** Operational alerts about the scheduled jobs themselves, sent whatever is scheduled. */
+export const OPERATIONAL_ALERTS = [
+  { type: "jobFailure", severity: "critical", script: "scheduler.js" },
+  { type: "watchdog", severity: "critical", script: "watchdog.js" },
+];
+
+const result = (section, name, status, detail = "") => ({ section, name, status, detail });
+
+// Values copied unchanged from .env.example
+function isPlaceholder(value) {
+  return /^your-/i.test(String(value)) || /^xoxb-your/i.test(String(value));
+}
+
+/** The accounts.config.js registry, or null when it's invalid (reported by checkConfigFiles). */
+function registry(config) {
+  try {
+    return createAccounts(config);
+  } catch {
+    return null;
+  }
+}
+
+/** Accounts with a scheduled script, and those scripts: [{ key, scripts }]. */
+function accountsInUse(schedules, accounts) {
+  const scheduled = [...new Set(schedules.map((entry) => entry.script))];
+  return accounts
+    .keys()
+    .map((key) => ({ key, scripts: scheduled.filter((script) => accounts.forScript(script).includes(key)) }))
+    .filter(({ scripts }) => scripts.length > 0);
+}
+
+function isTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// --- Env ---
+
+/**
+ * Env vars required by the scheduled scripts (Ringba credentials per account, Slack destinations
+ * per alert type and account) and the format of the optional ones.
+ */
+export function checkEnv({ env = process.env, schedules, routes, accounts: config = accountsConfig }) {
+  const results = [];
+  const section = "env";
+  const accounts = registry(config);
+
+  for (const { key, scripts } of accounts ? accountsInUse(schedules, accounts) : []) {
+    const label = `Ringba ${accounts.get(key).name}`;
+    const { credentials, sources } = accounts.credentials(key, env);
+    const usedBy = `used by ${scripts.join(", ")}`;
+
+    if (!credentials.accountId) {
+      results.push(result(section, `${label} account ID`, "fail", `set ${accounts.envNames(key, "accountId").join(" or ")} (${usedBy})`));
+    } else if (isPlaceholder(credentials.accountId)) {
+      results.push(result(section, `${label} account ID`, "fail", `${sources.accountId} is still the .env.example placeholder`));
+    } else {
+      results.push(result(section, `${label} account ID`, "ok", `from ${sources.accountId}`));
+    }
+
+    const hasToken = credentials.apiToken && !isPlaceholder(credentials.apiToken);
+    const hasPassword =
+      credentials.username && credentials.password && !isPlaceholder(credentials.username) && !isPlaceholder(credentials.password);
+    if (hasToken) {
+      results.push(result(section, `${label} credentials`, "ok", `API token from ${sources.apiToken}`));
+    } else if (hasPassword) {
+      results.push(result(section, `${label} credentials`, "ok", `username/password from ${sources.username}, ${sources.password}`));
+    } else {
+      const [token] = accounts.envNames(key, "apiToken");
+      const [username] = accounts.envNames(key, "username");
+      const [password] = accounts.envNames(key, "password");
+      const ways = [token, username && password && `${username} and ${password}`].filter(Boolean);
+      results.push(
+        result(
+          section,
+          `${label} credentials`,
+          "fail",
+          ways.length
+            ? `set ${ways.join(", or ")} (placeholders don't count; ${usedBy})`
+            : `accounts.config.js lists no apiToken or username/password env vars for ${key}`
+        )
+      );
+    }
+  }
+
+  if (env.RINGBA_AUTH_HEADER && env.RINGBA_AUTH_HEADER !== "X-API-Key") {
+    results.push(result(section, "RINGBA_AUTH_HEADER", "warn", `"${env.RINGBA_AUTH_HEADER}" is ignored; only "X-API-Key" changes the header`));
+  }
+  // Mock endpoints (mockRingba.js, mockSlack.js) are fine locally but never in production
+  for (const [name, real] of [
+    ["RINGBA_BASE_URL", "the real Ringba API"],
+    ["SLACK_API_URL", "Slack"],
+  ]) {
+    if (!env[name]) continue;
+    const valid = /^https?:\/\/[^\s]+$/.test(env[name]);
+    results.push(
+      valid
+        ? result(section, name, "warn", `requests go to ${env[name]}, not ${real}`)
+        : result(section, name, "fail", `"${env[name]}" is not an http(s) URL`)
+    );
+  }
+
+  // Every alert type a scheduled script sends, from each account it runs against, needs somewhere to go
+  const alerts = new Map(OPERATIONAL_ALERTS.map((alert) => [alert.type, alert]));
+  for (const entry of schedules) {
+    for (const account of accounts?.forScript(entry.script) ?? []) {
+      for (const alert of SCRIPTS[entry.script]?.alerts || []) {
+        alerts.set(`${alert.type} @${account}`, { ...alert, script: entry.script, account });
+      }
+    }
+  }
+  for (const [name, alert] of alerts) {
+    const fallback = (alert.account && accounts.get(alert.account).channel) || DEFAULT_CHANNEL;
+    const channels = resolveChannels(alert, routes, { fallback });
+    const destinations = resolveDestinations(channels, routes, env);
+    if (destinations.length === 0) {
+      results.push(
+        result(section, `Slack for ${name}`, "fail", `no webhook or bot channel for ${channels.join(", ")} — ${alert.script} alerts would only be logged`)
+      );
+    } else {
+      const where = destinations.map((d) => `#${d.channel} (${d.kind === "api" ? "bot" : "webhook"})`).join(", ");
+      results.push(result(section, `Slack for ${name}`, "ok", where));
+    }
+  }
+
+  for (const [channel, names] of Object.entries(routes.channels)) {
+    for (const name of [].concat(names)) {
+      const value = env[name];
+      if (!value) continue;
+      if (isPlaceholder(value)) results.push(result(section, name, "fail", "still the .env.example placeholder"));
+      else if (!/^https:\/\/hooks\.slack\.com\//.test(value)) {
+        results.push(result(section, name, "warn", `doesn't look like a Slack webhook URL (#${channel})`));
+      }
+    }
+  }
+
+  const tokenVar = routes.botToken;
+  const botToken = tokenVar ? env[tokenVar] : null;
+  const channelIdVars = Object.values(routes.channelIds || {}).flat();
+  const idsSet = channelIdVars.filter((name) => env[name]);
+  if (botToken && !/^xoxb-/.test(botToken)) results.push(result(section, tokenVar, "warn", "bot tokens start with xoxb-"));
+  if (botToken && isPlaceholder(botToken)) results.push(result(section, tokenVar, "fail", "still the .env.example placeholder"));
+  if (botToken && idsSet.length === 0) {
+    results.push(result(section, tokenVar, "warn", "set but no channel ID is, so every channel still uses its webhook"));
+  }
+  if (!botToken && idsSet.length > 0) {
+    results.push(result(section, idsSet.join(", "), "warn", `channel IDs are ignored without ${tokenVar}`));
+  }
+  for (const name of idsSet) {
+    if (!/^[CG][A-Z0-9]{6,}$/.test(env[name])) results.push(result(section, name, "warn", `"${env[name]}" doesn't look like a channel ID (C…)`));
+  }
+
+  if (env.REPORT_TIME_ZONE != null && !isTimeZone(env.REPORT_TIME_ZONE)) {
+    results.push(result(section, "REPORT_TIME_ZONE", "fail", `"${env.REPORT_TIME_ZONE}" is not an IANA time zone`));
+  }
+  if (env.SLACK_ACTIONS_PORT != null) {
+    const port = Number(env.SLACK_ACTIONS_PORT);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) results.push(result(section, "SLACK_ACTIONS_PORT", "fail", "must be a port number"));
+  }
+
+  return results;
+}
+
+// --- Config files ---
+
+/** Whether a script declares `export (async) function run`, without importing it. */
+function exportsRun(file) {
+  return /^export\s+(async\s+)?function\s+run\s*\(/m.test(fs.readFileSync(file, "utf-8"));
+}
+
+/**
+ * schedules.config.js: cron expressions, time zones, scripts that exist and are known and run
+ * against some account, overlap / runtime settings.
+ */
+export function checkSchedules(schedules, { root, calendar = {}, accounts: config = accountsConfig }) {
+  const results = [];
+  const section = "schedules";
+  const accounts = registry(config);
+  let businessCalendar = null;
+  try {
+    businessCalendar = createCalendar(calendar);
+  } catch {
+    // reported by checkConfigFiles
+  }
+  schedules.forEach((entry, i) => {
+    const name = `${entry.script ?? `entry ${i}`} (${entry.schedule})`;
+    const problems = [];
+    const warnings = [];
+
+    if (!entry.script) problems.push("no script");
+    else if (!fs.existsSync(path.join(root, entry.script))) problems.push(`${entry.script} not found`);
+    else if (!SCRIPTS[entry.script]) warnings.push("not in lib/doctor.js SCRIPTS, so its env isn't checked");
+    const enabledFor = accounts?.forScript(entry.script) ?? [];
+    if (accounts && enabledFor.length === 0 && SCRIPTS[entry.script]?.alerts.length) {
+      problems.push("no account in accounts.config.js enables it, so it would run against none");
+    }
+
+    if (!cron.validate(String(entry.schedule))) problems.push("invalid cron expression");
+    else {
+      try {
+        parseCron(entry.schedule);
+      } catch (error) {
+        warnings.push(`npm run budget can't project it (${error.message})`);
+      }
+    }
+
+    if (entry.timezone && !isTimeZone(entry.timezone)) problems.push(`unknown time zone "${entry.timezone}"`);
+    if (!entry.timezone) warnings.push("no timezone: runs in the server's zone");
+    if (entry.args != null && !Array.isArray(entry.args)) problems.push("args must be an array");
+    if (entry.overlap != null && !OVERLAP_POLICIES.includes(entry.overlap)) {
+      problems.push(`overlap must be one of ${OVERLAP_POLICIES.join(", ")}`);
+    }
+    if (entry.maxRuntimeSeconds != null && !(Number.isFinite(entry.maxRuntimeSeconds) && entry.maxRuntimeSeconds > 0)) {
+      problems.push("maxRuntimeSeconds must be a positive number");
+    }
+    if (entry.alertAfterFailures != null && !(Number.isInteger(entry.alertAfterFailures) && entry.alertAfterFailures > 0)) {
+      problems.push("alertAfterFailures must be a positive integer");
+    }
+    if (entry.maxSilenceMinutes != null && !(Number.isFinite(entry.maxSilenceMinutes) && entry.maxSilenceMinutes > 0)) {
+      problems.push("maxSilenceMinutes must be a positive number");
+    }
+    if (entry.calendar != null && typeof entry.calendar !== "boolean") problems.push("calendar must be true or false");
+    if (entry.isolate != null && typeof entry.isolate !== "boolean") problems.push("isolate must be true or false");
+    // Importing a script without run() would run it at import, inside the scheduler
+    if (!entry.isolate && entry.script && fs.existsSync(path.join(root, entry.script)) && !exportsRun(path.join(root, entry.script))) {
+      problems.push("doesn't export run(context) (lib/jobContext.js): export it or set isolate: true");
+    }
+    if (entry.hours != null && businessCalendar) {
+      try {
+        for (const account of enabledFor.length ? enabledFor : [DEFAULT_ACCOUNT]) {
+          businessCalendar.status(new Date(), { account, hours: entry.hours });
+        }
+      } catch (error) {
+        problems.push(error.message.replace(/^calendar: /, ""));
+      }
+    }
+
+    if (problems.length) results.push(result(section, name, "fail", problems.concat(warnings).join("; ")));
+    else if (warnings.length) results.push(result(section, name, "warn", warnings.join("; ")));
+    else results.push(result(section, name, "ok", [entry.timezone, ...enabledFor.map((account) => `@${account}`)].join(" ")));
+  });
+  return results;
+}
+
+/** rules.json, alertRoutes.config.js, calendar.config.js and accounts.config.js. */
+export function checkConfigFiles({ routes, rulesPath, calendar, accounts = accountsConfig }) {
+  const results = [];
+  try {
+    readRulesFile(rulesPath);
+    results.push(result("config", "rules.json", "ok"));
+  } catch (error) {
+    results.push(result("config", "rules.json", "fail", error.message));
+  }
+  try {
+    validateRoutes(routes);
+    results.push(result("config", "alertRoutes.config.js", "ok"));
+  } catch (error) {
+    results.push(result("config", "alertRoutes.config.js", "fail", error.message));
+  }
+  try {
+    validateCalendar(calendar);
+    results.push(result("config", "calendar.config.js", "ok"));
+  } catch (error) {
+    results.push(result("config", "calendar.config.js", "fail", error.message));
+  }
+  try {
+    validateAccounts(accounts, { channels: routes?.channels });
+    results.push(result("config", "accounts.config.js", "ok", Object.keys(accounts).join(", ")));
+  } catch (error) {
+    results.push(result("config", "accounts.config.js", "fail", error.message));
+  }
+  return results;
+}
+
+// --- Network ---
+
+/**
+ * Authenticate each Ringba account in use and run a one-minute insights report (one "reporting"
+ * request per account).
+ */
+export async function checkRingbaAccounts({ env = process.env, schedules, accounts: config = accountsConfig, createClient = createRingbaClient }) {
+  const results = [];
+  const accounts = registry(config);
+  for (const { key } of accounts ? accountsInUse(schedules, accounts) : []) {
+    const label = `${accounts.get(key).name} (${key})`;
+    const { credentials } = accounts.credentials(key, env);
+    if (!credentials.accountId) continue; // already reported by checkEnv
+
+    const client = createClient({ ...credentials, timeout: 15000 });
+    const end = new Date();
+    const start = new Date(end.getTime() - 60 * 1000);
+    try {
+      await client.insights(
+        insightsQuery().window(start.toISOString(), end.toISOString()).groupBy("campaignName", "Campaign").values(["callCount"]).build()
+      );
+      results.push(result("ringba", label, "ok", `authenticated, account ${credentials.accountId} reachable`));
+    } catch (error) {
+      const status = error.response?.status;
+      const detail = status ? `${status} ${JSON.stringify(error.response.data ?? "")}` : error.message;
+      results.push(result("ringba", label, "fail", detail));
+    }
+  }
+  return results;
+}
+
+/** Incoming-webhook answers to an empty payload that prove the URL is live without posting. */
+const WEBHOOK_ALIVE = ["no_text", "invalid_payload", "missing_text_or_fallback_or_attachments"];
+
+/**
+ * Dry-post to every configured Slack destination: webhooks get an empty payload (rejected as
+ * "no_text" by a live hook, so nothing appears in the channel); bot channels get auth.test and
+ * conversations.info.
+ */
+export async function checkSlack({ env = process.env, routes, post = axios.post }) {
+  const results = [];
+  const destinations = resolveDestinations(Object.keys(routes.channels), routes, env);
+  const options = { timeout: 15000, validateStatus: () => true };
+
+  for (const destination of destinations) {
+    const name = `#${destination.channel}`;
+    try {
+      if (destination.kind === "webhook") {
+        const response = await post(destination.url, {}, options);
+        const body = String(response.data ?? "").trim();
+        if (WEBHOOK_ALIVE.includes(body)) results.push(result("slack", name, "ok", "webhook is live"));
+        else results.push(result("slack", name, "fail", `webhook answered ${response.status} ${body || "(empty)"}`));
+        continue;
+      }
+
+      const headers = { Authorization: `Bearer ${destination.token}` };
+      const auth = await post("https://slack.com/api/auth.test", null, { ...options, headers });
+      if (!auth.data?.ok) {
+        results.push(result("slack", name, "fail", `bot token rejected: ${auth.data?.error ?? auth.status}`));
+        continue;
+      }
+      const info = await post(
+        "https://slack.com/api/conversations.info",
+        new URLSearchParams({ channel: destination.channelId }).toString(),
+        { ...options, headers: { ...headers, "Content-Type": "application/x-www-form-urlencoded" } }
+      );
+      if (info.data?.ok) {
+        const member = info.data.channel?.is_member === false ? " (bot is not a member: invite it)" : "";
+        results.push(result("slack", name, member ? "warn" : "ok", `bot as ${auth.data.user} in ${destination.channelId}${member}`));
+      } else if (info.data?.error === "missing_scope") {
+        results.push(result("slack", name, "warn", `bot as ${auth.data.user}; add channels:read to verify ${destination.channelId}`));
+      } else {
+        results.push(result("slack", name, "fail", `${destination.channelId}: ${info.data?.error ?? info.status}`));
+      }
+    } catch (error) {
+      results.push(result("slack", name, "fail", error.message));
+    }
+  }
+
+  if (destinations.length === 0) results.push(result("slack", "destinations", "warn", "none configured; alerts are only logged"));
+  return results;
+}
+
+// --- Report ---
+
+/** Everything that needs no network: config files, schedules, env. */
+export function staticChecks({ env = process.env, schedules, routes, calendar, accounts = accountsConfig, root, rulesPath }) {
+  return [
+    ...checkConfigFiles({ routes, rulesPath, calendar, accounts }),
+    ...checkSchedules(schedules, { root, calendar, accounts }),
+    ...checkEnv({ env, schedules, routes, accounts }),
+  ];
+}
+
+const ICONS = { ok: "✅", warn: "⚠️ ", fail: "❌" };
+const TITLES = {
+  config: "Config files",
+  schedules: "Schedules (schedules.config.js)",
+  env: "Environment (.env)",
+  ringba: "Ringba accounts",
+  slack: "Slack destinations",
+};
+
+/**
+ * Readable report, grouped by section.
+ * @param {Array<object>} results
+ * @param {{ only?: Array<"ok" | "warn" | "fail"> }} [options] - Statuses to list (all by default)
+ */
+export function formatReport(results, { only } = {}) {
+  const lines = [];
+  let section = null;
+  for (const { section: s, name, status, detail } of results) {
+    if (only && !only.includes(status)) continue;
+    if (s !== section) {
+      section = s;
+      lines.push("", TITLES[s] ?? s);
+    }
+    lines.push(`  ${ICONS[status]} ${name}${detail ? ` — ${detail}` : ""}`);
+  }
+  const failed = results.filter((r) => r.status === "fail").length;
+  const warned = results.filter((r) => r.status === "warn").length;
+  lines.push("", `${failed ? "❌" : "✅"} ${failed} failed, ${warned} warning(s), ${results.length - failed - warned} ok`);
+  return lines.join("\n");
+}
@@ -0,0 +1,89 @@
+/**
+ * Dry-run mode: run a detector against live Ringba data without posting to Slack or touching the
+ * alert state, e.g. to preview a threshold change.
+ *
+ *   node multiTags.js --dry-run                    — print each alert's Slack payload to stdout
+ *   node multiTags.js --dry-run=/tmp/alerts.jsonl  — append them to a file (one JSON per line)
+ *   DRY_RUN=1 node multiTags.js                    — same as --dry-run (DRY_RUN=<file> for a file)
+ *   node scheduler.js --dry-run                    — every scheduled run is a dry run
+ *
+ * getNotifier() swaps its Slack sinks for dryRunSink (same routing, same rendering, buttons
+ * included) and getAlertState() reads the file but never writes it, so de-duplication, incidents,
+ * Slack threads and silences are checked as usual and left as they were. Ringba requests are real:
+ * the call store still syncs and the request ledger still counts them.
+ */
+import fs from "fs";
+import path from "path";
+
+/** Env var carrying the mode to scheduler children: "1" (stdout) or an output file. */
+export const DRY_RUN_ENV = "DRY_RUN";
+
+const OFF = ["", "0", "false", "no"];
+
+/**
+ * Dry-run setting from argv ("--dry-run" or "--dry-run=<file>"), falling back to DRY_RUN.
+ * @returns {{ output: string | null } | null} null when off; output null means stdout
+ */
+export function dryRunArg(argv = process.argv.slice(2), env = process.env) {
+  for (const arg of argv) {
+    if (arg === "--dry-run") return { output: null };
+    if (arg.startsWith("--dry-run=")) {
+      const file = arg.slice("--dry-run=".length);
+      if (!file) throw new Error("--dry-run= expects a file path");
+      return { output: path.resolve(file) };
+    }
+  }
+  const value = (env[DRY_RUN_ENV] ?? "").trim();
+  if (OFF.includes(value.toLowerCase())) return null;
+  return { output: ["1", "true", "yes"].includes(value.toLowerCase()) ? null : path.resolve(value) };
+}
+
+/** Value of DRY_RUN that hands this setting on to a child process. */
+export function dryRunEnvValue(dryRun) {
+  return dryRun.output ?? "1";
+}
+
+/**
+ * Writes each rendered message instead of posting it: a readable block on stdout, or one JSON
+ * line per message ({ at, destination, text, blocks, ... }) appended to `output`.
+ * @param {object} [options]
+ * @param {string | null} [options.output] - File to append to (default stdout)
+ * @param {string} [options.destination] - Where the live run would have posted ("#buyer-ops", ...)
+ */
+export function dryRunSink({ output = null, destination = "(no channel)" } = {}) {
+  return {
+    name: "dry-run",
+    async send({ text, blocks, alert, clock }) {
+      if (output) {
+        const line = {
+          at: (clock?.now() ?? new Date()).toISOString(),
+          destination,
+          type: alert.type,
+          status: alert.status ?? null,
+          thread: alert.thread ?? null,
+          text,
+          blocks,
+        };
+        fs.appendFileSync(output, `${JSON.stringify(line)}\n`);
+        console.log(`🧪 Dry run: ${destination} alert written to ${output}:`, text);
+        return;
+      }
+      console.log(`🧪 Dry run: would post to ${destination}:\n${JSON.stringify({ text, blocks }, null, 2)}`);
+    },
+  };
+}
+
+let processDryRun;
+
+/** The process dry-run setting, from --dry-run / DRY_RUN (parsed once); null when off. */
+export function getDryRun() {
+  if (processDryRun === undefined) {
+    processDryRun = dryRunArg();
+    if (processDryRun) {
+      console.log(
+        `🧪 Dry run: alerts go to ${processDryRun.output ?? "stdout"}, not Slack; alert state is read-only`
+      );
+    }
+  }
+  return processDryRun;
+}
@@ -0,0 +1,70 @@
+/**
+ * File helpers shared by everything the scheduler's child processes write concurrently:
+ * an O_EXCL lock file and temp-file + rename writes.
+ */
+import fs from "fs";
+
+const LOCK_RETRY_MS = 25;
+const LOCK_TIMEOUT_MS = 10 * 1000;
+const STALE_LOCK_MS = 30 * 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/** Exclusive lock via O_EXCL lock file; steals locks left behind by a crashed process. */
+async function acquireLock(lockPath, timeoutMs) {
+  const started = Date.now();
+  for (;;) {
+    try {
+      const fd = fs.openSync(lockPath, "wx");
+      fs.writeSync(fd, String(process.pid));
+      fs.closeSync(fd);
+      return;
+    } catch (error) {
+      if (error.code !== "EEXIST") throw error;
+    }
+
+    try {
+      const age = Date.now() - fs.statSync(lockPath).mtimeMs;
+      if (age > STALE_LOCK_MS) {
+        fs.unlinkSync(lockPath);
+        continue;
+      }
+    } catch {
+      // lock released between open and stat: retry immediately
+      continue;
+    }
+
+    if (Date.now() - started > timeoutMs) {
+      throw new Error(`Timed out waiting for lock ${lockPath}`);
+    }
+    await sleep(LOCK_RETRY_MS);
+  }
+}
+
+function releaseLock(lockPath) {
+  try {
+    fs.unlinkSync(lockPath);
+  } catch {
+    // already gone (stolen as stale)
+  }
+}
+
+/**
+ * Run fn while holding lockPath. Keep fn short (file I/O only): locks older than 30s are
+ * treated as abandoned and stolen.
+ */
+export async function withFileLock(lockPath, fn, { timeoutMs = LOCK_TIMEOUT_MS } = {}) {
+  await acquireLock(lockPath, timeoutMs);
+  try {
+    return await fn();
+  } finally {
+    releaseLock(lockPath);
+  }
+}
+
+/** Temp file + rename so readers never see a half-written file. */
+export function writeFileAtomic(filePath, contents) {
+  const tmp = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, contents);
+  fs.renameSync(tmp, filePath);
+}
@@ -0,0 +1,175 @@
+/**
+ * Alerts as incidents instead of one-off messages:
+ *
+ *   opened    — the condition trips and no incident is open: the alert is sent
+ *   updated   — still tripped and the metric is at least `worseBy` past its peak: an update is sent
+ *   resolved  — not tripped for `resolveAfter` consecutive checks: a "recovered" message is sent
+ *   re-opened — trips again after resolving: a new incident is opened
+ *
+ *   const incidents = createIncidentTracker("targetHangups", { resolveAfter: 2, worseBy: 5 });
+ *   for (const target of targets) {
+ *     await incidents.check(target.name, { clock, tripped: pct > 10, metric: pct, alert });
+ *   }
+ *
+ * Detectors call check() for every entity they evaluated, tripped or not; entities missing from a
+ * run (e.g. a failed request) are left as they are rather than counted as healthy. Incidents live
+ * in the alert state (lib/alertState.js, namespace "incidents:<name>") and so close at the end of
+ * the business day along with the day's data. Replays evaluate against the state as of their
+ * as-of time and send as usual, but never write it.
+ *
+ * A transition counts as sent once any of its Slack destinations got it. Destinations that
+ * failed are kept on the incident (`pending`) and get that same message on the next check, so a
+ * channel that was down catches up without the others seeing it twice.
+ */
+import { getAlertState } from "./alertState.js";
+import { getNotifier } from "./notifier.js";
+
+/**
+ * @typedef {object} Incident
+ * @property {"open" | "resolved"} status
+ * @property {string} openedAt - ISO
+ * @property {string} [resolvedAt]
+ * @property {number} metric - Last value seen
+ * @property {number} peak - Worst value since opened (what updates are measured against)
+ * @property {number} healthyChecks - Consecutive checks below threshold while open
+ * @property {number} opened - Times opened today
+ * @property {{ alert: object, sentTo: string[] } | null} [pending] - Last message, while some of
+ *   its sinks still haven't accepted it
+ */
+
+/**
+ * @param {string} name - Detector name (state namespace suffix)
+ * @param {object} [options]
+ * @param {number} [options.resolveAfter] - Consecutive healthy checks before resolving (2)
+ * @param {number} [options.worseBy] - Metric increase over the peak that triggers an update;
+ *   omit for no updates
+ * @param {(metric: number) => string} [options.formatMetric] - For "peak" fields in messages
+ * @param {(entity: string, healthyChecks: number) => string} [options.describeRecovery] - Summary
+ *   of the "recovered" message
+ * @param {object} [options.notifier]
+ * @param {object} [options.state]
+ */
+export function createIncidentTracker(name, options = {}) {
+  const {
+    resolveAfter = 2,
+    worseBy = null,
+    formatMetric = (metric) => String(metric),
+    describeRecovery = (entity, healthyChecks) =>
+      `${entity} has been back under the threshold for ${healthyChecks} consecutive checks`,
+    notifier = getNotifier(),
+    state = getAlertState(),
+  } = options;
+  const incidents = state.namespace(`incidents:${name}`);
+  // Notifiers without per-sink results count as a single sink
+  const deliver =
+    notifier.deliver ??
+    (async (alert, options) => {
+      const ok = await notifier.send(alert, options);
+      return { silenced: false, sent: ok ? [notifier.name ?? "notifier"] : [], failed: ok ? [] : [notifier.name ?? "notifier"] };
+    });
+
+  async function save(key, incident, clock) {
+    if (!clock.isReplay) await incidents.set(key, incident, { now: clock.now() });
+  }
+
+  /**
+   * Send a transition's message. Resolves to the incident's `pending` afterwards (null when every
+   * sink got it), or false when no sink did (or it was silenced): the transition didn't happen.
+   */
+  async function notify(key, alert, incident, status, clock, extra = {}) {
+    const message = {
+      ...alert,
+      ...extra,
+      status,
+      // Updates and the recovery thread under the alert that opened this incident
+      thread: `incident:${name}:${key}#${incident.opened}`,
+      incident: { key: `${name}:${key}`, openedAt: incident.openedAt, peak: incident.peak, opened: incident.opened },
+    };
+    const { sent, failed } = await deliver(message, { clock });
+    if (sent.length === 0) return false;
+    return failed.length ? { alert: message, sentTo: sent } : null;
+  }
+
+  /** Re-send the pending message to the sinks that haven't got it yet. */
+  async function retryPending(key, incident, clock) {
+    const { alert, sentTo } = incident.pending;
+    const { silenced, sent, failed } = await deliver(alert, { clock, skip: sentTo });
+    const pending = silenced || failed.length === 0 ? null : { alert, sentTo: [...sentTo, ...sent] };
+    const next = { ...incident, pending };
+    await save(key, next, clock);
+    return next;
+  }
+
+  /**
+   * Record one check of an entity and send whatever its incident's transition calls for.
+   * @param {string} key - Entity (target name, "campaign|publisher|tag", ...)
+   * @param {object} check
+   * @param {object} check.clock
+   * @param {boolean} check.tripped - Condition is over threshold now
+   * @param {number} check.metric - Current value (higher = worse)
+   * @param {import("./notifier.js").Alert} check.alert - Alert describing the current state
+   * @param {number} [check.worseBy] - This entity's update step (defaults to the tracker's)
+   * @returns {Promise<"opened" | "updated" | "open" | "recovering" | "resolved" | "ok">}
+   */
+  async function check(key, { clock, tripped, metric, alert, worseBy: step = worseBy }) {
+    const now = clock.now();
+    let current = incidents.get(key, { now });
+    if (current?.pending && !clock.isReplay) current = await retryPending(key, current, clock);
+
+    if (tripped) {
+      if (!current || current.status !== "open") {
+        const incident = {
+          status: "open",
+          openedAt: now.toISOString(),
+          metric,
+          peak: metric,
+          healthyChecks: 0,
+          opened: (current?.opened ?? 0) + 1,
+        };
+        // Only recorded once the alert went out, so a failed post is retried next check
+        const pending = await notify(key, alert, incident, "open", clock);
+        if (pending !== false) await save(key, { ...incident, pending }, clock);
+        return "opened";
+      }
+
+      const incident = { ...current, metric, healthyChecks: 0 };
+      if (step != null && metric >= current.peak + step) {
+        const pending = await notify(key, alert, { ...incident, peak: metric }, "update", clock, {
+          metrics: [...(alert.metrics || []), { label: "Previous peak", value: formatMetric(current.peak) }],
+        });
+        if (pending !== false) Object.assign(incident, { peak: metric, pending });
+        await save(key, incident, clock);
+        return "updated";
+      }
+      if (current.healthyChecks !== 0 || current.metric !== metric) await save(key, incident, clock);
+      return "open";
+    }
+
+    if (!current || current.status !== "open") return "ok";
+
+    const healthyChecks = current.healthyChecks + 1;
+    if (healthyChecks < resolveAfter) {
+      await save(key, { ...current, metric, healthyChecks }, clock);
+      return "recovering";
+    }
+
+    const resolved = { ...current, status: "resolved", resolvedAt: now.toISOString(), metric, healthyChecks };
+    const pending = await notify(key, alert, resolved, "resolved", clock, {
+      severity: "info",
+      summary: describeRecovery(alert.entity ?? key, healthyChecks),
+      metrics: [...(alert.metrics || []), { label: "Peak", value: formatMetric(current.peak) }],
+    });
+    // A "recovered" post no sink took is retried next check
+    await save(key, pending !== false ? { ...resolved, pending } : { ...current, metric, healthyChecks }, clock);
+    return "resolved";
+  }
+
+  /** Incidents currently open, by key (for reporting). */
+  function open({ now = new Date() } = {}) {
+    return Object.fromEntries(
+      Object.entries(incidents.entries({ now })).filter(([, incident]) => incident.status === "open")
+    );
+  }
+
+  return { name, check, open };
+}
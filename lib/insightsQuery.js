@@ -0,0 +1,320 @@
+/**
+ * Fluent builders for /insights report bodies and /calllogs request bodies.
+ *
+ *   const body = insightsQuery()
+ *     .window(reportStart, reportEnd)
+ *     .groupBy("targetName", "Target")
+ *     .preset("excludeBrokerEnroll", "nonDuplicate", "notBlocked")
+ *     .where("campaignName", campaignName)
+ *     .build();
+ *
+ * Defaults match every report we run: the 20 standard value columns, ordered by callCount desc,
+ * formatted timespans/percentages, rollups on, 1000 rows per group, formatted in the timeZone
+ * option (pass the account's; defaults to REPORT_TIME_ZONE or America/New_York).
+ * callLogQuery() shares the filter methods and defaults to every CALL_LOG_COLUMNS column ordered
+ * by callDt asc (paging via offset/size is left to lib/callLogStream.js).
+ * Column names are checked against the catalog below; "tag:<Group>:<Name>" columns are always allowed.
+ */
+import { DEFAULT_TIME_ZONE } from "./timeWindow.js";
+
+/** Value columns every insights report requests. */
+export const STANDARD_VALUE_COLUMNS = [
+  "callCount",
+  "liveCallCount",
+  "completedCalls",
+  "endedCalls",
+  "connectedCallCount",
+  "payoutCount",
+  "convertedCalls",
+  "nonConnectedCallCount",
+  "duplicateCalls",
+  "blockedCalls",
+  "incompleteCalls",
+  "earningsPerCallGross",
+  "conversionAmount",
+  "payoutAmount",
+  "profitGross",
+  "profitMarginGross",
+  "convertedPercent",
+  "callLengthInSeconds",
+  "avgHandleTime",
+  "totalCost",
+];
+
+/** Per-call columns (call logs); also usable as insights group-by / filter columns. */
+export const CALL_LOG_COLUMNS = [
+  "campaignName",
+  "publisherName",
+  "targetName",
+  "targetNumber",
+  "buyer",
+  "targetGroupName",
+  "campaignId",
+  "publisherId",
+  "publisherSubId",
+  "targetId",
+  "targetSubId",
+  "buyerId",
+  "targetBuyerSubId",
+  "targetGroupId",
+  "inboundCallId",
+  "callDt",
+  "inboundPhoneNumber",
+  "number",
+  "numberId",
+  "callCompletedDt",
+  "callConnectionDt",
+  "endCallSource",
+  "hasConnected",
+  "isIncomplete",
+  "hasRecording",
+  "isLive",
+  "recordingUrl",
+  "isFromNumberPool",
+  "numberPoolId",
+  "numberPoolName",
+  "timeToCallInSeconds",
+  "callLengthInSeconds",
+  "connectedCallLengthInSeconds",
+  "timeToConnectInSeconds",
+  "noPayoutReason",
+  "noConversionReason",
+  "blockReason",
+  "incompleteCallReason",
+  "offlineConversionUploaded",
+  "hasRpcCalculation",
+  "googleAdsIntegrationType",
+  "googleAdsUploadErrorCode",
+  "googleAdsSuccessfulUpload",
+  "hasPayout",
+  "isDuplicate",
+  "hasPreviouslyConnected",
+  "previouseCallDateTime",
+  "previouseCallTargetName",
+  "hasConverted",
+  "wasBlocked",
+  "convAdjustmentsApprovedAmount",
+  "conversionAmount",
+  "profitNet",
+  "profitGross",
+  "payoutAmount",
+  "hasVoiceMail",
+  "totalCost",
+  "telcoCost",
+  "wasConversionAdjusted",
+  "conversionAdjustedCalls",
+  "wasPayoutAdjusted",
+  "hasAnnotations",
+  "convAdjustmentsRejectedCount",
+  "convAdjustmentRequestCount",
+  "convAdjustmentsApproved",
+  "tcpaCount",
+  "wasBlockedByTCPA",
+  "tcpaCost",
+  "dataEnrichmentCount",
+  "icpCost",
+  "customDataEnrichmentCount",
+  "customDEappendedTagsCount",
+  "customDataEnrichmentSuccess",
+  "ivrDepth",
+  "reroutedToChild",
+  "reroutedFromParent",
+  "globalCallId",
+  "rerouteDepth",
+  "transcriptionCost",
+  "transcriptionCount",
+  "transcriptionId",
+  "hasTranscription",
+  "pendingTranscription",
+  "pingDynamicCallLengthInSeconds",
+  "ringTreeWinningBidTargetName",
+  "ringTreeWinningBidTargetId",
+  "ringTreeWinningBid",
+  "ringTreeWinningBidMinimumRevenueAmount",
+  "ringTreeWinningBidDynamicDuration",
+  "ringTreeWinningBidMaxDynamicDuration",
+  "pingTotalBidAmount",
+  "pingSuccessCount",
+  "pingFailCount",
+  "bidAmount",
+  "winningBid",
+  "winningBidCallAccepted",
+  "winningBidCallRejected",
+  "avgPingTreeBidAmount",
+];
+
+const KNOWN_COLUMNS = new Set([...STANDARD_VALUE_COLUMNS, ...CALL_LOG_COLUMNS]);
+
+/** Throws on a column Ringba won't recognise (typos otherwise come back as empty reports). */
+export function assertColumn(column) {
+  if (typeof column === "string" && (KNOWN_COLUMNS.has(column) || /^tag:[^:]+:.+/.test(column))) return;
+  throw new Error(`Unknown insights column: ${JSON.stringify(column)}`);
+}
+
+function condition(column, value, comparisonType, isNegativeMatch = false) {
+  assertColumn(column);
+  return { column, value: String(value), isNegativeMatch, comparisonType };
+}
+
+/** Named filter sets shared by the reports. Each entry is a list of AND-ed filter groups. */
+export const FILTER_PRESETS = {
+  excludeBroker: [[condition("campaignName", "Broker", "CONTAINS", true)]],
+  excludeBrokerEnroll: [
+    [condition("campaignName", "Broker", "CONTAINS", true)],
+    [condition("campaignName", "Enroll", "CONTAINS", true)],
+  ],
+  nonDuplicate: [[condition("isDuplicate", "no", "EQUALS")]],
+  notBlocked: [[condition("wasBlocked", "no", "EQUALS")]],
+};
+
+function toISO(value) {
+  return value instanceof Date ? value.toISOString() : value;
+}
+
+const DEFAULTS = {
+  insights: () => ({
+    valueColumns: STANDARD_VALUE_COLUMNS,
+    orderByColumns: [{ column: "callCount", direction: "desc" }],
+    options: {
+      formatTimespans: true,
+      formatPercentages: true,
+      generateRollups: true,
+      maxResultsPerGroup: 1000,
+    },
+  }),
+  callLogs: () => ({
+    valueColumns: CALL_LOG_COLUMNS,
+    orderByColumns: [{ column: "callDt", direction: "asc" }],
+    options: {
+      formatTimespans: true,
+      formatPercentages: true,
+      formatDateTime: true,
+    },
+  }),
+};
+
+/** @param {{ timeZone?: string }} [options] */
+export function insightsQuery(options) {
+  return createQuery("insights", options);
+}
+
+/** @param {{ timeZone?: string }} [options] */
+export function callLogQuery(options) {
+  return createQuery("callLogs", options);
+}
+
+function createQuery(kind, { timeZone = DEFAULT_TIME_ZONE } = {}) {
+  const state = {
+    reportStart: null,
+    reportEnd: null,
+    groupByColumns: [],
+    filters: [],
+    formatTimeZone: timeZone,
+    ...DEFAULTS[kind](),
+  };
+
+  const addGroup = (conditions) => {
+    state.filters.push({ anyConditionToMatch: conditions });
+    return builder;
+  };
+
+  const builder = {
+    /** Report window; Dates or ISO strings. */
+    window(reportStart, reportEnd) {
+      state.reportStart = toISO(reportStart);
+      state.reportEnd = toISO(reportEnd);
+      return builder;
+    },
+    groupBy(column, displayName = column) {
+      if (kind === "callLogs") throw new Error("callLogQuery: call logs can't be grouped");
+      assertColumn(column);
+      state.groupByColumns.push({ column, displayName });
+      return builder;
+    },
+    /** Replace the value columns (defaults to STANDARD_VALUE_COLUMNS / CALL_LOG_COLUMNS). */
+    values(columns) {
+      columns.forEach(assertColumn);
+      state.valueColumns = [...columns];
+      return builder;
+    },
+    /** Replace the ordering (defaults to callCount desc / callDt asc). */
+    orderBy(column, direction = "desc") {
+      assertColumn(column);
+      state.orderByColumns = [{ column, direction }];
+      return builder;
+    },
+    where(column, value) {
+      return addGroup([condition(column, value, "EQUALS")]);
+    },
+    whereNot(column, value) {
+      return addGroup([condition(column, value, "EQUALS", true)]);
+    },
+    contains(column, value) {
+      return addGroup([condition(column, value, "CONTAINS")]);
+    },
+    notContains(column, value) {
+      return addGroup([condition(column, value, "CONTAINS", true)]);
+    },
+    lessThan(column, value) {
+      return addGroup([condition(column, value, "LESS_THAN")]);
+    },
+    greaterThan(column, value) {
+      return addGroup([condition(column, value, "GREATER_THAN")]);
+    },
+    /** OR-ed conditions in one group: whereAny([["buyer", "A"], ["buyer", "B"]]). */
+    whereAny(pairs, comparisonType = "EQUALS") {
+      return addGroup(pairs.map(([column, value]) => condition(column, value, comparisonType)));
+    },
+    /** Apply named FILTER_PRESETS in order. */
+    preset(...names) {
+      for (const name of names) {
+        const groups = FILTER_PRESETS[name];
+        if (!groups) throw new Error(`Unknown filter preset: ${name}`);
+        groups.forEach((conditions) => addGroup(conditions.map((c) => ({ ...c }))));
+      }
+      return builder;
+    },
+    /** Override report options (formatTimespans, generateRollups, maxResultsPerGroup, ...). */
+    options(overrides) {
+      Object.assign(state.options, overrides);
+      return builder;
+    },
+    timeZone(formatTimeZone) {
+      state.formatTimeZone = formatTimeZone;
+      return builder;
+    },
+    /** The /insights or /calllogs request body. */
+    build() {
+      if (!state.reportStart || !state.reportEnd) {
+        throw new Error(`${kind === "callLogs" ? "callLogQuery" : "insightsQuery"}: window(reportStart, reportEnd) is required`);
+      }
+      const filters = state.filters.map((f) => ({ anyConditionToMatch: f.anyConditionToMatch.map((c) => ({ ...c })) }));
+      const orderByColumns = state.orderByColumns.map((o) => ({ ...o }));
+
+      if (kind === "callLogs") {
+        return {
+          reportStart: state.reportStart,
+          reportEnd: state.reportEnd,
+          orderByColumns,
+          filters,
+          valueColumns: state.valueColumns.map((column) => ({ column })),
+          ...state.options,
+          formatTimeZone: state.formatTimeZone,
+        };
+      }
+
+      return {
+        reportStart: state.reportStart,
+        reportEnd: state.reportEnd,
+        groupByColumns: state.groupByColumns.map((g) => ({ ...g })),
+        valueColumns: state.valueColumns.map((column) => ({ column, aggregateFunction: null })),
+        orderByColumns,
+        ...state.options,
+        filters,
+        formatTimeZone: state.formatTimeZone,
+      };
+    },
+  };
+
+  return builder;
+}
@@ -0,0 +1,101 @@
+/**
+ * Operational alerts about the scheduler's own jobs, so a script that keeps failing (an expired
+ * Ringba token, a crash on unexpected data) doesn't just fill the PM2 log while its alerts
+ * silently stop:
+ *
+ *   const jobAlerts = createJobAlerts();
+ *   const run = await runner.trigger(entry);
+ *   await jobAlerts.afterRun(entry, run);
+ *
+ * Each job (script + args) is an incident (lib/incidents.js, "jobFailures") that opens once the
+ * job has failed `alertAfterFailures` runs in a row (default 3) or on any run stopped for going
+ * past its maxRuntimeSeconds, and resolves with a recovery notice on its next successful run.
+ * Failures below the threshold leave an open incident open; skipped runs don't count either way.
+ * Alerts are type "jobFailure" (routed in alertRoutes.config.js).
+ */
+import { createIncidentTracker } from "./incidents.js";
+import { createClock, formatAsOf } from "./clock.js";
+import { errorLines, getRunHistory } from "./runHistory.js";
+
+export const JOB_FAILURE_TYPE = "jobFailure";
+export const DEFAULT_ALERT_AFTER_FAILURES = 3;
+
+const ERROR_MAX = 300;
+
+/** Runs (newest first) that didn't succeed since the last one that did, skipped runs aside. */
+export function consecutiveFailures(runs) {
+  let failures = 0;
+  for (const run of runs) {
+    if (run.status === "skipped") continue;
+    if (run.status === "ok") break;
+    failures++;
+  }
+  return failures;
+}
+
+/**
+ * The alert for a job's latest run.
+ * @param {object} entry - schedules.config.js entry
+ * @param {import("./runHistory.js").Run} run
+ * @param {number} failures - Failed runs in a row, this one included
+ */
+export function jobFailureAlert(entry, run, failures) {
+  const lastError = errorLines(run.stderrTail ?? "").at(-1);
+  let summary = `${run.job} succeeded`;
+  if (run.status === "timeout") summary = `${run.job} was stopped: ${run.reason}`;
+  else if (run.status !== "ok") summary = `${run.job} failed ${failures} runs in a row`;
+  return {
+    type: JOB_FAILURE_TYPE,
+    severity: "critical",
+    title: `Scheduled job failing: ${entry.description || run.job}`,
+    entityType: "Job",
+    entity: run.job,
+    summary,
+    metrics: [
+      { label: "Failed runs in a row", value: failures },
+      { label: "Last run", value: `${run.status} at ${formatAsOf(new Date(run.start))}` },
+      { label: "Exit", value: run.signal ?? run.exitCode ?? "-" },
+      ...(lastError && run.status !== "ok" ? [{ label: "Last error", value: lastError.slice(0, ERROR_MAX) }] : []),
+    ],
+    source: "scheduler",
+  };
+}
+
+/**
+ * @param {object} [options]
+ * @param {object} [options.history] - lib/runHistory.js history the runs were recorded in
+ * @param {object} [options.notifier]
+ * @param {object} [options.state]
+ */
+export function createJobAlerts({ history = getRunHistory(), ...trackerOptions } = {}) {
+  const incidents = createIncidentTracker("jobFailures", {
+    resolveAfter: 1,
+    formatMetric: (failures) => `${failures} failed runs`,
+    describeRecovery: (job) => `${job} is running successfully again`,
+    ...trackerOptions,
+  });
+
+  return {
+    /**
+     * Open, keep or resolve the job's incident after a run (already in the history).
+     * @returns {Promise<string | null>} The incident transition, "failing" below the threshold,
+     *   null for skipped runs
+     */
+    async afterRun(entry, run) {
+      if (run.status === "skipped") return null;
+      const failures =
+        run.status === "ok" ? 0 : consecutiveFailures(history.list({ job: run.job }).filter((r) => r.job === run.job));
+      const failing = run.status !== "ok";
+      if (failing && run.status !== "timeout" && failures < (entry.alertAfterFailures ?? DEFAULT_ALERT_AFTER_FAILURES)) {
+        return "failing";
+      }
+      return incidents.check(run.job, {
+        clock: createClock(),
+        tripped: failing,
+        metric: failures,
+        alert: jobFailureAlert(entry, run, failures),
+      });
+    },
+    open: incidents.open,
+  };
+}
@@ -0,0 +1,160 @@
+/**
+ * What a scheduled script gets to run with. Every script exports `run(context)` and only runs
+ * itself when it is the process's entry point:
+ *
+ *   export async function run({ clock, ringbaClient, notifier, state, rules, timeZone }) {
+ *     const ringba = ringbaClient();
+ *     ...
+ *   }
+ *
+ *   runMain(import.meta.url, run);
+ *
+ * A context is bound to one Ringba account (accounts.config.js): ringbaClient() is that account's
+ * client, timeZone its day, and what the script sends and stores is the account's — alerts carry
+ * its key and name (and go to its channel unless a route says otherwise), their threads and the
+ * state namespaces are prefixed with its key, so two accounts never share a de-duplication key.
+ *
+ * Run by hand (`node multiTags.js --account elite`), or by the scheduler as a child process, a
+ * script builds its context from its own process (createJobContext): .env credentials, --as-of,
+ * --dry-run, --account (or RINGBA_ACCOUNT, else "main") and the rules the scheduler passed in or
+ * rules.json. The scheduler's in-process runs (lib/jobRunner.js) get theirs from the scheduler,
+ * one per job and account, so Ringba clients (and their tokens), the rate limiter, the notifier and
+ * the alert state are shared across jobs, and `rules` is the last valid rules.json it loaded.
+ */
+import path from "path";
+import { fileURLToPath } from "url";
+import { createRingbaClient } from "./ringbaClient.js";
+import { getClock } from "./clock.js";
+import { getNotifier } from "./notifier.js";
+import { getAlertState } from "./alertState.js";
+import { loadRules } from "./rules.js";
+import { ACCOUNT_ENV, DEFAULT_ACCOUNT, getAccounts } from "./accounts.js";
+
+/**
+ * @typedef {object} JobContext
+ * @property {{ asOf: Date | null, isReplay: boolean, now: () => Date }} clock - lib/clock.js clock
+ * @property {string[]} args - The script's arguments, without --as-of, --dry-run and --account
+ * @property {import("./accounts.js").Account} account - The Ringba account it runs against
+ * @property {string} timeZone - The account's time zone (report windows, "today")
+ * @property {(options?: object) => object} ringbaClient - The account's Ringba client; the same
+ *   client for the same options, its requests cancelled once `signal` aborts
+ * @property {object} notifier - lib/notifier.js notifier; alerts are tagged with the account
+ * @property {object} state - lib/alertState.js state; namespaces are the account's
+ * @property {object} rules - lib/rules.js rules
+ * @property {AbortSignal} signal - Aborted when the scheduler stops the run (timeout, overlap kill)
+ */
+
+const VALUE_FLAGS = ["--as-of", "--account"];
+
+/** argv without --as-of and --account (and their values) and --dry-run. */
+export function scriptArgs(argv = process.argv.slice(2)) {
+  return argv.filter(
+    (arg, i, all) =>
+      !VALUE_FLAGS.some((flag) => arg.startsWith(flag) || all[i - 1] === flag) && !arg.startsWith("--dry-run")
+  );
+}
+
+/** The account this process runs against: --account <key> or --account=<key>, else RINGBA_ACCOUNT, else "main". */
+export function processAccount(argv = process.argv.slice(2), env = process.env) {
+  const i = argv.findIndex((arg) => arg === "--account" || arg.startsWith("--account="));
+  if (i === -1) return env[ACCOUNT_ENV] || DEFAULT_ACCOUNT;
+  const value = argv[i] === "--account" ? argv[i + 1] : argv[i].slice("--account=".length);
+  if (!value) throw new Error("--account needs an account key (accounts.config.js)");
+  return value;
+}
+
+/**
+ * State whose namespaces (and namespaced calls) are prefixed with the account's key, and whose
+ * writes expire at the end of the account's day by default.
+ */
+function accountState(state, account) {
+  const scoped = (name) => `${account.key}/${name}`;
+  const { timeZone } = account;
+  return {
+    ...state,
+    get: (name, ...rest) => state.get(scoped(name), ...rest),
+    has: (name, ...rest) => state.has(scoped(name), ...rest),
+    entries: (name, ...rest) => state.entries(scoped(name), ...rest),
+    set: (name, key, value, options) => state.set(scoped(name), key, value, { timeZone, ...options }),
+    setMany: (name, values, options) => state.setMany(scoped(name), values, { timeZone, ...options }),
+    remove: (name, ...rest) => state.remove(scoped(name), ...rest),
+    namespace: (name, options) => state.namespace(scoped(name), { timeZone, ...options }),
+  };
+}
+
+/** Notifier that tags every alert with the account and keeps its threads apart from other accounts'. */
+function accountNotifier(notifier, account) {
+  const tag = (alert) => ({
+    ...alert,
+    account: account.key,
+    accountName: account.name,
+    timeZone: account.timeZone,
+    ...(alert.thread && { thread: `${account.key}/${alert.thread}` }),
+  });
+  return {
+    ...notifier,
+    send: (alert, options) => notifier.send(tag(alert), options),
+    ...(notifier.deliver && { deliver: (alert, options) => notifier.deliver(tag(alert), options) }),
+  };
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.account] - accounts.config.js key; defaults to this process's (--account)
+ * @param {object} [options.accounts] - lib/accounts.js registry
+ * @param {object} [options.clock] - Defaults to the process clock (--as-of)
+ * @param {string[]} [options.args] - Defaults to this process's arguments
+ * @param {object} [options.rules] - Defaults to loadRules() (ALERT_RULES_JSON, else rules.json)
+ * @param {object} [options.notifier]
+ * @param {object} [options.state]
+ * @param {AbortSignal} [options.signal]
+ * @param {object} [options.env] - Where account credentials are read from
+ * @param {Map} [options.clients] - Client cache to share with other contexts (keyed by account)
+ * @returns {JobContext}
+ */
+export function createJobContext(options = {}) {
+  const env = options.env ?? process.env;
+  const clients = options.clients ?? new Map();
+  const accounts = options.accounts ?? getAccounts();
+  const account = accounts.get(options.account ?? processAccount());
+  const signal = options.signal ?? new AbortController().signal;
+
+  // Shared clients (tokens, limiter queues) seen through this run's signal
+  const bound = new Map();
+  function ringbaClient(clientOptions = {}) {
+    const key = `${account.key}:${JSON.stringify(clientOptions)}`;
+    if (!clients.has(key)) {
+      clients.set(key, createRingbaClient({ ...accounts.credentials(account.key, env).credentials, ...clientOptions }));
+    }
+    if (!bound.has(key)) bound.set(key, clients.get(key).withSignal(signal));
+    return bound.get(key);
+  }
+
+  return {
+    clock: options.clock ?? getClock(),
+    args: options.args ?? scriptArgs(),
+    account,
+    timeZone: account.timeZone,
+    ringbaClient,
+    notifier: accountNotifier(options.notifier ?? getNotifier(), account),
+    state: accountState(options.state ?? getAlertState(), account),
+    rules: options.rules ?? loadRules(),
+    signal,
+  };
+}
+
+/** Whether the module at `moduleUrl` (import.meta.url) is the script node was started with. */
+export function isMain(moduleUrl) {
+  return Boolean(process.argv[1]) && path.resolve(process.argv[1]) === fileURLToPath(moduleUrl);
+}
+
+/** Run the script with a context from this process when it's the entry point; exit 1 if it throws. */
+export function runMain(moduleUrl, run) {
+  if (!isMain(moduleUrl)) return;
+  run(createJobContext()).catch((error) => {
+    // The stack, not the error object (an axios error prints as pages of config), so the run
+    // history's last stderr line names the error
+    console.error(error?.stack ?? error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,236 @@
+/**
+ * Runs scheduled scripts, one job at a time each (scheduler.js).
+ *
+ *   const runner = createJobRunner({ root, env: (entry) => ({ ALERT_RULES_JSON: rulesJson }), context });
+ *   cron.schedule(entry.schedule, () => runner.trigger(entry));
+ *
+ * Given a `context` factory, scripts run in the runner's own process: the script is imported once
+ * and its exported run(context) called with a lib/jobContext.js context, so Ringba clients, tokens,
+ * the rate limiter and the alert state are shared across jobs. Entries with `isolate: true` (and
+ * every entry when there's no factory) run as a child process instead, with `env` added to theirs:
+ * a crash, leak or stuck loop there can't take the scheduler with it.
+ *
+ * A job is a script with its args, and its Ringba account when the entry has one (lib/accounts.js
+ * expandSchedules): "targetNoAnswer.js pull @elite". When a tick comes while the job's previous run is still going,
+ * the entry's `overlap` policy decides:
+ *   skip   (default) the new run is recorded as skipped
+ *   queue  it starts as soon as the previous one ends (at most one waits; further ticks skip)
+ *   kill   the previous run is killed and the new one starts once it has exited
+ *
+ * A run still going after `maxRuntimeSeconds` (default 600) is sent SIGTERM, then SIGKILL if it
+ * hasn't exited 10s later, and recorded as a timeout. In-process runs can't be killed: their
+ * context.signal is aborted instead (the context factory gets it too, so Ringba requests and
+ * limiter waits stop with it), and one still going 10s later is warned about. Either way a run is
+ * recorded, and the job's next run starts, only once it has actually ended, so two runs of a job
+ * never overlap. Every run ends up in the run history
+ * (lib/runHistory.js) with its exit code (0, or 1 when run() threw, in-process), duration and the
+ * tail of its stderr (the error's stack, in-process).
+ */
+import { spawn } from "child_process";
+import crypto from "crypto";
+import path from "path";
+import { pathToFileURL } from "url";
+import { getRunHistory } from "./runHistory.js";
+
+export const OVERLAP_POLICIES = ["skip", "queue", "kill"];
+export const DEFAULT_MAX_RUNTIME_SECONDS = 600;
+
+const KILL_GRACE_MS = 10 * 1000;
+const STDERR_TAIL_LINES = 20;
+const STDERR_TAIL_CHARS = 4000;
+
+/** "targetNoAnswer.js pull", "elitePickUp.js @elite": what overlap is judged on. */
+export function jobKey({ script, args = [], account }) {
+  return [script, ...args, ...(account ? [`@${account}`] : [])].join(" ");
+}
+
+/** Last lines of a stream's output, capped in length. */
+export function tail(text, lines = STDERR_TAIL_LINES) {
+  const kept = text.replace(/\s+$/, "").split("\n").slice(-lines).join("\n");
+  return kept.length > STDERR_TAIL_CHARS ? kept.slice(-STDERR_TAIL_CHARS) : kept;
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.root - Directory scripts are relative to (and their cwd)
+ * @param {(entry: object) => object} [options.env] - Extra env for each child run, read when it starts
+ * @param {object} [options.history] - lib/runHistory.js history (default runHistory.jsonl)
+ * @param {boolean} [options.echo] - Copy children's output, prefixed with the job label (default true)
+ * @param {number} [options.killGraceMs] - SIGTERM → SIGKILL delay (abort → warning, in-process)
+ * @param {(entry: object, run: { signal: AbortSignal }) => object} [options.context] - Builds the
+ *   run(context) argument of an in-process run (the runner adds the entry's `args` and the run's
+ *   `signal`); without it every run is a child process
+ */
+export function createJobRunner({
+  root,
+  env = () => ({}),
+  history = getRunHistory(),
+  echo = true,
+  killGraceMs = KILL_GRACE_MS,
+  context = null,
+}) {
+  /** job → { run, queued, stopped: { status, reason }, overran, stop, forceStop, forceKill, pid, done } */
+  const active = new Map();
+
+  function record(run) {
+    try {
+      history.append(run);
+    } catch (error) {
+      console.error(`⚠️ Couldn't record run of ${run.job}:`, error.message);
+    }
+    return run;
+  }
+
+  function terminate(state, status, reason) {
+    if (state.stopped) return;
+    state.stopped = { status, reason };
+    state.stop();
+    state.forceKill = setTimeout(() => state.forceStop(), killGraceMs);
+    state.forceKill.unref();
+  }
+
+  /** Spawn the script; `finish` once it has exited. */
+  function startChild(entry, state, finish) {
+    const { script, args = [], description, account } = entry;
+    const label = `${description || script}${account ? ` @${account}` : ""}`;
+    const child = spawn(process.execPath, [path.join(root, script), ...args], {
+      cwd: root,
+      stdio: ["ignore", "pipe", "pipe"],
+      env: { ...process.env, ...env(entry) },
+    });
+    state.pid = child.pid;
+    state.stop = () => child.kill("SIGTERM");
+    state.forceStop = () => child.kill("SIGKILL");
+
+    let stderr = "";
+    child.stdout.on("data", (d) => {
+      if (echo) process.stdout.write(`[${label}] ${d}`);
+    });
+    child.stderr.on("data", (d) => {
+      stderr = (stderr + d).slice(-STDERR_TAIL_CHARS * 2);
+      if (echo) process.stderr.write(`[${label}] ${d}`);
+    });
+
+    child.on("close", (code, signal) => finish({ exitCode: code, signal, stderr }));
+    child.on("error", (error) => finish({ exitCode: null, signal: null, stderr, reason: `spawn error: ${error.message}` }));
+  }
+
+  /**
+   * Import the script and call its run(context); `finish` once it settles. A run can't be forced
+   * to stop in-process, so one that ignores its aborted signal is only warned about: it keeps its
+   * job busy until it settles.
+   */
+  function startInProcess(entry, state, finish) {
+    const controller = new AbortController();
+    state.pid = process.pid;
+    state.stop = () => controller.abort(new Error(state.stopped.reason));
+    state.forceStop = () => {
+      state.overran = true;
+      console.warn(
+        `⚠️ ${state.run.job} didn't stop within ${killGraceMs / 1000}s of being aborted (${state.stopped.reason}); waiting for it to end`
+      );
+    };
+
+    const { signal } = controller;
+    const reason = () =>
+      state.overran ? `${state.stopped.reason}; didn't stop within ${killGraceMs / 1000}s of being aborted` : undefined;
+    import(pathToFileURL(path.join(root, entry.script)).href)
+      .then((module) => {
+        if (typeof module.run !== "function") throw new Error(`${entry.script} doesn't export run(context)`);
+        return module.run({ ...context(entry, { signal }), args: entry.args ?? [], signal });
+      })
+      .then(
+        () => finish({ exitCode: 0, signal: null, stderr: "", reason: reason() }),
+        (error) => finish({ exitCode: 1, signal: null, stderr: error?.stack ?? String(error), reason: reason() })
+      );
+  }
+
+  function start(entry) {
+    const { script, args = [], account, description } = entry;
+    const job = jobKey(entry);
+    const maxRuntimeSeconds = entry.maxRuntimeSeconds ?? DEFAULT_MAX_RUNTIME_SECONDS;
+    const mode = context && !entry.isolate ? "inProcess" : "child";
+    const startedAt = new Date();
+    const run = { id: crypto.randomUUID(), job, script, args, account, description, mode, start: startedAt.toISOString() };
+
+    const state = { run, queued: null, stopped: null, overran: false, forceKill: null };
+    active.set(job, state);
+
+    const timeout = setTimeout(
+      () => terminate(state, "timeout", `still running after ${maxRuntimeSeconds}s`),
+      maxRuntimeSeconds * 1000
+    );
+    if (mode === "child") timeout.unref();
+
+    state.done = new Promise((resolve) => {
+      let finished = false;
+      function finish({ exitCode, signal, stderr, reason = state.stopped?.reason }) {
+        if (finished) return;
+        finished = true;
+        clearTimeout(timeout);
+        clearTimeout(state.forceKill);
+        active.delete(job);
+
+        const end = new Date();
+        const status = state.stopped?.status ?? (exitCode === 0 ? "ok" : "failed");
+        resolve(
+          record({
+            ...run,
+            end: end.toISOString(),
+            durationMs: end - startedAt,
+            exitCode,
+            signal,
+            status,
+            ...(reason && { reason }),
+            stderrTail: tail(stderr),
+          })
+        );
+
+        if (state.queued) {
+          const next = state.queued;
+          state.queued = null;
+          next.resolve(start(next.entry));
+        }
+      }
+      (mode === "inProcess" ? startInProcess : startChild)(entry, state, finish);
+    });
+    return state.done;
+  }
+
+  function skip(entry, reason) {
+    const now = new Date().toISOString();
+    const { script, args = [], account, description } = entry;
+    return Promise.resolve(
+      record({ id: crypto.randomUUID(), job: jobKey(entry), script, args, account, description, start: now, status: "skipped", reason })
+    );
+  }
+
+  /**
+   * Start a run of `entry` (a schedules.config.js entry), or apply its overlap policy.
+   * @returns {Promise<import("./runHistory.js").Run>} The run once it has ended (or was skipped)
+   */
+  function trigger(entry) {
+    const job = jobKey(entry);
+    const current = active.get(job);
+    if (!current) return start(entry);
+
+    const since = `previous run still going (started ${current.run.start})`;
+    const policy = entry.overlap ?? "skip";
+    if (policy === "skip") return skip(entry, since);
+    if (current.queued) return skip(entry, `${since}, and the next run is already waiting`);
+
+    // queue and kill: the next run starts once the current one has exited, so two never overlap
+    return new Promise((resolve) => {
+      current.queued = { entry, resolve };
+      if (policy === "kill") terminate(current, "killed", "killed by the next scheduled run");
+    });
+  }
+
+  return {
+    trigger,
+    /** Jobs running now: { job, start, mode, pid } (the runner's own pid for in-process runs). */
+    running() {
+      return [...active.values()].map(({ run, pid }) => ({ job: run.job, start: run.start, mode: run.mode, pid }));
+    },
+  };
+}
@@ -0,0 +1,361 @@
+/**
+ * Local stand-in for the Ringba API, served from a fixture set, so detectors and tests run without
+ * network. Point the shared client at it with RINGBA_BASE_URL (or createRingbaClient({ baseUrl })).
+ *
+ *   const mock = createMockRingba({ fixtures: "test/fixtures/ringba/basic" });
+ *   const url = await mock.listen();          // http://127.0.0.1:<port>
+ *   const ringba = createRingbaClient({ baseUrl: url, accountId: "RA_FIXTURE", apiToken: "x" });
+ *   ...
+ *   await mock.close();
+ *
+ * Endpoints and the fixture file each one is served from:
+ *   POST /Token                       any credentials → a fixed bearer token (never recorded)
+ *   POST /{account}/insights          insights.json        { exchanges: [{ request, response }] }
+ *   POST /{account}/insights/events/beta  events.json      (same shape)
+ *   GET  /{account}/stats/rtt         rtt.json             (same shape; request = query params)
+ *   POST /{account}/calllogs          calllogs.json        { records: [row, ...] }
+ *   POST /{account}/calllogs/detail   calllogDetails.json  { records: [record, ...] }
+ *
+ * An exchange answers a request when its `request` is a subset of the request body (or query)
+ * with the report window left out — reportStart / reportEnd, Start / End — so a fixture keeps
+ * working at any as-of time. Objects match on the keys the fixture lists, arrays element by
+ * element; the first match wins and no match is a 404 naming the request. Call logs are filtered
+ * like Ringba does (window on callDt, filter groups, callDt order, offset / size paging; a
+ * condition on a column the fixture rows don't have matches); details are looked up by id.
+ * Any account id is accepted, but requests need an Authorization or X-API-Key header.
+ *
+ * Record mode (`record: true`) proxies every request to `upstream` (the real API by default) and
+ * returns its answer unchanged, merging each 2xx response into the fixture set after sanitizing
+ * it (see sanitize()): calls and details by inboundCallId, exchanges replacing the one with the
+ * same request.
+ */
+import crypto from "crypto";
+import fs from "fs";
+import http from "http";
+import path from "path";
+import axios from "axios";
+import { RINGBA_BASE_URL } from "./ringbaClient.js";
+import { callTime } from "./callLogStream.js";
+
+/** Account id recorded fixtures use in place of the real one. */
+export const FIXTURE_ACCOUNT_ID = "RA_FIXTURE";
+
+/** Request keys that carry the report window; ignored when matching exchanges. */
+export const WINDOW_KEYS = ["reportStart", "reportEnd", "Start", "End"];
+
+export const MOCK_TOKEN = "mock-ringba-token";
+
+/** Account path → how it is served and the fixture file behind it. */
+export const MOCK_ENDPOINTS = {
+  insights: { method: "POST", kind: "exchange", file: "insights.json" },
+  "insights/events/beta": { method: "POST", kind: "exchange", file: "events.json" },
+  "stats/rtt": { method: "GET", kind: "exchange", file: "rtt.json" },
+  calllogs: { method: "POST", kind: "calls", file: "calllogs.json" },
+  "calllogs/detail": { method: "POST", kind: "details", file: "calllogDetails.json" },
+};
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// --- Matching ---
+
+function isPlainObject(value) {
+  return value != null && typeof value === "object" && !Array.isArray(value);
+}
+
+/** True if `expected` is a subset of `actual` (object keys it lists; arrays element by element). */
+export function matchesSubset(expected, actual) {
+  if (Array.isArray(expected)) {
+    return (
+      Array.isArray(actual) &&
+      expected.length === actual.length &&
+      expected.every((item, i) => matchesSubset(item, actual[i]))
+    );
+  }
+  if (isPlainObject(expected)) {
+    return isPlainObject(actual) && Object.entries(expected).every(([key, value]) => matchesSubset(value, actual[key]));
+  }
+  return expected === actual;
+}
+
+function withoutWindow(request) {
+  const rest = { ...request };
+  for (const key of WINDOW_KEYS) delete rest[key];
+  return rest;
+}
+
+const COMPARISONS = {
+  EQUALS: (actual, value) => actual.toLowerCase() === value.toLowerCase(),
+  CONTAINS: (actual, value) => actual.toLowerCase().includes(value.toLowerCase()),
+  BEGINS_WITH: (actual, value) => actual.toLowerCase().startsWith(value.toLowerCase()),
+  ENDS_WITH: (actual, value) => actual.toLowerCase().endsWith(value.toLowerCase()),
+  GREATER_THAN: (actual, value) => Number(actual) > Number(value),
+  LESS_THAN: (actual, value) => Number(actual) < Number(value),
+};
+
+function conditionMatches(row, { column, value, comparisonType = "EQUALS", isNegativeMatch = false }) {
+  if (!(column in row)) return true;
+  const compare = COMPARISONS[comparisonType];
+  if (!compare) throw new HttpError(400, `Mock Ringba: unsupported comparisonType ${comparisonType}`);
+  const result = compare(String(row[column] ?? ""), String(value));
+  return isNegativeMatch ? !result : result;
+}
+
+function orderCalls(rows, orderByColumns = [{ column: "callDt", direction: "asc" }]) {
+  return [...rows].sort((a, b) => {
+    for (const { column, direction } of orderByColumns) {
+      const left = column === "callDt" ? callTime(a.callDt) : a[column];
+      const right = column === "callDt" ? callTime(b.callDt) : b[column];
+      if (left === right) continue;
+      const order = left < right ? -1 : 1;
+      return direction === "desc" ? -order : order;
+    }
+    return 0;
+  });
+}
+
+// --- Fixture files ---
+
+function readFixture(dir, file, fallback) {
+  const filePath = path.join(dir, file);
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return fallback;
+    throw new HttpError(500, `Mock Ringba: ${filePath}: ${error.message}`);
+  }
+}
+
+function writeFixture(dir, file, data) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, file), `${JSON.stringify(data, null, 2)}\n`);
+}
+
+function serveExchange(dir, endpoint, request) {
+  const { exchanges = [] } = readFixture(dir, endpoint.file, {});
+  const exchange = exchanges.find((candidate) => matchesSubset(candidate.request ?? {}, request));
+  if (!exchange) {
+    throw new HttpError(404, `Mock Ringba: no exchange in ${endpoint.file} matches ${JSON.stringify(withoutWindow(request))}`);
+  }
+  return { status: exchange.response?.status ?? 200, body: exchange.response?.body ?? {} };
+}
+
+function serveCalls(dir, endpoint, body = {}) {
+  const { records = [] } = readFixture(dir, endpoint.file, {});
+  const from = callTime(body.reportStart) ?? -Infinity;
+  const to = callTime(body.reportEnd) ?? Infinity;
+  const filtered = records.filter((row) => {
+    const time = callTime(row.callDt);
+    if (time != null && (time < from || time > to)) return false;
+    return (body.filters || []).every((group) => (group.anyConditionToMatch || []).some((c) => conditionMatches(row, c)));
+  });
+  const offset = body.offset ?? 0;
+  const size = body.size ?? filtered.length;
+  const page = orderCalls(filtered, body.orderByColumns).slice(offset, offset + size);
+  return { status: 200, body: { isSuccessful: true, report: { records: page, totalCount: filtered.length } } };
+}
+
+function serveDetails(dir, endpoint, body = {}) {
+  const { records = [] } = readFixture(dir, endpoint.file, {});
+  const byId = new Map(records.map((record) => [record.inboundCallId, record]));
+  const found = (body.inboundCallIds || []).map((id) => byId.get(id)).filter(Boolean);
+  return { status: 200, body: { isSuccessful: true, report: { records: found } } };
+}
+
+// --- Recording ---
+
+const PHONE = /\+?\b1?\d{10}\b/g;
+const EMAIL = /[\w.+-]+@[\w-]+(\.[\w-]+)+/g;
+const IPV4 = /\b\d{1,3}(\.\d{1,3}){3}\b/g;
+const SECRET_KEY = /token|password|secret|authorization/i;
+
+const digest = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+/** The same fake for the same phone number everywhere: +1555 and 7 digits from its hash. */
+function fakePhone(number) {
+  const digits = BigInt(`0x${digest(number.replace(/\D/g, "").slice(-10)).slice(0, 12)}`) % 10_000_000n;
+  return `${number.startsWith("+") ? "+" : ""}1555${String(digits).padStart(7, "0")}`;
+}
+
+/**
+ * Copy of a Ringba response safe to commit: the account id becomes FIXTURE_ACCOUNT_ID, phone
+ * numbers, emails and IPv4 addresses become stable fakes (the same input always maps to the same
+ * fake, so calls and details still line up), recording URLs and anything under a token /
+ * password / secret key are replaced.
+ */
+export function sanitize(value, { accountId } = {}, key = "") {
+  if (Array.isArray(value)) return value.map((item) => sanitize(item, { accountId }, key));
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, sanitize(v, { accountId }, k)]));
+  }
+  if (typeof value !== "string") return value;
+  if (SECRET_KEY.test(key)) return "redacted";
+  if (/recordingUrl/i.test(key) && value) return "https://example.com/recording.mp3";
+
+  let text = accountId ? value.split(accountId).join(FIXTURE_ACCOUNT_ID) : value;
+  text = text.replace(EMAIL, (email) => `user-${digest(email.toLowerCase()).slice(0, 8)}@example.com`);
+  text = text.replace(IPV4, (ip) => `192.0.2.${parseInt(digest(ip).slice(0, 2), 16) % 255}`);
+  return text.replace(PHONE, fakePhone);
+}
+
+function mergeRecords(dir, file, records) {
+  const fixture = readFixture(dir, file, {});
+  const byId = new Map((fixture.records || []).map((record) => [record.inboundCallId, record]));
+  for (const record of records) byId.set(record.inboundCallId, record);
+  writeFixture(dir, file, { ...fixture, records: [...byId.values()] });
+  return records.length;
+}
+
+function saveExchange(dir, file, request, response) {
+  const fixture = readFixture(dir, file, {});
+  const exchanges = (fixture.exchanges || []).filter(
+    (exchange) => JSON.stringify(exchange.request) !== JSON.stringify(request)
+  );
+  exchanges.push({ request, response });
+  writeFixture(dir, file, { ...fixture, exchanges });
+}
+
+/** Sanitize an upstream response and merge it into the fixture set. */
+function record(dir, endpoint, { accountId, body, query }, response) {
+  const data = sanitize(response.body, { accountId });
+  if (endpoint.kind === "exchange") {
+    const request = sanitize(withoutWindow(endpoint.method === "GET" ? query : body), { accountId });
+    saveExchange(dir, endpoint.file, request, { status: response.status, body: data });
+    return 1;
+  }
+  return mergeRecords(dir, endpoint.file, data?.report?.records || []);
+}
+
+// --- Server ---
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => resolve(body));
+    req.on("error", reject);
+  });
+}
+
+function parseJson(text) {
+  if (!text) return {};
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new HttpError(400, "Mock Ringba: request body is not JSON");
+  }
+}
+
+function tokenResponse(form) {
+  return {
+    access_token: MOCK_TOKEN,
+    token_type: "bearer",
+    expires_in: 3600,
+    refresh_token: "mock-refresh-token",
+    userName: form.get("username") || form.get("user_name") || "mock@example.com",
+    ".expires": new Date(Date.now() + 3600 * 1000).toUTCString(),
+  };
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.fixtures - Fixture set directory
+ * @param {boolean} [options.record] - Proxy to upstream and save what it answers
+ * @param {string} [options.upstream] - Real API base URL for record mode
+ * @param {(line: string) => void} [options.log]
+ */
+export function createMockRingba({ fixtures, record: recording = false, upstream = RINGBA_BASE_URL, log = () => {} }) {
+  if (!fixtures) throw new Error("createMockRingba: fixtures directory is required");
+  const dir = path.resolve(fixtures);
+  const upstreamUrl = upstream.replace(/\/+$/, "");
+
+  async function forward(req, rawBody) {
+    const headers = {};
+    for (const name of ["authorization", "x-api-key", "content-type"]) {
+      if (req.headers[name]) headers[name] = req.headers[name];
+    }
+    const response = await axios.request({
+      method: req.method,
+      url: `${upstreamUrl}${req.url}`,
+      data: rawBody || undefined,
+      headers,
+      responseType: "text",
+      transformResponse: (text) => text,
+      validateStatus: () => true,
+    });
+    let body = response.data;
+    try {
+      body = JSON.parse(response.data);
+    } catch {
+      // not JSON: pass through as text
+    }
+    return { status: response.status, body };
+  }
+
+  async function handle(req, rawBody) {
+    const url = new URL(req.url, "http://mock");
+    const segments = url.pathname.split("/").filter(Boolean);
+
+    if (req.method === "POST" && segments.length === 1 && segments[0] === "Token") {
+      if (recording) return forward(req, rawBody);
+      return { status: 200, body: tokenResponse(new URLSearchParams(rawBody)) };
+    }
+
+    const [accountId, ...rest] = segments;
+    const endpoint = MOCK_ENDPOINTS[rest.join("/")];
+    if (!accountId || !endpoint) throw new HttpError(404, `Mock Ringba: unknown endpoint ${req.method} ${url.pathname}`);
+    if (req.method !== endpoint.method) throw new HttpError(405, `Mock Ringba: ${rest.join("/")} expects ${endpoint.method}`);
+
+    if (recording) {
+      const response = await forward(req, rawBody);
+      if (response.status >= 200 && response.status < 300) {
+        const request = { accountId, body: parseJson(rawBody), query: Object.fromEntries(url.searchParams) };
+        const saved = record(dir, endpoint, request, response);
+        log(`⏺ Recorded ${rest.join("/")} → ${endpoint.file}${endpoint.kind === "exchange" ? "" : ` (${saved} records)`}`);
+      }
+      return response;
+    }
+
+    if (!req.headers.authorization && !req.headers["x-api-key"]) throw new HttpError(401, "Mock Ringba: no credentials");
+    if (endpoint.kind === "exchange") {
+      const request = endpoint.method === "GET" ? Object.fromEntries(url.searchParams) : parseJson(rawBody);
+      return serveExchange(dir, endpoint, request);
+    }
+    const body = parseJson(rawBody);
+    return endpoint.kind === "calls" ? serveCalls(dir, endpoint, body) : serveDetails(dir, endpoint, body);
+  }
+
+  const server = http.createServer(async (req, res) => {
+    let status;
+    let body;
+    try {
+      ({ status, body } = await handle(req, await readBody(req)));
+    } catch (error) {
+      status = error.status ?? 502;
+      body = { isSuccessful: false, message: error.message };
+      log(`❌ ${req.method} ${req.url} → ${status}: ${error.message}`);
+    }
+    const text = typeof body === "string" ? body : JSON.stringify(body);
+    res.writeHead(status, { "Content-Type": "application/json; charset=utf-8" }).end(text);
+  });
+
+  return {
+    dir,
+    server,
+    /** Start listening (port 0 = any free port); resolves to the base URL to give the client. */
+    listen(port = 0, host = "127.0.0.1") {
+      return new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(port, host, () => resolve(`http://${host}:${server.address().port}`));
+      });
+    },
+    close() {
+      return new Promise((resolve) => server.close(() => resolve()));
+    },
+  };
+}
@@ -0,0 +1,423 @@
+/**
+ * Alerts → Slack. Scripts describe what they found as an Alert; this module renders it as Block
+ * Kit (header, fields table, calls, context line with the window and thresholds) plus a plain-text
+ * fallback, and hands it to one or more sinks.
+ *
+ *   const notifier = getNotifier();
+ *   await notifier.send({
+ *     severity: "warning",
+ *     title: "Target hang-ups above 10%",
+ *     entityType: "Target",
+ *     entity: targetName,
+ *     summary: `${targetName} has target hang-ups above 10%`,
+ *     metrics: [{ label: "Hang-ups", value: "12 of 80 (15.0%)" }],
+ *     window: { reportStart, reportEnd },
+ *     thresholds: "hang-ups under 20s > 10% of calls",
+ *     source: "targetHangpUps",
+ *   }, { clock });
+ *
+ * A sink is { name, send({ text, blocks, alert, clock }) }; slackWebhookSink, slackApiSink and
+ * consoleSink are built in. getNotifier() picks each alert's Slack channel(s) from
+ * alertRoutes.config.js (lib/alertRouting.js) by its type, severity, campaign, target, buyer and
+ * account; alerts no route picks a channel for go to their account's (accounts.config.js).
+ *
+ * Scripts' alerts carry the Ringba account they came from (lib/jobContext.js sets it): its name
+ * leads the plain text ("[Elite] …") and the context line, and times are shown in its zone.
+ *
+ * Alerts with a `thread` key are follow-ups of the first alert sent with that key today: on
+ * bot-token channels (slackApiSink) they are posted as replies under it, and incident updates and
+ * recoveries also edit it to show the latest state. Webhook channels post them as new messages.
+ *
+ * With SLACK_SIGNING_SECRET set, alerts carry Acknowledge / Snooze 1h / Mute target buttons
+ * (handled by slackActions.js), and alerts covered by one of those silences (lib/silences.js) are
+ * skipped instead of sent.
+ *
+ * Under --dry-run (lib/dryRun.js) getNotifier() routes as usual but prints each destination's
+ * payload instead of posting it.
+ */
+import axios from "axios";
+import { formatAsOf, replayPrefix } from "./clock.js";
+import { DEFAULT_TIME_ZONE } from "./timeWindow.js";
+import { DEFAULT_CHANNEL, resolveChannels, resolveDestinations, validateRoutes } from "./alertRouting.js";
+import { getAccounts } from "./accounts.js";
+import { getAlertState } from "./alertState.js";
+import { createSilences, muteTarget, SILENCE_ACTIONS, silenceScope } from "./silences.js";
+import { dryRunSink, getDryRun } from "./dryRun.js";
+import alertRoutes from "../alertRoutes.config.js";
+
+/**
+ * @typedef {object} Alert
+ * @property {string} type - Alert type, used for routing ("targetHangups", "numberPool", ...)
+ * @property {"info" | "warning" | "critical"} severity
+ * @property {string} title - Short headline (Slack header, max 150 chars)
+ * @property {string} [entity] - What the alert is about (target, campaign, publisher, ...)
+ * @property {string} [entityType] - "Target", "Campaign", ...
+ * @property {string} [summary] - One-line description; also the plain-text fallback and the key
+ *   scripts use to de-duplicate alerts
+ * @property {Array<{ label: string, value: string | number }>} [metrics]
+ * @property {Array<{ text: string, url: string }>} [links]
+ * @property {Array<{ inboundCallId: string, inboundPhoneNumber?: string }>} [calls]
+ * @property {{ reportStart: string, reportEnd: string }} [window]
+ * @property {string} [thresholds]
+ * @property {string} [source] - Script that raised it
+ * @property {string | string[]} [campaign] - Routing keys (not rendered; use entity/metrics for that)
+ * @property {string | string[]} [target]
+ * @property {string | string[]} [buyer]
+ * @property {"open" | "update" | "resolved"} [status] - Set by lib/incidents.js
+ * @property {{ key: string, openedAt: string, peak: number, opened: number }} [incident]
+ * @property {string} [thread] - Follow-ups with the same key go under the first message of the day
+ *   (bot-token channels only)
+ * @property {string} [account] - Ringba account key (accounts.config.js); routing key and default channel
+ * @property {string} [accountName] - Shown in the text and context line
+ * @property {string} [timeZone] - Zone its times are shown in (the account's), over the notifier's
+ */
+
+export const SEVERITY_EMOJI = { info: "ℹ️", warning: "⚠️", critical: "🚨" };
+
+const STATUS_PREFIX = { update: "Update: ", resolved: "Resolved: " };
+
+const HEADER_MAX = 150;
+const TEXT_MAX = 3000;
+const FIELDS_PER_SECTION = 10;
+const MAX_CALLS_SHOWN = 20;
+
+function assertAlert(alert) {
+  if (!alert || typeof alert !== "object") throw new Error("notifier: alert must be an object");
+  if (!SEVERITY_EMOJI[alert.severity]) {
+    throw new Error(`notifier: unknown severity ${JSON.stringify(alert.severity)}`);
+  }
+  if (!alert.type) throw new Error("notifier: alert.type is required");
+  if (!alert.title) throw new Error("notifier: alert.title is required");
+}
+
+/** Escape Slack mrkdwn control characters in dynamic text. */
+function escape(text) {
+  return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function truncate(text, max) {
+  return text.length <= max ? text : `${text.slice(0, max - 1)}…`;
+}
+
+/** "2026-03-09 00:00–14:30 EDT", or "start → end" when the window spans days. */
+export function formatWindow({ reportStart, reportEnd }, timeZone = DEFAULT_TIME_ZONE) {
+  const start = formatAsOf(new Date(reportStart), timeZone);
+  const end = formatAsOf(new Date(reportEnd), timeZone);
+  const [startDay, startTime, startZone] = start.split(" ");
+  const [endDay, endTime, endZone] = end.split(" ");
+  if (startDay === endDay && startZone === endZone) return `${startDay} ${startTime}–${endTime} ${endZone}`;
+  return `${start} → ${end}`;
+}
+
+function headerEmoji(alert) {
+  return alert.status === "resolved" ? "✅" : SEVERITY_EMOJI[alert.severity];
+}
+
+function callLine(call) {
+  return call.inboundPhoneNumber ? `${call.inboundPhoneNumber} / ${call.inboundCallId}` : call.inboundCallId;
+}
+
+/** Plain-text fallback (notifications, clients without Block Kit): summary then one line per call. */
+export function renderText(alert) {
+  const account = alert.accountName ? `[${alert.accountName}] ` : "";
+  const lead = `${account}${STATUS_PREFIX[alert.status] ?? ""}${alert.summary || (alert.entity ? `${alert.title}: ${alert.entity}` : alert.title)}`;
+  const calls = (alert.calls || []).map(callLine);
+  return [lead, ...calls].join("\n");
+}
+
+/** Acknowledge / Snooze / Mute buttons; each value carries the scope slackActions.js silences. */
+function actionsBlock(alert) {
+  const scope = silenceScope(alert);
+  const actions = Object.keys(SILENCE_ACTIONS).filter((action) => action !== "mute" || muteTarget(alert));
+  const elements = actions.map((action) => ({
+    type: "button",
+    action_id: `silence:${action}`,
+    text: { type: "plain_text", text: action === "mute" ? `Mute ${truncate(scope.target, 40)} today` : SILENCE_ACTIONS[action].label },
+    value: JSON.stringify({ action, ...scope }),
+  }));
+  // Slack caps button values at 2000 characters
+  if (elements.some((element) => element.value.length > 2000)) return null;
+  return { type: "actions", elements };
+}
+
+/**
+ * Block Kit blocks for an alert.
+ * @param {Alert} alert
+ * @param {{ timeZone?: string, actions?: boolean }} [options] - actions: add the silence buttons
+ */
+export function renderBlocks(alert, { timeZone = DEFAULT_TIME_ZONE, actions = false } = {}) {
+  const blocks = [
+    {
+      type: "header",
+      text: {
+        type: "plain_text",
+        text: truncate(`${headerEmoji(alert)} ${STATUS_PREFIX[alert.status] ?? ""}${alert.title}`, HEADER_MAX),
+        emoji: true,
+      },
+    },
+  ];
+
+  const lead = [
+    alert.entity ? `*${escape(alert.entityType || "Entity")}:* ${escape(alert.entity)}` : null,
+    alert.summary ? escape(alert.summary) : null,
+  ].filter(Boolean);
+  if (lead.length) {
+    blocks.push({ type: "section", text: { type: "mrkdwn", text: truncate(lead.join("\n"), TEXT_MAX) } });
+  }
+
+  const metrics = alert.metrics || [];
+  for (let i = 0; i < metrics.length; i += FIELDS_PER_SECTION) {
+    blocks.push({
+      type: "section",
+      fields: metrics.slice(i, i + FIELDS_PER_SECTION).map((metric) => ({
+        type: "mrkdwn",
+        text: truncate(`*${escape(metric.label)}*\n${escape(metric.value)}`, 2000),
+      })),
+    });
+  }
+
+  const calls = alert.calls || [];
+  if (calls.length) {
+    const shown = calls.slice(0, MAX_CALLS_SHOWN).map((call) => escape(callLine(call)));
+    if (calls.length > shown.length) shown.push(`…and ${calls.length - shown.length} more`);
+    blocks.push({ type: "section", text: { type: "mrkdwn", text: truncate(`*Calls*\n${shown.join("\n")}`, TEXT_MAX) } });
+  }
+
+  const links = alert.links || [];
+  if (links.length) {
+    const text = links.map((link) => `<${link.url}|${escape(link.text)}>`).join("  ·  ");
+    blocks.push({ type: "section", text: { type: "mrkdwn", text: truncate(text, TEXT_MAX) } });
+  }
+
+  const context = [
+    alert.accountName ? `Account: ${escape(alert.accountName)}` : null,
+    alert.incident && alert.status !== "open" ? `Open since ${formatAsOf(new Date(alert.incident.openedAt), timeZone)}` : null,
+    alert.window ? `Window: ${formatWindow(alert.window, timeZone)}` : null,
+    alert.thresholds ? `Threshold: ${escape(alert.thresholds)}` : null,
+    alert.source ? escape(alert.source) : null,
+  ].filter(Boolean);
+  if (context.length) {
+    blocks.push({ type: "context", elements: context.map((text) => ({ type: "mrkdwn", text })) });
+  }
+
+  if (actions && alert.status !== "resolved" && alert.type !== "test") {
+    const block = actionsBlock(alert);
+    if (block) blocks.push(block);
+  }
+
+  return blocks;
+}
+
+// --- Sinks ---
+
+/** Posts { text, blocks } to a Slack incoming webhook. */
+export function slackWebhookSink(webhookUrl) {
+  return {
+    name: "slack",
+    async send({ text, blocks }) {
+      await axios.post(webhookUrl, { text, blocks });
+    },
+  };
+}
+
+const SLACK_API_URL = "https://slack.com/api";
+
+/**
+ * Posts through the Slack Web API (chat.postMessage / chat.update) with a bot token. The first
+ * alert with a given `thread` key is posted to the channel and its ts kept in the alert state
+ * (namespace "slackThreads", for the day); later ones are replied in its thread, and incident
+ * updates and recoveries also replace it with their rendering. Replays always post top-level and
+ * never record a thread.
+ * @param {object} options
+ * @param {string} options.token - Bot token (xoxb-…, chat:write)
+ * @param {string} options.channel - Channel ID
+ * @param {object} [options.threads] - Alert state namespace for thread ts
+ * @param {string} [options.apiUrl] - Slack Web API base (getNotifier() takes SLACK_API_URL, e.g. the
+ *   local mock in lib/mockSlack.js)
+ */
+export function slackApiSink({ token, channel, threads, apiUrl = SLACK_API_URL }) {
+  const threadState = threads ?? getAlertState().namespace("slackThreads");
+
+  async function call(method, body) {
+    const { data } = await axios.post(`${apiUrl}/${method}`, body, {
+      headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json; charset=utf-8" },
+    });
+    if (!data?.ok) throw new Error(`Slack ${method} failed: ${data?.error ?? "no response"}`);
+    return data;
+  }
+
+  return {
+    name: "slack-api",
+    async send({ text, blocks, alert, clock }) {
+      const now = clock?.now() ?? new Date();
+      const threadKey = alert.thread && !clock?.isReplay ? `${channel}|${alert.thread}` : null;
+      const parent = threadKey ? threadState.get(threadKey, { now }) : undefined;
+
+      if (!parent) {
+        const posted = await call("chat.postMessage", { channel, text, blocks });
+        if (threadKey) await threadState.set(threadKey, { channel: posted.channel, ts: posted.ts }, { now });
+        return;
+      }
+
+      await call("chat.postMessage", {
+        channel: parent.channel,
+        thread_ts: parent.ts,
+        text,
+        blocks,
+        // Recoveries also show in the channel
+        reply_broadcast: alert.status === "resolved",
+      });
+      if (alert.status === "update" || alert.status === "resolved") {
+        await call("chat.update", { channel: parent.channel, ts: parent.ts, text, blocks });
+      }
+    },
+  };
+}
+
+/** Logs the plain-text rendering (used when no webhook is configured). */
+export function consoleSink(label = "Slack skipped (no webhook)") {
+  return {
+    name: "console",
+    async send({ text }) {
+      console.warn(`${label}:`, text);
+    },
+  };
+}
+
+// --- Notifier ---
+
+/**
+ * @param {object} options
+ * @param {Array<{ name: string, send: Function }>} [options.sinks] - Every alert goes to these...
+ * @param {(alert: Alert) => Array<{ name: string, send: Function }>} [options.route] - ...or to the
+ *   sinks this returns for it
+ * @param {string} [options.timeZone] - Zone for the context line's window (unless the alert has one)
+ * @param {boolean} [options.actions] - Add Acknowledge / Snooze / Mute buttons
+ * @param {{ match: Function }} [options.silences] - Skip alerts this matches (lib/silences.js)
+ */
+export function createNotifier({ sinks, route, timeZone = DEFAULT_TIME_ZONE, actions = false, silences = null }) {
+  if (!route && (!Array.isArray(sinks) || sinks.length === 0)) {
+    throw new Error("createNotifier: sinks or route is required");
+  }
+  const sinksFor = route || (() => sinks);
+
+  /**
+   * Render and deliver an alert to each of its sinks, and report how each one went. Sink
+   * failures are logged, not thrown. Replays (clock.isReplay) get "[Replay as of …]" in the
+   * header and the plain text.
+   * @param {Alert} alert
+   * @param {{ clock?: object, skip?: string[] }} [options] - skip: names of sinks that already
+   *   have it (a retry of a partly failed delivery)
+   * @returns {Promise<{ silenced: boolean, sent: string[], failed: string[] }>} Sink names
+   */
+  async function deliver(alert, { clock, skip = [] } = {}) {
+    assertAlert(alert);
+    const silenced = silences?.match(alert, { now: clock?.now() ?? new Date() });
+    if (silenced) {
+      console.log(`🔕 Alert silenced (${silenced.action} by ${silenced.by ?? "someone"} until ${silenced.until}):`, renderText(alert));
+      return { silenced: true, sent: [], failed: [] };
+    }
+
+    const prefix = clock ? replayPrefix(clock) : "";
+    const message = {
+      text: `${prefix}${renderText(alert)}`,
+      blocks: renderBlocks(prefix ? { ...alert, title: `${prefix}${alert.title}` } : alert, {
+        timeZone: alert.timeZone ?? timeZone,
+        actions,
+      }),
+      alert,
+      clock,
+    };
+
+    const result = { silenced: false, sent: [], failed: [] };
+    for (const sink of sinksFor(alert)) {
+      if (skip.includes(sink.name)) continue;
+      try {
+        await sink.send(message);
+        result.sent.push(sink.name);
+        if (sink.name !== "console" && sink.name !== "dry-run") console.log(`✅ Alert sent to ${sink.name}:`, message.text);
+      } catch (error) {
+        result.failed.push(sink.name);
+        console.error(`❌ Error sending alert to ${sink.name}:`, error.response?.data || error.message || error);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * deliver() for callers that only need to know whether it all went out.
+   * @param {Alert} alert
+   * @param {{ clock?: object }} [options]
+   * @returns {Promise<boolean>} true when every sink accepted it; false when it was silenced
+   */
+  async function send(alert, options) {
+    const { silenced, failed } = await deliver(alert, options);
+    return !silenced && failed.length === 0;
+  }
+
+  return { send, deliver };
+}
+
+let notifier = null;
+
+/**
+ * The process notifier: routes each alert to its channels (alertRoutes.config.js) through the bot
+ * token or their webhooks, or logs it when none of them is configured. Options build a separate, unshared notifier.
+ * @param {object} [options]
+ * @param {object} [options.routes] - Routing config (defaults to alertRoutes.config.js)
+ * @param {object} [options.env] - Where channel webhook env vars are read from
+ * @param {{ output: string | null } | null} [options.dryRun] - Print instead of posting (default --dry-run)
+ */
+export function getNotifier(options) {
+  if (options) {
+    return createRoutedNotifier(
+      validateRoutes(options.routes ?? alertRoutes),
+      options.env ?? process.env,
+      options.dryRun === undefined ? getDryRun() : options.dryRun
+    );
+  }
+  if (!notifier) notifier = createRoutedNotifier(validateRoutes(alertRoutes), process.env, getDryRun());
+  return notifier;
+}
+
+function createRoutedNotifier(routes, env, dryRun) {
+  const sinks = new Map();
+  const fallback = dryRun ? dryRunSink({ output: dryRun.output }) : consoleSink();
+
+  function sinkFor(destination) {
+    const key = destination.kind === "api" ? `api:${destination.channelId}` : destination.url;
+    if (!sinks.has(key)) {
+      const name = `#${destination.channel}`;
+      if (dryRun) {
+        const via = destination.kind === "api" ? `channel ${destination.channelId}` : "webhook";
+        sinks.set(key, dryRunSink({ output: dryRun.output, destination: `${name} (${via})` }));
+      } else {
+        const sink =
+          destination.kind === "api"
+            ? slackApiSink({
+                token: destination.token,
+                channel: destination.channelId,
+                apiUrl: env.SLACK_API_URL || undefined,
+              })
+            : slackWebhookSink(destination.url);
+        sinks.set(key, { ...sink, name: `slack ${name}` });
+      }
+    }
+    return sinks.get(key);
+  }
+
+  // Alerts no route picks a channel for go to their account's
+  const accounts = getAccounts();
+  const fallbackChannel = (alert) => (alert.account && accounts.has(alert.account) && accounts.get(alert.account).channel) || DEFAULT_CHANNEL;
+
+  return createNotifier({
+    actions: Boolean(env.SLACK_SIGNING_SECRET),
+    silences: createSilences(),
+    route(alert) {
+      const channels = resolveChannels(alert, routes, { fallback: fallbackChannel(alert) });
+      const destinations = resolveDestinations(channels, routes, env);
+      if (destinations.length === 0) return [fallback];
+      return destinations.map(sinkFor);
+    },
+  });
+}
@@ -0,0 +1,254 @@
+/**
+ * Rate-limit aware request queue for Ringba calls.
+ *
+ * - Token buckets per endpoint family per account (limits from RINGBA-API-RESEARCH.md)
+ * - FIFO queue per bucket key, so bursts wait instead of failing
+ * - 429 honours Retry-After; 5xx / timeouts / connection resets retry with jittered exponential backoff
+ * - Hourly and daily limits are checked against the cross-process ledger (requestLedger.js), so
+ *   the scheduler's separate child processes share one budget
+ * - A request given an AbortSignal is dropped once it aborts: waits for a token or a retry end
+ *   early, and it isn't sent when its turn in the queue comes
+ */
+import { getRequestLedger } from "./requestLedger.js";
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+/** Documented limits per endpoint family. Hour and day limits are enforced against the ledger. */
+export const ENDPOINT_LIMITS = {
+  callLogs: { perMinute: 5, perHour: 20, perDay: 200 },
+  callDetails: { perMinute: 200 },
+  reporting: { perSecond: 5, perMinute: 80 },
+};
+
+const RETRYABLE_CODES = new Set(["ECONNABORTED", "ETIMEDOUT", "ECONNRESET", "EAI_AGAIN", "ECONNREFUSED"]);
+
+export class RateLimitError extends Error {
+  constructor(message, { family, accountId, retryAfterMs } = {}) {
+    super(message);
+    this.name = "RateLimitError";
+    this.family = family;
+    this.accountId = accountId;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/** Endpoint family for a path relative to /{accountId}/. */
+export function endpointFamily(requestPath) {
+  const p = requestPath.toLowerCase().replace(/^\/+/, "");
+  if (p.startsWith("calllogs/detail")) return "callDetails";
+  if (p.startsWith("calllogs")) return "callLogs";
+  return "reporting";
+}
+
+/** Resolves after ms, or rejects with the signal's reason once it aborts. */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/** Bucket list for a family: capacity = limit, refilled evenly over its window. */
+function createBuckets(limits, now) {
+  const windows = [
+    [limits.perSecond, SECOND],
+    [limits.perMinute, MINUTE],
+    [limits.perHour, HOUR],
+  ];
+  return windows
+    .filter(([limit]) => limit)
+    .map(([limit, windowMs]) => ({ capacity: limit, tokens: limit, refillPerMs: limit / windowMs, updatedAt: now }));
+}
+
+function refill(bucket, now) {
+  bucket.tokens = Math.min(bucket.capacity, bucket.tokens + (now - bucket.updatedAt) * bucket.refillPerMs);
+  bucket.updatedAt = now;
+}
+
+/** ms until every bucket has a whole token (0 = can send now). */
+function waitTime(buckets, now) {
+  let wait = 0;
+  for (const bucket of buckets) {
+    refill(bucket, now);
+    if (bucket.tokens < 1) {
+      wait = Math.max(wait, Math.ceil((1 - bucket.tokens) / bucket.refillPerMs));
+    }
+  }
+  return wait;
+}
+
+/** Retry-After header (seconds or HTTP date) → ms, or null. */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value == null || value === "") return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * SECOND);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/** Full-jitter exponential backoff: random in [0, min(cap, base * 2^attempt)]. */
+export function backoffDelay(attempt, { baseMs = 500, capMs = 30 * SECOND } = {}) {
+  return Math.round(Math.random() * Math.min(capMs, baseMs * 2 ** attempt));
+}
+
+function isRetryable(error) {
+  const status = error.response?.status;
+  if (status === 429) return true;
+  if (status >= 500) return true;
+  return !error.response && RETRYABLE_CODES.has(error.code);
+}
+
+/** ms until the start of the next UTC hour / day. */
+function untilNext(unit, now = Date.now()) {
+  const size = unit === "day" ? DAY : HOUR;
+  return size - (now % size);
+}
+
+// --- Limiter ---
+
+/**
+ * @param {object} [options]
+ * @param {object} [options.limits] - Per-family limits (defaults to ENDPOINT_LIMITS)
+ * @param {number} [options.maxRetries] - Retries for 429 / 5xx / timeouts
+ * @param {number} [options.maxWaitMs] - Fail instead of queueing longer than this for a token
+ * @param {object} [options.ledger] - Cross-process request ledger (defaults to the shared one)
+ * @param {() => number} [options.now] - Epoch ms (tests pin it)
+ * @param {(ms: number, signal?: AbortSignal) => Promise<void>} [options.sleep] - How waits and
+ *   backoff pause (tests record them); rejects once the signal aborts
+ */
+export function createRateLimiter(options = {}) {
+  const limits = options.limits ?? ENDPOINT_LIMITS;
+  const maxRetries = options.maxRetries ?? 4;
+  const maxWaitMs = options.maxWaitMs ?? 5 * MINUTE;
+  const ledger = options.ledger ?? getRequestLedger();
+  const now = options.now ?? Date.now;
+  const pause = options.sleep ?? sleep;
+
+  /** key → { buckets, tail } where tail is the promise the next request queues behind */
+  const queues = new Map();
+
+  function queueFor(key, family) {
+    if (!queues.has(key)) {
+      queues.set(key, { buckets: createBuckets(limits[family] ?? {}, now()), tail: Promise.resolve() });
+    }
+    return queues.get(key);
+  }
+
+  /** Wait for a slot in the family's buckets and hour/day budget, then take one token. */
+  async function acquire(accountId, family, { signal } = {}) {
+    const key = `${accountId}:${family}`;
+    const queue = queueFor(key, family);
+
+    const turn = queue.tail.then(async () => {
+      signal?.throwIfAborted();
+      const wait = waitTime(queue.buckets, now());
+      if (wait > maxWaitMs) {
+        throw new RateLimitError(`Ringba ${family} limit: next slot in ${Math.ceil(wait / SECOND)}s exceeds max wait`, {
+          family,
+          accountId,
+          retryAfterMs: wait,
+        });
+      }
+      if (wait > 0) {
+        console.log(`⏳ Ringba ${family} rate limit — waiting ${Math.ceil(wait / SECOND)}s`);
+        await pause(wait, signal);
+        waitTime(queue.buckets, now());
+      }
+
+      // Hour/day limits are shared with the other scheduler processes through the ledger
+      const { perHour, perDay } = limits[family] ?? {};
+      for (;;) {
+        const reservation = await ledger.reserve(accountId, family, { perHour, perDay }, new Date(now()));
+        if (reservation.ok) break;
+
+        const limit = reservation.exceeded === "day" ? perDay : perHour;
+        const retryAfterMs = untilNext(reservation.exceeded, now());
+        if (reservation.exceeded === "day" || retryAfterMs > maxWaitMs) {
+          throw new RateLimitError(
+            `Ringba ${family} ${reservation.exceeded} budget of ${limit} exhausted for ${accountId}`,
+            { family, accountId, retryAfterMs }
+          );
+        }
+        console.log(`⏳ Ringba ${family} hourly budget spent — waiting ${Math.ceil(retryAfterMs / SECOND)}s`);
+        await pause(retryAfterMs, signal);
+      }
+
+      for (const bucket of queue.buckets) bucket.tokens -= 1;
+    });
+
+    // Keep the queue moving even when this turn fails
+    queue.tail = turn.catch(() => {});
+    return turn;
+  }
+
+  /** Drain every bucket for a key, e.g. after the server answered 429. */
+  function penalize(accountId, family) {
+    const queue = queueFor(`${accountId}:${family}`, family);
+    for (const bucket of queue.buckets) bucket.tokens = Math.min(bucket.tokens, 0);
+  }
+
+  /**
+   * Run fn under the limiter for (accountId, family), retrying transient failures.
+   * fn must perform exactly one HTTP request per call (axios-style errors). Once `signal` aborts,
+   * waits end, no further attempt is made and the call rejects with the signal's reason.
+   */
+  async function schedule({ accountId, family, signal }, fn) {
+    for (let attempt = 0; ; attempt++) {
+      await acquire(accountId, family, { signal });
+      try {
+        return await fn();
+      } catch (error) {
+        // Aborted: whatever the attempt failed with (axios' CanceledError, usually), stop with the reason
+        if (signal?.aborted) throw signal.reason;
+        if (!isRetryable(error) || attempt >= maxRetries) throw error;
+
+        const status = error.response?.status;
+        let delay = backoffDelay(attempt);
+        if (status === 429) {
+          penalize(accountId, family);
+          delay = parseRetryAfter(error.response.headers?.["retry-after"], now()) ?? delay;
+        }
+        console.warn(
+          `⚠️ Ringba ${family} ${status ?? error.code} — retry ${attempt + 1}/${maxRetries} in ${Math.ceil(delay / SECOND)}s`
+        );
+        await pause(delay, signal);
+      }
+    }
+  }
+
+  /**
+   * Requests (accountId, family) can still send this UTC hour and day according to the ledger
+   * (Infinity when the family has no hourly or daily limit).
+   */
+  function remaining(accountId, family) {
+    const { perHour, perDay } = limits[family] ?? {};
+    if (!perHour && !perDay) return Infinity;
+    const usage = ledger.getUsage(accountId, family, new Date(now()));
+    const left = Math.min(perHour ? perHour - usage.hour : Infinity, perDay ? perDay - usage.day : Infinity);
+    return Math.max(0, left);
+  }
+
+  return { schedule, acquire, remaining };
+}
+
+let sharedLimiter = null;
+
+/** Process-wide limiter shared by every client, so buckets are per account rather than per client. */
+export function getRateLimiter() {
+  if (!sharedLimiter) sharedLimiter = createRateLimiter();
+  return sharedLimiter;
+}
@@ -0,0 +1,117 @@
+/**
+ * Cross-process ledger of Ringba requests per account, endpoint family and UTC hour.
+ *
+ * The scheduler runs each script as its own Node process, so the in-memory token buckets in
+ * rateLimiter.js can't see what the others spent. Every request is reserved here first, under a
+ * lock file, so hourly and daily limits hold across all of them.
+ *
+ * File: ringbaLedger.json → { version, hours: { "<accountId>:<family>": { "YYYY-MM-DDTHH": count } } }
+ */
+import fs from "fs";
+import path from "path";
+import { withFileLock, writeFileAtomic } from "./fileLock.js";
+import { STATE_DIR } from "./stateDir.js";
+
+const LEDGER_VERSION = 1;
+const KEEP_HOURS = 48;
+
+export const LEDGER_PATH = path.join(STATE_DIR, "ringbaLedger.json");
+
+/** "YYYY-MM-DDTHH" (UTC) for a date. */
+export function hourKey(date = new Date()) {
+  return date.toISOString().slice(0, 13);
+}
+
+/** "YYYY-MM-DD" (UTC) for a date. */
+export function dayKey(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+// --- File I/O ---
+
+function readLedger(filePath) {
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    if (data.version === LEDGER_VERSION && data.hours && typeof data.hours === "object") return data;
+  } catch {
+    // missing or corrupt: start fresh
+  }
+  return { version: LEDGER_VERSION, hours: {} };
+}
+
+function writeLedger(filePath, ledger) {
+  writeFileAtomic(filePath, JSON.stringify(ledger, null, 2));
+}
+
+function prune(ledger, now) {
+  const oldest = hourKey(new Date(now.getTime() - KEEP_HOURS * 60 * 60 * 1000));
+  for (const [key, hours] of Object.entries(ledger.hours)) {
+    for (const hour of Object.keys(hours)) {
+      if (hour < oldest) delete hours[hour];
+    }
+    if (Object.keys(hours).length === 0) delete ledger.hours[key];
+  }
+}
+
+function usageFrom(ledger, key, now) {
+  const hours = ledger.hours[key] || {};
+  const day = dayKey(now);
+  let dayCount = 0;
+  for (const [hour, count] of Object.entries(hours)) {
+    if (hour.startsWith(day)) dayCount += count;
+  }
+  return { hour: hours[hourKey(now)] || 0, day: dayCount };
+}
+
+// --- Public API ---
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.filePath] - Ledger file (defaults to ringbaLedger.json in the project root)
+ */
+export function createRequestLedger(options = {}) {
+  const filePath = options.filePath ?? LEDGER_PATH;
+  const lockPath = `${filePath}.lock`;
+
+  /** { hour, day } requests recorded for (accountId, family) in the current UTC hour and day. */
+  function getUsage(accountId, family, now = new Date()) {
+    return usageFrom(readLedger(filePath), `${accountId}:${family}`, now);
+  }
+
+  /**
+   * Atomically check limits and record one request.
+   * @param {{ perHour?: number, perDay?: number }} limits
+   * @returns {Promise<{ ok: boolean, usage: { hour: number, day: number }, exceeded?: "hour" | "day" }>}
+   */
+  function reserve(accountId, family, limits = {}, now = new Date()) {
+    const key = `${accountId}:${family}`;
+    return withFileLock(lockPath, () => {
+      const ledger = readLedger(filePath);
+      const usage = usageFrom(ledger, key, now);
+      if (limits.perDay && usage.day >= limits.perDay) return { ok: false, usage, exceeded: "day" };
+      if (limits.perHour && usage.hour >= limits.perHour) return { ok: false, usage, exceeded: "hour" };
+
+      const hours = (ledger.hours[key] ||= {});
+      const hour = hourKey(now);
+      hours[hour] = (hours[hour] || 0) + 1;
+      prune(ledger, now);
+      writeLedger(filePath, ledger);
+      return { ok: true, usage: { hour: usage.hour + 1, day: usage.day + 1 } };
+    });
+  }
+
+  /** Every "<accountId>:<family>" key with its hourly counts (for reporting). */
+  function snapshot() {
+    return readLedger(filePath).hours;
+  }
+
+  return { filePath, getUsage, reserve, snapshot };
+}
+
+let sharedLedger = null;
+
+/** Ledger on the default file, shared by every limiter in the process. */
+export function getRequestLedger() {
+  if (!sharedLedger) sharedLedger = createRequestLedger();
+  return sharedLedger;
+}
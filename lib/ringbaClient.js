@@ -0,0 +1,204 @@
+/**
+ * Shared Ringba API client used by every alert script.
+ *
+ * Auth (first match wins):
+ *   - apiToken  → `Authorization: Token <apiToken>` (or `X-API-Key: <apiToken>` when authHeader is "X-API-Key")
+ *   - username + password → password grant on /Token, refreshed with the refresh_token grant when expired
+ *
+ * Every account request goes through the shared rate limiter (lib/rateLimiter.js): queued per
+ * endpoint family, retried on 429 / 5xx / timeouts. Requests time out after 30s unless the client
+ * is given another timeout, so a hung socket is retried rather than stalling the job.
+ *
+ * A client given an AbortSignal (options.signal, or client.withSignal(signal) for a view of a
+ * shared client) cancels its queued, waiting and in-flight requests once it aborts: a scheduled
+ * run that is stopped stops making requests.
+ *
+ * RINGBA_BASE_URL points every client at another server, e.g. the local mock (mockRingba.js).
+ *
+ * Env: RINGBA_ACCOUNT_ID, RINGBA_API_TOKEN, RINGBA_USERNAME, RINGBA_PASSWORD, RINGBA_AUTH_HEADER,
+ * RINGBA_BASE_URL
+ */
+import axios from "axios";
+import { endpointFamily, getRateLimiter } from "./rateLimiter.js";
+
+export const RINGBA_BASE_URL = "https://api.ringba.com/v2";
+
+/** Per-request timeout when the client isn't given one. */
+export const DEFAULT_TIMEOUT_MS = 30 * 1000;
+
+/** Records array from an /insights, /calllogs or /calllogs/detail response (empty when missing). */
+export function getRecords(data) {
+  const records = data?.report?.records;
+  return Array.isArray(records) ? records : [];
+}
+
+/**
+ * Create a client bound to one Ringba account.
+ * @param {object} [options]
+ * @param {string} [options.accountId]
+ * @param {string} [options.apiToken]
+ * @param {string} [options.username]
+ * @param {string} [options.password]
+ * @param {string} [options.authHeader] - "X-API-Key" to send the API token in that header instead of Authorization
+ * @param {string} [options.baseUrl] - Defaults to RINGBA_BASE_URL from the env, then api.ringba.com
+ * @param {number} [options.timeout] - Request timeout in ms (defaults to DEFAULT_TIMEOUT_MS; 0 = none)
+ * @param {object} [options.limiter] - Rate limiter (defaults to the process-wide one)
+ * @param {AbortSignal} [options.signal] - Cancels every request of the client once it aborts
+ */
+export function createRingbaClient(options = {}) {
+  const accountId = options.accountId ?? process.env.RINGBA_ACCOUNT_ID;
+  const apiToken = options.apiToken ?? process.env.RINGBA_API_TOKEN;
+  const username = options.username ?? process.env.RINGBA_USERNAME;
+  const password = options.password ?? process.env.RINGBA_PASSWORD;
+  const authHeader = options.authHeader ?? process.env.RINGBA_AUTH_HEADER;
+  const baseUrl = (options.baseUrl ?? (process.env.RINGBA_BASE_URL || RINGBA_BASE_URL)).replace(/\/+$/, "");
+  const timeout = options.timeout ?? DEFAULT_TIMEOUT_MS;
+  const limiter = options.limiter ?? getRateLimiter();
+
+  let cachedToken = null;
+
+  // --- Auth ---
+
+  /** Password grant, or refresh_token grant when a previous token is passed. */
+  async function getToken(refresh = null, { signal } = {}) {
+    const body = refresh?.refresh_token
+      ? new URLSearchParams({
+          grant_type: "refresh_token",
+          refresh_token: refresh.refresh_token,
+          user_name: refresh.userName,
+        })
+      : new URLSearchParams({
+          grant_type: "password",
+          username,
+          password,
+        });
+
+    let data;
+    try {
+      const response = await axios.post(`${baseUrl}/Token`, body.toString(), {
+        headers: { "Content-Type": "application/x-www-form-urlencoded; charset=UTF-8" },
+        timeout,
+        signal,
+      });
+      data = response.data;
+    } catch (error) {
+      if (signal?.aborted) throw signal.reason;
+      const detail = error.response ? `${error.response.status} ${JSON.stringify(error.response.data)}` : error.message;
+      throw new Error(`Ringba auth failed: ${detail}`);
+    }
+
+    return {
+      access_token: data.access_token,
+      token_type: data.token_type || "Bearer",
+      refresh_token: data.refresh_token,
+      userName: data.userName,
+      expires: data[".expires"] ? new Date(data[".expires"]) : null,
+    };
+  }
+
+  async function ensureToken({ signal } = {}) {
+    if (apiToken) {
+      return { token_type: "Token", access_token: apiToken };
+    }
+    if (!username || !password) {
+      throw new Error("Set either RINGBA_API_TOKEN or RINGBA_USERNAME + RINGBA_PASSWORD in .env");
+    }
+    if (cachedToken && cachedToken.expires && new Date() < new Date(cachedToken.expires)) {
+      return cachedToken;
+    }
+    try {
+      cachedToken = await getToken(cachedToken, { signal });
+    } catch (error) {
+      // Refresh token rejected: fall back to a fresh password grant once
+      if (!cachedToken || signal?.aborted) throw error;
+      cachedToken = await getToken(null, { signal });
+    }
+    return cachedToken;
+  }
+
+  async function authHeaders(signal) {
+    const token = await ensureToken({ signal });
+    if (authHeader === "X-API-Key") {
+      return { "X-API-Key": token.access_token };
+    }
+    return { Authorization: `${token.token_type || "Bearer"} ${token.access_token}` };
+  }
+
+  // --- Requests ---
+
+  /** Request through the limiter, cancelled once `signal` aborts; resolves to the response body. */
+  async function send(method, path, { data, params, signal } = {}) {
+    if (!accountId) {
+      throw new Error("Set RINGBA_ACCOUNT_ID in .env");
+    }
+    // Headers are built once the limiter lets the request through (and again on every retry), so
+    // a token fetched before a long queue wait can't expire before it's sent
+    const response = await limiter.schedule({ accountId, family: endpointFamily(path), signal }, async () =>
+      axios.request({
+        method,
+        url: `${baseUrl}/${accountId}/${path}`,
+        data,
+        params,
+        headers: { ...(await authHeaders(signal)), "Content-Type": "application/json" },
+        timeout,
+        signal,
+      })
+    );
+    return response.data;
+  }
+
+  /** Requests left this UTC hour and day for the endpoint family of path (Infinity when unlimited). */
+  function remaining(path) {
+    return limiter.remaining(accountId, endpointFamily(path));
+  }
+
+  /** The client's methods, every request cancelled once `signal` aborts. */
+  function bind(signal) {
+    /** Authenticated request against /{accountId}/{path}; resolves to the response body. */
+    function request(method, path, requestOptions = {}) {
+      return send(method, path, { signal, ...requestOptions });
+    }
+
+    /** POST /{accountId}/insights — aggregate report. */
+    function insights(body) {
+      return request("post", "insights", { data: body });
+    }
+
+    /** POST /{accountId}/insights/events/beta — per-target event counts. */
+    function insightsEvents(body) {
+      return request("post", "insights/events/beta", { data: body });
+    }
+
+    /** POST /{accountId}/calllogs — one page of call logs (body.offset / body.size). */
+    function callLogs(body) {
+      return request("post", "calllogs", { data: body });
+    }
+
+    /** POST /{accountId}/calllogs/detail — details + events for up to 50 inboundCallIds. */
+    function callLogDetails(inboundCallIds, body = {}) {
+      return request("post", "calllogs/detail", { data: { inboundCallIds, ...body } });
+    }
+
+    /** GET /{accountId}/stats/rtt — ring tree target disposition stats (dates as MM-DD-YYYY). */
+    function rttStats({ start, end }) {
+      return request("get", "stats/rtt", { params: { Start: start, End: end } });
+    }
+
+    return {
+      accountId,
+      getToken,
+      ensureToken,
+      request,
+      remaining,
+      insights,
+      insightsEvents,
+      callLogs,
+      callLogDetails,
+      rttStats,
+      // This client (same token and limiter queues) with its requests cancelled by another signal
+      withSignal: bind,
+    };
+  }
+
+  return bind(options.signal);
+}
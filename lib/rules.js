@@ -0,0 +1,241 @@
+/**
+ * Detector thresholds from rules.json: defaults per detector plus overrides by campaign, target,
+ * buyer or publisher, so a noisy buyer can be tuned without a deploy.
+ *
+ *   const rules = loadRules();
+ *   const { hangUpPct, minCalls } = rules.for("targetHangups", { target: targetName, buyer });
+ *
+ * rules.json:
+ *   {
+ *     "defaults": { "targetHangups": { "hangUpPct": 10, ... }, ... },
+ *     "overrides": [
+ *       { "detector": "targetHangups", "match": { "buyer": "Acme" }, "set": { "hangUpPct": 25 },
+ *         "note": "Acme drops short calls on purpose" }
+ *     ]
+ *   }
+ *
+ * Every detector and setting is declared in RULE_SCHEMA (type, bounds, built-in default); the file
+ * is validated against it and any unknown detector, setting, match key or out-of-range value is
+ * an error. Settings missing from the file keep their built-in default. Overrides apply in file
+ * order (later wins); `detector` may be a name or a list, and omitted means every detector that has
+ * the setting. match values are a string or a list of strings (any); every key must match.
+ *
+ * The scheduler validates the file on start and on every change and hands the last valid rules
+ * to the scripts it runs (in their run context, or ALERT_RULES_JSON for isolated ones), so an
+ * edit takes effect on the next run and a broken edit is logged and ignored. Scripts run by hand
+ * read rules.json themselves.
+ */
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const RULES_PATH = path.resolve(__dirname, "..", "rules.json");
+
+/** Env var the scheduler passes validated rules in (JSON). */
+export const RULES_ENV = "ALERT_RULES_JSON";
+
+const pct = (value) => ({ type: "number", min: 0, max: 100, default: value });
+const count = (value) => ({ type: "integer", min: 0, default: value });
+const seconds = (value) => ({ type: "integer", min: 0, default: value });
+
+/** detector → setting → { type, min?, max?, default } */
+export const RULE_SCHEMA = {
+  targetNoAnswer: { minDialed: count(30), noAnswerPct: pct(20), worseBy: pct(5) },
+  targetHangups: { minCalls: count(30), hangUpPct: pct(10), maxCallSeconds: seconds(20), worseBy: pct(5) },
+  consecutiveCalls: { maxCallSeconds: seconds(20), inARow: { type: "integer", min: 2, default: 3 } },
+  consecutiveCallsSameBid: { maxCallSeconds: seconds(20), inARow: { type: "integer", min: 2, default: 3 } },
+  multiTags: { minCalls: count(150), missingPct: pct(2), worseBy: pct(2) },
+  numberPool: { noValuePct: pct(2), worseBy: pct(1) },
+  ringTreeDisposition: { minAcceptanceRejections: count(300), pingTimeoutPct: pct(15) },
+  campaignDropRate: { minCalls: count(10), dropRatePct: pct(15), worseBy: pct(5) },
+};
+
+export const MATCH_KEYS = ["campaign", "target", "buyer", "publisher"];
+
+const TOP_LEVEL_KEYS = ["$comment", "defaults", "overrides"];
+const OVERRIDE_KEYS = ["detector", "match", "set", "note"];
+
+function isPlainObject(value) {
+  return value != null && typeof value === "object" && !Array.isArray(value);
+}
+
+function checkValue(detector, setting, value, where, errors) {
+  const spec = RULE_SCHEMA[detector][setting];
+  if (!spec) return errors.push(`${where}: unknown setting "${setting}" for ${detector}`);
+  const ok = spec.type === "integer" ? Number.isInteger(value) : typeof value === "number" && Number.isFinite(value);
+  if (!ok) return errors.push(`${where}.${setting}: expected ${spec.type === "integer" ? "an integer" : "a number"}`);
+  if (spec.min != null && value < spec.min) errors.push(`${where}.${setting}: must be ≥ ${spec.min}`);
+  if (spec.max != null && value > spec.max) errors.push(`${where}.${setting}: must be ≤ ${spec.max}`);
+}
+
+/**
+ * Check a parsed rules file against RULE_SCHEMA. Throws one error listing every problem.
+ * @returns {object} The same config
+ */
+export function validateRules(config) {
+  const errors = [];
+  if (!isPlainObject(config)) throw new Error("rules: expected an object");
+
+  for (const key of Object.keys(config)) {
+    if (!TOP_LEVEL_KEYS.includes(key)) errors.push(`rules: unknown key "${key}"`);
+  }
+
+  const defaults = config.defaults ?? {};
+  if (!isPlainObject(defaults)) errors.push("defaults: expected an object");
+  else {
+    for (const [detector, settings] of Object.entries(defaults)) {
+      if (!RULE_SCHEMA[detector]) {
+        errors.push(`defaults: unknown detector "${detector}"`);
+        continue;
+      }
+      if (!isPlainObject(settings)) {
+        errors.push(`defaults.${detector}: expected an object`);
+        continue;
+      }
+      for (const [setting, value] of Object.entries(settings)) {
+        checkValue(detector, setting, value, `defaults.${detector}`, errors);
+      }
+    }
+  }
+
+  const overrides = config.overrides ?? [];
+  if (!Array.isArray(overrides)) errors.push("overrides: expected an array");
+  else {
+    overrides.forEach((override, i) => {
+      const where = `overrides[${i}]`;
+      if (!isPlainObject(override)) return errors.push(`${where}: expected an object`);
+      for (const key of Object.keys(override)) {
+        if (!OVERRIDE_KEYS.includes(key)) errors.push(`${where}: unknown key "${key}"`);
+      }
+
+      const detectors = override.detector == null ? null : [].concat(override.detector);
+      for (const detector of detectors || []) {
+        if (!RULE_SCHEMA[detector]) errors.push(`${where}.detector: unknown detector "${detector}"`);
+      }
+
+      if (!isPlainObject(override.match) || Object.keys(override.match).length === 0) {
+        errors.push(`${where}.match: expected a non-empty object`);
+      } else {
+        for (const [key, value] of Object.entries(override.match)) {
+          if (!MATCH_KEYS.includes(key)) errors.push(`${where}.match: unknown key "${key}" (${MATCH_KEYS.join(", ")})`);
+          const values = [].concat(value);
+          if (values.length === 0 || values.some((v) => typeof v !== "string")) {
+            errors.push(`${where}.match.${key}: expected a string or a list of strings`);
+          }
+        }
+      }
+
+      if (!isPlainObject(override.set) || Object.keys(override.set).length === 0) {
+        errors.push(`${where}.set: expected a non-empty object`);
+      } else {
+        const candidates = (detectors || Object.keys(RULE_SCHEMA)).filter((detector) => RULE_SCHEMA[detector]);
+        for (const [setting, value] of Object.entries(override.set)) {
+          const owners = candidates.filter((detector) => RULE_SCHEMA[detector][setting]);
+          if (owners.length === 0) {
+            errors.push(`${where}.set: unknown setting "${setting}"${detectors ? ` for ${detectors.join(", ")}` : ""}`);
+            continue;
+          }
+          for (const detector of owners) checkValue(detector, setting, value, `${where}.set`, errors);
+        }
+      }
+    });
+  }
+
+  if (errors.length) throw new Error(`Invalid rules:\n  ${errors.join("\n  ")}`);
+  return config;
+}
+
+function matches(match, entity) {
+  return Object.entries(match).every(([key, expected]) => {
+    const actual = [].concat(entity[key] ?? []);
+    return actual.some((value) => [].concat(expected).includes(value));
+  });
+}
+
+/** Rules bound to a validated config. */
+export function createRules(config = {}) {
+  validateRules(config);
+
+  /**
+   * Settings for one detector and entity: built-in defaults, then the file's defaults, then every
+   * matching override in order.
+   * @param {string} detector - A RULE_SCHEMA key
+   * @param {{ campaign?: string, target?: string, buyer?: string, publisher?: string }} [entity]
+   * @returns {Record<string, number>}
+   */
+  function forDetector(detector, entity = {}) {
+    const schema = RULE_SCHEMA[detector];
+    if (!schema) throw new Error(`rules: unknown detector "${detector}"`);
+
+    const settings = Object.fromEntries(Object.entries(schema).map(([name, spec]) => [name, spec.default]));
+    Object.assign(settings, config.defaults?.[detector]);
+    for (const override of config.overrides || []) {
+      if (override.detector != null && ![].concat(override.detector).includes(detector)) continue;
+      if (!matches(override.match, entity)) continue;
+      for (const [name, value] of Object.entries(override.set)) {
+        if (name in schema) settings[name] = value;
+      }
+    }
+    return settings;
+  }
+
+  return { config, for: forDetector };
+}
+
+/** Parse and validate a rules file (missing file → built-in defaults). */
+export function readRulesFile(filePath = RULES_PATH) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, "utf-8");
+  } catch (error) {
+    if (error.code === "ENOENT") return validateRules({});
+    throw error;
+  }
+  let config;
+  try {
+    config = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${filePath}: ${error.message}`);
+  }
+  return validateRules(config);
+}
+
+/**
+ * The last valid rules in a file (the scheduler's hot reload). The first read throws on an invalid
+ * file; reload() throws too but keeps the current rules.
+ * @param {string} [filePath]
+ * @returns {{ rules: object, json: string, reload(): boolean }} json is the validated config, as
+ *   passed in ALERT_RULES_JSON; reload() is true if the rules changed
+ */
+export function createRulesReloader(filePath = RULES_PATH) {
+  let json = JSON.stringify(readRulesFile(filePath));
+  let rules = createRules(JSON.parse(json));
+  return {
+    get rules() {
+      return rules;
+    },
+    get json() {
+      return json;
+    },
+    reload() {
+      const next = JSON.stringify(readRulesFile(filePath));
+      if (next === json) return false;
+      rules = createRules(JSON.parse(next));
+      json = next;
+      return true;
+    },
+  };
+}
+
+/**
+ * The rules for this run: what the scheduler passed in ALERT_RULES_JSON, else rules.json.
+ * @param {object} [options]
+ * @param {string} [options.filePath]
+ * @param {object} [options.env]
+ */
+export function loadRules({ filePath = RULES_PATH, env = process.env } = {}) {
+  if (env[RULES_ENV]) return createRules(JSON.parse(env[RULES_ENV]));
+  return createRules(readRulesFile(filePath));
+}
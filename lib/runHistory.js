@@ -0,0 +1,142 @@
+/**
+ * What the scheduler ran: one line per run in runHistory.jsonl (STATE_DIR), read back by
+ * `npm run runs`.
+ *
+ *   const history = createRunHistory();
+ *   history.append({ job, script, args, start, end, durationMs, exitCode, status, stderrTail });
+ *   history.list({ job: "targetHangpUps.js", status: ["failed", "timeout"], limit: 20 });
+ *
+ * The scheduler is the only writer (appends, plus a compaction dropping runs older than the
+ * retention window at most once per UTC day); readers skip a line still being written.
+ */
+import fs from "fs";
+import path from "path";
+import { writeFileAtomic } from "./fileLock.js";
+import { STATE_DIR } from "./stateDir.js";
+
+export const RUN_HISTORY_PATH = path.join(STATE_DIR, "runHistory.jsonl");
+
+const DEFAULT_RETENTION_MS = 14 * 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {object} Run
+ * @property {string} id
+ * @property {string} job - Script, args and account ("targetNoAnswer.js pull @main"); overlap is judged per job
+ * @property {string} script
+ * @property {string[]} args
+ * @property {string} [account] - Ringba account it ran against (accounts.config.js)
+ * @property {string} [description]
+ * @property {"inProcess" | "child"} [mode] - How it ran (lib/jobRunner.js); skipped runs have none
+ * @property {string} start - ISO time
+ * @property {string} [end] - ISO time (none for skipped runs)
+ * @property {number} [durationMs]
+ * @property {number | null} [exitCode]
+ * @property {string | null} [signal]
+ * @property {"ok" | "failed" | "timeout" | "killed" | "skipped"} status
+ * @property {string} [reason] - Why a run was skipped, killed or failed to start
+ * @property {string} [stderrTail] - Last lines of stderr
+ */
+
+export const RUN_STATUSES = ["ok", "failed", "timeout", "killed", "skipped"];
+
+/** The lines of a stderr tail worth showing: stack frames and the Node version footer bury the message. */
+export function errorLines(stderrTail = "") {
+  return stderrTail.split("\n").filter((line) => line.trim() && !/^\s+at /.test(line) && !/^Node\.js v/.test(line));
+}
+
+function readRuns(filePath) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, "utf-8");
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+  const runs = [];
+  for (const line of text.split("\n")) {
+    if (!line) continue;
+    try {
+      runs.push(JSON.parse(line));
+    } catch {
+      // partial line
+    }
+  }
+  return runs;
+}
+
+function endsMidLine(filePath) {
+  let fd;
+  try {
+    fd = fs.openSync(filePath, "r");
+  } catch (error) {
+    if (error.code === "ENOENT") return false;
+    throw error;
+  }
+  try {
+    const { size } = fs.fstatSync(fd);
+    if (size === 0) return false;
+    const last = Buffer.alloc(1);
+    fs.readSync(fd, last, 0, 1, size - 1);
+    return last[0] !== 0x0a;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.filePath]
+ * @param {number} [options.retentionMs] - Runs older than this are dropped on compaction (14 days)
+ */
+export function createRunHistory({ filePath = RUN_HISTORY_PATH, retentionMs = DEFAULT_RETENTION_MS } = {}) {
+  let compactedOn = null;
+
+  function compact(now) {
+    const oldest = now.getTime() - retentionMs;
+    const kept = readRuns(filePath).filter((run) => Date.parse(run.start) >= oldest);
+    writeFileAtomic(filePath, kept.map((run) => JSON.stringify(run)).join("\n") + (kept.length ? "\n" : ""));
+  }
+
+  return {
+    filePath,
+
+    /** Record a finished (or skipped) run. */
+    append(run, { now = new Date() } = {}) {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      // After a torn write (crash mid-line) start on a fresh line, so only that line is lost
+      fs.appendFileSync(filePath, `${endsMidLine(filePath) ? "\n" : ""}${JSON.stringify(run)}\n`);
+      const today = now.toISOString().slice(0, 10);
+      if (compactedOn !== today) {
+        compact(now);
+        compactedOn = today;
+      }
+    },
+
+    /**
+     * Runs, newest first.
+     * @param {object} [query]
+     * @param {string} [query.job] - A job ("targetNoAnswer.js pull") or a script (all its jobs)
+     * @param {string | string[]} [query.status]
+     * @param {Date} [query.since]
+     * @param {number} [query.limit]
+     * @returns {Run[]}
+     */
+    list({ job, status, since, limit = Infinity } = {}) {
+      const statuses = status == null ? null : [].concat(status);
+      return readRuns(filePath)
+        .filter((run) => !job || run.job === job || run.script === job)
+        .filter((run) => !statuses || statuses.includes(run.status))
+        .filter((run) => !since || Date.parse(run.start) >= since.getTime())
+        .sort((a, b) => Date.parse(b.start) - Date.parse(a.start))
+        .slice(0, limit);
+    },
+  };
+}
+
+let history = null;
+
+/** The process run history (runHistory.jsonl in STATE_DIR). */
+export function getRunHistory() {
+  if (!history) history = createRunHistory();
+  return history;
+}
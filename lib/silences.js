@@ -0,0 +1,111 @@
+/**
+ * Silences set from the buttons on Slack alerts (slackActions.js), kept in the alert state so every
+ * detector's notifier sees them:
+ *
+ *   ack    — Acknowledge: no more follow-ups of this alert (its thread / incident) today
+ *   snooze — Snooze 1h: no alerts of this type about this entity for an hour
+ *   mute   — Mute target for today: no alerts about this target until the end of the business day
+ *
+ *   const silences = createSilences();
+ *   await silences.silence("snooze", { alert, user: "U123" });
+ *   silences.match(alert, { now });   // → { key, action, by, at, until } or null
+ *
+ * Silences are per Ringba account: snoozing or muting an alert from one account leaves the same
+ * entity's alerts from the others alone. Recoveries ("resolved") are never silenced, so an acknowledged or snoozed problem still reports
+ * that it cleared.
+ */
+import { endOfBusinessDay, getAlertState } from "./alertState.js";
+
+export const SNOOZE_MS = 60 * 60 * 1000;
+
+export const SILENCE_ACTIONS = {
+  ack: { label: "Acknowledge", done: "acknowledged" },
+  snooze: { label: "Snooze 1h", done: "snoozed for 1h" },
+  mute: { label: "Mute target for today", done: "muted for today" },
+};
+
+const accountPrefix = (account) => (account ? `${account}/` : "");
+
+/** Key shared by every alert of one type about one entity ("elite/targetHangups:Acme"). */
+export function entityKey(alert) {
+  return `${accountPrefix(alert.account)}${alert.type}:${alert.entity ?? alert.title}`;
+}
+
+/** Key of one alert and its follow-ups: its thread if it has one, else its entity key. */
+export function alertKey(alert) {
+  return alert.thread ?? entityKey(alert);
+}
+
+/** The target a "mute" button silences: the alert's target, if it names exactly one. */
+export function muteTarget(alert) {
+  const targets = [].concat(alert.target ?? []);
+  return targets.length === 1 ? targets[0] : null;
+}
+
+/**
+ * What a button needs to silence an alert later, without the alert itself (Slack button values
+ * are capped at 2000 characters).
+ */
+export function silenceScope(alert) {
+  const scope = { alert: alertKey(alert), entity: entityKey(alert), target: muteTarget(alert) };
+  if (alert.account) scope.account = alert.account;
+  // Its account's, so "today" ends at the end of the account's business day
+  if (alert.timeZone) scope.timeZone = alert.timeZone;
+  return scope;
+}
+
+/**
+ * @param {object} [options]
+ * @param {object} [options.state] - Alert state (defaults to the shared one)
+ */
+export function createSilences({ state = getAlertState() } = {}) {
+  const silences = state.namespace("silences");
+
+  /**
+   * Record a silence.
+   * @param {"ack" | "snooze" | "mute"} action
+   * @param {object} options
+   * @param {object} [options.alert] - The alert the button was on...
+   * @param {{ alert: string, entity: string, target: string | null, account?: string, timeZone?: string }} [options.scope] - ...or its scope
+   * @param {string} [options.user] - Who pressed it (Slack user ID)
+   * @param {Date} [options.now]
+   * @returns {Promise<{ key: string, until: string }>}
+   */
+  async function silence(action, { alert, scope = silenceScope(alert), user, now = new Date() }) {
+    let key;
+    let expiresAt = endOfBusinessDay(now, scope.timeZone);
+    if (action === "ack") {
+      key = `ack:${scope.alert}`;
+    } else if (action === "snooze") {
+      key = `snooze:${scope.entity}`;
+      expiresAt = now.getTime() + SNOOZE_MS;
+    } else if (action === "mute") {
+      if (!scope.target) throw new Error("mute: the alert has no single target");
+      key = `mute:${accountPrefix(scope.account)}${scope.target}`;
+    } else {
+      throw new Error(`Unknown silence action "${action}"`);
+    }
+    const until = new Date(expiresAt).toISOString();
+    await silences.set(key, { action, by: user ?? null, at: now.toISOString(), until }, { now, expiresAt });
+    return { key, until };
+  }
+
+  /** The silence covering an alert at `now`, or null. */
+  function match(alert, { now = new Date() } = {}) {
+    if (alert.status === "resolved") return null;
+    const active = silences.entries({ now });
+    const keys = [`ack:${alertKey(alert)}`, `snooze:${entityKey(alert)}`];
+    for (const target of [].concat(alert.target ?? [])) keys.push(`mute:${accountPrefix(alert.account)}${target}`);
+    for (const key of keys) {
+      if (active[key]) return { key, ...active[key] };
+    }
+    return null;
+  }
+
+  /** Silences active at `now`, by key (for reporting). */
+  function list({ now = new Date() } = {}) {
+    return silences.entries({ now });
+  }
+
+  return { silence, match, list };
+}
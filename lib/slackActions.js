@@ -0,0 +1,135 @@
+/**
+ * Slack interactivity for the alert buttons (see renderBlocks' actions): reading and verifying the
+ * request, and turning a button press into a silence (lib/silences.js).
+ *
+ *   const body = await readBody(req);                                         // throws → 413
+ *   if (!verifySlackSignature({ signingSecret, timestamp, signature, body })) → 401
+ *   await createActionHandler().handle(JSON.parse(new URLSearchParams(body).get("payload")));
+ *
+ * https://api.slack.com/authentication/verifying-requests-from-slack
+ */
+import crypto from "crypto";
+import axios from "axios";
+import { createSilences, SILENCE_ACTIONS } from "./silences.js";
+
+/** Requests older (or newer) than this are rejected as possible replays. */
+export const MAX_REQUEST_AGE_S = 5 * 60;
+
+/** Largest request body read (interaction payloads are a few KB). */
+export const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * The raw request body as a string. Rejects as soon as it passes maxBytes (or its Content-Length
+ * says it will) and stops buffering it; the caller answers 413 and closes the connection.
+ * @param {import("http").IncomingMessage} req
+ * @param {{ maxBytes?: number }} [options]
+ * @returns {Promise<string>}
+ */
+export function readBody(req, { maxBytes = MAX_BODY_BYTES } = {}) {
+  return new Promise((resolve, reject) => {
+    const tooLarge = () => reject(new Error(`Request body over ${maxBytes} bytes`));
+    if (Number(req.headers?.["content-length"]) > maxBytes) {
+      tooLarge();
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    function onData(chunk) {
+      size += chunk.length;
+      if (size > maxBytes) {
+        req.off("data", onData);
+        chunks.length = 0;
+        tooLarge();
+        return;
+      }
+      chunks.push(chunk);
+    }
+    req.on("data", onData);
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+/**
+ * True if the request was signed with the app's signing secret and is recent.
+ * @param {object} request
+ * @param {string} request.signingSecret
+ * @param {string} request.timestamp - X-Slack-Request-Timestamp
+ * @param {string} request.signature - X-Slack-Signature ("v0=…")
+ * @param {string} request.body - Raw request body, exactly as received
+ * @param {number} [request.now] - Epoch ms
+ */
+export function verifySlackSignature({ signingSecret, timestamp, signature, body, now = Date.now() }) {
+  if (!signingSecret || !timestamp || !signature) return false;
+  const ts = Number(timestamp);
+  if (!Number.isFinite(ts) || Math.abs(now / 1000 - ts) > MAX_REQUEST_AGE_S) return false;
+
+  const expected = `v0=${crypto.createHmac("sha256", signingSecret).update(`v0:${timestamp}:${body}`).digest("hex")}`;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(String(signature));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/** Posts a reply to the message the button was on (via the interaction's response_url). */
+async function postResponse(responseUrl, message) {
+  await axios.post(responseUrl, message);
+}
+
+function describe(action, scope) {
+  if (action === "mute") return scope.target;
+  if (action === "snooze") return scope.entity;
+  return scope.alert;
+}
+
+/**
+ * @param {object} [options]
+ * @param {object} [options.silences] - Defaults to createSilences() on the shared alert state
+ * @param {(url: string, message: object) => Promise<void>} [options.respond]
+ * @param {() => Date} [options.now]
+ */
+export function createActionHandler(options = {}) {
+  const { silences = createSilences(), respond = postResponse, now = () => new Date() } = options;
+
+  /**
+   * Apply every silence button in a block_actions payload and reply in the channel.
+   * @param {object} payload - Parsed `payload` form field
+   * @returns {Promise<Array<{ action: string, key: string, until: string }>>} Silences recorded
+   */
+  async function handle(payload) {
+    if (payload?.type !== "block_actions") return [];
+    const user = payload.user?.id;
+    const recorded = [];
+
+    for (const button of payload.actions || []) {
+      if (!String(button.action_id).startsWith("silence:")) continue;
+      let value;
+      try {
+        value = JSON.parse(button.value);
+      } catch {
+        console.warn("⚠️ Ignoring button with an unreadable value:", button.value);
+        continue;
+      }
+      const { action, ...scope } = value;
+      if (!SILENCE_ACTIONS[action]) {
+        console.warn("⚠️ Ignoring unknown silence action:", action);
+        continue;
+      }
+
+      const { key, until } = await silences.silence(action, { scope, user, now: now() });
+      recorded.push({ action, key, until });
+      console.log(`🔕 ${key} ${SILENCE_ACTIONS[action].done} by ${user ?? "unknown"} (until ${until})`);
+
+      if (payload.response_url) {
+        await respond(payload.response_url, {
+          response_type: "in_channel",
+          replace_original: false,
+          text: `🔕 ${user ? `<@${user}>` : "Someone"} ${SILENCE_ACTIONS[action].done}: ${describe(action, scope)}`,
+        });
+      }
+    }
+    return recorded;
+  }
+
+  return { handle };
+}
@@ -0,0 +1,18 @@
+/**
+ * Where the scripts keep their local state: alertState.json, ringbaLedger.json, callStore/,
+ * runHistory.jsonl and heartbeat.json. The repo root unless STATE_DIR is set, so a test or a run
+ * against the mock Ringba can use a scratch directory and leave the real state alone.
+ */
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const STATE_DIR_ENV = "STATE_DIR";
+
+/** Resolved state directory for `env` (read once per process by the modules that use it). */
+export function stateDir(env = process.env) {
+  return env[STATE_DIR_ENV] ? path.resolve(env[STATE_DIR_ENV]) : path.resolve(__dirname, "..");
+}
+
+export const STATE_DIR = stateDir();
@@ -0,0 +1,187 @@
+/**
+ * Ringba report windows ({ reportStart, reportEnd } as ISO strings) computed in an IANA time zone
+ * with DST handled: today in America/New_York is 04:00Z → 03:59:59.999Z in summer and
+ * 05:00Z → 04:59:59.999Z in winter, and the days the clocks change are 23 and 25 hours long.
+ *
+ *   todayWindow()                        — local midnight to the last millisecond of the day
+ *   todaySoFar()                         — local midnight to now (what a replay at `now` could see)
+ *   yesterdayWindow()
+ *   dayWindow("2026-03-08")              — any local calendar day
+ *   lastMinutes(30)                      — [now - 30 min, now]
+ *   sameWindowLastWeek(window)           — same local wall-clock times 7 days earlier
+ *   range("2026-03-01", "2026-03-07")    — local dates (end inclusive), local date-times or instants
+ *
+ * Every function takes { now, timeZone }; timeZone defaults to REPORT_TIME_ZONE or America/New_York.
+ */
+
+export const DEFAULT_TIME_ZONE = process.env.REPORT_TIME_ZONE || "America/New_York";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatters = new Map();
+
+function formatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric",
+      })
+    );
+  }
+  return formatters.get(timeZone);
+}
+
+/** { year, month, day, hour, minute, second, millisecond } of an instant in timeZone. */
+export function zonedDateTime(date, timeZone = DEFAULT_TIME_ZONE) {
+  const ms = date instanceof Date ? date.getTime() : date;
+  const values = {};
+  for (const part of formatter(timeZone).formatToParts(ms)) {
+    if (part.type !== "literal") values[part.type] = Number(part.value);
+  }
+  return {
+    year: values.year,
+    month: values.month,
+    day: values.day,
+    hour: values.hour,
+    minute: values.minute,
+    second: values.second,
+    millisecond: ((ms % 1000) + 1000) % 1000,
+  };
+}
+
+/** Offset (ms) of timeZone from UTC at an instant: local wall clock − UTC. */
+function offsetAt(ms, timeZone) {
+  const p = zonedDateTime(ms, timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second, p.millisecond) - ms;
+}
+
+/**
+ * The instant a local wall-clock time happens in timeZone. Times repeated when clocks go back
+ * resolve to the first occurrence; times skipped when clocks go forward move forward by the gap
+ * (02:30 on the spring-forward day in New York → 03:30 EDT).
+ * @param {{ year: number, month: number, day: number, hour?: number, minute?: number, second?: number, millisecond?: number }} parts
+ * @returns {Date}
+ */
+export function fromZonedTime(parts, timeZone = DEFAULT_TIME_ZONE) {
+  const { year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0 } = parts;
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+
+  // Offsets either side of any transition near this time; a candidate is valid if it maps back
+  const before = wall - offsetAt(wall - DAY_MS, timeZone);
+  const after = wall - offsetAt(wall + DAY_MS, timeZone);
+  const valid = [before, after].filter((ms) => ms + offsetAt(ms, timeZone) === wall);
+  return new Date(valid.length > 0 ? Math.min(...valid) : before);
+}
+
+/** "YYYY-MM-DD" of an instant in timeZone. */
+export function dateKey(date = new Date(), timeZone = DEFAULT_TIME_ZONE) {
+  const { year, month, day } = zonedDateTime(date, timeZone);
+  return [year, month, day].map((n, i) => String(n).padStart(i === 0 ? 4 : 2, "0")).join("-");
+}
+
+/** Today's "YYYY-MM-DD" in timeZone — the key the daily alert caches use. */
+export function todayKey({ now = new Date(), timeZone = DEFAULT_TIME_ZONE } = {}) {
+  return dateKey(now, timeZone);
+}
+
+function parseDateKey(key) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(key);
+  if (!match) throw new Error(`Expected a YYYY-MM-DD date, got ${JSON.stringify(key)}`);
+  return { year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) };
+}
+
+/** Calendar arithmetic on "YYYY-MM-DD" keys (no time zone involved). */
+export function addDays(key, days) {
+  const { year, month, day } = parseDateKey(key);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+function toWindow(start, end) {
+  return { reportStart: start.toISOString(), reportEnd: end.toISOString() };
+}
+
+/** A whole local calendar day: midnight to one millisecond before the next midnight. */
+export function dayWindow(key, { timeZone = DEFAULT_TIME_ZONE } = {}) {
+  const start = fromZonedTime(parseDateKey(key), timeZone);
+  const next = fromZonedTime(parseDateKey(addDays(key, 1)), timeZone);
+  return toWindow(start, new Date(next.getTime() - 1));
+}
+
+export function todayWindow({ now = new Date(), timeZone = DEFAULT_TIME_ZONE } = {}) {
+  return dayWindow(dateKey(now, timeZone), { timeZone });
+}
+
+export function todaySoFar({ now = new Date(), timeZone = DEFAULT_TIME_ZONE } = {}) {
+  return toWindow(new Date(todayWindow({ now, timeZone }).reportStart), now);
+}
+
+export function yesterdayWindow({ now = new Date(), timeZone = DEFAULT_TIME_ZONE } = {}) {
+  return dayWindow(addDays(dateKey(now, timeZone), -1), { timeZone });
+}
+
+/** The last `minutes` of real time, ending now. */
+export function lastMinutes(minutes, { now = new Date() } = {}) {
+  if (!(minutes > 0)) throw new Error(`lastMinutes: expected a positive number of minutes, got ${minutes}`);
+  return toWindow(new Date(now.getTime() - minutes * 60 * 1000), now);
+}
+
+function shiftWallClock(iso, days, timeZone) {
+  const parts = zonedDateTime(new Date(iso), timeZone);
+  const key = addDays(dateKey(new Date(iso), timeZone), days);
+  return fromZonedTime({ ...parts, ...parseDateKey(key) }, timeZone);
+}
+
+/**
+ * The same local wall-clock window `weeks` weeks earlier — "9:00–9:30 last Tuesday", even when a
+ * DST change falls in between (so the result can be an hour shorter or longer in UTC terms).
+ */
+export function sameWindowLastWeek(window, { timeZone = DEFAULT_TIME_ZONE, weeks = 1 } = {}) {
+  const days = -7 * weeks;
+  return toWindow(
+    shiftWallClock(window.reportStart, days, timeZone),
+    shiftWallClock(window.reportEnd, days, timeZone)
+  );
+}
+
+/**
+ * Parse one end of a range: Date, ISO instant with Z/offset, "YYYY-MM-DD" (local day) or
+ * "YYYY-MM-DDTHH:mm[:ss]" (local wall clock).
+ */
+function rangeBound(value, timeZone, isEnd) {
+  if (value instanceof Date) return value;
+  if (typeof value !== "string") throw new Error(`range: unsupported bound ${JSON.stringify(value)}`);
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return isEnd
+      ? new Date(dayWindow(value, { timeZone }).reportEnd)
+      : fromZonedTime(parseDateKey(value), timeZone);
+  }
+
+  const local = /^(\d{4}-\d{2}-\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/.exec(value);
+  if (local) {
+    return fromZonedTime(
+      { ...parseDateKey(local[1]), hour: Number(local[2]), minute: Number(local[3]), second: Number(local[4] ?? 0) },
+      timeZone
+    );
+  }
+
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) throw new Error(`range: can't parse ${JSON.stringify(value)}`);
+  return new Date(ms);
+}
+
+/** Arbitrary window; date-only ends are inclusive ("2026-03-01" → "2026-03-07" covers 7 days). */
+export function range(start, end, { timeZone = DEFAULT_TIME_ZONE } = {}) {
+  const from = rangeBound(start, timeZone, false);
+  const to = rangeBound(end, timeZone, true);
+  if (to < from) throw new Error(`range: end ${to.toISOString()} is before start ${from.toISOString()}`);
+  return toWindow(from, to);
+}
@@ -0,0 +1,121 @@
+/**
+ * Dead-man's switch for the scheduler. scheduler.js rewrites heartbeat.json (STATE_DIR) every
+ * minute; `npm run watchdog`, run from the system crontab or another host so it doesn't go down
+ * with the scheduler, checks that the heartbeat is fresh and that every watched job has had a
+ * successful run (runHistory.jsonl) recently enough:
+ *
+ *   { script: "targetNoAnswer.js", args: ["pull"], ..., maxSilenceMinutes: 30 }
+ *
+ * A job is overdue once the first tick of its schedule after its last successful run is more than
+ * maxSilenceMinutes ago. Silence is measured from the job's own schedule and the business
+ * calendar (lib/calendar.js), so nights, Sundays, holidays and any other time it isn't meant to
+ * run never count against it. A job with no successful run on record is measured from the
+ * scheduler's start.
+ */
+import fs from "fs";
+import path from "path";
+import { firstCronRun } from "./cron.js";
+import { writeFileAtomic } from "./fileLock.js";
+import { jobKey } from "./jobRunner.js";
+import { STATE_DIR } from "./stateDir.js";
+
+export const HEARTBEAT_PATH = path.join(STATE_DIR, "heartbeat.json");
+export const HEARTBEAT_INTERVAL_MS = 60 * 1000;
+/** Heartbeat age past which the scheduler counts as down. */
+export const HEARTBEAT_STALE_MINUTES = 5;
+
+const MINUTE_MS = 60 * 1000;
+
+/** Record that the scheduler is alive: { pid, startedAt, beatAt }. */
+export function writeHeartbeat({ filePath = HEARTBEAT_PATH, startedAt, now = new Date() }) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  writeFileAtomic(filePath, `${JSON.stringify({ pid: process.pid, startedAt: startedAt.toISOString(), beatAt: now.toISOString() })}\n`);
+}
+
+/** The last heartbeat, or null if the scheduler never wrote one. */
+export function readHeartbeat(filePath = HEARTBEAT_PATH) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw new Error(`${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * @typedef {object} WatchdogResult
+ * @property {string} name - "scheduler" or a job ("targetNoAnswer.js pull")
+ * @property {"ok" | "stale"} status
+ * @property {string | null} since - ISO: last heartbeat / last successful run
+ * @property {string} detail
+ */
+
+const minutesBetween = (from, to) => Math.floor((to - from) / MINUTE_MS);
+
+/** Whether the scheduler has written a heartbeat in the last HEARTBEAT_STALE_MINUTES. */
+export function checkHeartbeat(heartbeat, { now = new Date(), staleMinutes = HEARTBEAT_STALE_MINUTES } = {}) {
+  if (!heartbeat) return { name: "scheduler", status: "stale", since: null, detail: "no heartbeat recorded — is the scheduler running?" };
+  const age = minutesBetween(Date.parse(heartbeat.beatAt), now);
+  if (age >= staleMinutes) {
+    return { name: "scheduler", status: "stale", since: heartbeat.beatAt, detail: `no heartbeat for ${age} min (pid ${heartbeat.pid})` };
+  }
+  return { name: "scheduler", status: "ok", since: heartbeat.beatAt, detail: `pid ${heartbeat.pid}, up since ${heartbeat.startedAt}` };
+}
+
+/**
+ * Whether a watched job (an entry with maxSilenceMinutes) has succeeded recently enough.
+ * @param {object} entry - schedules.config.js entry
+ * @param {import("./runHistory.js").Run[]} runs - The job's runs, newest first
+ * @param {object} options
+ * @param {Date} [options.now]
+ * @param {string} [options.schedulerStartedAt] - ISO; where silence starts without a success on record
+ * @param {(date: Date) => boolean} [options.openAt] - Whether a tick at `date` would run (calendar)
+ * @returns {WatchdogResult}
+ */
+export function checkJob(entry, runs, { now = new Date(), schedulerStartedAt, openAt = () => true } = {}) {
+  const name = jobKey(entry);
+  const lastSuccess = runs.find((run) => run.status === "ok")?.start ?? null;
+  const from = lastSuccess ?? schedulerStartedAt;
+  if (!from) return { name, status: "ok", since: null, detail: "not run yet" };
+
+  // Ticks from just after the last success up to maxSilenceMinutes ago: any one means overdue
+  const due = firstCronRun(entry.schedule, {
+    from: new Date(Date.parse(from) + 1),
+    to: new Date(now.getTime() - entry.maxSilenceMinutes * MINUTE_MS + 1),
+    timeZone: entry.timezone,
+    filter: openAt,
+  });
+  const last = lastSuccess ? `last success ${lastSuccess}` : "no successful run since the scheduler started";
+  if (!due) return { name, status: "ok", since: lastSuccess, detail: last };
+  return {
+    name,
+    status: "stale",
+    since: lastSuccess,
+    detail: `${last}; due since ${due.toISOString()} (${minutesBetween(due, now)} min, allowed ${entry.maxSilenceMinutes})`,
+  };
+}
+
+/**
+ * The scheduler's heartbeat, then every watched job. Jobs aren't judged while the scheduler is
+ * down: that is the one problem to report.
+ * @param {object} options
+ * @param {object[]} options.schedules
+ * @param {object} options.history - lib/runHistory.js history
+ * @param {object | null} options.heartbeat
+ * @param {Date} [options.now]
+ * @param {(entry: object, date: Date) => boolean} [options.openAt] - Whether the entry's tick at
+ *   `date` would run (the scheduler's calendar check)
+ * @returns {WatchdogResult[]}
+ */
+export function watchdogChecks({ schedules, history, heartbeat, now = new Date(), openAt = () => true }) {
+  const scheduler = checkHeartbeat(heartbeat, { now });
+  if (scheduler.status !== "ok") return [scheduler];
+  const jobs = schedules
+    .filter((entry) => entry.maxSilenceMinutes != null)
+    .map((entry) => {
+      const job = jobKey(entry);
+      const runs = history.list({ job }).filter((run) => run.job === job);
+      return checkJob(entry, runs, { now, schedulerStartedAt: heartbeat.startedAt, openAt: (date) => openAt(entry, date) });
+    });
+  return [scheduler, ...jobs];
+}
@@ -0,0 +1,47 @@
+/**
+ * Local mock of the Ringba API, serving a fixture set (lib/mockRingba.js), or recording one from
+ * the real API.
+ *
+ * Usage:
+ *   node mockRingba.js                                  — serve test/fixtures/ringba/basic on :4010
+ *   node mockRingba.js --fixtures <dir> --port 4010
+ *   node mockRingba.js --record --fixtures <dir>        — proxy to api.ringba.com, saving sanitized
+ *                                                         responses into <dir>
+ *   node mockRingba.js --record --upstream <url>        — record from another base URL
+ *
+ * Then run any script against it:
+ *   RINGBA_BASE_URL=http://127.0.0.1:4010 node targetHangpUps.js --dry-run
+ */
+import "dotenv/config";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createMockRingba } from "./lib/mockRingba.js";
+import { RINGBA_BASE_URL } from "./lib/ringbaClient.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_FIXTURES = path.join(__dirname, "test", "fixtures", "ringba", "basic");
+const DEFAULT_PORT = 4010;
+
+/** "--name value" or "--name=value"; null if absent. */
+function option(name, argv = process.argv.slice(2)) {
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === `--${name}`) {
+      if (!argv[i + 1] || argv[i + 1].startsWith("--")) throw new Error(`--${name} expects a value`);
+      return argv[i + 1];
+    }
+    if (argv[i].startsWith(`--${name}=`)) return argv[i].slice(name.length + 3);
+  }
+  return null;
+}
+
+const recording = process.argv.includes("--record");
+const fixtures = option("fixtures") ?? DEFAULT_FIXTURES;
+const port = parseInt(option("port") ?? DEFAULT_PORT, 10);
+const upstream = option("upstream") ?? RINGBA_BASE_URL;
+
+const mock = createMockRingba({ fixtures, record: recording, upstream, log: (line) => console.log(line) });
+const url = await mock.listen(port);
+
+console.log(recording ? `Recording ${upstream} into ${mock.dir}` : `Serving fixtures from ${mock.dir}`);
+console.log(`Mock Ringba on ${url} — run scripts with RINGBA_BASE_URL=${url}`);
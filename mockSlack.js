@@ -0,0 +1,47 @@
+/**
+ * Local Slack receiver (lib/mockSlack.js): prints every alert the notifier posts, and the env vars
+ * that send each alertRoutes.config.js channel to it.
+ *
+ * Usage:
+ *   node mockSlack.js                          — listen on :4020, webhooks per channel
+ *   node mockSlack.js --port 4020 --bot        — bot token / chat API instead (threads, updates)
+ *   node mockSlack.js --out alerts.jsonl       — also append each message to a file
+ *
+ * Then, with the printed env vars set:
+ *   RINGBA_BASE_URL=http://127.0.0.1:4010 node targetHangpUps.js
+ */
+import fs from "fs";
+import path from "path";
+import { createMockSlack } from "./lib/mockSlack.js";
+import alertRoutes from "./alertRoutes.config.js";
+
+const DEFAULT_PORT = 4020;
+
+/** "--name value" or "--name=value"; null if absent. */
+function option(name, argv = process.argv.slice(2)) {
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === `--${name}`) {
+      if (!argv[i + 1] || argv[i + 1].startsWith("--")) throw new Error(`--${name} expects a value`);
+      return argv[i + 1];
+    }
+    if (argv[i].startsWith(`--${name}=`)) return argv[i].slice(name.length + 3);
+  }
+  return null;
+}
+
+const port = parseInt(option("port") ?? DEFAULT_PORT, 10);
+const out = option("out");
+const bot = process.argv.includes("--bot");
+
+const file = out ? path.resolve(out) : null;
+const slack = createMockSlack({
+  log: (line) => console.log(line),
+  onMessage: (message) => file && fs.appendFileSync(file, `${JSON.stringify(message)}\n`),
+});
+
+const url = await slack.listen(port);
+console.log(`Mock Slack on ${url}${file ? ` — messages appended to ${file}` : ""}`);
+console.log("Send alerts here with:");
+for (const [name, value] of Object.entries(slack.env(alertRoutes, { bot }))) {
+  console.log(`  ${name}=${value}`);
+}
@@ -0,0 +1,88 @@
+/**
+ * Scheduler run history (runHistory.jsonl, lib/runHistory.js): when each job ran, how it ended,
+ * how long it took and the tail of stderr for runs that didn't succeed.
+ *
+ * Usage:
+ *   node runs.js                              — last 20 runs, newest first
+ *   node runs.js --job targetHangpUps.js      — one script (or "targetNoAnswer.js pull" for one job)
+ *   node runs.js --failed                     — failed, timed out and killed runs only
+ *   node runs.js --status skipped --since 2026-03-09 --limit 100
+ *   node runs.js --json                       — the runs as JSON
+ */
+import { errorLines, getRunHistory, RUN_STATUSES } from "./lib/runHistory.js";
+import { formatAsOf } from "./lib/clock.js";
+import { range } from "./lib/timeWindow.js";
+
+const DEFAULT_LIMIT = 20;
+const STATUS_ICON = { ok: "✅", failed: "❌", timeout: "⏱️", killed: "🛑", skipped: "⏭️" };
+
+/** "--name value" or "--name=value"; null if absent. */
+function option(name, argv = process.argv.slice(2)) {
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === `--${name}`) {
+      if (!argv[i + 1] || argv[i + 1].startsWith("--")) throw new Error(`--${name} expects a value`);
+      return argv[i + 1];
+    }
+    if (argv[i].startsWith(`--${name}=`)) return argv[i].slice(name.length + 3);
+  }
+  return null;
+}
+
+function parseArgs(argv) {
+  const status = argv.includes("--failed") ? ["failed", "timeout", "killed"] : option("status", argv)?.split(",");
+  const unknown = (status ?? []).filter((s) => !RUN_STATUSES.includes(s));
+  if (unknown.length) throw new Error(`--status: unknown ${unknown.join(", ")} (one of ${RUN_STATUSES.join(", ")})`);
+
+  const limit = option("limit", argv);
+  if (limit != null && !/^\d+$/.test(limit)) throw new Error("--limit expects a number");
+
+  // A local date or date-time (REPORT_TIME_ZONE), or an instant
+  const since = option("since", argv);
+  return {
+    job: option("job", argv),
+    status,
+    since: since ? new Date(range(since, since).reportStart) : null,
+    limit: limit != null ? parseInt(limit, 10) : DEFAULT_LIMIT,
+    json: argv.includes("--json"),
+  };
+}
+
+const pad = (value, width) => String(value).padEnd(width);
+
+function formatDuration(ms) {
+  if (ms == null) return "-";
+  if (ms < 60 * 1000) return `${(ms / 1000).toFixed(1)}s`;
+  const seconds = Math.round(ms / 1000);
+  return `${Math.floor(seconds / 60)}m${String(seconds % 60).padStart(2, "0")}s`;
+}
+
+function main() {
+  const { json, ...query } = parseArgs(process.argv.slice(2));
+  const history = getRunHistory();
+  const runs = history.list(query);
+
+  if (json) {
+    console.log(JSON.stringify(runs, null, 2));
+    return;
+  }
+
+  console.log(`Runs — newest first (${history.filePath})\n`);
+  if (runs.length === 0) {
+    console.log("  (no runs recorded)");
+    return;
+  }
+
+  console.log(`  ${pad("started", 21)} ${pad("status", 10)} ${pad("took", 8)} ${pad("exit", 7)} job`);
+  for (const run of runs) {
+    const exit = run.signal ?? run.exitCode ?? "-";
+    console.log(
+      `  ${pad(formatAsOf(new Date(run.start)), 21)} ${STATUS_ICON[run.status] ?? "?"} ${pad(run.status, 7)} ${pad(formatDuration(run.durationMs), 8)} ${pad(exit, 7)} ${run.job}`
+    );
+    if (run.status === "ok") continue;
+    if (run.reason) console.log(`      ${run.reason}`);
+    // --json has the full tail
+    for (const line of errorLines(run.stderrTail).slice(-5)) console.log(`      │ ${line}`);
+  }
+}
+
+main();
@@ -1,12 +1,59 @@
 /**
  * Centralized scheduler — runs all API scripts on their configured cron schedules.
  * Start once: node scheduler.js (or pm2 start scheduler.js)
+ *
+ * Before scheduling anything it runs the offline `doctor` checks (env, schedules, configs) and
+ * refuses to start when one fails; `--skip-doctor` starts anyway.
+ *
+ * rules.json (lib/rules.js) is validated at start and whenever it changes; each script is handed
+ * the last valid rules, so threshold edits apply from the next run and invalid edits are ignored.
+ *
+ * Every entry runs once per Ringba account that enables its script (accounts.config.js,
+ * lib/accounts.js) — "targetNoAnswer.js pull @main", "elitePickUp.js @elite" — each a job of its
+ * own, with that account's client, time zone, channel and alert state.
+ *
+ * Jobs only run while their Ringba account is open per the business calendar (calendar.config.js,
+ * lib/calendar.js): ticks outside business hours, on holidays and on closures are dropped, so
+ * cron only sets the cadence. Entries with `calendar: false` (clearCache.js) run regardless.
+ *
+ * Jobs run in this process by default: the scheduler imports each script once and calls its
+ * run(context) (lib/jobContext.js), sharing Ringba clients and their tokens, the rate limiter, the
+ * notifier and the alert state across jobs. Entries with `isolate: true` run as a child process
+ * instead, and `--isolate` runs every job that way. A script edit takes effect on the next run of
+ * an isolated job, but only after a restart for in-process ones.
+ *
+ * Each job runs at most once at a time: a tick that finds the previous run still going is
+ * skipped, queued or kills it, per the entry's `overlap`; runs past `maxRuntimeSeconds` are killed.
+ * Every run is recorded in runHistory.jsonl (lib/jobRunner.js, lib/runHistory.js) — see
+ * `npm run runs`.
+ *
+ * A job that fails `alertAfterFailures` runs in a row (default 3), or is stopped at its
+ * maxRuntimeSeconds, raises a "jobFailure" alert, and its next successful run sends the recovery
+ * (lib/jobAlerts.js). The scheduler also rewrites heartbeat.json every minute for `npm run
+ * watchdog` (lib/watchdog.js), which alerts when the scheduler or a watched job goes quiet.
+ *
+ * `--dry-run` (or `--dry-run=<file>`) makes every run a dry run (lib/dryRun.js): alerts are
+ * printed or written to the file instead of posted, and the alert state isn't written.
  */
 import "dotenv/config";
-import { spawn } from "child_process";
 import { fileURLToPath } from "url";
 import { dirname, join } from "path";
 import { createRequire } from "module";
+import fs from "fs";
+import { createRulesReloader, RULES_ENV, RULES_PATH } from "./lib/rules.js";
+import { staticChecks, formatReport } from "./lib/doctor.js";
+import { ACCOUNT_ENV, DEFAULT_ACCOUNT, expandSchedules } from "./lib/accounts.js";
+import { dryRunArg, dryRunEnvValue, DRY_RUN_ENV } from "./lib/dryRun.js";
+import { createJobRunner, DEFAULT_MAX_RUNTIME_SECONDS } from "./lib/jobRunner.js";
+import { createJobContext } from "./lib/jobContext.js";
+import { createClock } from "./lib/clock.js";
+import { RUN_HISTORY_PATH } from "./lib/runHistory.js";
+import { createJobAlerts } from "./lib/jobAlerts.js";
+import { HEARTBEAT_INTERVAL_MS, HEARTBEAT_PATH, writeHeartbeat } from "./lib/watchdog.js";
+import { entryStatus, getCalendar } from "./lib/calendar.js";
+import alertRoutes from "./alertRoutes.config.js";
+import calendarConfig from "./calendar.config.js";
+import accountsConfig from "./accounts.config.js";
 
 const require = createRequire(import.meta.url);
 const cron = require("node-cron");
@@ -15,50 +62,91 @@ const __dirname = dirname(fileURLToPath(import.meta.url));
 const projectRoot = __dirname;
 
 const schedules = (await import("./schedules.config.js")).default;
+const dryRun = dryRunArg();
+const isolateAll = process.argv.includes("--isolate");
 
-function runScript(entry) {
-  const { script, args = [], description } = entry;
-  const cmd = "node";
-  const cmdArgs = [join(projectRoot, script), ...args];
-  const label = description || script;
+const problems = staticChecks({
+  schedules,
+  routes: alertRoutes,
+  calendar: calendarConfig,
+  accounts: accountsConfig,
+  root: projectRoot,
+  rulesPath: RULES_PATH,
+});
+if (problems.some((r) => r.status !== "ok")) {
+  console.log(formatReport(problems, { only: ["warn", "fail"] }));
+}
+if (problems.some((r) => r.status === "fail")) {
+  if (!process.argv.includes("--skip-doctor")) {
+    console.error("\nFix the above (details: node doctor.js) or start with --skip-doctor.");
+    process.exit(1);
+  }
+  console.warn("\n--skip-doctor: starting anyway.");
+}
+
+// One job per entry and account
+const jobs = expandSchedules(schedules);
 
-  return new Promise((resolve, reject) => {
-    const child = spawn(cmd, cmdArgs, {
-      cwd: projectRoot,
-      stdio: ["ignore", "pipe", "pipe"],
-      env: { ...process.env },
-    });
+// Last valid rules.json, passed to every script run (an invalid file at start is fatal)
+const rulesFile = createRulesReloader();
+
+function reloadRules() {
+  try {
+    if (!rulesFile.reload()) return;
+    console.log(`\n[${new Date().toISOString()}] 🔁 Reloaded ${RULES_PATH}`);
+  } catch (err) {
+    console.error(`\n[${new Date().toISOString()}] ❌ ${err.message}\nKeeping the previous rules.`);
+  }
+}
 
-    let stdout = "";
-    let stderr = "";
+// Ringba clients for in-process runs, one per account: tokens and rate limits carry across jobs
+const ringbaClients = new Map();
 
-    child.stdout?.on("data", (d) => {
-      stdout += d;
-      process.stdout.write(`[${label}] ${d}`);
-    });
-    child.stderr?.on("data", (d) => {
-      stderr += d;
-      process.stderr.write(`[${label}] ${d}`);
-    });
+// One run per job at a time (overlap policy), killed past maxRuntimeSeconds, recorded in runHistory.jsonl
+const runner = createJobRunner({
+  root: projectRoot,
+  // Isolated (child process) runs
+  env: (entry) => ({
+    [RULES_ENV]: rulesFile.json,
+    ...(entry.account && { [ACCOUNT_ENV]: entry.account }),
+    ...(dryRun && { [DRY_RUN_ENV]: dryRunEnvValue(dryRun) }),
+  }),
+  // In-process runs: the notifier and alert state are this process's (dry-run aware)
+  ...(!isolateAll && {
+    context: (entry, { signal }) =>
+      createJobContext({ account: entry.account, clock: createClock(), rules: rulesFile.rules, clients: ringbaClients, signal }),
+  }),
+});
 
-    child.on("close", (code) => {
-      if (code !== 0) {
-        console.error(`[${label}] exited with code ${code}`);
-        reject(new Error(`${script} exited ${code}`));
-      } else {
-        resolve();
-      }
-    });
+// Failing jobs raise an operational alert; their next successful run sends the recovery
+const jobAlerts = createJobAlerts();
 
-    child.on("error", (err) => {
-      console.error(`[${label}] spawn error:`, err);
-      reject(err);
-    });
-  });
+function beat(startedAt) {
+  try {
+    writeHeartbeat({ startedAt });
+  } catch (err) {
+    console.error(`⚠️ Couldn't write ${HEARTBEAT_PATH}:`, err.message);
+  }
+}
+
+// Closed days are logged once per account and day; ticks outside business hours are dropped quietly
+const closedLogged = new Set();
+
+function isOpen(entry) {
+  const account = entry.account ?? DEFAULT_ACCOUNT;
+  const status = entryStatus(entry, new Date(), { calendar: getCalendar(), account });
+  if (status.open) return true;
+  const key = `${account}:${status.date}`;
+  if (!status.reason.startsWith("outside business hours") && !closedLogged.has(key)) {
+    closedLogged.add(key);
+    console.log(`\n[${new Date().toISOString()}] 📅 ${account} ${status.date}: ${status.reason} — its jobs won't run today`);
+  }
+  return false;
 }
 
 function setupCron(entry) {
-  const { script, schedule, description, timezone } = entry;
+  const { script, schedule, description, timezone, account } = entry;
+  const at = account ? ` @${account}` : "";
   const valid = cron.validate(schedule);
   if (!valid) {
     console.error(`Invalid cron for ${script}: ${schedule}`);
@@ -66,18 +154,43 @@ function setupCron(entry) {
   }
   const opts = timezone ? { timezone } : {};
   cron.schedule(schedule, async () => {
-    const label = description || script;
+    if (!isOpen(entry)) return;
+    const label = `${description || script}${at}`;
     console.log(`\n[${new Date().toISOString()}] Running: ${label}`);
+    const run = await runner.trigger(entry);
+    const took = run.durationMs != null ? ` in ${(run.durationMs / 1000).toFixed(1)}s` : "";
+    if (run.status === "ok") console.log(`[${label}] ✅ done${took}`);
+    else if (run.status === "skipped") console.warn(`[${label}] ⏭️ skipped: ${run.reason}`);
+    else console.error(`[${label}] ❌ ${run.status}${took}: ${run.reason ?? `exited with code ${run.exitCode}`}`);
     try {
-      await runScript(entry);
-      console.log(`[${label}] ✅ done`);
+      await jobAlerts.afterRun(entry, run);
     } catch (err) {
-      console.error(`[${label}] ❌ failed:`, err.message);
+      console.error(`[${label}] ⚠️ Couldn't update the job failure alert:`, err.message);
     }
   }, opts);
-  console.log(`  ✓ ${script} — ${schedule} — ${description || "(no description)"}`);
+  const overlap = entry.overlap ?? "skip";
+  const maxRuntime = entry.maxRuntimeSeconds ?? DEFAULT_MAX_RUNTIME_SECONDS;
+  const watched = entry.maxSilenceMinutes != null ? `, watchdog ${entry.maxSilenceMinutes} min` : "";
+  const when = entry.calendar === false ? "any day" : `${account ?? DEFAULT_ACCOUNT} business hours`;
+  const mode = isolateAll || entry.isolate ? "child process" : "in-process";
+  console.log(
+    `  ✓ ${script}${at} — ${schedule} (${when}) — ${description || "(no description)"} [${mode}, overlap: ${overlap}, max ${maxRuntime}s${watched}]`
+  );
 }
 
 console.log("Scheduler starting — schedules (server timezone):\n");
-schedules.forEach(setupCron);
+jobs.forEach(setupCron);
+// Polling also sees the file being replaced (editors, deploys) and created after start
+fs.watchFile(RULES_PATH, { interval: 2000 }, reloadRules);
+console.log(`\n  ✓ Watching ${RULES_PATH} for threshold changes`);
+console.log(`  ✓ Recording runs in ${RUN_HISTORY_PATH} (npm run runs)`);
+if (dryRun) {
+  console.log(`  🧪 Dry run: alerts go to ${dryRun.output ?? "stdout"}, alert state is read-only, no heartbeat`);
+} else {
+  // A dry-run scheduler mustn't make the watchdog think the live one is up
+  const startedAt = new Date();
+  beat(startedAt);
+  setInterval(() => beat(startedAt), HEARTBEAT_INTERVAL_MS);
+  console.log(`  ✓ Heartbeat in ${HEARTBEAT_PATH} every minute (npm run watchdog)`);
+}
 console.log("\nScheduler running. Press Ctrl+C to stop.\n");
@@ -1,6 +1,29 @@
 /**
  * Centralized schedule config for all API scripts.
- * Each entry: { script, schedule, args?, timezone?, description? }
+ * Each entry: { script, schedule, args?, timezone?, description?, requests?, overlap?, maxRuntimeSeconds?,
+ *   alertAfterFailures?, maxSilenceMinutes?, calendar?, hours?, isolate? }
+ *
+ * Scripts run inside the scheduler's process by default, through the run(context) they export
+ * (lib/jobContext.js), sharing Ringba clients, tokens and rate limits with the other jobs.
+ * isolate: true runs the entry as a child process instead, so a crash or a leak stays in it.
+ *
+ * schedule is the cadence; business hours, weekdays, holidays and closures come from
+ * calendar.config.js, per the script's Ringba account (lib/calendar.js), and ticks while the
+ * account is closed don't run. calendar: false runs the entry regardless; hours ({ open?, close? },
+ * "HH:mm") widens or narrows the account's hours for this entry only.
+ *
+ * overlap: what a tick does when the job's (script + args) previous run is still going —
+ * "skip" (default) records it as skipped, "queue" runs it once the previous run ends, "kill"
+ * stops the previous run and then starts. maxRuntimeSeconds (default 600): runs still going after
+ * this are killed and recorded as timed out. See lib/jobRunner.js; `npm run runs` shows the history.
+ *
+ * alertAfterFailures (default 3): failed runs in a row before the scheduler raises a "jobFailure"
+ * alert (a timeout raises it at once); the next successful run sends the recovery. See
+ * lib/jobAlerts.js. maxSilenceMinutes: `npm run watchdog` alerts when the job's first scheduled
+ * tick after its last successful run is longer ago than this. Jobs without it aren't watched.
+ *
+ * requests: estimated Ringba requests per run by endpoint family (callLogs, callDetails,
+ * reporting). Only used by `npm run budget` to project daily usage against the API limits.
  *
  * Cron format: "minute hour day-of-month month day-of-week"
  * Use timezone to run in a specific TZ (e.g. "America/New_York" for EST).
@@ -13,68 +36,84 @@ export default [
     script: "clearCache.js",
     schedule: "0 1 * * 1-6",
     timezone: "America/New_York",
-    description: "Clear all cache JSON files — 1am EST (Mon–Sat)",
+    description: "Expire yesterday's alert state — 1am EST (Mon–Sat)",
+    calendar: false, // outside business hours by design, holidays included
+    overlap: "queue", // must not be lost to a slow previous run
+    maxRuntimeSeconds: 120,
   },
   {
     script: "targetNoAnswer.js",
     args: ["pull"],
-    schedule: "*/10 9-17 * * 1-6",
+    schedule: "*/10 * * * *",
     timezone: "America/New_York",
-    description: "Target no-answer — every 10 min, 9am–5pm EST (Mon–Sat)",
+    description: "Target no-answer — every 10 min, business hours",
+    requests: { reporting: 1 },
+    maxSilenceMinutes: 30,
   },
   {
     script: "multiTags.js",
-    schedule: "0 9,11,13,15,17 * * 1-6",
+    schedule: "0 9,11,13,15,17 * * *",
     timezone: "America/New_York",
-    description: "Multi tags — every 2 hrs, 9am–5pm EST (Mon–Sat)",
+    description: "Multi tags — every 2 hrs from 9am EST, business hours",
+    requests: { reporting: 250 }, // 1 + campaigns × (1 + publishers × 6 tags)
+    maxRuntimeSeconds: 1800, // hundreds of rate-limited reporting requests
   },
   {
     script: "pgnmNumberpool.js",
-    schedule: "0 9,11,13,15,17 * * 1-6",
+    schedule: "0 9,11,13,15,17 * * *",
     timezone: "America/New_York",
-    description: "Number pool — every 2 hrs, 9am–5pm EST (Mon–Sat)",
+    description: "Number pool — every 2 hrs from 9am EST, business hours",
+    requests: { reporting: 1 },
   },
   {
     script: "targetHangpUps.js",
-    schedule: "*/3 9-17 * * 1-6",
+    schedule: "*/3 * * * *",
     timezone: "America/New_York",
-    description: "Target hangups — every 3 min, 9am–5pm EST (Mon–Sat)",
+    description: "Target hangups — every 3 min, business hours",
+    requests: { reporting: 2 },
+    maxRuntimeSeconds: 170, // done before the next tick
+    maxSilenceMinutes: 15,
   },
   {
     script: "consecutiveCalls.js",
-    schedule: "*/10 9-17 * * 1-6",
+    schedule: "*/10 * * * *",
     timezone: "America/New_York",
-    description: "Consecutive calls — every 10 min, 9am–5pm EST (Mon–Sat)",
+    description: "Consecutive calls — every 10 min, business hours",
+    requests: { callLogs: 2 }, // incremental call store sync (lib/callStore.js)
+    maxSilenceMinutes: 30,
   },
   {
     script: "consecutiveCallsSameBid.js",
-    schedule: "*/30 9-17 * * 1-6",
-    timezone: "America/New_York",
-    description: "Consecutive calls same bid — every 30 min, 9am–5pm EST (Mon–Sat)",
-  },
-  {
-    script: "elitePickUp.js",
-    schedule: "30,45 9 * * 1-6",
+    schedule: "*/30 * * * *",
     timezone: "America/New_York",
-    description: "Elite pick up — 9:30am, 9:45am EST (Mon–Sat)",
+    description: "Consecutive calls same bid — every 30 min, business hours",
+    requests: { callLogs: 2, callDetails: 6 }, // store sync + detail batches of 50 for new calls only
+    maxRuntimeSeconds: 1500,
+    isolate: true, // up to 25 minutes holding thousands of call details: keep it out of the scheduler's heap
+    alertAfterFailures: 2, // every 30 min: three failures would be 90 minutes blind
+    maxSilenceMinutes: 90,
   },
   {
     script: "elitePickUp.js",
-    schedule: "0,15,30,45 10-19 * * 1-6",
+    schedule: "*/15 * * * *",
     timezone: "America/New_York",
-    description: "Elite pick up — every 15 min, 10am–7pm EST (Mon–Sat)",
+    description: "Elite pick up — every 15 min, elite business hours (9:30am–8pm EST)",
+    requests: { reporting: 1 },
   },
   {
     script: "campaignDropRate.js",
-    schedule: "0,30 9-17 * * 1-6",
+    schedule: "0,30 * * * *",
     timezone: "America/New_York",
-    description: "Campaign drop rate — every 30 min, 9am–5pm EST (Mon–Sat)",
+    description: "Campaign drop rate — every 30 min, business hours",
+    requests: { reporting: 25 }, // 1 + one per campaign
   },
   {
     script: "ringTreeDisposition.js",
-    schedule: "0,15,30,45 9-18 * * 1-6",
+    schedule: "*/15 * * * *",
     timezone: "America/New_York",
-    description: "Ring tree disposition — every 15 min, 9am–6pm EST (Mon–Sat)",
+    description: "Ring tree disposition — every 15 min, business hours plus an hour",
+    requests: { reporting: 1 },
+    hours: { close: "19:00" }, // buyers keep pinging after the floor closes
   },
   // Add your 5 more APIs here with their schedules
   // { script: "myScript.js", schedule: "0 */2 * * *", timezone: "America/New_York", description: "Every 2 hours" },
@@ -0,0 +1,77 @@
+/**
+ * Slack interactivity endpoint for the Acknowledge / Snooze 1h / Mute buttons on alerts.
+ *
+ * Point the Slack app's Interactivity Request URL at https://<host>/slack/actions (e.g. through a
+ * tunnel or reverse proxy). Button presses are verified with SLACK_SIGNING_SECRET and written to
+ * the alert state as silences, which every detector's notifier checks before sending.
+ *
+ * Usage:
+ *   node slackActions.js   — listen on SLACK_ACTIONS_PORT (default 3000)
+ *
+ * Env: SLACK_SIGNING_SECRET, SLACK_ACTIONS_PORT
+ */
+import "dotenv/config";
+import http from "http";
+import { createActionHandler, readBody, verifySlackSignature } from "./lib/slackActions.js";
+
+const PORT = parseInt(process.env.SLACK_ACTIONS_PORT || "3000", 10);
+const SIGNING_SECRET = process.env.SLACK_SIGNING_SECRET;
+
+if (!SIGNING_SECRET) {
+  console.error("SLACK_SIGNING_SECRET is not set; refusing to accept unverified requests.");
+  process.exit(1);
+}
+
+const handler = createActionHandler();
+
+const server = http.createServer(async (req, res) => {
+  if (req.method === "GET" && req.url === "/health") {
+    res.writeHead(200).end("ok");
+    return;
+  }
+  if (req.method !== "POST" || req.url !== "/slack/actions") {
+    res.writeHead(404).end();
+    return;
+  }
+
+  let body;
+  try {
+    body = await readBody(req);
+  } catch {
+    // Don't read the rest of an oversized body: answer and drop the connection
+    res.writeHead(413, { Connection: "close" }).end(() => req.destroy());
+    return;
+  }
+
+  const verified = verifySlackSignature({
+    signingSecret: SIGNING_SECRET,
+    timestamp: req.headers["x-slack-request-timestamp"],
+    signature: req.headers["x-slack-signature"],
+    body,
+  });
+  if (!verified) {
+    console.warn("⚠️ Rejected Slack request with a bad or stale signature");
+    res.writeHead(401).end();
+    return;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(new URLSearchParams(body).get("payload"));
+  } catch {
+    res.writeHead(400).end();
+    return;
+  }
+
+  // Slack wants an answer within 3 seconds; the reply goes to response_url
+  res.writeHead(200).end();
+  try {
+    await handler.handle(payload);
+  } catch (error) {
+    console.error("❌ Error handling Slack action:", error.response?.data || error.message || error);
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Listening for Slack actions on :${PORT}/slack/actions`);
+});
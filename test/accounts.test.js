@@ -0,0 +1,135 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createAccounts, expandSchedules, validateAccounts } from "../lib/accounts.js";
+import { createJobContext, processAccount, scriptArgs } from "../lib/jobContext.js";
+import { jobKey } from "../lib/jobRunner.js";
+import { resolveChannels } from "../lib/alertRouting.js";
+import { renderBlocks, renderText } from "../lib/notifier.js";
+import { createSilences, entityKey } from "../lib/silences.js";
+import { createAlertState, endOfBusinessDay } from "../lib/alertState.js";
+import { DEFAULT_TIME_ZONE } from "../lib/timeWindow.js";
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), "accounts-"));
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+const config = {
+  main: {
+    name: "Main",
+    env: { accountId: "RINGBA_ACCOUNT_ID", apiToken: "RINGBA_API_TOKEN" },
+    channel: "default",
+    detectors: ["targetNoAnswer.js", "multiTags.js"],
+  },
+  west: {
+    name: "West",
+    env: { accountId: ["WEST_RINGBA_ACCOUNT_ID"], apiToken: ["WEST_RINGBA_API_TOKEN", "RINGBA_API_TOKEN"] },
+    timeZone: "America/Los_Angeles",
+    channel: "west",
+    detectors: ["targetNoAnswer.js"],
+  },
+};
+const accounts = createAccounts(config);
+const env = { RINGBA_ACCOUNT_ID: "RA_MAIN", RINGBA_API_TOKEN: "main-token", WEST_RINGBA_ACCOUNT_ID: "RA_WEST" };
+
+test("accounts resolve their credentials, falling back through their env vars", () => {
+  assert.deepEqual(accounts.credentials("west", env), {
+    credentials: { accountId: "RA_WEST", apiToken: "main-token", username: undefined, password: undefined, authHeader: undefined },
+    sources: { accountId: "WEST_RINGBA_ACCOUNT_ID", apiToken: "RINGBA_API_TOKEN", username: undefined, password: undefined },
+  });
+  assert.equal(accounts.get("main").timeZone, DEFAULT_TIME_ZONE);
+  assert.deepEqual(accounts.forScript("targetNoAnswer.js"), ["main", "west"]);
+  assert.deepEqual(accounts.forScript("clearCache.js"), []);
+  assert.throws(() => accounts.get("east"), /Unknown Ringba account "east" \(one of main, west\)/);
+});
+
+test("invalid registries are rejected", () => {
+  const valid = config.main;
+  assert.throws(() => validateAccounts({}), /at least one account/);
+  assert.throws(() => validateAccounts({ "main/2": valid }), /keys are letters/);
+  assert.throws(() => validateAccounts({ main: { ...valid, env: { apiToken: "X" } } }), /env\.accountId is required/);
+  assert.throws(() => validateAccounts({ main: { ...valid, env: { accountId: "X", token: "Y" } } }), /unknown credential "token"/);
+  assert.throws(() => validateAccounts({ main: { ...valid, timeZone: "Mars/Olympus" } }), /not a time zone/);
+  assert.throws(() => validateAccounts({ main: { ...valid, hours: {} } }), /unknown setting "hours"/);
+  assert.throws(() => validateAccounts({ main: valid }, { channels: { elite: [] } }), /unknown channel "default"/);
+});
+
+test("schedules expand to one job per account, and scripts no account enables stay unbound", () => {
+  const jobs = expandSchedules(
+    [
+      { script: "clearCache.js", schedule: "0 1 * * *" },
+      { script: "targetNoAnswer.js", args: ["pull"], schedule: "*/10 * * * *" },
+    ],
+    accounts
+  );
+  assert.deepEqual(jobs.map(jobKey), ["clearCache.js", "targetNoAnswer.js pull @main", "targetNoAnswer.js pull @west"]);
+});
+
+test("a process picks its account from --account, then RINGBA_ACCOUNT, and scripts don't see the flag", () => {
+  assert.equal(processAccount(["pull", "--account", "west"], {}), "west");
+  assert.equal(processAccount(["--account=west"], { RINGBA_ACCOUNT: "main" }), "west");
+  assert.equal(processAccount([], { RINGBA_ACCOUNT: "west" }), "west");
+  assert.equal(processAccount([], {}), "main");
+  assert.deepEqual(scriptArgs(["--account", "west", "pull", "--as-of", "2026-03-09T20:00:00Z", "--dry-run"]), ["pull"]);
+});
+
+test("a job context's client, state and alerts are its account's", async () => {
+  const sent = [];
+  const notifier = { send: async (alert) => sent.push(alert) };
+  const state = createAlertState({ filePath: path.join(root, "state.json") });
+  const contextFor = (account) => createJobContext({ account, accounts, env, notifier, state, rules: {}, args: [] });
+  const main = contextFor("main");
+  const west = contextFor("west");
+
+  assert.equal(main.ringbaClient().accountId, "RA_MAIN");
+  assert.equal(west.ringbaClient().accountId, "RA_WEST");
+  assert.equal(west.timeZone, "America/Los_Angeles");
+
+  // The same de-duplication key doesn't collide across accounts
+  const now = new Date();
+  await main.state.namespace("targetHangups").set("Acme", true, { now });
+  assert.equal(main.state.namespace("targetHangups").has("Acme", { now }), true);
+  assert.equal(west.state.namespace("targetHangups").has("Acme", { now }), false);
+  assert.deepEqual(Object.keys(state.entries("main/targetHangups", { now })), ["Acme"]);
+
+  // By default a write expires at the end of its account's day
+  await west.state.namespace("targetHangups").set("Acme", true, { now });
+  await west.state.set("consecutiveCalls", "batch-1", true, { now });
+  const expiry = (namespace, key) => JSON.parse(fs.readFileSync(state.filePath, "utf-8")).entries[namespace][key].expiresAt;
+  assert.equal(expiry("west/targetHangups", "Acme"), endOfBusinessDay(now, "America/Los_Angeles"));
+  assert.equal(expiry("west/consecutiveCalls", "batch-1"), endOfBusinessDay(now, "America/Los_Angeles"));
+  assert.equal(expiry("main/targetHangups", "Acme"), endOfBusinessDay(now, DEFAULT_TIME_ZONE));
+
+  await west.notifier.send({ type: "noAnswer", severity: "warning", title: "No answer", thread: "incident:x#1" });
+  assert.deepEqual(
+    { account: sent[0].account, accountName: sent[0].accountName, timeZone: sent[0].timeZone, thread: sent[0].thread },
+    { account: "west", accountName: "West", timeZone: "America/Los_Angeles", thread: "west/incident:x#1" }
+  );
+});
+
+test("alerts name their account and go to its channel unless a route picks one", () => {
+  const routes = {
+    channels: { default: ["A"], west: ["B"], buyerOps: ["C"] },
+    routes: [{ match: { type: "noAnswer", account: "main" }, channels: ["buyerOps"] }],
+  };
+  const alert = { type: "noAnswer", severity: "warning", title: "No answer", summary: "Acme is not answering" };
+  assert.deepEqual(resolveChannels({ ...alert, account: "main" }, routes, { fallback: "default" }), ["buyerOps"]);
+  assert.deepEqual(resolveChannels({ ...alert, account: "west" }, routes, { fallback: "west" }), ["west"]);
+
+  const west = { ...alert, account: "west", accountName: "West" };
+  assert.equal(renderText({ ...west, status: "update" }), "[West] Update: Acme is not answering");
+  const context = renderBlocks(west).find((block) => block.type === "context");
+  assert.equal(context.elements[0].text, "Account: West");
+});
+
+test("silences only cover the account whose alert was silenced", async () => {
+  const silences = createSilences({ state: createAlertState({ filePath: path.join(root, "silences.json") }) });
+  const alert = { type: "targetHangups", severity: "warning", title: "Hang-ups", entity: "Acme", target: "Acme" };
+  const now = new Date();
+  assert.equal(entityKey({ ...alert, account: "west" }), "west/targetHangups:Acme");
+
+  await silences.silence("mute", { alert: { ...alert, account: "west" }, now });
+  assert.equal(silences.match({ ...alert, account: "west" }, { now }).key, "mute:west/Acme");
+  assert.equal(silences.match({ ...alert, account: "main" }, { now }), null);
+});
@@ -0,0 +1,118 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  matchesRoute,
+  resolveChannels,
+  resolveDestinations,
+  resolveWebhooks,
+  validateRoutes,
+} from "../lib/alertRouting.js";
+import alertRoutes from "../alertRoutes.config.js";
+
+const config = validateRoutes({
+  channels: {
+    default: ["SLACK_WEBHOOK_URL"],
+    buyerOps: ["SLACK_BUYER_OPS_WEBHOOK_URL", "SLACK_WEBHOOK_URL"],
+    tracking: ["SLACK_TRACKING_WEBHOOK_URL"],
+    escalation: ["SLACK_ESCALATION_WEBHOOK_URL"],
+  },
+  channelIds: {
+    default: ["SLACK_CHANNEL_ID"],
+    buyerOps: ["SLACK_BUYER_OPS_CHANNEL_ID"],
+    escalation: ["SLACK_ESCALATION_CHANNEL_ID"],
+  },
+  botToken: ["SLACK_BOT_TOKEN"],
+  routes: [
+    { match: { type: ["targetHangups", "targetNoAnswer"] }, channels: ["buyerOps"] },
+    { match: { campaign: /medicare/i }, channels: ["tracking"] },
+    { match: { severity: "critical" }, channels: ["escalation"], copy: true },
+  ],
+});
+
+test("match values: exact, arrays as any-of, RegExps, and alert arrays by any element", () => {
+  assert.equal(matchesRoute({ type: "noAnswer" }, { type: "noAnswer" }), true);
+  assert.equal(matchesRoute({ type: "noAnswer" }, { type: "noAnswers" }), false);
+  assert.equal(matchesRoute({ type: ["a", "b"] }, { type: "b" }), true);
+  assert.equal(matchesRoute({ campaign: /^ACA/ }, { campaign: "ACA - Inbound" }), true);
+  assert.equal(matchesRoute({ campaign: /^ACA/ }, { campaign: "Medicare ACA" }), false);
+  assert.equal(matchesRoute({ campaign: /^ACA/ }, {}), false);
+  assert.equal(matchesRoute({ target: "T2" }, { target: ["T1", "T2"] }), true);
+  // Every key has to match
+  assert.equal(matchesRoute({ type: "a", severity: "critical" }, { type: "a", severity: "warning" }), false);
+  assert.equal(matchesRoute({}, { type: "anything" }), true);
+});
+
+test("alerts go to every matching route's channels, or the fallback when none routes them", () => {
+  assert.deepEqual(resolveChannels({ type: "targetHangups", severity: "warning" }, config), ["buyerOps"]);
+  assert.deepEqual(resolveChannels({ type: "campaignDrop", campaign: "Medicare SSDI" }, config), ["tracking"]);
+  assert.deepEqual(resolveChannels({ type: "targetNoAnswer", campaign: ["ACA", "Medicare"] }, config), [
+    "buyerOps",
+    "tracking",
+  ]);
+  assert.deepEqual(resolveChannels({ type: "numberPool" }, config), ["default"]);
+  assert.deepEqual(resolveChannels({ type: "numberPool" }, config, { fallback: "buyerOps" }), ["buyerOps"]);
+});
+
+test("severity routing: copy routes add a channel without replacing the fallback", () => {
+  assert.deepEqual(resolveChannels({ type: "numberPool", severity: "critical" }, config), ["default", "escalation"]);
+  assert.deepEqual(resolveChannels({ type: "targetHangups", severity: "critical" }, config), ["buyerOps", "escalation"]);
+  assert.deepEqual(resolveChannels({ type: "numberPool", severity: "warning" }, config), ["default"]);
+
+  // Without copy, a severity route replaces the fallback
+  const replacing = { ...config, routes: [{ match: { severity: "critical" }, channels: ["escalation"] }] };
+  assert.deepEqual(resolveChannels({ type: "numberPool", severity: "critical" }, replacing), ["escalation"]);
+});
+
+test("a channel listed by two routes is returned once", () => {
+  const twice = { ...config, routes: [...config.routes, { match: { type: "targetHangups" }, channels: ["buyerOps", "escalation"] }] };
+  assert.deepEqual(resolveChannels({ type: "targetHangups", severity: "critical" }, twice), ["buyerOps", "escalation"]);
+});
+
+test("channels that resolve to the same webhook post once; unset channels are dropped", () => {
+  const env = { SLACK_WEBHOOK_URL: "https://hooks/default", SLACK_ESCALATION_WEBHOOK_URL: "https://hooks/escalation" };
+  // buyerOps has no webhook of its own and falls back to the default one
+  assert.deepEqual(resolveWebhooks(["buyerOps", "default", "tracking", "escalation"], config, env), [
+    { channel: "buyerOps", url: "https://hooks/default" },
+    { channel: "escalation", url: "https://hooks/escalation" },
+  ]);
+  assert.deepEqual(resolveDestinations(["buyerOps", "default"], config, env), [
+    { channel: "buyerOps", kind: "webhook", url: "https://hooks/default" },
+  ]);
+});
+
+test("with a bot token, channels post through the Web API, once per channel ID", () => {
+  const env = {
+    SLACK_BOT_TOKEN: "xoxb-1",
+    SLACK_CHANNEL_ID: "C1",
+    SLACK_BUYER_OPS_CHANNEL_ID: "C1",
+    SLACK_ESCALATION_CHANNEL_ID: "C2",
+    SLACK_TRACKING_WEBHOOK_URL: "https://hooks/tracking",
+  };
+  assert.deepEqual(resolveDestinations(["default", "buyerOps", "tracking", "escalation"], config, env), [
+    { channel: "default", kind: "api", token: "xoxb-1", channelId: "C1" },
+    // tracking has no channel ID, so it keeps its webhook
+    { channel: "tracking", kind: "webhook", url: "https://hooks/tracking" },
+    { channel: "escalation", kind: "api", token: "xoxb-1", channelId: "C2" },
+  ]);
+});
+
+test("validateRoutes rejects unknown channels and match keys, and needs a default channel", () => {
+  assert.throws(() => validateRoutes({ channels: { ops: ["X"] } }), /a "default" channel is required/);
+  assert.throws(
+    () => validateRoutes({ channels: config.channels, routes: [{ match: { type: "a" }, channels: ["nowhere"] }] }),
+    /alert routes\[0\]: unknown channel "nowhere"/
+  );
+  assert.throws(
+    () => validateRoutes({ channels: config.channels, routes: [{ match: { campaignName: "a" }, channels: ["default"] }] }),
+    /alert routes\[0\]: unknown match key "campaignName"/
+  );
+  assert.throws(
+    () => validateRoutes({ channels: config.channels, routes: [{ match: { type: "a" }, channels: [] }] }),
+    /channels must be a non-empty array/
+  );
+  assert.throws(
+    () => validateRoutes({ channels: config.channels, channelIds: { elite: ["X"] } }),
+    /channelIds has unknown channel "elite"/
+  );
+  assert.doesNotThrow(() => validateRoutes(alertRoutes));
+});
@@ -0,0 +1,140 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { promisify } from "util";
+import { fileURLToPath } from "url";
+import { createMockRingba, FIXTURE_ACCOUNT_ID } from "../lib/mockRingba.js";
+import { createMockSlack } from "../lib/mockSlack.js";
+import { slackApiSink } from "../lib/notifier.js";
+import { createAlertState } from "../lib/alertState.js";
+import { ACCOUNT_ENV, getAccounts } from "../lib/accounts.js";
+import alertRoutes from "../alertRoutes.config.js";
+
+// Each detector runs as the scheduler would run it, against the mock Ringba, and whatever it posts
+// to the mock Slack is compared with test/snapshots/<fixture set>/<script>.json. After an intended
+// change, rewrite them with `UPDATE_SNAPSHOTS=1 npm test` and review the diff. The "basic" set trips
+// every detector; on the "quiet" set (a healthy day) none of them posts anything.
+
+const run = promisify(execFile);
+const TEST_DIR = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.resolve(TEST_DIR, "..");
+const UPDATE = Boolean(process.env.UPDATE_SNAPSHOTS);
+
+const FIXTURE_SET = "basic";
+const QUIET_FIXTURE_SET = "quiet";
+const AS_OF = "2026-03-09T20:00:00Z";
+const SCRIPTS = [
+  "campaignDropRate.js",
+  "consecutiveCalls.js",
+  "consecutiveCallsSameBid.js",
+  "elitePickUp.js",
+  "multiTags.js",
+  "pgnmNumberpool.js",
+  "ringTreeDisposition.js",
+  "targetHangpUps.js",
+  "targetNoAnswer.js",
+];
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "alert-snapshots-"));
+const mockRingba = (set) => createMockRingba({ fixtures: path.join(TEST_DIR, "fixtures", "ringba", set) });
+const ringba = mockRingba(FIXTURE_SET);
+const quietRingba = mockRingba(QUIET_FIXTURE_SET);
+const slack = createMockSlack();
+let ringbaUrl;
+let quietRingbaUrl;
+
+before(async () => {
+  ringbaUrl = await ringba.listen();
+  quietRingbaUrl = await quietRingba.listen();
+  await slack.listen();
+});
+
+after(async () => {
+  await Promise.all([ringba.close(), quietRingba.close(), slack.close()]);
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+/**
+ * Run a detector with a clean env (no .env: cwd is a scratch dir) and its own state dir, against
+ * the first account that enables it (every account's credentials fall back to the fixture ones).
+ */
+async function runDetector(script, baseUrl = ringbaUrl) {
+  const stateDir = fs.mkdtempSync(path.join(tmp, `${path.basename(script, ".js")}-`));
+  await run(process.execPath, [path.join(ROOT, script)], {
+    cwd: stateDir,
+    timeout: 60000,
+    env: {
+      PATH: process.env.PATH,
+      AS_OF,
+      REPORT_TIME_ZONE: "America/New_York",
+      RINGBA_BASE_URL: baseUrl,
+      RINGBA_ACCOUNT_ID: FIXTURE_ACCOUNT_ID,
+      RINGBA_API_TOKEN: "fixture-token",
+      [ACCOUNT_ENV]: getAccounts().forScript(script)[0],
+      // Built-in thresholds, so editing rules.json doesn't change the snapshots
+      ALERT_RULES_JSON: "{}",
+      STATE_DIR: stateDir,
+      ...slack.env(alertRoutes),
+    },
+  });
+  return slack.take();
+}
+
+function matchSnapshot(name, messages) {
+  const file = path.join(TEST_DIR, "snapshots", FIXTURE_SET, `${name}.json`);
+  const actual = `${JSON.stringify(messages, null, 2)}\n`;
+  if (UPDATE) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, actual);
+    return;
+  }
+  assert.ok(fs.existsSync(file), `no snapshot ${path.relative(ROOT, file)} (run UPDATE_SNAPSHOTS=1 npm test)`);
+  assert.deepEqual(JSON.parse(actual), JSON.parse(fs.readFileSync(file, "utf-8")));
+}
+
+for (const script of SCRIPTS) {
+  test(`${script} alerts on the ${FIXTURE_SET} fixtures match the snapshot`, async () => {
+    const messages = await runDetector(script);
+    assert.ok(messages.length > 0, `${script} posted nothing on the ${FIXTURE_SET} fixtures`);
+    matchSnapshot(path.basename(script, ".js"), messages);
+  });
+
+  test(`${script} posts nothing on the ${QUIET_FIXTURE_SET} fixtures`, async () => {
+    assert.deepEqual(await runDetector(script, quietRingbaUrl), []);
+  });
+}
+
+test("mock Slack threads bot-token replies and records updates", async () => {
+  const env = slack.env(alertRoutes, { bot: true });
+  const sink = slackApiSink({
+    token: env.SLACK_BOT_TOKEN,
+    channel: env.SLACK_CHANNEL_ID,
+    apiUrl: env.SLACK_API_URL,
+    threads: createAlertState({ filePath: path.join(tmp, "threads.json") }).namespace("slackThreads"),
+  });
+  const alert = { type: "test", severity: "warning", title: "Test", thread: "test:T" };
+
+  await sink.send({ text: "opened", blocks: [], alert: { ...alert, status: "open" } });
+  await sink.send({ text: "resolved", blocks: [], alert: { ...alert, status: "resolved" } });
+  const [opened, reply, update] = slack.take();
+  assert.equal(opened.channel, "default");
+  assert.equal(opened.thread_ts, undefined);
+  assert.deepEqual(
+    { via: reply.via, thread_ts: reply.thread_ts, reply_broadcast: reply.reply_broadcast, text: reply.text },
+    { via: "chat.postMessage", thread_ts: opened.ts, reply_broadcast: true, text: "resolved" }
+  );
+  assert.deepEqual({ via: update.via, ts: update.ts, text: update.text }, { via: "chat.update", ts: opened.ts, text: "resolved" });
+});
+
+test("mock Slack rejects chat API calls without a token", async () => {
+  const response = await fetch(`${slack.env(alertRoutes, { bot: true }).SLACK_API_URL}/chat.postMessage`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ channel: "default", text: "hi" }),
+  });
+  assert.deepEqual(await response.json(), { ok: false, error: "not_authed" });
+  assert.deepEqual(slack.take(), []);
+});
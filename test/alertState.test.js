@@ -0,0 +1,184 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { promisify } from "util";
+import { createAlertState, endOfBusinessDay } from "../lib/alertState.js";
+import { createClock } from "../lib/clock.js";
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), "alert-state-"));
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+let files = 0;
+const newFile = () => path.join(root, `state-${++files}.json`);
+const newState = (options = {}) => createAlertState({ filePath: newFile(), ...options });
+const readFile = (state) => JSON.parse(fs.readFileSync(state.filePath, "utf-8"));
+
+const HOUR = 60 * 60 * 1000;
+// 10am in New York
+const now = new Date("2026-03-09T14:00:00Z");
+
+test("namespaces keep the same key apart", async () => {
+  const state = newState();
+  const hangups = state.namespace("targetHangups");
+  const noAnswer = state.namespace("targetNoAnswer");
+  await hangups.set("Acme", { calls: 3 }, { now });
+  assert.deepEqual(hangups.get("Acme", { now }), { calls: 3 });
+  assert.equal(noAnswer.has("Acme", { now }), false);
+
+  await noAnswer.setMany({ Acme: 1, "Blue Ridge": 2 }, { now });
+  assert.deepEqual(noAnswer.entries({ now }), { Acme: 1, "Blue Ridge": 2 });
+  assert.deepEqual(state.stats(), { targetHangups: 1, targetNoAnswer: 2 });
+
+  await noAnswer.remove("Acme");
+  assert.deepEqual(noAnswer.entries({ now }), { "Blue Ridge": 2 });
+  assert.deepEqual(hangups.get("Acme", { now }), { calls: 3 });
+});
+
+test("entries expire at the end of the local business day by default, or after a TTL", async () => {
+  const state = newState();
+  await state.set("daily", "Acme", true, { now });
+  await state.set("ttl", "Acme", true, { now, ttlMs: HOUR });
+  await state.set("fixed", "Acme", true, { now, expiresAt: "2026-03-09T15:30:00Z" });
+
+  const endOfDay = endOfBusinessDay(now);
+  assert.equal(new Date(endOfDay).toISOString(), "2026-03-10T03:59:59.999Z");
+  assert.equal(readFile(state).entries.daily.Acme.expiresAt, endOfDay);
+
+  // In another zone, given to the write or to its namespace
+  const westEndOfDay = endOfBusinessDay(now, "America/Los_Angeles");
+  assert.equal(new Date(westEndOfDay).toISOString(), "2026-03-10T06:59:59.999Z");
+  await state.set("west", "Acme", true, { now, timeZone: "America/Los_Angeles" });
+  await state.namespace("westDaily", { timeZone: "America/Los_Angeles" }).set("Acme", true, { now });
+  assert.equal(readFile(state).entries.west.Acme.expiresAt, westEndOfDay);
+  assert.equal(readFile(state).entries.westDaily.Acme.expiresAt, westEndOfDay);
+
+  const at = (iso) => ({ now: new Date(iso) });
+  assert.equal(state.has("ttl", "Acme", at("2026-03-09T14:59:59Z")), true);
+  assert.equal(state.has("ttl", "Acme", at("2026-03-09T15:00:00Z")), false);
+  assert.equal(state.has("fixed", "Acme", at("2026-03-09T15:29:59Z")), true);
+  assert.equal(state.has("fixed", "Acme", at("2026-03-09T15:30:00Z")), false);
+  assert.equal(state.has("daily", "Acme", at("2026-03-09T23:59:00-04:00")), true);
+  assert.equal(state.has("daily", "Acme", at("2026-03-10T00:00:00-04:00")), false);
+
+  // Not visible before it was written either: a replay sees the state as it was
+  assert.equal(state.has("daily", "Acme", at("2026-03-09T13:59:59Z")), false);
+});
+
+test("expired entries are pruned on the next write, and expire() drops entries written before a time", async () => {
+  const state = newState();
+  await state.set("ttl", "old", true, { now, ttlMs: HOUR });
+  await state.set("daily", "Acme", true, { now });
+  await state.set("daily", "Blue Ridge", true, { now: new Date(now.getTime() + 2 * HOUR) });
+  assert.deepEqual(Object.keys(readFile(state).entries), ["daily"]);
+
+  const removed = await state.expire({ now: new Date(now.getTime() + 2 * HOUR), before: new Date(now.getTime() + HOUR) });
+  assert.equal(removed, 1);
+  assert.deepEqual(Object.keys(readFile(state).entries.daily), ["Blue Ridge"]);
+});
+
+test("undefined values are refused", async () => {
+  const state = newState();
+  await assert.rejects(state.set("daily", "Acme", undefined, { now }), /value for daily\/Acme is undefined/);
+});
+
+test("once() records the key only after the callback succeeds", async () => {
+  const state = newState();
+  const alerted = state.namespace("consecutiveCalls");
+  const clock = createClock(now);
+  const live = { ...clock, isReplay: false };
+
+  await assert.rejects(alerted.once("batch-1", { clock: live }, async () => {
+    throw new Error("Slack down");
+  }), /Slack down/);
+  assert.equal(alerted.has("batch-1", { now }), false);
+
+  assert.equal(await alerted.once("batch-1", { clock: live }, async () => false), false);
+  assert.equal(alerted.has("batch-1", { now }), false);
+
+  let sends = 0;
+  const send = async () => ++sends;
+  assert.equal(await alerted.once("batch-1", { clock: live }, send), true);
+  assert.equal(await alerted.once("batch-1", { clock: live }, send), false);
+  assert.equal(sends, 1);
+
+  // A replay sends but never records
+  assert.equal(await alerted.once("batch-2", { clock }, send), true);
+  assert.equal(alerted.has("batch-2", { now }), false);
+});
+
+test("a read-only state applies writes to a copy and leaves the file alone", async () => {
+  const filePath = newFile();
+  await createAlertState({ filePath }).set("daily", "Acme", true, { now });
+  const before = fs.readFileSync(filePath, "utf-8");
+
+  const dryRun = createAlertState({ filePath, readOnly: true });
+  assert.equal(dryRun.has("daily", "Acme", { now }), true);
+  await dryRun.set("daily", "Blue Ridge", true, { now });
+  await dryRun.remove("daily", "Acme");
+  assert.equal(fs.readFileSync(filePath, "utf-8"), before);
+});
+
+test("older files are migrated on read; files without a migration, unreadable or unknown ones start fresh", async () => {
+  const filePath = newFile();
+  const v0 = { version: 0, caches: { targetHangups: { Acme: now.getTime() } } };
+  fs.writeFileSync(filePath, JSON.stringify(v0));
+  const migrations = {
+    0: (old) => ({
+      version: 1,
+      entries: Object.fromEntries(
+        Object.entries(old.caches).map(([name, keys]) => [
+          name,
+          Object.fromEntries(Object.entries(keys).map(([key, at]) => [key, { value: true, at, expiresAt: at + HOUR }])),
+        ])
+      ),
+    }),
+  };
+  const migrated = createAlertState({ filePath, migrations });
+  assert.equal(migrated.has("targetHangups", "Acme", { now }), true);
+  await migrated.set("targetHangups", "Blue Ridge", true, { now });
+  assert.equal(readFile(migrated).version, 1);
+  assert.deepEqual(Object.keys(readFile(migrated).entries.targetHangups), ["Acme", "Blue Ridge"]);
+
+  const warnings = [];
+  const warn = console.warn;
+  console.warn = (message) => warnings.push(message);
+  try {
+    fs.writeFileSync(filePath, JSON.stringify(v0));
+    assert.deepEqual(createAlertState({ filePath }).stats(), {});
+    fs.writeFileSync(filePath, "{ not json");
+    assert.deepEqual(createAlertState({ filePath }).stats(), {});
+    fs.writeFileSync(filePath, JSON.stringify({ version: 1, entries: "nope" }));
+    assert.deepEqual(createAlertState({ filePath }).stats(), {});
+  } finally {
+    console.warn = warn;
+  }
+  assert.equal(warnings.length, 3);
+  assert.match(warnings[0], /no migration from version 0/);
+
+  fs.writeFileSync(filePath, JSON.stringify({ version: 2, entries: {} }));
+  assert.throws(() => createAlertState({ filePath }).stats(), /written by a newer version \(2 > 1\)/);
+});
+
+test("concurrent writers, in this process and another, never lose each other's updates", async () => {
+  const filePath = newFile();
+  const moduleUrl = new URL("../lib/alertState.js", import.meta.url).href;
+  const child = promisify(execFile)(process.execPath, [
+    "--input-type=module",
+    "-e",
+    `import { createAlertState } from ${JSON.stringify(moduleUrl)};
+     const state = createAlertState({ filePath: ${JSON.stringify(filePath)} });
+     for (let i = 0; i < 15; i++) await state.set("child", "k" + i, i, { ttlMs: 3600000 });`,
+  ]);
+
+  const states = [createAlertState({ filePath }), createAlertState({ filePath })];
+  await Promise.all(
+    Array.from({ length: 30 }, (_, i) => states[i % 2].set("parent", `k${i}`, i, { ttlMs: HOUR }))
+  );
+  await child;
+
+  assert.deepEqual(createAlertState({ filePath }).stats(), { parent: 30, child: 15 });
+  assert.equal(fs.existsSync(`${filePath}.lock`), false);
+});
@@ -0,0 +1,83 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createCalendar, entryStatus, US_HOLIDAYS, validateCalendar } from "../lib/calendar.js";
+import { checkJob } from "../lib/watchdog.js";
+
+const calendar = createCalendar({
+  timeZone: "America/New_York",
+  weekdays: [1, 2, 3, 4, 5, 6],
+  hours: { open: "09:00", close: "18:00" },
+  holidays: ["memorialDay", "independenceDay", "thanksgiving"],
+  closures: [
+    { date: "2026-12-24", reason: "Christmas Eve" },
+    { from: "2026-12-28", to: "2026-12-29", accounts: ["elite"] },
+  ],
+  accounts: { elite: { hours: { open: "09:30", close: "20:00" } } },
+});
+
+const at = (iso, options) => calendar.status(new Date(iso), options);
+
+test("US holidays land on their fixed date or nth weekday", () => {
+  assert.equal(US_HOLIDAYS.mlkDay.date(2026), "2026-01-19");
+  assert.equal(US_HOLIDAYS.memorialDay.date(2026), "2026-05-25");
+  assert.equal(US_HOLIDAYS.memorialDay.date(2027), "2027-05-31");
+  assert.equal(US_HOLIDAYS.laborDay.date(2026), "2026-09-07");
+  assert.equal(US_HOLIDAYS.thanksgiving.date(2026), "2026-11-26");
+  assert.equal(US_HOLIDAYS.thanksgiving.date(2027), "2027-11-25");
+  assert.equal(US_HOLIDAYS.independenceDay.date(2026), "2026-07-04");
+});
+
+test("open during business hours on business days, in the calendar's time zone", () => {
+  // 2026-03-09 is a Monday in EDT (UTC-4)
+  assert.deepEqual(at("2026-03-09T13:00:00Z"), { open: true, date: "2026-03-09" });
+  assert.deepEqual(at("2026-03-09T12:59:00Z"), {
+    open: false,
+    date: "2026-03-09",
+    reason: "outside business hours (09:00–18:00)",
+  });
+  assert.equal(at("2026-03-09T22:00:00Z").open, false);
+  // Saturday is a business day; Sunday isn't
+  assert.equal(at("2026-03-14T15:00:00Z").open, true);
+  assert.equal(at("2026-03-15T15:00:00Z").reason, "closed on Sun");
+  // 11pm Saturday in New York is already Sunday in UTC
+  assert.equal(at("2026-03-15T03:00:00Z").date, "2026-03-14");
+});
+
+test("holidays and closures close the whole day; closures can be per account", () => {
+  assert.equal(at("2026-11-26T15:00:00Z").reason, "holiday: Thanksgiving Day");
+  assert.equal(at("2026-07-04T15:00:00Z").reason, "holiday: Independence Day"); // a Saturday
+  assert.equal(at("2026-12-24T15:00:00Z").reason, "closed: Christmas Eve");
+  assert.equal(at("2026-12-28T15:00:00Z").open, true);
+  assert.equal(at("2026-12-29T15:00:00Z", { account: "elite" }).reason, "closed");
+  assert.equal(calendar.isBusinessDay("2026-12-28"), true);
+  assert.equal(calendar.isBusinessDay("2026-12-28", { account: "elite" }), false);
+});
+
+test("accounts and schedule entries override the hours", () => {
+  assert.equal(at("2026-03-09T13:15:00Z", { account: "elite" }).open, false); // 9:15
+  assert.equal(at("2026-03-09T23:45:00Z", { account: "elite" }).open, true); // 19:45
+  const ringTree = { script: "ringTreeDisposition.js", hours: { close: "19:00" } };
+  assert.equal(entryStatus(ringTree, new Date("2026-03-09T22:45:00Z"), { calendar }).open, true);
+  assert.equal(entryStatus(ringTree, new Date("2026-03-09T23:00:00Z"), { calendar }).open, false);
+  const clearCache = { script: "clearCache.js", calendar: false };
+  assert.equal(entryStatus(clearCache, new Date("2026-11-26T06:00:00Z"), { calendar }).open, true);
+});
+
+test("invalid calendars are rejected", () => {
+  assert.throws(() => validateCalendar({ hours: { open: "9am", close: "17:00" } }), /hours\.open must be "HH:mm"/);
+  assert.throws(() => validateCalendar({ hours: { open: "18:00", close: "09:00" } }), /closes \(09:00\) before it opens/);
+  assert.throws(() => validateCalendar({ weekdays: [7] }), /weekdays must be/);
+  assert.throws(() => validateCalendar({ holidays: ["easter"] }), /unknown holiday "easter"/);
+  assert.throws(() => validateCalendar({ closures: [{ from: "2026-12-29", to: "2026-12-28" }] }), /ends before it starts/);
+  assert.throws(() => validateCalendar({ accounts: { elite: { channel: "x" } } }), /unknown setting "channel"/);
+  assert.doesNotThrow(() => validateCalendar({}));
+});
+
+test("the watchdog doesn't count ticks the calendar closes", () => {
+  const entry = { script: "targetNoAnswer.js", args: ["pull"], schedule: "*/10 * * * *", timezone: "America/New_York", maxSilenceMinutes: 30 };
+  const openAt = (date) => entryStatus(entry, date, { calendar }).open;
+  // Last success Wednesday 17:50 before Thanksgiving; next business tick Friday 9:00
+  const runs = [{ status: "ok", start: "2026-11-25T22:50:01Z" }];
+  assert.equal(checkJob(entry, runs, { now: new Date("2026-11-27T14:29:00Z"), openAt }).status, "ok");
+  assert.equal(checkJob(entry, runs, { now: new Date("2026-11-27T14:30:00Z"), openAt }).status, "stale");
+});
@@ -0,0 +1,123 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { callTime, collectCallLogs, streamCallLogs } from "../lib/callLogStream.js";
+
+const T0 = Date.parse("2026-03-09T14:00:00Z");
+const call = (n, extra = {}) => ({ inboundCallId: `C${n}`, callDt: T0 + n * 60000, ...extra });
+
+/**
+ * Stub /calllogs over `rows` (sorted by callDt): filters by reportStart and pages by offset/size.
+ * `before(body)` runs ahead of each page, e.g. to insert a call mid-scan.
+ */
+function stubClient(rows, { before } = {}) {
+  const bodies = [];
+  return {
+    bodies,
+    rows,
+    async callLogs(body) {
+      bodies.push(body);
+      before?.(body, rows);
+      const start = callTime(body.reportStart);
+      const inWindow = rows.filter((row) => start == null || callTime(row?.callDt) == null || row.callDt >= start);
+      return { report: { records: inWindow.slice(body.offset, body.offset + body.size) } };
+    },
+  };
+}
+
+const ids = (rows) => rows.map((row) => row.inboundCallId);
+const body = { reportStart: new Date(T0).toISOString(), reportEnd: new Date(T0 + 3600000).toISOString() };
+
+test("pages with offset and size until a short page", async () => {
+  const client = stubClient(Array.from({ length: 7 }, (_, i) => call(i)));
+  const { rows, stats, truncated } = await collectCallLogs(client, body, { pageSize: 3 });
+  assert.deepEqual(ids(rows), ["C0", "C1", "C2", "C3", "C4", "C5", "C6"]);
+  assert.deepEqual(
+    client.bodies.map(({ offset, size }) => [offset, size]),
+    [
+      [0, 3],
+      [3, 3],
+      [6, 3],
+    ]
+  );
+  assert.deepEqual(stats, { pages: 3, rows: 7, duplicates: 0, skipped: 0, truncated: false });
+  assert.equal(truncated, false);
+});
+
+test("a full last page costs one more (empty) request", async () => {
+  const client = stubClient(Array.from({ length: 6 }, (_, i) => call(i)));
+  const { rows, stats } = await collectCallLogs(client, body, { pageSize: 3 });
+  assert.equal(rows.length, 6);
+  assert.equal(stats.pages, 3);
+});
+
+test("calls that shift offsets mid-scan are yielded once", async () => {
+  // A new call lands at the front before the second page, pushing C2 onto page two again
+  const client = stubClient([call(1), call(2), call(3), call(4), call(5)], {
+    before: (request, rows) => {
+      if (request.offset === 2) rows.unshift(call(0));
+    },
+  });
+  const { rows, stats } = await collectCallLogs(client, body, { pageSize: 2 });
+  assert.deepEqual(ids(rows), ["C1", "C2", "C3", "C4", "C5"]);
+  assert.equal(stats.duplicates, 1);
+});
+
+test("rows without an inboundCallId or empty slots are kept or skipped, not deduplicated", async () => {
+  const client = stubClient([call(1), null, { callDt: T0 + 120000 }, { callDt: T0 + 120000 }]);
+  const { rows } = await collectCallLogs(client, body, { pageSize: 10 });
+  assert.equal(rows.length, 3);
+});
+
+test("a cursor resumes after its call and narrows the window to its time", async () => {
+  const all = Array.from({ length: 6 }, (_, i) => call(i));
+  const first = streamCallLogs(stubClient(all), body, { pageSize: 2, maxRows: 3 });
+  const seen = [];
+  for await (const row of first) seen.push(row);
+  assert.deepEqual(ids(seen), ["C0", "C1", "C2"]);
+  assert.deepEqual(first.cursor, { callDt: T0 + 2 * 60000, inboundCallId: "C2" });
+
+  // A call sharing the cursor's timestamp is kept: better a duplicate than a lost call
+  const client = stubClient([...all.slice(0, 3), call(2, { inboundCallId: "C2b" }), ...all.slice(3)]);
+  const { rows, stats, cursor } = await collectCallLogs(client, body, { pageSize: 2, cursor: first.cursor });
+  assert.deepEqual(ids(rows), ["C2b", "C3", "C4", "C5"]);
+  assert.equal(stats.skipped, 1);
+  assert.equal(client.bodies[0].reportStart, new Date(T0 + 2 * 60000).toISOString());
+  assert.equal(client.bodies[0].reportEnd, body.reportEnd);
+  assert.deepEqual(cursor, { callDt: T0 + 5 * 60000, inboundCallId: "C5" });
+});
+
+test("a cursor without comparable times skips everything up to its call", async () => {
+  const rows = ["a", "b", "c", "d"].map((id) => ({ inboundCallId: id, callDt: "unknown" }));
+  const result = await collectCallLogs(stubClient(rows), {}, { cursor: { callDt: "unknown", inboundCallId: "b" } });
+  assert.deepEqual(ids(result.rows), ["c", "d"]);
+  assert.equal(result.stats.skipped, 2);
+});
+
+test("maxRows stops the scan and reports the truncation", async () => {
+  const client = stubClient(Array.from({ length: 10 }, (_, i) => call(i)));
+  const reports = [];
+  const { rows, truncated, cursor, stats } = await collectCallLogs(client, body, {
+    pageSize: 3,
+    maxRows: 4,
+    onTruncated: (s) => reports.push({ ...s }),
+  });
+  assert.deepEqual(ids(rows), ["C0", "C1", "C2", "C3"]);
+  assert.equal(truncated, true);
+  assert.deepEqual(reports, [{ pages: 2, rows: 4, duplicates: 0, skipped: 0, truncated: true }]);
+  assert.equal(stats.pages, 2);
+  // The cursor is the last row yielded, so the next scan picks up at C4
+  assert.equal(cursor.inboundCallId, "C3");
+
+  // Exactly maxRows rows is not a truncation
+  const exact = await collectCallLogs(stubClient(Array.from({ length: 4 }, (_, i) => call(i))), body, { maxRows: 4 });
+  assert.equal(exact.truncated, false);
+});
+
+test("callTime reads numbers, ISO strings and formatted dates", () => {
+  assert.equal(callTime(T0), T0);
+  assert.equal(callTime("2026-03-09T14:00:00Z"), T0);
+  assert.equal(callTime("not a date"), null);
+  assert.equal(callTime("Mon Mar 09 2026 14:00:00 GMT+0000"), T0);
+  assert.equal(callTime(""), null);
+  assert.equal(callTime(null), null);
+});
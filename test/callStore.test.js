@@ -0,0 +1,235 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { openCallStore, syncCallStore } from "../lib/callStore.js";
+import { callTime } from "../lib/callLogStream.js";
+import { RateLimitError } from "../lib/rateLimiter.js";
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), "call-store-"));
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+const MINUTE = 60 * 1000;
+const T0 = Date.parse("2026-03-09T13:00:00Z");
+const WINDOW = { from: new Date(T0), to: new Date(T0 + 10 * 60 * MINUTE) };
+
+let stores = 0;
+const newStore = (options = {}) => openCallStore("RA1", { dir: path.join(root, `store-${++stores}`), retentionMs: Infinity, ...options });
+
+/** Call n minutes after T0. */
+const call = (n, extra = {}) => ({ inboundCallId: `C${n}`, callDt: T0 + n * MINUTE, targetName: "Acme", ...extra });
+
+/**
+ * Stub Ringba client over `rows`: /calllogs filtered to the body's window and paged by
+ * offset/size, /calllogs/detail echoing a record per known id. `fail(page)` can throw on a page,
+ * `remaining` stands in for the call-log budget.
+ */
+function stubClient(rows, { fail, remaining = Infinity, live = new Set() } = {}) {
+  const client = {
+    accountId: "RA1",
+    bodies: [],
+    detailRequests: [],
+    remaining: () => remaining,
+    async callLogs(body) {
+      client.bodies.push(body);
+      fail?.(client.bodies.length);
+      const from = callTime(body.reportStart);
+      const to = callTime(body.reportEnd);
+      const inWindow = rows.filter((row) => row.callDt >= from && row.callDt <= to);
+      return { report: { records: inWindow.slice(body.offset, body.offset + body.size) } };
+    },
+    async callLogDetails(ids) {
+      client.detailRequests.push(ids);
+      const records = ids
+        .filter((id) => rows.some((row) => row.inboundCallId === id))
+        .map((id) => ({ inboundCallId: id, isLive: live.has(id), events: [`fetched ${client.detailRequests.length}`] }));
+      return { report: { records } };
+    },
+  };
+  return client;
+}
+
+const ids = (rows) => rows.map((row) => row.inboundCallId);
+const minutesAfterT0 = (value) => (callTime(value) - T0) / MINUTE;
+
+test("a sync stores every call in the window and sets the high-water mark to the newest", async () => {
+  const store = newStore();
+  const client = stubClient([call(5), call(20), call(42)]);
+  const sync = await syncCallStore(client, store, WINDOW);
+  assert.deepEqual(sync, { from: WINDOW.from.toISOString(), to: WINDOW.to.toISOString(), rows: 3, pages: 1, truncated: false });
+  assert.equal(store.getMeta().highWaterMark, T0 + 42 * MINUTE);
+  assert.deepEqual(ids(store.query(WINDOW)), ["C5", "C20", "C42"]);
+});
+
+test("the next sync starts 30 minutes before the high-water mark, or at the window start", async () => {
+  const store = newStore();
+  const rows = [call(5), call(100)];
+  await syncCallStore(stubClient(rows), store, WINDOW);
+
+  const client = stubClient([...rows, call(120)]);
+  await syncCallStore(client, store, WINDOW);
+  assert.equal(minutesAfterT0(client.bodies[0].reportStart), 70);
+  assert.deepEqual(ids(store.query(WINDOW)), ["C5", "C100", "C120"]);
+
+  const short = stubClient(rows);
+  await syncCallStore(short, store, { ...WINDOW, overlapMs: 5 * MINUTE });
+  assert.equal(minutesAfterT0(short.bodies[0].reportStart), 115);
+
+  // Never before the window's start
+  const later = stubClient(rows);
+  await syncCallStore(later, store, { from: new Date(T0 + 110 * MINUTE), to: WINDOW.to });
+  assert.equal(minutesAfterT0(later.bodies[0].reportStart), 110);
+});
+
+test("a call still live at the last sync rewinds the next one to it", async () => {
+  const store = newStore();
+  await syncCallStore(stubClient([call(10, { isLive: true }), call(200)]), store, WINDOW);
+
+  const client = stubClient([call(10, { isLive: false }), call(200)]);
+  await syncCallStore(client, store, WINDOW);
+  assert.equal(minutesAfterT0(client.bodies[0].reportStart), 10);
+  assert.equal(store.query(WINDOW)[0].isLive, false);
+  assert.equal(store.oldestLiveCall(), null);
+
+  // Completed now: back to the overlap
+  const next = stubClient([call(200)]);
+  await syncCallStore(next, store, WINDOW);
+  assert.equal(minutesAfterT0(next.bodies[0].reportStart), 170);
+});
+
+test("a replay window ending before the high-water mark is read in full", async () => {
+  const store = newStore();
+  await syncCallStore(stubClient([call(300)]), store, WINDOW);
+
+  const replay = { from: new Date(T0), to: new Date(T0 + 60 * MINUTE) };
+  const client = stubClient([call(15), call(300)]);
+  await syncCallStore(client, store, replay);
+  assert.equal(client.bodies[0].reportStart, replay.from.toISOString());
+  assert.deepEqual(ids(store.query(replay)), ["C15"]);
+  assert.equal(store.getMeta().highWaterMark, T0 + 300 * MINUTE);
+});
+
+test("the last line for a call wins, across processes and past a half-written line", async () => {
+  const store = newStore();
+  await store.upsertCalls([call(1, { targetName: "Acme" }), call(2)]);
+  await store.upsertCalls([call(1, { targetName: "Blue Ridge" })]);
+  assert.deepEqual(store.query({ targetName: "Blue Ridge" }).map((row) => row.inboundCallId), ["C1"]);
+  assert.deepEqual(store.targets().sort(), ["Acme", "Blue Ridge"]);
+
+  // Another process appended a newer line, and a crash left a partial one after it
+  fs.appendFileSync(path.join(store.dir, "calls.jsonl"), JSON.stringify({ id: "C2", t: T0 + 2 * MINUTE, row: call(2, { targetName: "Zeta" }) }) + "\n{\"id\":\"C1\",\"t\":");
+  store.reload();
+  assert.equal(store.query().find((row) => row.inboundCallId === "C2").targetName, "Zeta");
+  assert.equal(store.query().find((row) => row.inboundCallId === "C1").targetName, "Blue Ridge");
+
+  const reopened = openCallStore("RA1", { dir: path.dirname(store.dir), retentionMs: Infinity });
+  assert.equal(reopened.query().length, 2);
+});
+
+test("details of completed calls are fetched once; live calls are fetched every time", async () => {
+  const store = newStore();
+  const rows = [call(1), call(2, { isLive: true }), call(3)];
+  await store.upsertCalls(rows);
+  const client = stubClient(rows, { live: new Set(["C3"]) });
+
+  const first = await store.getDetails(client, ["C1", "C2", "C3", "C1", "", null, "C404"]);
+  assert.deepEqual(ids(first), ["C1", "C2", "C3"]);
+  assert.deepEqual(client.detailRequests, [["C1", "C2", "C3", "C404"]]);
+
+  // C2 was live in the call log, C3 in its detail: neither is cached
+  const second = await store.getDetails(client, ["C1", "C2", "C3"]);
+  assert.deepEqual(client.detailRequests[1], ["C2", "C3"]);
+  assert.deepEqual(second[0].events, ["fetched 1"]);
+  assert.deepEqual(second[1].events, ["fetched 2"]);
+
+  // Cached across processes
+  const reopened = openCallStore("RA1", { dir: path.dirname(store.dir), retentionMs: Infinity });
+  await reopened.getDetails(client, ["C1"]);
+  assert.equal(client.detailRequests.length, 2);
+});
+
+test("details are fetched in batches of 50", async () => {
+  const store = newStore();
+  const rows = Array.from({ length: 120 }, (_, i) => call(i));
+  const client = stubClient(rows);
+  const records = await store.getDetails(client, ids(rows));
+  assert.equal(records.length, 120);
+  assert.deepEqual(
+    client.detailRequests.map((batch) => batch.length),
+    [50, 50, 20]
+  );
+});
+
+test("old lines are compacted away once per UTC day, never the ones just written", async () => {
+  const store = newStore({ retentionMs: 48 * 60 * MINUTE });
+  const day1 = new Date("2026-03-09T12:00:00Z");
+  await store.upsertCalls([call(0)], day1);
+  await store.getDetails(stubClient([call(0)]), ["C0"]);
+  assert.equal(store.getMeta().compactedAt, "2026-03-09");
+
+  // Same day: nothing compacted even though C0 is outside the retention by now
+  const later = new Date("2026-03-11T13:30:00Z");
+  fs.writeFileSync(path.join(store.dir, "meta.json"), JSON.stringify({ ...store.getMeta(), compactedAt: "2026-03-11" }));
+  await store.upsertCalls([call(1)], later);
+  assert.deepEqual(ids(store.query()), ["C0", "C1"]);
+
+  // Next day: calls past the 48 hours go, from both files
+  await store.upsertCalls([call(2 * 24 * 60)], new Date("2026-03-12T00:30:00Z"));
+  assert.deepEqual(ids(store.query()), ["C2880"]);
+  assert.equal(fs.readFileSync(path.join(store.dir, "details.jsonl"), "utf-8"), "");
+  assert.equal(store.getMeta().compactedAt, "2026-03-12");
+
+  // A replay's rows are older than the retention but survive the compaction that writes them
+  await store.upsertCalls([call(0)], new Date("2026-03-13T00:30:00Z"));
+  assert.deepEqual(ids(store.query()), ["C0", "C2880"]);
+});
+
+test("a sync that fails partway keeps the pages it read and moves the high-water mark", async () => {
+  const store = newStore();
+  const rows = Array.from({ length: 400 }, (_, i) => call(i / 2));
+  const client = stubClient(rows, {
+    fail: (page) => {
+      if (page === 3) throw Object.assign(new Error("socket hang up"), { code: "ECONNRESET" });
+    },
+  });
+  await assert.rejects(syncCallStore(client, store, WINDOW), /socket hang up/);
+  assert.equal(store.query().length, 300);
+  assert.equal(store.getMeta().highWaterMark, rows[299].callDt);
+
+  // The next sync carries on from there
+  const next = stubClient(rows);
+  const sync = await syncCallStore(next, store, WINDOW);
+  assert.equal(callTime(next.bodies[0].reportStart), rows[299].callDt - 30 * MINUTE);
+  assert.equal(sync.truncated, false);
+  assert.equal(store.query().length, 400);
+});
+
+test("a sync the rate limiter refuses stops, truncated, with what it read", async () => {
+  const store = newStore();
+  const rows = Array.from({ length: 400 }, (_, i) => call(i / 2));
+  const client = stubClient(rows, {
+    fail: (page) => {
+      if (page === 2) throw new RateLimitError("Ringba callLogs hour budget of 20 exhausted for RA1");
+    },
+  });
+  const sync = await syncCallStore(client, store, WINDOW);
+  assert.deepEqual({ rows: sync.rows, pages: sync.pages, truncated: sync.truncated }, { rows: 150, pages: 1, truncated: true });
+  assert.equal(store.getMeta().highWaterMark, rows[149].callDt);
+});
+
+test("a sync reads no more pages than the call-log budget has left", async () => {
+  const rows = Array.from({ length: 400 }, (_, i) => call(i / 2));
+
+  const store = newStore();
+  const client = stubClient(rows, { remaining: 2 });
+  const sync = await syncCallStore(client, store, WINDOW);
+  assert.equal(client.bodies.length, 2);
+  assert.deepEqual({ rows: sync.rows, pages: sync.pages, truncated: sync.truncated }, { rows: 300, pages: 2, truncated: true });
+  assert.equal(store.getMeta().highWaterMark, rows[299].callDt);
+
+  const spent = stubClient(rows, { remaining: 0 });
+  const skipped = await syncCallStore(spent, newStore(), WINDOW);
+  assert.equal(spent.bodies.length, 0);
+  assert.equal(skipped.truncated, true);
+});
@@ -0,0 +1,78 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { cronMatches, cronRuns, firstCronRun, parseCron } from "../lib/cron.js";
+
+const sorted = (set) => [...set].sort((a, b) => a - b);
+
+test("fields take *, lists, ranges and steps", () => {
+  const parsed = parseCron("*/15 9-17/4 1,15 * 1-5");
+  assert.deepEqual(sorted(parsed.minute), [0, 15, 30, 45]);
+  assert.deepEqual(sorted(parsed.hour), [9, 13, 17]);
+  assert.deepEqual(sorted(parsed.day), [1, 15]);
+  assert.equal(parsed.month.size, 12);
+  assert.deepEqual(sorted(parsed.weekday), [1, 2, 3, 4, 5]);
+  assert.deepEqual(sorted(parseCron("5/20 * * * *").minute), [5, 25, 45]);
+  assert.deepEqual(sorted(parseCron("0 0 * * 7").weekday), [0, 7]);
+});
+
+test("unsupported or out-of-range expressions throw", () => {
+  assert.throws(() => parseCron("* * * *"), /Expected 5 cron fields, got 4/);
+  assert.throws(() => parseCron("60 * * * *"), /Invalid cron minute field: "60"/);
+  assert.throws(() => parseCron("* 5-2 * * *"), /Invalid cron hour field/);
+  assert.throws(() => parseCron("*/0 * * * *"), /Invalid cron minute field/);
+  assert.throws(() => parseCron("@hourly * * * *"), /Invalid cron minute field/);
+  assert.throws(() => parseCron("* * 0 * *"), /Invalid cron day field/);
+});
+
+test("expressions match in the given time zone", () => {
+  const parsed = parseCron("0 9 * * *");
+  // 9am in New York is 13:00 UTC during daylight saving time, 14:00 outside it
+  assert.equal(cronMatches(parsed, new Date("2026-03-09T13:00:00Z"), "America/New_York"), true);
+  assert.equal(cronMatches(parsed, new Date("2026-03-06T14:00:00Z"), "America/New_York"), true);
+  assert.equal(cronMatches(parsed, new Date("2026-03-09T13:00:00Z"), "America/Chicago"), false);
+  assert.equal(cronMatches(parsed, new Date("2026-03-09T09:00:00Z"), "UTC"), true);
+});
+
+test("day of month and day of week are ORed when both are restricted", () => {
+  const either = parseCron("0 12 1 * 1");
+  // 2026-03-01 is a Sunday, 2026-03-02 a Monday
+  assert.equal(cronMatches(either, new Date("2026-03-01T12:00:00Z"), "UTC"), true);
+  assert.equal(cronMatches(either, new Date("2026-03-02T12:00:00Z"), "UTC"), true);
+  assert.equal(cronMatches(either, new Date("2026-03-03T12:00:00Z"), "UTC"), false);
+
+  const weekdays = parseCron("0 12 * * 1-5");
+  assert.equal(cronMatches(weekdays, new Date("2026-03-01T12:00:00Z"), "UTC"), false);
+  assert.equal(cronMatches(weekdays, new Date("2026-03-02T12:00:00Z"), "UTC"), true);
+});
+
+test("cronRuns lists every firing minute in [from, to)", () => {
+  const runs = cronRuns("*/20 9 * * *", {
+    from: new Date("2026-03-09T13:00:30Z"),
+    to: new Date("2026-03-09T14:00:00Z"),
+    timeZone: "America/New_York",
+  });
+  assert.deepEqual(
+    runs.map((d) => d.toISOString()),
+    ["2026-03-09T13:20:00.000Z", "2026-03-09T13:40:00.000Z"]
+  );
+
+  // The spring-forward day has no 2am in New York
+  const skipped = cronRuns("30 2 * * *", {
+    from: new Date("2026-03-08T00:00:00Z"),
+    to: new Date("2026-03-09T00:00:00Z"),
+    timeZone: "America/New_York",
+  });
+  assert.deepEqual(skipped, []);
+});
+
+test("firstCronRun skips the minutes its filter rejects", () => {
+  const from = new Date("2026-03-09T00:00:00Z");
+  const to = new Date("2026-03-12T00:00:00Z");
+  assert.equal(firstCronRun("0 6 * * *", { from, to, timeZone: "UTC" }).toISOString(), "2026-03-09T06:00:00.000Z");
+  const notMonday = (date) => date.getUTCDay() !== 1;
+  assert.equal(
+    firstCronRun("0 6 * * *", { from, to, timeZone: "UTC", filter: notMonday }).toISOString(),
+    "2026-03-10T06:00:00.000Z"
+  );
+  assert.equal(firstCronRun("0 6 1 1 *", { from, to, timeZone: "UTC" }), null);
+});
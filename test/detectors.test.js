@@ -0,0 +1,343 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRules } from "../lib/rules.js";
+import { isNoValue, percentOf, splitRollup, toCount, toSeconds } from "../lib/detectors/records.js";
+import { hashBatch } from "../lib/detectors/dropRuns.js";
+import * as numberPool from "../lib/detectors/numberPool.js";
+import * as targetHangups from "../lib/detectors/targetHangups.js";
+import * as targetNoAnswer from "../lib/detectors/targetNoAnswer.js";
+import * as campaignDropRate from "../lib/detectors/campaignDropRate.js";
+import * as multiTags from "../lib/detectors/multiTags.js";
+import * as consecutiveCalls from "../lib/detectors/consecutiveCalls.js";
+import * as sameBid from "../lib/detectors/consecutiveCallsSameBid.js";
+import * as ringTree from "../lib/detectors/ringTreeDisposition.js";
+import * as elitePickUp from "../lib/detectors/elitePickUp.js";
+
+const rules = createRules();
+const window = { reportStart: "2026-03-09T04:00:00Z", reportEnd: "2026-03-10T03:59:59Z" };
+const NO_VALUE = "-no value-";
+
+// /insights rows grouped by `column`: [[value, callCount], ...] then the rollup (unless null)
+const report = (column, rows, rollup) => [
+  ...rows.map(([value, callCount]) => ({ [column]: value, callCount })),
+  ...(rollup == null ? [] : [{ [column]: null, callCount: rollup }]),
+];
+
+test("records: counts, timespans and no-value labels", () => {
+  assert.equal(toCount(12), 12);
+  assert.equal(toCount("1,234"), 1234);
+  assert.equal(toCount(""), 0);
+  assert.equal(toCount("n/a"), 0);
+  assert.equal(toCount(undefined), 0);
+
+  assert.equal(toSeconds("00:00:20"), 20);
+  assert.equal(toSeconds("01:40"), 100);
+  assert.equal(toSeconds("42"), 42);
+  assert.equal(toSeconds(7), 7);
+  assert.equal(toSeconds(""), null);
+  assert.equal(toSeconds("1:xx"), null);
+  assert.equal(toSeconds(null), null);
+
+  assert.ok(isNoValue("-no value-"));
+  assert.ok(isNoValue("-No Value-"));
+  assert.ok(isNoValue(""));
+  assert.ok(!isNoValue("Acme"));
+  assert.ok(!isNoValue(null));
+
+  assert.equal(percentOf(5, 0), 0);
+});
+
+test("records: splitRollup uses the rollup wherever it is, else sums the rows", () => {
+  const rollupFirst = [{ targetName: null, callCount: 10 }, { targetName: "A", callCount: 4 }];
+  assert.deepEqual(splitRollup(rollupFirst, "targetName"), {
+    rows: [{ targetName: "A", callCount: 4 }],
+    total: 10,
+    hasRollup: true,
+  });
+  const noRollup = splitRollup(report("targetName", [["A", 4], [NO_VALUE, "6"]]), "targetName");
+  assert.equal(noRollup.total, 10);
+  assert.equal(noRollup.hasRollup, false);
+  assert.deepEqual(splitRollup(undefined, "targetName"), { rows: [], total: 0, hasRollup: false });
+});
+
+test("numberPool: no check for an empty response", () => {
+  assert.deepEqual(numberPool.evaluate([], { rules, window }), []);
+  assert.deepEqual(numberPool.evaluate(null, { rules, window }), []);
+});
+
+test("numberPool: exactly noValuePct is not tripped, just over is", () => {
+  const [atLimit] = numberPool.evaluate(report("numberPoolName", [["Pool", 98], [NO_VALUE, 2]], 100), { rules, window });
+  assert.equal(atLimit.metric, 2);
+  assert.equal(atLimit.tripped, false);
+  const [over] = numberPool.evaluate(report("numberPoolName", [["Pool", 97], [NO_VALUE, 3]], 100), { rules, window });
+  assert.equal(over.tripped, true);
+  assert.equal(over.key, "numberPool");
+});
+
+test("numberPool: missing rollup and missing no-value row", () => {
+  const [noRollup] = numberPool.evaluate(report("numberPoolName", [["Pool", 90], [NO_VALUE, 10]]), { rules, window });
+  assert.equal(noRollup.metric, 10);
+  const [clean] = numberPool.evaluate(report("numberPoolName", [["Pool", 50]], 50), { rules, window });
+  assert.equal(clean.metric, 0);
+  assert.equal(clean.tripped, false);
+});
+
+test("targetHangups: minCalls is exclusive, hangUpPct is exclusive", () => {
+  const targets = report("targetName", [["At", 30], ["Over", 31], ["Pct", 40]], 101);
+  const hangUps = report("targetName", [["At", 30], ["Over", 4], ["Pct", 5]], 39);
+  const checks = targetHangups.evaluate({ targets, hangUps }, { rules, window });
+  assert.deepEqual(checks.map((check) => check.key), ["Over", "Pct"]);
+  // 4 / 31 = 12.9% > 10%; 5 / 40 = 12.5% > 10%
+  assert.ok(checks.every((check) => check.tripped));
+
+  const [exact] = targetHangups.evaluate(
+    { targets: report("targetName", [["T", 50]]), hangUps: report("targetName", [["T", 5]]) },
+    { rules, window }
+  );
+  assert.equal(exact.metric, 10);
+  assert.equal(exact.tripped, false);
+});
+
+test("targetHangups: a target missing from the hang-up report has none", () => {
+  const [check] = targetHangups.evaluate(
+    { targets: report("targetName", [["T", 50], [NO_VALUE, 9]], 59), hangUps: [] },
+    { rules, window, buyers: new Map([["T", "Acme"]]) }
+  );
+  assert.equal(check.metric, 0);
+  assert.equal(check.alert.buyer, "Acme");
+});
+
+test("targetNoAnswer: minDialed and noAnswerPct are both inclusive", () => {
+  const records = [
+    { targetName: "Short", targetDialed: 29, noAnswer: 29 },
+    { targetName: "Exact", targetDialed: 30, noAnswer: 6 },
+    { targetName: "Under", targetDialed: "1,000", noAnswer: "199" },
+    { targetName: NO_VALUE, targetDialed: 100, noAnswer: 100 },
+    { targetName: "Empty", targetDialed: "", noAnswer: "" },
+  ];
+  const checks = targetNoAnswer.evaluate(records, { rules, window });
+  assert.deepEqual(
+    checks.map(({ key, tripped }) => [key, tripped]),
+    [
+      ["Exact", true],
+      ["Under", false],
+    ]
+  );
+});
+
+test("targetNoAnswer: per-target overrides apply", () => {
+  const strict = createRules({
+    overrides: [{ detector: "targetNoAnswer", match: { buyer: "Acme" }, set: { minDialed: 5, noAnswerPct: 50 } }],
+  });
+  const [check] = targetNoAnswer.evaluate([{ targetName: "T", targetDialed: 10, noAnswer: 4 }], {
+    rules: strict,
+    window,
+    buyers: new Map([["T", "Acme"]]),
+  });
+  assert.equal(check.tripped, false);
+  assert.equal(check.metric, 40);
+});
+
+test("campaignDropRate: under minCalls or empty gives no check", () => {
+  const options = { rules, campaign: "C", window };
+  assert.deepEqual(campaignDropRate.evaluate([], options), []);
+  assert.deepEqual(campaignDropRate.evaluate(report("targetName", [["T", 5], [NO_VALUE, 4]], 9), options), []);
+  const [atMin] = campaignDropRate.evaluate(report("targetName", [["T", 6], [NO_VALUE, 4]], 10), options);
+  assert.equal(atMin.key, "C");
+  assert.equal(atMin.tripped, true);
+});
+
+test("campaignDropRate: exactly dropRatePct is not tripped", () => {
+  const [check] = campaignDropRate.evaluate(report("targetName", [["T", 85], [NO_VALUE, 15]]), {
+    rules,
+    campaign: "C",
+    window,
+  });
+  assert.equal(check.metric, 15);
+  assert.equal(check.tripped, false);
+
+  // Campaigns under the threshold used to be posted too; now only ones above it alert
+  const [above] = campaignDropRate.evaluate(report("targetName", [["T", 849], [NO_VALUE, 151]]), {
+    rules,
+    campaign: "C",
+    window,
+  });
+  assert.equal(above.tripped, true);
+  assert.match(above.alert.summary, /^C's drop rate is above 15% in the last 30 minutes \(15\.10%\)$/);
+});
+
+test("multiTags: Medicare campaigns only", () => {
+  assert.ok(multiTags.isMedicareCampaign("Medicare Inbound"));
+  assert.ok(!multiTags.isMedicareCampaign("Medicare Broker"));
+  assert.ok(!multiTags.isMedicareCampaign("Medicare Testing"));
+  assert.ok(!multiTags.isMedicareCampaign(null));
+});
+
+test("multiTags: trips over missingPct with at least minCalls calls", () => {
+  const [tag] = multiTags.TAGS;
+  const options = { rules, campaign: "Medicare", publisher: "P", tag, window };
+  const rows = (calls, missing) => report(tag.tag, [["yes", calls - missing], [NO_VALUE, missing]], calls);
+
+  const [atMin] = multiTags.evaluate(rows(150, 4), options);
+  assert.equal(atMin.key, `Medicare|P|${tag.tagName}`);
+  assert.equal(atMin.tripped, true);
+  // Under minCalls the check still runs, untripped
+  const [few] = multiTags.evaluate(rows(149, 40), options);
+  assert.equal(few.tripped, false);
+  const [exact] = multiTags.evaluate(rows(200, 4), options);
+  assert.equal(exact.metric, 2);
+  assert.equal(exact.tripped, false);
+  const [empty] = multiTags.evaluate([], options);
+  assert.equal(empty.metric, 0);
+  assert.equal(empty.tripped, false);
+});
+
+// Call-store rows as consecutiveCalls reads them
+const storeRow = (id, seconds, endCallSource = "Target") => ({
+  targetName: "T",
+  inboundPhoneNumber: "+15550000000",
+  inboundCallId: id,
+  connectedCallLengthInSeconds: seconds,
+  endCallSource,
+});
+
+test("consecutiveCalls: maxCallSeconds is inclusive, formatted or not", () => {
+  const options = { rules, target: "T", window };
+  const atLimit = [storeRow("a", "00:00:20"), storeRow("b", 20), storeRow("c", "20")];
+  const [batch] = consecutiveCalls.evaluate(atLimit, options);
+  assert.equal(batch.key, hashBatch(atLimit));
+  assert.equal(batch.alert.calls.length, 3);
+
+  const over = [storeRow("a", "00:00:21"), storeRow("b", 1), storeRow("c", 1)];
+  assert.deepEqual(consecutiveCalls.evaluate(over, options), []);
+});
+
+test("consecutiveCalls: MM:SS lengths are minutes, and unconnected calls count as 0s", () => {
+  const options = { rules, target: "T", window };
+  assert.deepEqual(consecutiveCalls.evaluate([storeRow("a", "01:40"), storeRow("b", 1), storeRow("c", 1)], options), []);
+  assert.equal(consecutiveCalls.evaluate([storeRow("a", ""), storeRow("b", null), storeRow("c", 0)], options).length, 1);
+});
+
+test("consecutiveCalls: runs don't overlap and need the target to end every call", () => {
+  const options = { rules, target: "T", window };
+  const calls = ["a", "b", "c", "d", "e", "f", "g"].map((id) => storeRow(id, 5));
+  assert.equal(consecutiveCalls.evaluate(calls, options).length, 2);
+  calls[1] = storeRow("b", 5, "Caller");
+  assert.equal(consecutiveCalls.evaluate(calls, options).length, 1);
+  assert.deepEqual(consecutiveCalls.evaluate([], options), []);
+  assert.deepEqual(consecutiveCalls.evaluate(undefined, options), []);
+});
+
+// /calllogs/detail records as consecutiveCallsSameBid reads them
+const summary = (acceptedRingTreeTargets) => [{ name: "PingTreePingingSummary", acceptedRingTreeTargets }];
+const detail = (id, { seconds = "00:00:10", events = summary("T [$12.50, 1]\nOther [$9, 2]"), phone = "+15550000000" } = {}) => ({
+  targetName: "T",
+  inboundPhoneNumber: phone,
+  inboundCallId: id,
+  callLengthInSeconds: seconds,
+  endCallSource: "Target",
+  events,
+});
+
+test("consecutiveCallsSameBid: reads the bid from the ping-tree summary", () => {
+  assert.equal(sameBid.acceptedBid(summary("T [$12.50, 1]"), "T"), 12.5);
+  assert.equal(sameBid.acceptedBid(summary("Other [9, 1]\r\nT [ 7 , 2]"), "T"), 7);
+  assert.equal(sameBid.acceptedBid(summary("T-2 [5, 1]"), "T"), null);
+});
+
+test("consecutiveCallsSameBid: malformed summaries give no bid", () => {
+  assert.equal(sameBid.acceptedBid(undefined, "T"), null);
+  assert.equal(sameBid.acceptedBid([], "T"), null);
+  assert.equal(sameBid.acceptedBid([null, { name: "PingTreePingingSummary" }], "T"), null);
+  assert.equal(sameBid.acceptedBid(summary(""), "T"), null);
+  assert.equal(sameBid.acceptedBid(summary("T 12.50"), "T"), null);
+  assert.equal(sameBid.acceptedBid(summary("T [abc, 1]"), "T"), null);
+  assert.equal(sameBid.acceptedBid([{ name: "PingTreePingingSummary", acceptedRingTreeTargets: 5 }], "T"), null);
+});
+
+test("consecutiveCallsSameBid: alerts a run on one bid, at the length limit", () => {
+  const calls = [detail("a", { seconds: "00:00:20" }), detail("b", { seconds: 20 }), detail("c")];
+  const [batch] = sameBid.evaluate(calls, { rules, target: "T", buyer: "Acme", window });
+  assert.equal(batch.key, hashBatch(calls));
+  assert.equal(batch.alert.metrics[0].value, "$12.5");
+  assert.equal(batch.alert.buyer, "Acme");
+  assert.equal(batch.alert.thread, "consecutiveCallsSameBid:T");
+});
+
+test("consecutiveCallsSameBid: different, missing or unreadable bids and lengths never match", () => {
+  const options = { rules, target: "T", window };
+  const otherBid = { events: summary("T [13, 1]") };
+  assert.deepEqual(sameBid.evaluate([detail("a"), detail("b", otherBid), detail("c")], options), []);
+  assert.deepEqual(sameBid.evaluate([detail("a"), detail("b", { events: summary("nonsense") }), detail("c")], options), []);
+  assert.deepEqual(sameBid.evaluate([detail("a"), detail("b", { seconds: "" }), detail("c")], options), []);
+  assert.deepEqual(sameBid.evaluate([detail("a"), detail("b", { seconds: "01:40" }), detail("c")], options), []);
+  assert.deepEqual(sameBid.evaluate([detail("a"), null, detail(""), detail("c")], options), []);
+  assert.deepEqual(sameBid.evaluate(null, options), []);
+});
+
+test("consecutiveCallsSameBid: runs with a Restricted caller are skipped", () => {
+  const calls = [detail("a"), detail("b", { phone: "Restricted" }), detail("c"), detail("d"), detail("e"), detail("f")];
+  const found = sameBid.evaluate(calls, { rules, target: "T", window });
+  assert.equal(found.length, 1);
+  assert.deepEqual(
+    found[0].alert.calls.map((call) => call.inboundCallId),
+    ["d", "e", "f"]
+  );
+});
+
+// stats/rtt items: { rttName, values: [{ messageName, total }] }
+const rtt = (rttName, rejections, timeouts) => ({
+  rttName,
+  values: [
+    { messageName: ringTree.ACCEPTANCE_REJECTION_KEY, total: rejections },
+    { messageName: ringTree.PING_TIMEOUT_KEY, total: timeouts },
+  ],
+});
+
+test("ringTreeDisposition: both bounds are exclusive", () => {
+  const data = {
+    values: [rtt("AtMin", 300, 300), rtt("AtPct", 400, 60), rtt("Over", 301, 46)],
+  };
+  assert.deepEqual(
+    ringTree.evaluate(data, { rules, window }).map((found) => found.key),
+    ["Over"]
+  );
+});
+
+test("ringTreeDisposition: missing values, string totals and nameless items", () => {
+  assert.deepEqual(ringTree.cleanRttItem({ rttName: "A" }), { rttName: "A", acceptanceRejection: 0, pingTimeout: 0 });
+  assert.deepEqual(ringTree.cleanRttItem(rtt("B", "1,000", "200")), {
+    rttName: "B",
+    acceptanceRejection: 1000,
+    pingTimeout: 200,
+  });
+  const data = { values: [rtt(undefined, 1000, 1000), rtt("B", "1,000", "200"), null, { rttName: "C", values: [null] }] };
+  assert.deepEqual(
+    ringTree.cleanRingTreeData(data, rules).map((item) => item.rttName),
+    ["B"]
+  );
+  assert.deepEqual(ringTree.evaluate({}, { rules, window }), []);
+  assert.deepEqual(ringTree.evaluate(null, { rules, window }), []);
+});
+
+test("elitePickUp: shares of buyer calls and of all calls", () => {
+  const rates = elitePickUp.getElitePercentage(report("buyer", [["Elite", 30], ["Other", 30], [NO_VALUE, 40]], 100));
+  assert.deepEqual(rates, { elitePct: 50, noValuePct: 40, calls: 100 });
+  const [found] = elitePickUp.evaluate(report("buyer", [["Elite", 30], ["Other", 30], [NO_VALUE, 40]], 100), { window });
+  assert.equal(found.alert.summary, "50.00% of calls were picked up by elite, 40.00% hit the floor");
+});
+
+test("elitePickUp: no -no value- row and no rollup", () => {
+  assert.deepEqual(elitePickUp.getElitePercentage(report("buyer", [["Elite", 1], ["Other", 3]])), {
+    elitePct: 25,
+    noValuePct: 0,
+    calls: 4,
+  });
+});
+
+test("elitePickUp: nothing to report without Elite or buyer calls", () => {
+  assert.equal(elitePickUp.getElitePercentage([]), null);
+  assert.equal(elitePickUp.getElitePercentage(report("buyer", [["Other", 3]], 3)), null);
+  assert.equal(elitePickUp.getElitePercentage(report("buyer", [["Elite", 0], [NO_VALUE, 5]], 5)), null);
+  assert.deepEqual(elitePickUp.evaluate(undefined, { window }), []);
+});
@@ -0,0 +1,138 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { promisify } from "util";
+import { fileURLToPath } from "url";
+import { checkConfigFiles, checkEnv, checkSchedules, formatReport, staticChecks } from "../lib/doctor.js";
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), "doctor-"));
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+fs.writeFileSync(path.join(root, "targetHangpUps.js"), "export async function run() {}\n");
+fs.writeFileSync(path.join(root, "legacy.js"), "console.log('runs at import');\n");
+
+const accounts = {
+  main: {
+    name: "Main",
+    env: { accountId: ["RINGBA_ACCOUNT_ID"], apiToken: ["RINGBA_API_TOKEN"] },
+    detectors: ["targetHangpUps.js", "legacy.js"],
+  },
+};
+const routes = {
+  channels: { default: ["SLACK_WEBHOOK_URL"], ops: ["SLACK_OPS_WEBHOOK_URL", "SLACK_WEBHOOK_URL"] },
+  routes: [{ match: { type: ["jobFailure", "watchdog"] }, channels: ["ops"] }],
+};
+const entry = { script: "targetHangpUps.js", schedule: "*/3 * * * *", timezone: "America/New_York" };
+const WEBHOOK = "https://hooks.slack.com/services/T000/B000/xyz";
+const env = { RINGBA_ACCOUNT_ID: "RA1", RINGBA_API_TOKEN: "token", SLACK_WEBHOOK_URL: WEBHOOK };
+
+const byName = (results) => Object.fromEntries(results.map((r) => [r.name, r]));
+
+test("schedules: bad cron, missing or run-less scripts and unknown time zones fail", () => {
+  const results = checkSchedules(
+    [
+      entry,
+      { ...entry, schedule: "every 3 minutes" },
+      { ...entry, script: "nope.js" },
+      { ...entry, timezone: "Mars/Olympus" },
+      { script: "legacy.js", schedule: "0 * * * *", timezone: "America/New_York" },
+      { script: "legacy.js", schedule: "0 * * * *", isolate: true },
+    ],
+    { root, accounts }
+  );
+  assert.deepEqual(results.map((r) => r.status), ["ok", "fail", "fail", "fail", "fail", "warn"]);
+  assert.equal(results[0].detail, "America/New_York @main");
+  assert.match(results[1].detail, /invalid cron expression/);
+  assert.match(results[2].detail, /nope\.js not found/);
+  assert.match(results[3].detail, /unknown time zone "Mars\/Olympus"/);
+  assert.match(results[4].detail, /doesn't export run\(context\)/);
+  // An isolated script runs as a child process, so it needn't export run
+  assert.match(results[5].detail, /no timezone/);
+});
+
+test("env: missing and placeholder credentials and Slack webhooks fail", () => {
+  const ok = byName(checkEnv({ env, schedules: [entry], routes, accounts }));
+  assert.equal(ok["Ringba Main account ID"].status, "ok");
+  assert.equal(ok["Ringba Main credentials"].detail, "API token from RINGBA_API_TOKEN");
+  assert.equal(ok["Slack for targetHangups @main"].detail, "#default (webhook)");
+  // The operational alerts need somewhere to go whatever is scheduled
+  assert.equal(ok["Slack for jobFailure"].detail, "#ops (webhook)");
+
+  const missing = byName(checkEnv({ env: {}, schedules: [entry], routes, accounts }));
+  assert.equal(missing["Ringba Main account ID"].status, "fail");
+  assert.match(missing["Ringba Main account ID"].detail, /set RINGBA_ACCOUNT_ID \(used by targetHangpUps\.js\)/);
+  assert.equal(missing["Ringba Main credentials"].status, "fail");
+  assert.equal(missing["Slack for targetHangups @main"].status, "fail");
+  assert.match(missing["Slack for targetHangups @main"].detail, /no webhook or bot channel for default/);
+
+  const placeholders = byName(
+    checkEnv({
+      env: { RINGBA_ACCOUNT_ID: "your-account-id", RINGBA_API_TOKEN: "your-api-token", SLACK_WEBHOOK_URL: "your-webhook-url" },
+      schedules: [entry],
+      routes,
+      accounts,
+    })
+  );
+  assert.match(placeholders["Ringba Main account ID"].detail, /still the \.env\.example placeholder/);
+  assert.equal(placeholders["Ringba Main credentials"].status, "fail");
+  assert.equal(placeholders.SLACK_WEBHOOK_URL.status, "fail");
+
+  const odd = byName(checkEnv({ env: { ...env, SLACK_OPS_WEBHOOK_URL: "https://example.com/hook" }, schedules: [entry], routes, accounts }));
+  assert.equal(odd.SLACK_OPS_WEBHOOK_URL.status, "warn");
+});
+
+test("config files: unknown route channels and account channels fail", () => {
+  const results = byName(
+    checkConfigFiles({
+      routes: { ...routes, routes: [{ match: { type: "noAnswer" }, channels: ["nowhere"] }] },
+      rulesPath: path.join(root, "missing-rules.json"),
+      calendar: {},
+      accounts: { main: { ...accounts.main, channel: "buyerOps" } },
+    })
+  );
+  assert.equal(results["rules.json"].status, "ok");
+  assert.match(results["alertRoutes.config.js"].detail, /routes\[0\]: unknown channel "nowhere"/);
+  assert.match(results["accounts.config.js"].detail, /unknown channel "buyerOps"/);
+});
+
+test("the report groups results by section and counts them", () => {
+  const results = staticChecks({ env: {}, schedules: [entry], routes, calendar: {}, accounts, root, rulesPath: path.join(root, "none.json") });
+  const report = formatReport(results);
+  assert.match(report, /\nSchedules \(schedules\.config\.js\)\n  ✅ targetHangpUps\.js \(\*\/3 \* \* \* \*\)/);
+  assert.match(report, /\nEnvironment \(\.env\)\n  ❌ Ringba Main account ID — set RINGBA_ACCOUNT_ID/);
+  const failed = results.filter((r) => r.status === "fail").length;
+  assert.match(report, new RegExp(`❌ ${failed} failed, \\d+ warning\\(s\\), \\d+ ok$`));
+  assert.doesNotMatch(formatReport(results, { only: ["fail"] }), /✅ targetHangpUps/);
+});
+
+/** node doctor.js --offline with only `extraEnv` (cwd is a scratch dir, so no .env is read). */
+async function doctorOffline(extraEnv) {
+  try {
+    const { stdout } = await promisify(execFile)(process.execPath, [path.join(ROOT, "doctor.js"), "--offline"], {
+      cwd: root,
+      timeout: 30000,
+      env: { PATH: process.env.PATH, ...extraEnv },
+    });
+    return { code: 0, stdout };
+  } catch (error) {
+    if (typeof error.code !== "number") throw error;
+    return { code: error.code, stdout: error.stdout };
+  }
+}
+
+test("doctor --offline skips the network checks and exits 1 only when a check fails", async () => {
+  const broken = await doctorOffline({});
+  assert.equal(broken.code, 1);
+  assert.match(broken.stdout, /^Offline: skipping Ringba and Slack checks\./);
+  assert.match(broken.stdout, /❌ Ringba Main account ID — set RINGBA_ACCOUNT_ID/);
+  assert.doesNotMatch(broken.stdout, /Ringba accounts\n|Slack destinations\n/);
+
+  const fine = await doctorOffline(env);
+  assert.equal(fine.code, 0, fine.stdout);
+  assert.match(fine.stdout, /✅ 0 failed, \d+ warning\(s\), \d+ ok$/m);
+});
@@ -0,0 +1,141 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { promisify } from "util";
+import { fileURLToPath } from "url";
+import { dryRunArg } from "../lib/dryRun.js";
+import { getNotifier } from "../lib/notifier.js";
+import { createMockRingba, FIXTURE_ACCOUNT_ID } from "../lib/mockRingba.js";
+import { createMockSlack } from "../lib/mockSlack.js";
+import { ACCOUNT_ENV, getAccounts } from "../lib/accounts.js";
+import alertRoutes from "../alertRoutes.config.js";
+
+const TEST_DIR = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.resolve(TEST_DIR, "..");
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "dry-run-"));
+const ringba = createMockRingba({ fixtures: path.join(TEST_DIR, "fixtures", "ringba", "basic") });
+const slack = createMockSlack();
+let ringbaUrl;
+
+before(async () => {
+  ringbaUrl = await ringba.listen();
+  await slack.listen();
+});
+
+after(async () => {
+  await Promise.all([ringba.close(), slack.close()]);
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+const alert = {
+  type: "targetHangups",
+  severity: "warning",
+  title: "Target hang-ups",
+  summary: "T1 hung up on 40% of calls",
+  fields: [{ label: "Target", value: "T1" }],
+};
+
+/** Run fn with console.log captured; returns what it printed. */
+async function captureLog(fn) {
+  const lines = [];
+  const log = console.log;
+  console.log = (...args) => lines.push(args.join(" "));
+  try {
+    await fn();
+  } finally {
+    console.log = log;
+  }
+  return lines.join("\n");
+}
+
+test("dryRunArg reads --dry-run, --dry-run=<file> and DRY_RUN", () => {
+  assert.equal(dryRunArg([], {}), null);
+  assert.deepEqual(dryRunArg(["--dry-run"], {}), { output: null });
+  assert.deepEqual(dryRunArg(["--dry-run=alerts.jsonl"], {}), { output: path.resolve("alerts.jsonl") });
+  assert.throws(() => dryRunArg(["--dry-run="], {}), /expects a file path/);
+  assert.deepEqual(dryRunArg([], { DRY_RUN: "1" }), { output: null });
+  assert.deepEqual(dryRunArg([], { DRY_RUN: "/tmp/a.jsonl" }), { output: "/tmp/a.jsonl" });
+  assert.equal(dryRunArg([], { DRY_RUN: "false" }), null);
+});
+
+test("the dry-run notifier prints the Block Kit payload and posts nothing to Slack", async () => {
+  for (const bot of [false, true]) {
+    const notifier = getNotifier({ env: slack.env(alertRoutes, { bot }), dryRun: { output: null } });
+    let result;
+    const printed = await captureLog(async () => {
+      result = await notifier.deliver(alert);
+    });
+
+    assert.deepEqual(result, { silenced: false, sent: ["dry-run"], failed: [] });
+    const via = bot ? "channel buyerOps" : "webhook";
+    assert.match(printed, new RegExp(`🧪 Dry run: would post to #buyerOps \\(${via}\\):`));
+    const payload = JSON.parse(printed.slice(printed.indexOf("{")));
+    assert.equal(payload.text, "T1 hung up on 40% of calls");
+    assert.equal(payload.blocks[0].type, "header");
+    assert.deepEqual(slack.take(), []);
+  }
+});
+
+test("a dry run to a file appends one JSON line per message, routed as usual", async () => {
+  const output = path.join(tmp, "alerts.jsonl");
+  const notifier = getNotifier({ env: slack.env(alertRoutes), dryRun: { output } });
+  await captureLog(async () => {
+    await notifier.send(alert);
+    await notifier.send({ ...alert, severity: "critical" });
+  });
+
+  const lines = fs.readFileSync(output, "utf-8").trim().split("\n").map((line) => JSON.parse(line));
+  // The critical one is also copied to escalation
+  assert.deepEqual(
+    lines.map((line) => line.destination),
+    ["#buyerOps (webhook)", "#buyerOps (webhook)", "#escalation (webhook)"]
+  );
+  assert.equal(lines[0].type, "targetHangups");
+  assert.ok(Array.isArray(lines[0].blocks) && lines[0].blocks.length > 0);
+  assert.deepEqual(slack.take(), []);
+});
+
+/**
+ * Run targetHangpUps.js (it opens incidents and Slack threads) live, not as a replay: replays never
+ * write state. The mock ignores the report window, so the fixtures answer for today.
+ */
+async function runTargetHangups(args, stateDir) {
+  const script = "targetHangpUps.js";
+  const { stdout } = await promisify(execFile)(process.execPath, [path.join(ROOT, script), ...args], {
+    cwd: stateDir,
+    timeout: 60000,
+    env: {
+      PATH: process.env.PATH,
+      REPORT_TIME_ZONE: "America/New_York",
+      RINGBA_BASE_URL: ringbaUrl,
+      RINGBA_ACCOUNT_ID: FIXTURE_ACCOUNT_ID,
+      RINGBA_API_TOKEN: "fixture-token",
+      [ACCOUNT_ENV]: getAccounts().forScript(script)[0],
+      ALERT_RULES_JSON: "{}",
+      STATE_DIR: stateDir,
+      ...slack.env(alertRoutes, { bot: true }),
+    },
+  });
+  return stdout;
+}
+
+test("a dry run writes no alert, incident or thread state", async () => {
+  const dryDir = fs.mkdtempSync(path.join(tmp, "dry-"));
+  const stdout = await runTargetHangups(["--dry-run"], dryDir);
+  assert.match(stdout, /🧪 Dry run: would post to #buyerOps \(channel buyerOps\):\n\{\n  "text": ".*target hang-ups/);
+  assert.deepEqual(slack.take(), []);
+  assert.equal(fs.existsSync(path.join(dryDir, "alertState.json")), false);
+
+  // The same run for real posts, and records its incidents and threads
+  const liveDir = fs.mkdtempSync(path.join(tmp, "live-"));
+  await runTargetHangups([], liveDir);
+  assert.ok(slack.take().length > 0);
+  const { entries } = JSON.parse(fs.readFileSync(path.join(liveDir, "alertState.json"), "utf-8"));
+  const namespaces = Object.keys(entries);
+  assert.ok(namespaces.includes("main/incidents:targetHangups"), namespaces.join(", "));
+  assert.ok(namespaces.includes("slackThreads"), namespaces.join(", "));
+});
@@ -0,0 +1,189 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createIncidentTracker } from "../lib/incidents.js";
+import { createNotifier } from "../lib/notifier.js";
+import { createAlertState } from "../lib/alertState.js";
+import { createClock } from "../lib/clock.js";
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), "incidents-"));
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+const MINUTE = 60 * 1000;
+const T0 = Date.parse("2026-03-09T14:00:00Z");
+
+/** A sink that records what it got and fails while `down` is set. */
+function sink(name) {
+  const received = [];
+  return {
+    name,
+    received,
+    down: false,
+    async send({ alert }) {
+      if (this.down) throw new Error(`${name} is down`);
+      received.push(alert.status);
+    },
+  };
+}
+
+let files = 0;
+function setup({ sinks = [sink("slack #ops")], silences = null } = {}) {
+  const state = createAlertState({ filePath: path.join(root, `state-${++files}.json`) });
+  const notifier = createNotifier({ sinks, silences });
+  const incidents = createIncidentTracker("targetHangups", {
+    resolveAfter: 2,
+    worseBy: 5,
+    formatMetric: (pct) => `${pct}%`,
+    notifier,
+    state,
+  });
+  let minute = 0;
+  // One check a minute, live unless it is a replay
+  const check = (tripped, metric, { replay = false } = {}) => {
+    const clock = { ...createClock(new Date(T0 + minute++ * MINUTE)), isReplay: replay };
+    const alert = { type: "targetHangups", severity: "warning", title: "Hang-ups", entity: "Acme", summary: `Acme at ${metric}%` };
+    return incidents.check("Acme", { clock, tripped, metric, alert });
+  };
+  const incident = () => state.namespace("incidents:targetHangups").get("Acme", { now: new Date(T0 + minute * MINUTE) });
+  return { incidents, check, incident, sinks };
+}
+
+test("an incident opens, updates when worseBy past its peak, resolves after resolveAfter healthy checks and re-opens", async () => {
+  const { check, incident, sinks } = setup();
+  assert.equal(await check(false, 3), "ok");
+  assert.equal(await check(true, 12), "opened");
+  assert.equal(await check(true, 16), "open");
+  assert.equal(await check(true, 17), "updated");
+  assert.equal(incident().peak, 17);
+  assert.equal(await check(true, 20), "open");
+  assert.equal(await check(false, 4), "recovering");
+  // Tripping again while recovering resets the count
+  assert.equal(await check(true, 11), "open");
+  assert.equal(await check(false, 4), "recovering");
+  assert.equal(await check(false, 2), "resolved");
+  assert.equal(incident().status, "resolved");
+  assert.equal(await check(false, 2), "ok");
+  assert.equal(await check(true, 14), "opened");
+  assert.equal(incident().opened, 2);
+  assert.equal(incident().peak, 14);
+
+  assert.deepEqual(sinks[0].received, ["open", "update", "resolved", "open"]);
+});
+
+test("messages of one incident share a thread; a re-opened incident starts a new one", async () => {
+  const threads = [];
+  const recorder = { name: "slack #ops", send: async ({ alert }) => threads.push([alert.status, alert.thread]) };
+  const { check } = setup({ sinks: [recorder] });
+  await check(true, 12);
+  await check(true, 20);
+  await check(false, 1);
+  await check(false, 1);
+  await check(true, 12);
+  assert.deepEqual(threads, [
+    ["open", "incident:targetHangups:Acme#1"],
+    ["update", "incident:targetHangups:Acme#1"],
+    ["resolved", "incident:targetHangups:Acme#1"],
+    ["open", "incident:targetHangups:Acme#2"],
+  ]);
+});
+
+test("an alert no sink took isn't recorded, so the next check sends it again", async () => {
+  const { check, incident, sinks } = setup();
+  sinks[0].down = true;
+  assert.equal(await check(true, 12), "opened");
+  assert.equal(incident(), undefined);
+
+  sinks[0].down = false;
+  assert.equal(await check(true, 12), "opened");
+  assert.deepEqual(sinks[0].received, ["open"]);
+  assert.equal(incident().pending, null);
+});
+
+test("when some sinks fail, the incident is saved and only the failed ones are retried", async () => {
+  const ops = sink("slack #ops");
+  const buyers = sink("slack #buyers");
+  const { check, incident } = setup({ sinks: [ops, buyers] });
+
+  buyers.down = true;
+  assert.equal(await check(true, 12), "opened");
+  assert.equal(incident().status, "open");
+  assert.deepEqual(incident().pending.sentTo, ["slack #ops"]);
+
+  // Still down: #ops isn't sent the open again
+  assert.equal(await check(true, 12), "open");
+  assert.deepEqual(ops.received, ["open"]);
+  assert.deepEqual(incident().pending.sentTo, ["slack #ops"]);
+
+  buyers.down = false;
+  assert.equal(await check(true, 13), "open");
+  assert.deepEqual(ops.received, ["open"]);
+  assert.deepEqual(buyers.received, ["open"]);
+  assert.equal(incident().pending, null);
+
+  // The same goes for updates and recoveries
+  ops.down = true;
+  assert.equal(await check(true, 20), "updated");
+  assert.equal(incident().peak, 20);
+  ops.down = false;
+  await check(false, 1);
+  assert.equal(await check(false, 1), "resolved");
+  assert.deepEqual(ops.received, ["open", "update", "resolved"]);
+  assert.deepEqual(buyers.received, ["open", "update", "resolved"]);
+});
+
+test("a recovery no sink took keeps the incident open until one does", async () => {
+  const { check, incident, sinks } = setup();
+  await check(true, 12);
+  await check(false, 1);
+  sinks[0].down = true;
+  assert.equal(await check(false, 1), "resolved");
+  assert.equal(incident().status, "open");
+  sinks[0].down = false;
+  assert.equal(await check(false, 1), "resolved");
+  assert.equal(incident().status, "resolved");
+  assert.deepEqual(sinks[0].received, ["open", "resolved"]);
+});
+
+test("a silenced alert opens nothing, and a silence drops a pending retry", async () => {
+  let silenced = true;
+  const silences = { match: () => (silenced ? { action: "mute", until: "later" } : null) };
+  const ops = sink("slack #ops");
+  const buyers = sink("slack #buyers");
+  const { check, incident } = setup({ sinks: [ops, buyers], silences });
+  assert.equal(await check(true, 12), "opened");
+  assert.equal(incident(), undefined);
+
+  silenced = false;
+  buyers.down = true;
+  await check(true, 12);
+  assert.deepEqual(incident().pending.sentTo, ["slack #ops"]);
+  silenced = true;
+  await check(true, 12);
+  assert.equal(incident().pending, null);
+  assert.deepEqual(buyers.received, []);
+});
+
+test("replays send but never write the incident", async () => {
+  const { check, incident, sinks } = setup();
+  assert.equal(await check(true, 12, { replay: true }), "opened");
+  assert.equal(incident(), undefined);
+  assert.deepEqual(sinks[0].received, ["open"]);
+});
+
+test("notifiers with only send() count as one sink", async () => {
+  const state = createAlertState({ filePath: path.join(root, "send-only.json") });
+  let ok = false;
+  const sent = [];
+  const notifier = { send: async (alert) => (sent.push(alert.status), ok) };
+  const incidents = createIncidentTracker("multiTags", { notifier, state });
+  const clock = createClock(new Date(T0));
+  const alert = { type: "multiTags", severity: "warning", title: "Tags" };
+  await incidents.check("x", { clock: { ...clock, isReplay: false }, tripped: true, metric: 1, alert });
+  assert.deepEqual(incidents.open({ now: new Date(T0) }), {});
+  ok = true;
+  await incidents.check("x", { clock: { ...clock, isReplay: false }, tripped: true, metric: 1, alert });
+  assert.deepEqual(Object.keys(incidents.open({ now: new Date(T0) })), ["x"]);
+  assert.deepEqual(sent, ["open", "open"]);
+});
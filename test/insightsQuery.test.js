@@ -0,0 +1,138 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { insightsQuery, callLogQuery, assertColumn, FILTER_PRESETS } from "../lib/insightsQuery.js";
+
+const START = "2026-03-02T05:00:00.000Z";
+const END = "2026-03-02T17:30:00.000Z";
+
+// The hand-written bodies the builder replaced (baseline campaignDropRate.js, targetHangpUps.js,
+// pgnmNumberpool.js), written out in full so a change to the defaults shows up here.
+const VALUE_COLUMNS = [
+  { column: "callCount", aggregateFunction: null },
+  { column: "liveCallCount", aggregateFunction: null },
+  { column: "completedCalls", aggregateFunction: null },
+  { column: "endedCalls", aggregateFunction: null },
+  { column: "connectedCallCount", aggregateFunction: null },
+  { column: "payoutCount", aggregateFunction: null },
+  { column: "convertedCalls", aggregateFunction: null },
+  { column: "nonConnectedCallCount", aggregateFunction: null },
+  { column: "duplicateCalls", aggregateFunction: null },
+  { column: "blockedCalls", aggregateFunction: null },
+  { column: "incompleteCalls", aggregateFunction: null },
+  { column: "earningsPerCallGross", aggregateFunction: null },
+  { column: "conversionAmount", aggregateFunction: null },
+  { column: "payoutAmount", aggregateFunction: null },
+  { column: "profitGross", aggregateFunction: null },
+  { column: "profitMarginGross", aggregateFunction: null },
+  { column: "convertedPercent", aggregateFunction: null },
+  { column: "callLengthInSeconds", aggregateFunction: null },
+  { column: "avgHandleTime", aggregateFunction: null },
+  { column: "totalCost", aggregateFunction: null },
+];
+
+const baselineBody = (groupByColumns, filters) => ({
+  reportStart: START,
+  reportEnd: END,
+  groupByColumns,
+  valueColumns: VALUE_COLUMNS,
+  orderByColumns: [{ column: "callCount", direction: "desc" }],
+  formatTimespans: true,
+  formatPercentages: true,
+  generateRollups: true,
+  maxResultsPerGroup: 1000,
+  filters,
+  formatTimeZone: "America/New_York",
+});
+
+const notBroker = { anyConditionToMatch: [{ column: "campaignName", value: "Broker", isNegativeMatch: true, comparisonType: "CONTAINS" }] };
+const notEnroll = { anyConditionToMatch: [{ column: "campaignName", value: "Enroll", isNegativeMatch: true, comparisonType: "CONTAINS" }] };
+const nonDuplicate = { anyConditionToMatch: [{ column: "isDuplicate", value: "no", isNegativeMatch: false, comparisonType: "EQUALS" }] };
+const notBlocked = { anyConditionToMatch: [{ column: "wasBlocked", value: "no", isNegativeMatch: false, comparisonType: "EQUALS" }] };
+
+/** Same keys, same order, same values: the request Ringba sees is byte-for-byte the old one. */
+function assertSameBody(actual, expected) {
+  assert.deepEqual(actual, expected);
+  assert.equal(JSON.stringify(actual), JSON.stringify(expected));
+}
+
+test("campaignDropRate's body matches the hand-written one", () => {
+  const build = (campaignName) => {
+    const query = insightsQuery({ timeZone: "America/New_York" })
+      .window(START, END)
+      .groupBy("publisherName", "Publisher")
+      .preset("excludeBrokerEnroll", "nonDuplicate", "notBlocked");
+    if (campaignName) query.where("campaignName", campaignName);
+    return query.build();
+  };
+  const filters = [notBroker, notEnroll, nonDuplicate, notBlocked];
+
+  assertSameBody(build(), baselineBody([{ column: "publisherName", displayName: "Publisher" }], filters));
+  assertSameBody(
+    build("Medicare - SSDI"),
+    baselineBody([{ column: "publisherName", displayName: "Publisher" }], [
+      ...filters,
+      { anyConditionToMatch: [{ column: "campaignName", value: "Medicare - SSDI", isNegativeMatch: false, comparisonType: "EQUALS" }] },
+    ])
+  );
+});
+
+test("targetHangpUps's body matches the hand-written one", () => {
+  const build = (filter) => {
+    const query = insightsQuery({ timeZone: "America/New_York" })
+      .window(new Date(START), new Date(END))
+      .groupBy("targetName", "Target");
+    if (filter) query.where("endCallSource", filter).lessThan("connectedCallLengthInSeconds", 20);
+    return query.build();
+  };
+  const groupBy = [{ column: "targetName", displayName: "Target" }];
+
+  assertSameBody(build(), baselineBody(groupBy, []));
+  assertSameBody(
+    build("Target"),
+    baselineBody(groupBy, [
+      { anyConditionToMatch: [{ column: "endCallSource", value: "Target", isNegativeMatch: false, comparisonType: "EQUALS" }] },
+      // The old body sent the limit as the string "20"
+      { anyConditionToMatch: [{ column: "connectedCallLengthInSeconds", value: "20", isNegativeMatch: false, comparisonType: "LESS_THAN" }] },
+    ])
+  );
+});
+
+test("pgnmNumberpool's body matches the hand-written one", () => {
+  const body = insightsQuery({ timeZone: "America/New_York" })
+    .window(START, END)
+    .groupBy("numberPoolName", "Number Pool")
+    .preset("excludeBroker", "nonDuplicate")
+    .build();
+  assertSameBody(body, baselineBody([{ column: "numberPoolName", displayName: "Number Pool" }], [notBroker, nonDuplicate]));
+});
+
+test("presets expand to their filter groups, in order, as copies", () => {
+  const { filters } = insightsQuery().window(START, END).preset("excludeBrokerEnroll", "nonDuplicate", "notBlocked").build();
+  assert.deepEqual(filters, [notBroker, notEnroll, nonDuplicate, notBlocked]);
+
+  filters[0].anyConditionToMatch[0].value = "Changed";
+  assert.equal(FILTER_PRESETS.excludeBrokerEnroll[0][0].value, "Broker");
+  assert.deepEqual(insightsQuery().window(START, END).preset("excludeBroker").build().filters, [notBroker]);
+});
+
+test("unknown columns and presets throw", () => {
+  assert.throws(() => insightsQuery().groupBy("targetNmae"), /Unknown insights column: "targetNmae"/);
+  assert.throws(() => insightsQuery().where("buyerName", "A"), /Unknown insights column/);
+  assert.throws(() => insightsQuery().values(["callCount", "calls"]), /Unknown insights column: "calls"/);
+  assert.throws(() => insightsQuery().orderBy(undefined), /Unknown insights column: undefined/);
+  assert.throws(() => insightsQuery().preset("nonDuplicate", "noBrokers"), /Unknown filter preset: noBrokers/);
+
+  // Tag columns aren't in the catalog but are always allowed
+  assert.doesNotThrow(() => assertColumn("tag:User:qualified"));
+  assert.throws(() => assertColumn("tag:User"), /Unknown insights column/);
+});
+
+test("build() needs a window; call logs can't be grouped", () => {
+  assert.throws(() => insightsQuery().build(), /insightsQuery: window\(reportStart, reportEnd\) is required/);
+  assert.throws(() => callLogQuery().groupBy("targetName"), /call logs can't be grouped/);
+
+  const body = callLogQuery({ timeZone: "America/Chicago" }).window(START, END).where("targetName", "T1").build();
+  assert.deepEqual(body.orderByColumns, [{ column: "callDt", direction: "asc" }]);
+  assert.equal(body.formatTimeZone, "America/Chicago");
+  assert.equal(body.groupByColumns, undefined);
+});
@@ -0,0 +1,205 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { consecutiveFailures, createJobAlerts } from "../lib/jobAlerts.js";
+import { checkHeartbeat, checkJob, readHeartbeat, watchdogChecks, writeHeartbeat } from "../lib/watchdog.js";
+import { createRunHistory } from "../lib/runHistory.js";
+import { createAlertState } from "../lib/alertState.js";
+import { createJobRunner } from "../lib/jobRunner.js";
+import { createMockRingba, FIXTURE_ACCOUNT_ID } from "../lib/mockRingba.js";
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), "job-alerts-"));
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+const STDERR = "Error: Request failed with status code 401\n    at settle (axios.js:1:1)\n\nNode.js v20.11.0";
+
+let files = 0;
+function setup() {
+  const n = ++files;
+  const history = createRunHistory({ filePath: path.join(root, `runs-${n}.jsonl`) });
+  const sent = [];
+  const notifier = {
+    async send(alert) {
+      sent.push(alert);
+      return true;
+    },
+  };
+  const jobAlerts = createJobAlerts({ history, notifier, state: createAlertState({ filePath: path.join(root, `state-${n}.json`) }) });
+  // Runs a minute apart, oldest first, each recorded before afterRun() as the runner does
+  let minute = 0;
+  const started = Date.now() - 60 * 60 * 1000;
+  async function finish(entry, status, extra = {}) {
+    const job = [entry.script, ...(entry.args ?? [])].join(" ");
+    const run = { id: String(minute), job, script: entry.script, start: new Date(started + ++minute * 60000).toISOString(), status, ...extra };
+    history.append(run);
+    return jobAlerts.afterRun(entry, run);
+  }
+  return { jobAlerts, sent, finish, history };
+}
+
+test("consecutiveFailures counts back to the last success, ignoring skipped runs", () => {
+  const runs = (...statuses) => statuses.map((status) => ({ status }));
+  assert.equal(consecutiveFailures(runs("failed", "skipped", "timeout", "ok", "failed")), 2);
+  assert.equal(consecutiveFailures(runs("ok", "failed")), 0);
+  assert.equal(consecutiveFailures(runs("killed", "failed")), 2);
+  assert.equal(consecutiveFailures([]), 0);
+});
+
+test("a job failing alertAfterFailures runs in a row opens one incident; the next success resolves it", async () => {
+  const { jobAlerts, sent, finish } = setup();
+  const entry = { script: "targetNoAnswer.js", args: ["pull"], description: "Target no-answer" };
+  const failed = { exitCode: 1, stderrTail: STDERR };
+
+  assert.equal(await finish(entry, "failed", failed), "failing");
+  assert.equal(await finish(entry, "skipped"), null);
+  assert.equal(await finish(entry, "failed", failed), "failing");
+  assert.equal(sent.length, 0);
+
+  assert.equal(await finish(entry, "failed", failed), "opened");
+  assert.equal(await finish(entry, "failed", failed), "open");
+  assert.equal(sent.length, 1);
+  const [alert] = sent;
+  assert.equal(alert.type, "jobFailure");
+  assert.equal(alert.severity, "critical");
+  assert.equal(alert.title, "Scheduled job failing: Target no-answer");
+  assert.equal(alert.summary, "targetNoAnswer.js pull failed 3 runs in a row");
+  assert.deepEqual(alert.metrics.find((m) => m.label === "Last error"), {
+    label: "Last error",
+    value: "Error: Request failed with status code 401",
+  });
+  assert.deepEqual(Object.keys(jobAlerts.open()), ["targetNoAnswer.js pull"]);
+
+  assert.equal(await finish(entry, "ok", { exitCode: 0 }), "resolved");
+  assert.equal(sent[1].status, "resolved");
+  assert.equal(sent[1].severity, "info");
+  assert.equal(sent[1].summary, "targetNoAnswer.js pull is running successfully again");
+  assert.equal(await finish(entry, "ok", { exitCode: 0 }), "ok");
+  assert.equal(sent.length, 2);
+});
+
+test("a timeout alerts at once, and failures below the threshold keep the incident open", async () => {
+  const { jobAlerts, sent, finish } = setup();
+  const entry = { script: "targetHangpUps.js", maxRuntimeSeconds: 170 };
+
+  assert.equal(await finish(entry, "timeout", { signal: "SIGTERM", reason: "still running after 170s" }), "opened");
+  assert.equal(sent[0].summary, "targetHangpUps.js was stopped: still running after 170s");
+  assert.equal(await finish(entry, "failed", { exitCode: 1 }), "failing");
+  assert.deepEqual(Object.keys(jobAlerts.open()), ["targetHangpUps.js"]);
+  assert.equal(await finish(entry, "ok", { exitCode: 0 }), "resolved");
+});
+
+test("alertAfterFailures is per entry", async () => {
+  const { finish } = setup();
+  const entry = { script: "consecutiveCallsSameBid.js", alertAfterFailures: 1 };
+  assert.equal(await finish(entry, "failed", { exitCode: 1 }), "opened");
+});
+
+test("a detector whose Ringba requests fail fails its run, and is alerted", async () => {
+  // Every report answers 401 (an expired token) or 500 (an outage)
+  const fixtures = (status) => {
+    const dir = fs.mkdtempSync(path.join(root, `ringba-${status}-`));
+    const exchanges = [{ request: {}, response: { status, body: { message: `HTTP ${status} from the fixture` } } }];
+    fs.writeFileSync(path.join(dir, "insights.json"), JSON.stringify({ exchanges }));
+    return dir;
+  };
+  const { jobAlerts, sent, history } = setup();
+  const runs = [];
+  for (const [status, script] of [[401, "targetHangpUps.js"], [500, "pgnmNumberpool.js"]]) {
+    const mock = createMockRingba({ fixtures: fixtures(status) });
+    const baseUrl = await mock.listen();
+    try {
+      const runner = createJobRunner({
+        root: path.resolve(path.dirname(fileURLToPath(import.meta.url)), ".."),
+        history,
+        echo: false,
+        env: () => ({
+          RINGBA_BASE_URL: baseUrl,
+          RINGBA_ACCOUNT_ID: FIXTURE_ACCOUNT_ID,
+          RINGBA_API_TOKEN: "expired",
+          ALERT_RULES_JSON: "{}",
+          STATE_DIR: fs.mkdtempSync(path.join(root, "state-")),
+        }),
+      });
+      const entry = { script, description: script, alertAfterFailures: 1 };
+      const run = await runner.trigger(entry);
+      runs.push(run);
+      assert.equal(await jobAlerts.afterRun(entry, run), "opened");
+    } finally {
+      await mock.close();
+    }
+  }
+
+  assert.deepEqual(runs.map((run) => [run.status, run.exitCode]), [["failed", 1], ["failed", 1]]);
+  assert.deepEqual(sent.map((alert) => alert.entity), ["targetHangpUps.js", "pgnmNumberpool.js"]);
+  assert.match(sent[0].metrics.find((m) => m.label === "Last error").value, /status code 401/);
+  assert.match(sent[1].metrics.find((m) => m.label === "Last error").value, /status code 500/);
+});
+
+// --- Watchdog ---
+
+// Every 10 minutes, 9am–5pm New York, Monday–Saturday (2026-03-09 is a Monday, in EDT)
+const targetNoAnswer = {
+  script: "targetNoAnswer.js",
+  args: ["pull"],
+  schedule: "*/10 9-17 * * 1-6",
+  timezone: "America/New_York",
+  maxSilenceMinutes: 30,
+};
+const succeededAt = (start) => [{ status: "ok", start }];
+
+test("a watched job is overdue once its first tick after the last success is maxSilenceMinutes ago", () => {
+  const runs = succeededAt("2026-03-09T14:00:00.500Z"); // 10:00 EDT
+  assert.equal(checkJob(targetNoAnswer, runs, { now: new Date("2026-03-09T14:39:00Z") }).status, "ok");
+  assert.equal(checkJob(targetNoAnswer, runs, { now: new Date("2026-03-09T14:40:00Z") }).status, "stale");
+  const result = checkJob(targetNoAnswer, runs, { now: new Date("2026-03-09T14:45:00Z") });
+  assert.equal(result.name, "targetNoAnswer.js pull");
+  assert.match(result.detail, /due since 2026-03-09T14:10:00.000Z \(35 min, allowed 30\)/);
+});
+
+test("silence outside the job's schedule doesn't count", () => {
+  // Last run Saturday 17:50 EDT; next tick Monday 9:00 EDT
+  const runs = succeededAt("2026-03-14T21:50:01Z");
+  assert.equal(checkJob(targetNoAnswer, runs, { now: new Date("2026-03-16T13:29:00Z") }).status, "ok");
+  assert.equal(checkJob(targetNoAnswer, runs, { now: new Date("2026-03-16T13:30:00Z") }).status, "stale");
+});
+
+test("a job with no success on record is measured from the scheduler's start", () => {
+  const options = { schedulerStartedAt: "2026-03-09T13:05:00Z" };
+  const failing = [{ status: "failed", start: "2026-03-09T13:10:00Z" }];
+  assert.equal(checkJob(targetNoAnswer, failing, { ...options, now: new Date("2026-03-09T13:39:00Z") }).status, "ok");
+  assert.match(
+    checkJob(targetNoAnswer, failing, { ...options, now: new Date("2026-03-09T13:40:00Z") }).detail,
+    /^no successful run since the scheduler started/
+  );
+});
+
+test("the heartbeat goes stale after 5 minutes, and then jobs aren't judged", () => {
+  const filePath = path.join(root, "heartbeat.json");
+  assert.equal(readHeartbeat(filePath), null);
+  assert.equal(checkHeartbeat(null).status, "stale");
+
+  writeHeartbeat({ filePath, startedAt: new Date("2026-03-09T13:00:00Z"), now: new Date("2026-03-09T14:00:00Z") });
+  const heartbeat = readHeartbeat(filePath);
+  assert.equal(heartbeat.pid, process.pid);
+  assert.equal(checkHeartbeat(heartbeat, { now: new Date("2026-03-09T14:04:59Z") }).status, "ok");
+  assert.equal(checkHeartbeat(heartbeat, { now: new Date("2026-03-09T14:05:00Z") }).status, "stale");
+
+  const history = { list: () => succeededAt("2026-03-09T13:00:00Z") };
+  const schedules = [targetNoAnswer, { script: "multiTags.js", schedule: "0 9 * * *" }];
+  const now = new Date("2026-03-09T14:01:00Z");
+  assert.deepEqual(
+    watchdogChecks({ schedules, history, heartbeat, now }).map((r) => [r.name, r.status]),
+    [
+      ["scheduler", "ok"],
+      ["targetNoAnswer.js pull", "stale"],
+    ]
+  );
+  const later = new Date("2026-03-09T14:10:00Z");
+  assert.deepEqual(
+    watchdogChecks({ schedules, history, heartbeat, now: later }).map((r) => [r.name, r.status]),
+    [["scheduler", "stale"]]
+  );
+});
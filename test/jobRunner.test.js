@@ -0,0 +1,249 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createJobRunner, jobKey, tail } from "../lib/jobRunner.js";
+import { createRunHistory } from "../lib/runHistory.js";
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), "job-runner-"));
+fs.writeFileSync(path.join(root, "ok.js"), "console.log('fine');\n");
+fs.writeFileSync(
+  path.join(root, "fail.js"),
+  "for (let i = 1; i <= 30; i++) console.error(`line ${i}`);\nprocess.exit(2);\n"
+);
+// Sleeps SLEEP_MS, so one test can make the first run long and the next one short
+fs.writeFileSync(path.join(root, "sleepy.js"), "setTimeout(() => {}, Number(process.env.SLEEP_MS));\n");
+// Ignores SIGTERM: only SIGKILL stops it
+fs.writeFileSync(path.join(root, "stubborn.js"), "process.on('SIGTERM', () => {});\nsetInterval(() => {}, 1000);\n");
+// In-process scripts: run(context) records what it was given in the context's `calls`
+fs.writeFileSync(path.join(root, "package.json"), '{ "type": "module" }\n');
+fs.writeFileSync(path.join(root, "inline.js"), "export async function run({ calls, args }) {\n  calls.push(args);\n}\n");
+fs.writeFileSync(path.join(root, "throws.js"), "export async function run() {\n  throw new Error('Ringba auth failed: 401');\n}\n");
+fs.writeFileSync(path.join(root, "norun.js"), "export const name = 'norun';\n");
+fs.writeFileSync(
+  path.join(root, "abortable.js"),
+  "export function run({ signal }) {\n  return new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason)));\n}\n"
+);
+// Takes 300ms to wind down once aborted (or ends at once when the context says not to linger)
+fs.writeFileSync(
+  path.join(root, "lingering.js"),
+  `export function run({ signal, events, linger = true }) {
+  events.push("start");
+  if (!linger) return events.push("end");
+  return new Promise((resolve, reject) =>
+    signal.addEventListener("abort", () => setTimeout(() => reject(signal.reason, events.push("end")), 300))
+  );
+}
+`
+);
+
+
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+let files = 0;
+function setup({ sleepMs = 0, context } = {}) {
+  const history = createRunHistory({ filePath: path.join(root, `runs-${++files}.jsonl`) });
+  const options = { sleepMs };
+  const runner = createJobRunner({
+    root,
+    history,
+    echo: false,
+    killGraceMs: 100,
+    env: () => ({ SLEEP_MS: String(options.sleepMs) }),
+    context,
+  });
+  return { runner, history, options };
+}
+
+test("jobKey is the script and its args", () => {
+  assert.equal(jobKey({ script: "targetNoAnswer.js", args: ["pull"] }), "targetNoAnswer.js pull");
+  assert.equal(jobKey({ script: "multiTags.js" }), "multiTags.js");
+});
+
+test("tail keeps the last lines", () => {
+  assert.equal(tail("a\nb\nc\n", 2), "b\nc");
+  assert.equal(tail(""), "");
+});
+
+test("a successful and a failed run are recorded with exit code, duration and stderr tail", async () => {
+  const { runner, history } = setup();
+  const ok = await runner.trigger({ script: "ok.js", description: "OK" });
+  assert.equal(ok.status, "ok");
+  assert.equal(ok.exitCode, 0);
+  assert.ok(ok.durationMs >= 0);
+  assert.equal(ok.stderrTail, "");
+
+  const failed = await runner.trigger({ script: "fail.js" });
+  assert.equal(failed.status, "failed");
+  assert.equal(failed.exitCode, 2);
+  assert.equal(failed.stderrTail.split("\n").length, 20);
+  assert.match(failed.stderrTail, /^line 11\n[\s\S]*line 30$/);
+
+  assert.deepEqual(
+    history.list().map((run) => [run.job, run.status]),
+    [
+      ["fail.js", "failed"],
+      ["ok.js", "ok"],
+    ]
+  );
+  assert.deepEqual(history.list({ status: "failed" }).map((run) => run.id), [failed.id]);
+});
+
+test("overlap skip: a tick during a run is recorded as skipped", async () => {
+  const { runner, history } = setup({ sleepMs: 300 });
+  const entry = { script: "sleepy.js" };
+  const first = runner.trigger(entry);
+  assert.equal(runner.running().length, 1);
+  const second = await runner.trigger(entry);
+  assert.equal(second.status, "skipped");
+  assert.match(second.reason, /previous run still going/);
+  assert.equal((await first).status, "ok");
+  assert.equal(history.list({ status: "skipped" }).length, 1);
+});
+
+test("overlap queue: the next run starts after the current one; a third tick is skipped", async () => {
+  const { runner } = setup({ sleepMs: 200 });
+  const entry = { script: "sleepy.js", overlap: "queue" };
+  const first = runner.trigger(entry);
+  const second = runner.trigger(entry);
+  const third = await runner.trigger(entry);
+  assert.equal(third.status, "skipped");
+  assert.match(third.reason, /already waiting/);
+
+  const [a, b] = await Promise.all([first, second]);
+  assert.equal(a.status, "ok");
+  assert.equal(b.status, "ok");
+  assert.ok(Date.parse(b.start) >= Date.parse(a.end));
+});
+
+test("overlap kill: the previous run is killed, then the new one runs", async () => {
+  const { runner, options } = setup({ sleepMs: 30000 });
+  const entry = { script: "sleepy.js", overlap: "kill" };
+  const first = runner.trigger(entry);
+  options.sleepMs = 0;
+  const second = runner.trigger(entry);
+
+  const killed = await first;
+  assert.equal(killed.status, "killed");
+  assert.equal(killed.signal, "SIGTERM");
+  const next = await second;
+  assert.equal(next.status, "ok");
+  assert.ok(Date.parse(next.start) >= Date.parse(killed.end));
+});
+
+test("a run past maxRuntimeSeconds is terminated, then SIGKILLed, and recorded as a timeout", async () => {
+  const { runner, history } = setup();
+  const run = await runner.trigger({ script: "stubborn.js", maxRuntimeSeconds: 0.2 });
+  assert.equal(run.status, "timeout");
+  assert.equal(run.signal, "SIGKILL");
+  assert.equal(run.reason, "still running after 0.2s");
+  assert.deepEqual(runner.running(), []);
+  assert.equal(history.list({ job: "stubborn.js" })[0].status, "timeout");
+});
+
+test("run history filters by job, status and time, and drops runs past retention", () => {
+  const filePath = path.join(root, "history.jsonl");
+  const at = (iso, job, status) => ({ id: `${job}@${iso}`, job, script: job.split(" ")[0], start: iso, status });
+  const history = createRunHistory({ filePath, retentionMs: 24 * 60 * 60 * 1000 });
+  const now = new Date("2026-03-09T20:00:00Z");
+  fs.writeFileSync(filePath, `${JSON.stringify(at("2026-03-07T20:00:00Z", "old.js", "ok"))}\n{"partial`);
+  history.append(at("2026-03-09T14:00:00Z", "targetNoAnswer.js pull", "ok"), { now });
+  history.append(at("2026-03-09T15:00:00Z", "multiTags.js", "timeout"), { now });
+
+  assert.deepEqual(
+    history.list().map((run) => run.job),
+    ["multiTags.js", "targetNoAnswer.js pull"]
+  );
+  assert.equal(history.list({ job: "targetNoAnswer.js" }).length, 1);
+  assert.equal(history.list({ status: ["failed", "timeout"] }).length, 1);
+  assert.equal(history.list({ since: new Date("2026-03-09T14:30:00Z") }).length, 1);
+  assert.equal(history.list({ limit: 1 })[0].job, "multiTags.js");
+});
+
+test("in-process runs share the runner's context; isolate: true still spawns a child", async () => {
+  const calls = [];
+  const { runner, history } = setup({ context: () => ({ calls }) });
+  const first = await runner.trigger({ script: "inline.js", args: ["pull"] });
+  await runner.trigger({ script: "inline.js" });
+  assert.deepEqual(calls, [["pull"], []]);
+  assert.equal(first.mode, "inProcess");
+  assert.equal(first.status, "ok");
+  assert.equal(first.exitCode, 0);
+
+  const isolated = await runner.trigger({ script: "ok.js", isolate: true });
+  assert.equal(isolated.mode, "child");
+  assert.equal(isolated.status, "ok");
+  assert.deepEqual(history.list({ job: "inline.js pull" }).map((run) => run.mode), ["inProcess"]);
+});
+
+test("an in-process run that throws, or has no run(), fails with the error as its stderr tail", async () => {
+  const { runner } = setup({ context: () => ({}) });
+  const failed = await runner.trigger({ script: "throws.js" });
+  assert.equal(failed.status, "failed");
+  assert.equal(failed.exitCode, 1);
+  assert.match(failed.stderrTail, /^Error: Ringba auth failed: 401\n\s+at /);
+
+  const noRun = await runner.trigger({ script: "norun.js" });
+  assert.equal(noRun.status, "failed");
+  assert.match(noRun.stderrTail, /norun\.js doesn't export run\(context\)/);
+});
+
+/** Runs fn with console.warn captured; resolves to the warnings. */
+async function captureWarnings(fn) {
+  const warn = console.warn;
+  const warnings = [];
+  console.warn = (message) => warnings.push(message);
+  try {
+    await fn();
+  } finally {
+    console.warn = warn;
+  }
+  return warnings;
+}
+
+test("an in-process run past maxRuntimeSeconds is aborted, and recorded once it has ended", async () => {
+  const events = [];
+  const { runner } = setup({ context: () => ({ events }) });
+  const aborted = await runner.trigger({ script: "abortable.js", maxRuntimeSeconds: 0.1 });
+  assert.equal(aborted.status, "timeout");
+  assert.equal(aborted.reason, "still running after 0.1s");
+  assert.match(aborted.stderrTail, /^Error: still running after 0\.1s/);
+
+  // Still going past the grace period: warned about, and the job stays busy until it ends
+  const warnings = await captureWarnings(async () => {
+    const lingering = runner.trigger({ script: "lingering.js", maxRuntimeSeconds: 0.1 });
+    await new Promise((resolve) => setTimeout(resolve, 250));
+    assert.equal(runner.running().length, 1);
+    assert.equal((await runner.trigger({ script: "lingering.js" })).status, "skipped");
+
+    const run = await lingering;
+    assert.deepEqual(events, ["start", "end"]);
+    assert.equal(run.status, "timeout");
+    assert.equal(run.reason, "still running after 0.1s; didn't stop within 0.1s of being aborted");
+  });
+  assert.match(warnings[0], /^⚠️ lingering\.js didn't stop within 0\.1s of being aborted/);
+  assert.deepEqual(runner.running(), []);
+});
+
+test("overlap kill in-process: the context gets the run's signal, and the next run waits for the aborted one to end", async () => {
+  const events = [];
+  const signals = [];
+  const { runner } = setup({
+    context: (entry, { signal }) => (signals.push(signal), { events, linger: signals.length === 1 }),
+  });
+  const entry = { script: "lingering.js", overlap: "kill" };
+  await captureWarnings(async () => {
+    const first = runner.trigger(entry);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    const second = runner.trigger(entry);
+
+    const killed = await first;
+    assert.equal(killed.status, "killed");
+    assert.equal(signals[0].aborted, true);
+    const next = await second;
+    assert.equal(next.status, "ok");
+    assert.ok(Date.parse(next.start) >= Date.parse(killed.end));
+  });
+  assert.deepEqual(events, ["start", "end", "start", "end"]);
+});
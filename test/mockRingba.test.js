@@ -0,0 +1,187 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createMockRingba, FIXTURE_ACCOUNT_ID, matchesSubset, sanitize } from "../lib/mockRingba.js";
+import { createRingbaClient, getRecords } from "../lib/ringbaClient.js";
+import { createRateLimiter } from "../lib/rateLimiter.js";
+import { createRequestLedger } from "../lib/requestLedger.js";
+import { collectCallLogs } from "../lib/callLogStream.js";
+import { openCallStore, syncCallStore } from "../lib/callStore.js";
+import { callLogQuery, insightsQuery } from "../lib/insightsQuery.js";
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures", "ringba", "basic");
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "mock-ringba-"));
+const mock = createMockRingba({ fixtures: FIXTURES });
+let baseUrl;
+
+function client(options = {}) {
+  const ledger = createRequestLedger({ filePath: path.join(tmp, "ledger.json") });
+  return createRingbaClient({
+    baseUrl,
+    accountId: FIXTURE_ACCOUNT_ID,
+    username: "ops@example.com",
+    password: "secret",
+    limiter: createRateLimiter({ ledger, maxRetries: 0 }),
+    ...options,
+  });
+}
+
+before(async () => {
+  baseUrl = await mock.listen();
+});
+
+after(async () => {
+  await mock.close();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+test("password grant returns a token the account endpoints accept", async () => {
+  const ringba = client();
+  const token = await ringba.ensureToken();
+  assert.equal(token.access_token, "mock-ringba-token");
+  assert.ok(token.expires > new Date());
+
+  const data = await ringba.rttStats({ start: "03-09-2026", end: "03-09-2026" });
+  assert.deepEqual(
+    data.values.map((v) => v.rttName),
+    ["Acme RTB", "Blue Ridge RTB"]
+  );
+});
+
+test("account endpoints reject requests without credentials", async () => {
+  const response = await fetch(`${baseUrl}/${FIXTURE_ACCOUNT_ID}/calllogs`, { method: "POST", body: "{}" });
+  assert.equal(response.status, 401);
+});
+
+test("insights exchanges match on the body without the report window", async () => {
+  const ringba = client();
+  const body = (start, end) => insightsQuery().window(start, end).groupBy("targetName", "Target").build();
+
+  const today = getRecords(await ringba.insights(body("2026-03-09T04:00:00Z", "2026-03-09T18:00:00Z")));
+  const lastWeek = getRecords(await ringba.insights(body("2026-03-02T05:00:00Z", "2026-03-02T19:00:00Z")));
+  assert.deepEqual(today.map((r) => r.targetName), ["Acme Health - Main", "Blue Ridge Insurance"]);
+  assert.deepEqual(lastWeek, today);
+
+  const byCampaign = insightsQuery().window("2026-03-09T04:00:00Z", "2026-03-09T18:00:00Z").groupBy("campaignName").build();
+  assert.equal(getRecords(await ringba.insights(byCampaign))[0].campaignName, "Medicare ACA");
+});
+
+test("a request no exchange matches is a 404 naming it", async () => {
+  const ringba = client();
+  const body = insightsQuery().window("2026-03-09T04:00:00Z", "2026-03-09T18:00:00Z").groupBy("buyer").build();
+  await assert.rejects(ringba.insights(body), (error) => {
+    assert.equal(error.response.status, 404);
+    assert.match(error.response.data.message, /no exchange in insights\.json matches .*buyer/);
+    return true;
+  });
+});
+
+test("call logs are filtered by window and filters, ordered and paged", async () => {
+  const ringba = client();
+  const body = callLogQuery()
+    .window("2026-03-09T04:00:00Z", "2026-03-10T03:59:59.999Z")
+    .where("targetName", "Acme Health - Main")
+    .options({ formatDateTime: false })
+    .build();
+
+  const { rows, stats } = await collectCallLogs(ringba, body, { pageSize: 2 });
+  assert.deepEqual(
+    rows.map((r) => r.inboundCallId),
+    ["RGB00000001", "RGB00000002", "RGB00000003", "RGB00000004"]
+  );
+  assert.equal(stats.pages, 3);
+});
+
+test("call details are looked up by id", async () => {
+  const ringba = client();
+  const records = getRecords(await ringba.callLogDetails(["RGB00000003", "RGB99999999", "RGB00000002"]));
+  assert.deepEqual(
+    records.map((r) => r.inboundCallId),
+    ["RGB00000003", "RGB00000002"]
+  );
+});
+
+test("the call store syncs from the mock", async () => {
+  // Fixture calls are older than the default retention
+  const store = openCallStore(FIXTURE_ACCOUNT_ID, { dir: path.join(tmp, "callStore"), retentionMs: Infinity });
+  const sync = await syncCallStore(client(), store, { from: "2026-03-09T04:00:00Z", to: "2026-03-09T18:00:00Z" });
+  assert.equal(sync.rows, 6);
+  assert.deepEqual(store.targets({ from: "2026-03-09T04:00:00Z", to: "2026-03-09T18:00:00Z" }).sort(), [
+    "Acme Health - Main",
+    "Blue Ridge Insurance",
+  ]);
+});
+
+test("matchesSubset compares listed keys and arrays element by element", () => {
+  assert.ok(matchesSubset({ a: 1 }, { a: 1, b: 2 }));
+  assert.ok(matchesSubset({ list: [{ column: "x" }] }, { list: [{ column: "x", displayName: "X" }] }));
+  assert.ok(!matchesSubset({ list: [{ column: "x" }] }, { list: [{ column: "x" }, { column: "y" }] }));
+  assert.ok(!matchesSubset({ a: 1 }, { a: "1" }));
+});
+
+test("sanitize replaces the account, phone numbers, emails, secrets and recording URLs", () => {
+  const clean = sanitize(
+    {
+      url: "https://app.ringba.com/RA123/calls",
+      inboundPhoneNumber: "+18005551234",
+      note: "caller 8005551234 emailed Jane.Doe@corp.com from 203.0.113.7",
+      recordingUrl: "https://media.ringba.com/rec/abc.mp3",
+      access_token: "abc",
+      callLengthInSeconds: 42,
+    },
+    { accountId: "RA123" }
+  );
+  assert.equal(clean.url, `https://app.ringba.com/${FIXTURE_ACCOUNT_ID}/calls`);
+  assert.match(clean.inboundPhoneNumber, /^\+1555\d{7}$/);
+  assert.ok(clean.note.includes(clean.inboundPhoneNumber.slice(1)), "the same number maps to the same fake");
+  assert.doesNotMatch(clean.note, /8005551234|Jane|203\.0\.113\.7/);
+  assert.equal(clean.recordingUrl, "https://example.com/recording.mp3");
+  assert.equal(clean.access_token, "redacted");
+  assert.equal(clean.callLengthInSeconds, 42);
+});
+
+test("record mode proxies to upstream and saves sanitized fixtures", async () => {
+  const upstream = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const reply =
+        req.url === "/Token"
+          ? { access_token: "real-token", token_type: "bearer" }
+          : req.url.endsWith("/calllogs")
+            ? { report: { records: [{ inboundCallId: "RGB1", callDt: 1, inboundPhoneNumber: "+18005551234" }] } }
+            : { report: { records: [{ targetName: "T", callCount: "3" }] }, echo: JSON.parse(body).groupByColumns };
+      res.writeHead(200, { "Content-Type": "application/json" }).end(JSON.stringify(reply));
+    });
+  });
+  await new Promise((resolve) => upstream.listen(0, "127.0.0.1", resolve));
+  const dir = path.join(tmp, "recorded");
+  const recorder = createMockRingba({ fixtures: dir, record: true, upstream: `http://127.0.0.1:${upstream.address().port}` });
+
+  const body = insightsQuery().window("2026-03-09T04:00:00Z", "2026-03-09T18:00:00Z").groupBy("targetName").build();
+
+  try {
+    const url = await recorder.listen();
+    const ringba = client({ baseUrl: url, accountId: "RA123" });
+    assert.equal(getRecords(await ringba.insights(body))[0].callCount, "3");
+    await ringba.callLogs({ reportStart: "2026-03-09T04:00:00Z", offset: 0, size: 10 });
+  } finally {
+    await recorder.close();
+    await new Promise((resolve) => upstream.close(resolve));
+  }
+
+  const insights = JSON.parse(fs.readFileSync(path.join(dir, "insights.json"), "utf-8"));
+  assert.equal(insights.exchanges.length, 1);
+  assert.equal(insights.exchanges[0].request.reportStart, undefined);
+  assert.deepEqual(insights.exchanges[0].request.groupByColumns, body.groupByColumns);
+  assert.equal(insights.exchanges[0].response.body.report.records[0].targetName, "T");
+
+  const calls = JSON.parse(fs.readFileSync(path.join(dir, "calllogs.json"), "utf-8"));
+  assert.match(calls.records[0].inboundPhoneNumber, /^\+1555\d{7}$/);
+  assert.ok(!fs.existsSync(path.join(dir, "Token.json")));
+});
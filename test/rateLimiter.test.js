@@ -0,0 +1,210 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { backoffDelay, createRateLimiter, endpointFamily, parseRetryAfter, RateLimitError } from "../lib/rateLimiter.js";
+
+const T0 = Date.parse("2026-03-09T14:00:00Z");
+
+/** Ledger that always has budget left, or answers with the given reservations in turn. */
+function fakeLedger(reservations = []) {
+  const reserved = [];
+  return {
+    reserved,
+    reserve: async (accountId, family, limits, now) => {
+      reserved.push({ accountId, family, limits, now });
+      return reservations.shift() ?? { ok: true };
+    },
+  };
+}
+
+/** Limiter on a fake clock that only moves when the limiter sleeps. */
+function setup({ limits = { reporting: { perMinute: 2 } }, ledger = fakeLedger(), ...options } = {}) {
+  const clock = { t: T0 };
+  const sleeps = [];
+  const limiter = createRateLimiter({
+    limits,
+    ledger,
+    now: () => clock.t,
+    sleep: async (ms) => {
+      sleeps.push(ms);
+      clock.t += ms;
+    },
+    ...options,
+  });
+  return { limiter, clock, sleeps, ledger };
+}
+
+const httpError = (status, headers = {}) => Object.assign(new Error(`HTTP ${status}`), { response: { status, headers } });
+const networkError = (code) => Object.assign(new Error(code), { code });
+
+/** fn that fails with the given errors, in order, then resolves "ok". */
+function failing(...errors) {
+  const fn = async () => {
+    fn.calls++;
+    if (errors.length) throw errors.shift();
+    return "ok";
+  };
+  fn.calls = 0;
+  return fn;
+}
+
+test("endpoint families follow the path", () => {
+  assert.equal(endpointFamily("calllogs"), "callLogs");
+  assert.equal(endpointFamily("/CallLogs/detail"), "callDetails");
+  assert.equal(endpointFamily("insights/events/beta"), "reporting");
+  assert.equal(endpointFamily("stats/rtt"), "reporting");
+});
+
+test("a full bucket sends at once, then waits for the refill of one token", async () => {
+  const { limiter, clock, sleeps } = setup();
+  await limiter.acquire("RA1", "reporting");
+  await limiter.acquire("RA1", "reporting");
+  assert.deepEqual(sleeps, []);
+
+  // 2 per minute refill one token every 30s
+  await limiter.acquire("RA1", "reporting");
+  assert.deepEqual(sleeps, [30000]);
+
+  // 10s later, a third of a token has come back
+  clock.t += 10000;
+  await limiter.acquire("RA1", "reporting");
+  assert.deepEqual(sleeps, [30000, 20000]);
+});
+
+test("buckets are per account and family", async () => {
+  const { limiter, sleeps } = setup({ limits: { reporting: { perMinute: 1 }, callLogs: { perMinute: 1 } } });
+  await limiter.acquire("RA1", "reporting");
+  await limiter.acquire("RA2", "reporting");
+  await limiter.acquire("RA1", "callLogs");
+  assert.deepEqual(sleeps, []);
+});
+
+test("every bucket of a family must have a token: the tightest one sets the wait", async () => {
+  const { limiter, sleeps } = setup({ limits: { reporting: { perSecond: 5, perMinute: 6 } } });
+  for (let i = 0; i < 5; i++) await limiter.acquire("RA1", "reporting");
+  await limiter.acquire("RA1", "reporting");
+  assert.deepEqual(sleeps, [200]);
+  await limiter.acquire("RA1", "reporting");
+  // The per-minute bucket is empty now: 6 per minute refill one every 10s
+  assert.ok(sleeps[1] > 9000 && sleeps[1] <= 10000, `waited ${sleeps[1]}ms`);
+});
+
+test("a wait longer than maxWaitMs fails with RateLimitError instead of queueing", async () => {
+  const { limiter, sleeps } = setup({ limits: { callLogs: { perHour: 1 } }, maxWaitMs: 60000 });
+  await limiter.acquire("RA1", "callLogs");
+  await assert.rejects(limiter.acquire("RA1", "callLogs"), (error) => {
+    assert.ok(error instanceof RateLimitError);
+    assert.equal(error.family, "callLogs");
+    assert.equal(Math.round(error.retryAfterMs / 1000), 3600);
+    return true;
+  });
+  assert.deepEqual(sleeps, []);
+});
+
+test("a spent hourly budget in the ledger waits for the next UTC hour; a spent day fails", async () => {
+  const hour = fakeLedger([{ ok: false, exceeded: "hour" }]);
+  const { limiter, sleeps } = setup({ limits: { callLogs: { perHour: 20, perDay: 200 } }, ledger: hour, maxWaitMs: 3600000 });
+  await limiter.acquire("RA1", "callLogs");
+  assert.deepEqual(sleeps, [3600000]);
+  assert.deepEqual(hour.reserved[0].limits, { perHour: 20, perDay: 200 });
+  assert.equal(hour.reserved[1].now.toISOString(), "2026-03-09T15:00:00.000Z");
+
+  const day = fakeLedger([{ ok: false, exceeded: "day" }]);
+  const spent = setup({ limits: { callLogs: { perHour: 20, perDay: 200 } }, ledger: day });
+  await assert.rejects(spent.limiter.acquire("RA1", "callLogs"), /callLogs day budget of 200 exhausted for RA1/);
+});
+
+test("429 honours Retry-After and drains the bucket", async () => {
+  const { limiter, sleeps } = setup({ limits: { reporting: { perMinute: 60 } } });
+  const fn = failing(httpError(429, { "retry-after": "7" }));
+  assert.equal(await limiter.schedule({ accountId: "RA1", family: "reporting" }, fn), "ok");
+  assert.equal(fn.calls, 2);
+  assert.deepEqual(sleeps, [7000]);
+
+  // The retry also waits for the drained bucket's refill of one token (60 per minute = 1s)
+  const drained = setup({ limits: { reporting: { perMinute: 60 } } });
+  await drained.limiter.schedule({ accountId: "RA1", family: "reporting" }, failing(httpError(429, { "retry-after": "0" })));
+  assert.deepEqual(drained.sleeps, [0, 1000]);
+});
+
+test("5xx and timeouts retry with capped backoff; other errors don't", async () => {
+  const { limiter, sleeps } = setup({ limits: {} });
+  const fn = failing(httpError(502), networkError("ECONNABORTED"), networkError("ECONNRESET"));
+  assert.equal(await limiter.schedule({ accountId: "RA1", family: "reporting" }, fn), "ok");
+  assert.equal(fn.calls, 4);
+  assert.equal(sleeps.length, 3);
+  sleeps.forEach((ms, attempt) => assert.ok(ms >= 0 && ms <= 500 * 2 ** attempt, `retry ${attempt} waited ${ms}ms`));
+
+  const notFound = failing(httpError(404));
+  await assert.rejects(limiter.schedule({ accountId: "RA1", family: "reporting" }, notFound), /HTTP 404/);
+  assert.equal(notFound.calls, 1);
+
+  const typo = failing(networkError("ENOTFOUND"));
+  await assert.rejects(limiter.schedule({ accountId: "RA1", family: "reporting" }, typo), /ENOTFOUND/);
+  assert.equal(typo.calls, 1);
+});
+
+test("retries stop after maxRetries and rethrow the last error", async () => {
+  const { limiter, sleeps } = setup({ limits: {}, maxRetries: 2 });
+  const fn = failing(httpError(500), httpError(503), httpError(504));
+  await assert.rejects(limiter.schedule({ accountId: "RA1", family: "reporting" }, fn), /HTTP 504/);
+  assert.equal(fn.calls, 3);
+  assert.equal(sleeps.length, 2);
+});
+
+test("a failed turn doesn't block the requests queued behind it", async () => {
+  const { limiter } = setup({ limits: { callLogs: { perHour: 1 } }, maxWaitMs: 0 });
+  const results = await Promise.allSettled([
+    limiter.acquire("RA1", "callLogs"),
+    limiter.acquire("RA1", "callLogs"),
+    limiter.acquire("RA1", "callLogs"),
+  ]);
+  assert.deepEqual(
+    results.map((r) => r.status),
+    ["fulfilled", "rejected", "rejected"]
+  );
+});
+
+test("Retry-After takes seconds or an HTTP date; backoff stays under its cap", () => {
+  assert.equal(parseRetryAfter("3"), 3000);
+  assert.equal(parseRetryAfter("Mon, 09 Mar 2026 14:00:10 GMT", T0), 10000);
+  assert.equal(parseRetryAfter("Mon, 09 Mar 2026 13:59:00 GMT", T0), 0);
+  assert.equal(parseRetryAfter("soon"), null);
+  assert.equal(parseRetryAfter(undefined), null);
+  for (let attempt = 0; attempt < 12; attempt++) {
+    assert.ok(backoffDelay(attempt) <= Math.min(30000, 500 * 2 ** attempt));
+  }
+  assert.ok(backoffDelay(20, { capMs: 1000 }) <= 1000);
+});
+
+test("an aborted signal ends the wait for a token and stops retries", async () => {
+  const stopped = new Error("run aborted");
+  const aborted = AbortSignal.abort(stopped);
+  const { limiter } = setup();
+  const fn = failing();
+  await assert.rejects(limiter.schedule({ accountId: "RA1", family: "reporting", signal: aborted }, fn), stopped);
+  assert.equal(fn.calls, 0);
+
+  // Mid-wait, on the real clock
+  const waiting = createRateLimiter({ limits: { reporting: { perMinute: 1 } }, ledger: fakeLedger() });
+  await waiting.schedule({ accountId: "RA1", family: "reporting" }, failing());
+  const controller = new AbortController();
+  const queued = failing();
+  const pending = waiting.schedule({ accountId: "RA1", family: "reporting", signal: controller.signal }, queued);
+  setTimeout(() => controller.abort(stopped), 20);
+  await assert.rejects(pending, stopped);
+  assert.equal(queued.calls, 0);
+
+  // A failure once aborted isn't retried
+  const stopping = new AbortController();
+  const retried = failing(httpError(502), httpError(502));
+  const { limiter: retrying } = setup({
+    limits: {},
+    sleep: async () => stopping.signal.throwIfAborted(),
+  });
+  const call = retrying.schedule({ accountId: "RA1", family: "reporting", signal: stopping.signal }, async () => {
+    stopping.abort(stopped);
+    return retried();
+  });
+  await assert.rejects(call, stopped);
+  assert.equal(retried.calls, 1);
+});
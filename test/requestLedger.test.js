@@ -0,0 +1,89 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createRequestLedger, dayKey, hourKey } from "../lib/requestLedger.js";
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), "request-ledger-"));
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+let files = 0;
+const newLedger = () => createRequestLedger({ filePath: path.join(root, `ledger-${++files}.json`) });
+const at = (iso) => new Date(iso);
+
+test("hour and day keys are UTC", () => {
+  const date = at("2026-03-09T23:30:00-05:00");
+  assert.equal(hourKey(date), "2026-03-10T04");
+  assert.equal(dayKey(date), "2026-03-10");
+});
+
+test("reservations count per account and family until the hourly limit", async () => {
+  const ledger = newLedger();
+  const now = at("2026-03-09T14:10:00Z");
+  const limits = { perHour: 2, perDay: 10 };
+  assert.deepEqual(await ledger.reserve("RA1", "callLogs", limits, now), { ok: true, usage: { hour: 1, day: 1 } });
+  assert.equal((await ledger.reserve("RA1", "callLogs", limits, now)).ok, true);
+  assert.deepEqual(await ledger.reserve("RA1", "callLogs", limits, now), {
+    ok: false,
+    usage: { hour: 2, day: 2 },
+    exceeded: "hour",
+  });
+
+  // Other accounts and families have their own counts
+  assert.equal((await ledger.reserve("RA2", "callLogs", limits, now)).ok, true);
+  assert.equal((await ledger.reserve("RA1", "reporting", limits, now)).ok, true);
+
+  // The next UTC hour starts a new hourly count, the day's keeps adding up
+  const next = await ledger.reserve("RA1", "callLogs", limits, at("2026-03-09T15:00:00Z"));
+  assert.deepEqual(next, { ok: true, usage: { hour: 1, day: 3 } });
+  assert.deepEqual(ledger.getUsage("RA1", "callLogs", at("2026-03-09T15:30:00Z")), { hour: 1, day: 3 });
+});
+
+test("the daily limit holds across hours and resets at the UTC day rollover", async () => {
+  const ledger = newLedger();
+  const limits = { perHour: 20, perDay: 3 };
+  await ledger.reserve("RA1", "callLogs", limits, at("2026-03-09T01:00:00Z"));
+  await ledger.reserve("RA1", "callLogs", limits, at("2026-03-09T12:00:00Z"));
+  await ledger.reserve("RA1", "callLogs", limits, at("2026-03-09T23:59:00Z"));
+  const spent = await ledger.reserve("RA1", "callLogs", limits, at("2026-03-09T23:59:59Z"));
+  assert.equal(spent.exceeded, "day");
+
+  // 7pm Eastern is already the next UTC day
+  const rolled = await ledger.reserve("RA1", "callLogs", limits, at("2026-03-09T20:00:00-04:00"));
+  assert.deepEqual(rolled, { ok: true, usage: { hour: 1, day: 1 } });
+});
+
+test("hours older than 48 are pruned on the next reservation", async () => {
+  const ledger = newLedger();
+  await ledger.reserve("RA1", "callLogs", {}, at("2026-03-07T10:00:00Z"));
+  await ledger.reserve("RA2", "reporting", {}, at("2026-03-07T12:00:00Z"));
+  await ledger.reserve("RA1", "callLogs", {}, at("2026-03-09T11:00:00Z"));
+  assert.deepEqual(ledger.snapshot(), {
+    "RA1:callLogs": { "2026-03-09T11": 1 },
+    "RA2:reporting": { "2026-03-07T12": 1 },
+  });
+
+  await ledger.reserve("RA1", "callLogs", {}, at("2026-03-09T13:00:00Z"));
+  assert.deepEqual(ledger.snapshot(), { "RA1:callLogs": { "2026-03-09T11": 1, "2026-03-09T13": 1 } });
+});
+
+test("a missing or corrupt ledger file starts empty", async () => {
+  const ledger = newLedger();
+  assert.deepEqual(ledger.getUsage("RA1", "callLogs"), { hour: 0, day: 0 });
+  fs.writeFileSync(ledger.filePath, "{ not json");
+  assert.deepEqual(ledger.snapshot(), {});
+  assert.equal((await ledger.reserve("RA1", "callLogs", { perHour: 1 })).ok, true);
+});
+
+test("concurrent reservations never overspend the limit", async () => {
+  const filePath = path.join(root, "shared.json");
+  // Two ledgers on one file stand in for two processes
+  const ledgers = [createRequestLedger({ filePath }), createRequestLedger({ filePath })];
+  const now = at("2026-03-09T14:00:00Z");
+  const results = await Promise.all(
+    Array.from({ length: 12 }, (_, i) => ledgers[i % 2].reserve("RA1", "callLogs", { perHour: 5 }, now))
+  );
+  assert.equal(results.filter((r) => r.ok).length, 5);
+  assert.deepEqual(ledgers[0].getUsage("RA1", "callLogs", now), { hour: 5, day: 5 });
+});
@@ -0,0 +1,114 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { RULES_ENV, RULE_SCHEMA, createRules, createRulesReloader, loadRules, validateRules } from "../lib/rules.js";
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), "rules-"));
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+let files = 0;
+function rulesFile(config) {
+  const filePath = path.join(root, `rules-${++files}.json`);
+  fs.writeFileSync(filePath, JSON.stringify(config));
+  return filePath;
+}
+
+const acme = { detector: "targetHangups", match: { buyer: "Acme" }, set: { hangUpPct: 25 } };
+
+test("built-in defaults, the file's defaults and matching overrides are merged in order", () => {
+  const rules = createRules({
+    defaults: { targetHangups: { hangUpPct: 12 } },
+    overrides: [
+      acme,
+      { match: { target: ["Blue Ridge", "Zeta"] }, set: { maxCallSeconds: 30 } },
+      { detector: ["targetHangups", "targetNoAnswer"], match: { buyer: "Acme", target: "Blue Ridge" }, set: { hangUpPct: 40 } },
+    ],
+  });
+  const builtIn = RULE_SCHEMA.targetHangups;
+
+  assert.deepEqual(rules.for("targetHangups", { target: "Other" }), {
+    minCalls: builtIn.minCalls.default,
+    hangUpPct: 12,
+    maxCallSeconds: builtIn.maxCallSeconds.default,
+    worseBy: builtIn.worseBy.default,
+  });
+  assert.equal(rules.for("targetHangups", { buyer: "Acme" }).hangUpPct, 25);
+  // A detector-less override applies to every detector with the setting
+  assert.equal(rules.for("targetHangups", { target: "Zeta" }).maxCallSeconds, 30);
+  assert.equal(rules.for("consecutiveCalls", { target: "Zeta" }).maxCallSeconds, 30);
+  // Every match key must match; later overrides win
+  assert.equal(rules.for("targetHangups", { buyer: "Acme", target: "Blue Ridge" }).hangUpPct, 40);
+  assert.equal(rules.for("targetHangups", { buyer: ["Other", "Acme"], target: "Blue Ridge" }).hangUpPct, 40);
+  // Settings a listed detector doesn't have are left out of it
+  assert.equal("hangUpPct" in rules.for("targetNoAnswer", { buyer: "Acme", target: "Blue Ridge" }), false);
+
+  assert.throws(() => rules.for("nope"), /unknown detector "nope"/);
+});
+
+test("unknown detectors, settings and keys are errors", () => {
+  assert.throws(() => validateRules({ defaults: { targetHangupz: { hangUpPct: 10 } } }), /defaults: unknown detector "targetHangupz"/);
+  assert.throws(() => validateRules({ defaults: { targetHangups: { hangupPct: 10 } } }), /unknown setting "hangupPct" for targetHangups/);
+  assert.throws(() => validateRules({ default: {} }), /rules: unknown key "default"/);
+  assert.throws(() => validateRules({ overrides: [{ ...acme, detector: "nope" }] }), /overrides\[0\]\.detector: unknown detector "nope"/);
+  assert.throws(() => validateRules({ overrides: [{ ...acme, why: "x" }] }), /overrides\[0\]: unknown key "why"/);
+  assert.throws(() => validateRules({ overrides: [{ ...acme, match: { buyers: "Acme" } }] }), /overrides\[0\]\.match: unknown key "buyers"/);
+  assert.throws(() => validateRules({ overrides: [{ ...acme, set: { inARow: 4 } }] }), /unknown setting "inARow" for targetHangups/);
+  assert.throws(() => validateRules({ overrides: [{ match: { buyer: "Acme" }, set: { nope: 4 } }] }), /overrides\[0\]\.set: unknown setting "nope"$/m);
+});
+
+test("wrong types, out-of-range values and malformed overrides are errors", () => {
+  assert.throws(() => validateRules({ defaults: { targetHangups: { hangUpPct: "10" } } }), /defaults\.targetHangups\.hangUpPct: expected a number/);
+  assert.throws(() => validateRules({ defaults: { targetHangups: { minCalls: 2.5 } } }), /minCalls: expected an integer/);
+  assert.throws(() => validateRules({ defaults: { targetHangups: { hangUpPct: 101 } } }), /hangUpPct: must be ≤ 100/);
+  assert.throws(() => validateRules({ defaults: { consecutiveCalls: { inARow: 1 } } }), /inARow: must be ≥ 2/);
+  assert.throws(() => validateRules({ overrides: [{ ...acme, set: { hangUpPct: null } }] }), /overrides\[0\]\.set\.hangUpPct: expected a number/);
+  assert.throws(() => validateRules({ overrides: [{ ...acme, match: {} }] }), /overrides\[0\]\.match: expected a non-empty object/);
+  assert.throws(() => validateRules({ overrides: [{ ...acme, match: { buyer: [] } }] }), /match\.buyer: expected a string or a list of strings/);
+  assert.throws(() => validateRules({ overrides: [{ ...acme, set: {} }] }), /overrides\[0\]\.set: expected a non-empty object/);
+  assert.throws(() => validateRules({ overrides: {} }), /overrides: expected an array/);
+  assert.throws(() => validateRules([]), /rules: expected an object/);
+});
+
+test("every problem is listed in one error", () => {
+  assert.throws(
+    () => validateRules({ defaults: { nope: {}, targetHangups: { hangUpPct: -1 } }, overrides: [{ match: {}, set: {} }] }),
+    (error) => error.message.split("\n").length === 5
+  );
+});
+
+test("a missing file is the built-in defaults; ALERT_RULES_JSON wins over the file", () => {
+  const missing = loadRules({ filePath: path.join(root, "missing.json"), env: {} });
+  assert.equal(missing.for("targetHangups").hangUpPct, RULE_SCHEMA.targetHangups.hangUpPct.default);
+
+  const filePath = rulesFile({ defaults: { targetHangups: { hangUpPct: 12 } } });
+  assert.equal(loadRules({ filePath, env: {} }).for("targetHangups").hangUpPct, 12);
+  const env = { [RULES_ENV]: JSON.stringify({ defaults: { targetHangups: { hangUpPct: 30 } } }) };
+  assert.equal(loadRules({ filePath, env }).for("targetHangups").hangUpPct, 30);
+});
+
+test("a reload that fails validation keeps the last valid rules", () => {
+  const filePath = rulesFile({ defaults: { targetHangups: { hangUpPct: 12 } } });
+  const reloader = createRulesReloader(filePath);
+  assert.equal(reloader.reload(), false);
+
+  fs.writeFileSync(filePath, JSON.stringify({ overrides: [acme] }));
+  assert.equal(reloader.reload(), true);
+  assert.equal(reloader.rules.for("targetHangups", { buyer: "Acme" }).hangUpPct, 25);
+  const json = reloader.json;
+
+  for (const broken of [
+    JSON.stringify({ overrides: [{ ...acme, set: { hangUpPct: "25%" } }] }),
+    JSON.stringify({ defaults: { nope: {} } }),
+    "{ \"overrides\": [",
+  ]) {
+    fs.writeFileSync(filePath, broken);
+    assert.throws(() => reloader.reload());
+    assert.equal(reloader.json, json);
+    assert.equal(reloader.rules.for("targetHangups", { buyer: "Acme" }).hangUpPct, 25);
+  }
+
+  // An invalid file at start is fatal
+  assert.throws(() => createRulesReloader(filePath), /rules-\d+\.json: /);
+});
@@ -0,0 +1,170 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { Readable } from "stream";
+import { createActionHandler, readBody, verifySlackSignature } from "../lib/slackActions.js";
+import { SNOOZE_MS, createSilences, silenceScope } from "../lib/silences.js";
+import { createAlertState } from "../lib/alertState.js";
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), "slack-actions-"));
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+const SECRET = "8f742231b10e8888abcd99yyyzzz85a5";
+// 10am in New York
+const NOW = Date.parse("2026-03-09T14:00:00Z");
+const timestamp = String(NOW / 1000);
+const body = "payload=%7B%22type%22%3A%22block_actions%22%7D";
+
+const sign = (ts, raw, secret = SECRET) =>
+  `v0=${crypto.createHmac("sha256", secret).update(`v0:${ts}:${raw}`).digest("hex")}`;
+const request = (overrides = {}) => ({
+  signingSecret: SECRET,
+  timestamp,
+  signature: sign(timestamp, body),
+  body,
+  now: NOW,
+  ...overrides,
+});
+
+test("a request signed with the signing secret is accepted", () => {
+  assert.equal(verifySlackSignature(request()), true);
+  // Slack's clock may be a little off either way
+  assert.equal(verifySlackSignature(request({ now: NOW + 299 * 1000 })), true);
+  assert.equal(verifySlackSignature(request({ now: NOW - 299 * 1000 })), true);
+});
+
+test("a tampered body, another secret or a malformed signature is rejected", () => {
+  assert.equal(verifySlackSignature(request({ body: body.replace("block_actions", "view_submission") })), false);
+  assert.equal(verifySlackSignature(request({ signature: sign(timestamp, body, "another secret") })), false);
+  assert.equal(verifySlackSignature(request({ signature: sign(String(NOW / 1000 + 1), body) })), false);
+  assert.equal(verifySlackSignature(request({ signature: "v0=abc" })), false);
+  assert.equal(verifySlackSignature(request({ signature: sign(timestamp, body).toUpperCase() })), false);
+});
+
+test("requests more than 5 minutes old, or from the future, are rejected as replays", () => {
+  const old = String(NOW / 1000 - 301);
+  assert.equal(verifySlackSignature(request({ timestamp: old, signature: sign(old, body) })), false);
+  const ahead = String(NOW / 1000 + 301);
+  assert.equal(verifySlackSignature(request({ timestamp: ahead, signature: sign(ahead, body) })), false);
+  assert.equal(verifySlackSignature(request({ timestamp: "soon", signature: sign("soon", body) })), false);
+});
+
+test("a missing header or signing secret is rejected", () => {
+  assert.equal(verifySlackSignature(request({ timestamp: undefined })), false);
+  assert.equal(verifySlackSignature(request({ signature: undefined })), false);
+  assert.equal(verifySlackSignature(request({ signature: "" })), false);
+  assert.equal(verifySlackSignature(request({ signingSecret: "" })), false);
+});
+
+/** A request stream over `chunks` (strings or Buffers), with its headers. */
+function incoming(chunks, headers = {}) {
+  return Object.assign(Readable.from(chunks.map((chunk) => Buffer.from(chunk))), { headers });
+}
+
+test("readBody returns the body, multi-byte characters split across chunks included", async () => {
+  const euro = Buffer.from("€");
+  assert.equal(await readBody(incoming(["a=", euro.subarray(0, 1), euro.subarray(1)])), "a=€");
+});
+
+test("readBody rejects an oversized body and stops buffering it", async () => {
+  const req = incoming(["12345", "67890", "abcde", "fghij"]);
+  await assert.rejects(readBody(req, { maxBytes: 8 }), /Request body over 8 bytes/);
+  assert.equal(req.listenerCount("data"), 0);
+
+  // A Content-Length over the limit is refused before reading anything
+  const declared = incoming(["12345"], { "content-length": "9" });
+  await assert.rejects(readBody(declared, { maxBytes: 8 }), /Request body over 8 bytes/);
+  assert.equal(declared.listenerCount("data"), 0);
+});
+
+let files = 0;
+const newSilences = () => createSilences({ state: createAlertState({ filePath: path.join(root, `state-${++files}.json`) }) });
+const at = (iso) => ({ now: new Date(iso) });
+
+const alert = {
+  account: "elite",
+  type: "targetHangups",
+  entity: "Acme",
+  target: "Acme",
+  title: "Hang-ups",
+  thread: "incident:targetHangups:Acme#1",
+};
+
+test("ack silences the alert's follow-ups until the end of the business day", async () => {
+  const silences = newSilences();
+  const { key, until } = await silences.silence("ack", { alert, user: "U1", now: new Date(NOW) });
+  assert.equal(key, "ack:incident:targetHangups:Acme#1");
+  assert.equal(until, "2026-03-10T03:59:59.999Z");
+
+  assert.equal(silences.match(alert, at("2026-03-09T23:59:00-04:00")).action, "ack");
+  assert.equal(silences.match(alert, at("2026-03-10T00:00:00-04:00")), null);
+  // Another incident's thread isn't covered
+  assert.equal(silences.match({ ...alert, thread: "incident:targetHangups:Acme#2" }, { now: new Date(NOW) }), null);
+
+  // The business day is the alert's account's
+  const west = { ...alert, thread: "incident:targetHangups:Acme#3", timeZone: "America/Los_Angeles" };
+  assert.equal(silenceScope(west).timeZone, "America/Los_Angeles");
+  const { until: westUntil } = await silences.silence("ack", { scope: silenceScope(west), now: new Date(NOW) });
+  assert.equal(westUntil, "2026-03-10T06:59:59.999Z");
+});
+
+test("snooze silences the type and entity for an hour", async () => {
+  const silences = newSilences();
+  const { key } = await silences.silence("snooze", { alert, user: "U1", now: new Date(NOW) });
+  assert.equal(key, "snooze:elite/targetHangups:Acme");
+
+  const other = { ...alert, thread: "incident:targetHangups:Acme#2" };
+  assert.equal(silences.match(other, { now: new Date(NOW + SNOOZE_MS - 1) }).action, "snooze");
+  assert.equal(silences.match(other, { now: new Date(NOW + SNOOZE_MS) }), null);
+  assert.equal(silences.match({ ...alert, type: "targetNoAnswer" }, { now: new Date(NOW) }), null);
+  assert.equal(silences.match({ ...alert, account: "other" }, { now: new Date(NOW) }), null);
+});
+
+test("mute silences every alert about the target until the end of the business day", async () => {
+  const silences = newSilences();
+  const { key } = await silences.silence("mute", { scope: silenceScope(alert), now: new Date(NOW) });
+  assert.equal(key, "mute:elite/Acme");
+
+  const noAnswer = { account: "elite", type: "targetNoAnswer", title: "No answer", target: ["Blue Ridge", "Acme"] };
+  assert.equal(silences.match(noAnswer, at("2026-03-09T23:59:00-04:00")).key, "mute:elite/Acme");
+  assert.equal(silences.match(noAnswer, at("2026-03-10T00:00:00-04:00")), null);
+
+  await assert.rejects(
+    silences.silence("mute", { alert: { ...alert, target: ["Acme", "Blue Ridge"] }, now: new Date(NOW) }),
+    /no single target/
+  );
+  await assert.rejects(silences.silence("forget", { alert, now: new Date(NOW) }), /Unknown silence action "forget"/);
+});
+
+test("recoveries are never silenced", async () => {
+  const silences = newSilences();
+  await silences.silence("ack", { alert, now: new Date(NOW) });
+  await silences.silence("mute", { alert, now: new Date(NOW) });
+  assert.equal(silences.match({ ...alert, status: "resolved" }, { now: new Date(NOW) }), null);
+});
+
+test("the action handler records each silence button and replies in the channel", async () => {
+  const silences = newSilences();
+  const replies = [];
+  const handler = createActionHandler({
+    silences,
+    respond: async (url, message) => replies.push([url, message.text]),
+    now: () => new Date(NOW),
+  });
+  const button = (action) => ({ action_id: `silence:${action}`, value: JSON.stringify({ action, ...silenceScope(alert) }) });
+
+  const recorded = await handler.handle({
+    type: "block_actions",
+    user: { id: "U1" },
+    response_url: "https://hooks.slack.test/actions/1",
+    actions: [button("snooze"), button("forget"), { action_id: "silence:ack", value: "{not json" }, { action_id: "open", value: "{}" }],
+  });
+  assert.deepEqual(recorded, [{ action: "snooze", key: "snooze:elite/targetHangups:Acme", until: "2026-03-09T15:00:00.000Z" }]);
+  assert.deepEqual(replies, [["https://hooks.slack.test/actions/1", "🔕 <@U1> snoozed for 1h: elite/targetHangups:Acme"]]);
+  assert.equal(silences.match(alert, { now: new Date(NOW) }).by, "U1");
+
+  assert.deepEqual(await handler.handle({ type: "view_submission" }), []);
+});
@@ -0,0 +1,164 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  addDays,
+  dateKey,
+  dayWindow,
+  fromZonedTime,
+  lastMinutes,
+  range,
+  sameWindowLastWeek,
+  todayWindow,
+  todayKey,
+  todaySoFar,
+  yesterdayWindow,
+} from "../lib/timeWindow.js";
+
+const NY = "America/New_York";
+const at = (iso) => new Date(iso);
+const HOUR = 60 * 60 * 1000;
+const length = (w) => Date.parse(w.reportEnd) + 1 - Date.parse(w.reportStart);
+
+test("todayWindow in summer starts at 04:00Z", () => {
+  assert.deepEqual(todayWindow({ now: at("2026-07-15T16:00:00Z"), timeZone: NY }), {
+    reportStart: "2026-07-15T04:00:00.000Z",
+    reportEnd: "2026-07-16T03:59:59.999Z",
+  });
+});
+
+test("todayWindow in winter starts at 05:00Z", () => {
+  assert.deepEqual(todayWindow({ now: at("2026-01-15T16:00:00Z"), timeZone: NY }), {
+    reportStart: "2026-01-15T05:00:00.000Z",
+    reportEnd: "2026-01-16T04:59:59.999Z",
+  });
+});
+
+test("todayWindow late in the local evening is still the local day", () => {
+  // 23:30 EDT on June 30 is already July 1 in UTC
+  assert.equal(todayWindow({ now: at("2026-07-01T03:30:00Z"), timeZone: NY }).reportStart, "2026-06-30T04:00:00.000Z");
+  // 23:30 EST on Jan 14 is already Jan 15 in UTC
+  assert.equal(todayWindow({ now: at("2026-01-15T04:30:00Z"), timeZone: NY }).reportStart, "2026-01-14T05:00:00.000Z");
+});
+
+test("todaySoFar ends at now", () => {
+  assert.deepEqual(todaySoFar({ now: at("2026-03-08T19:30:00Z"), timeZone: NY }), {
+    reportStart: "2026-03-08T05:00:00.000Z",
+    reportEnd: "2026-03-08T19:30:00.000Z",
+  });
+});
+
+test("spring-forward day (2026-03-08) is 23 hours", () => {
+  const window = todayWindow({ now: at("2026-03-08T12:00:00Z"), timeZone: NY });
+  assert.deepEqual(window, {
+    reportStart: "2026-03-08T05:00:00.000Z",
+    reportEnd: "2026-03-09T03:59:59.999Z",
+  });
+  assert.equal(length(window), 23 * HOUR);
+});
+
+test("fall-back day (2026-11-01) is 25 hours", () => {
+  const window = todayWindow({ now: at("2026-11-01T12:00:00Z"), timeZone: NY });
+  assert.deepEqual(window, {
+    reportStart: "2026-11-01T04:00:00.000Z",
+    reportEnd: "2026-11-02T04:59:59.999Z",
+  });
+  assert.equal(length(window), 25 * HOUR);
+});
+
+test("just before and after the spring-forward instant", () => {
+  // 01:59 EST and 03:01 EDT are both on March 8
+  assert.equal(todayKey({ now: at("2026-03-08T06:59:00Z"), timeZone: NY }), "2026-03-08");
+  assert.equal(todayKey({ now: at("2026-03-08T07:01:00Z"), timeZone: NY }), "2026-03-08");
+  // 23:59 EST on March 7
+  assert.equal(todayKey({ now: at("2026-03-08T04:59:00Z"), timeZone: NY }), "2026-03-07");
+});
+
+test("just before and after the fall-back instant", () => {
+  // 01:30 EDT, then 01:30 EST an hour later — same local day
+  assert.equal(todayKey({ now: at("2026-11-01T05:30:00Z"), timeZone: NY }), "2026-11-01");
+  assert.equal(todayKey({ now: at("2026-11-01T06:30:00Z"), timeZone: NY }), "2026-11-01");
+  // 23:59 EDT on October 31
+  assert.equal(todayKey({ now: at("2026-11-01T03:59:00Z"), timeZone: NY }), "2026-10-31");
+});
+
+test("yesterdayWindow across each DST change", () => {
+  assert.deepEqual(yesterdayWindow({ now: at("2026-03-09T15:00:00Z"), timeZone: NY }), {
+    reportStart: "2026-03-08T05:00:00.000Z",
+    reportEnd: "2026-03-09T03:59:59.999Z",
+  });
+  assert.deepEqual(yesterdayWindow({ now: at("2026-11-02T15:00:00Z"), timeZone: NY }), {
+    reportStart: "2026-11-01T04:00:00.000Z",
+    reportEnd: "2026-11-02T04:59:59.999Z",
+  });
+});
+
+test("lastMinutes is real elapsed time, even across the transition", () => {
+  assert.deepEqual(lastMinutes(30, { now: at("2026-03-08T07:10:00Z") }), {
+    reportStart: "2026-03-08T06:40:00.000Z",
+    reportEnd: "2026-03-08T07:10:00.000Z",
+  });
+  assert.throws(() => lastMinutes(0), /positive/);
+});
+
+test("sameWindowLastWeek keeps local wall-clock times across DST", () => {
+  // Tue 2026-03-10 09:00–09:30 EDT → Tue 2026-03-03 09:00–09:30 EST
+  const window = { reportStart: "2026-03-10T13:00:00.000Z", reportEnd: "2026-03-10T13:30:00.000Z" };
+  assert.deepEqual(sameWindowLastWeek(window, { timeZone: NY }), {
+    reportStart: "2026-03-03T14:00:00.000Z",
+    reportEnd: "2026-03-03T14:30:00.000Z",
+  });
+
+  // A whole day keeps its own length: the week before the fall-back day is 24 hours
+  const lastWeek = sameWindowLastWeek(dayWindow("2026-11-01", { timeZone: NY }), { timeZone: NY });
+  assert.deepEqual(lastWeek, dayWindow("2026-10-25", { timeZone: NY }));
+  assert.equal(length(lastWeek), 24 * HOUR);
+});
+
+test("range accepts local dates, local date-times and instants", () => {
+  assert.deepEqual(range("2026-03-07", "2026-03-08", { timeZone: NY }), {
+    reportStart: "2026-03-07T05:00:00.000Z",
+    reportEnd: "2026-03-09T03:59:59.999Z",
+  });
+  assert.deepEqual(range("2026-11-01T01:30", "2026-11-01T03:00", { timeZone: NY }), {
+    reportStart: "2026-11-01T05:30:00.000Z", // first 01:30 (EDT)
+    reportEnd: "2026-11-01T08:00:00.000Z",
+  });
+  assert.deepEqual(range(at("2026-01-01T00:00:00Z"), "2026-01-01T06:00:00Z"), {
+    reportStart: "2026-01-01T00:00:00.000Z",
+    reportEnd: "2026-01-01T06:00:00.000Z",
+  });
+  assert.throws(() => range("2026-03-08", "2026-03-07", { timeZone: NY }), /before start/);
+  assert.throws(() => range("yesterday", "2026-03-07", { timeZone: NY }), /can't parse/);
+});
+
+test("fromZonedTime skips the spring-forward gap and takes the first repeated hour", () => {
+  assert.equal(
+    fromZonedTime({ year: 2026, month: 3, day: 8, hour: 2, minute: 30 }, NY).toISOString(),
+    "2026-03-08T07:30:00.000Z" // 03:30 EDT
+  );
+  assert.equal(
+    fromZonedTime({ year: 2026, month: 11, day: 1, hour: 1, minute: 30 }, NY).toISOString(),
+    "2026-11-01T05:30:00.000Z" // 01:30 EDT, not EST
+  );
+});
+
+test("other zones", () => {
+  // Europe/London: BST ends 2026-10-25
+  assert.deepEqual(todayWindow({ now: at("2026-10-25T12:00:00Z"), timeZone: "Europe/London" }), {
+    reportStart: "2026-10-24T23:00:00.000Z",
+    reportEnd: "2026-10-25T23:59:59.999Z",
+  });
+  // Asia/Manila: no DST, UTC+8
+  assert.deepEqual(todayWindow({ now: at("2026-03-08T20:00:00Z"), timeZone: "Asia/Manila" }), {
+    reportStart: "2026-03-08T16:00:00.000Z",
+    reportEnd: "2026-03-09T15:59:59.999Z",
+  });
+});
+
+test("dateKey and addDays", () => {
+  assert.equal(dateKey(at("2026-12-31T05:00:00Z"), NY), "2026-12-31");
+  assert.equal(dateKey(at("2026-12-31T04:59:59Z"), NY), "2026-12-30");
+  assert.equal(addDays("2026-02-28", 1), "2026-03-01");
+  assert.equal(addDays("2026-01-01", -1), "2025-12-31");
+  assert.throws(() => addDays("03-08-2026", 1), /YYYY-MM-DD/);
+});
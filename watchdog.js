@@ -0,0 +1,74 @@
+/**
+ * Watchdog for the scheduler (lib/watchdog.js): is it still beating, and has every job with a
+ * maxSilenceMinutes in schedules.config.js succeeded recently enough? Run it outside the
+ * scheduler — from the system crontab, or another host sharing STATE_DIR — so it still runs when
+ * the scheduler doesn't.
+ *
+ * Usage:
+ *   node watchdog.js           — report; exits 1 when the scheduler or a watched job is stale
+ *   node watchdog.js --alert   — also alert (type "watchdog") when something goes stale, and send
+ *                                a recovery notice once it's healthy again
+ *   node watchdog.js --json    — the results as JSON
+ *
+ * Crontab: every 5 minutes → cd /path/to/repo && node watchdog.js --alert
+ */
+import "dotenv/config";
+import { createClock } from "./lib/clock.js";
+import { createIncidentTracker } from "./lib/incidents.js";
+import { entryStatus, getCalendar } from "./lib/calendar.js";
+import { DEFAULT_ACCOUNT, expandSchedules } from "./lib/accounts.js";
+import { getRunHistory } from "./lib/runHistory.js";
+import { HEARTBEAT_PATH, readHeartbeat, watchdogChecks } from "./lib/watchdog.js";
+
+const schedules = (await import("./schedules.config.js")).default;
+
+const STATUS_ICON = { ok: "✅", stale: "❌" };
+
+function watchdogAlert(result) {
+  const scheduler = result.name === "scheduler";
+  return {
+    type: "watchdog",
+    severity: "critical",
+    title: scheduler ? "Scheduler is not running" : `No successful run of ${result.name}`,
+    entityType: scheduler ? "Process" : "Job",
+    entity: result.name,
+    summary: `${result.name}: ${result.detail}`,
+    metrics: [{ label: scheduler ? "Last heartbeat" : "Last success", value: result.since ?? "never" }],
+    source: "watchdog",
+  };
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const results = watchdogChecks({
+    schedules: expandSchedules(schedules),
+    history: getRunHistory(),
+    heartbeat: readHeartbeat(),
+    // Only ticks the scheduler would have run count as missed
+    openAt: (entry, date) => entryStatus(entry, date, { calendar: getCalendar(), account: entry.account ?? DEFAULT_ACCOUNT }).open,
+  });
+
+  if (argv.includes("--json")) console.log(JSON.stringify(results, null, 2));
+  else {
+    console.log(`Watchdog (${HEARTBEAT_PATH})\n`);
+    for (const result of results) console.log(`  ${STATUS_ICON[result.status]} ${result.name} — ${result.detail}`);
+  }
+
+  if (argv.includes("--alert")) {
+    const clock = createClock();
+    const incidents = createIncidentTracker("watchdog", {
+      resolveAfter: 1,
+      describeRecovery: (entity) => (entity === "scheduler" ? "The scheduler is running again" : `${entity} has succeeded again`),
+    });
+    for (const result of results) {
+      await incidents.check(result.name, { clock, tripped: result.status === "stale", metric: 1, alert: watchdogAlert(result) });
+    }
+  }
+
+  if (results.some((result) => result.status !== "ok")) process.exitCode = 1;
+}
+
+main().catch((error) => {
+  console.error("❌", error.message);
+  process.exit(1);
+});